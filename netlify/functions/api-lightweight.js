@@ -16,7 +16,7 @@ app.use(express.json());
 // Load configuration from environment variables
 const config = {
   thresholds: {
-    colorDifference: parseInt(process.env.COLOR_DIFFERENCE_THRESHOLD) || 10,
+    colorDifference: parseFloat(process.env.COLOR_DIFFERENCE_THRESHOLD) || 3,
     sizeDifference: parseInt(process.env.SIZE_DIFFERENCE_THRESHOLD) || 5,
     spacingDifference: parseInt(process.env.SPACING_DIFFERENCE_THRESHOLD) || 3,
     fontSizeDifference: parseInt(process.env.FONT_SIZE_DIFFERENCE_THRESHOLD) || 2
@@ -46,7 +46,7 @@ try {
   console.warn('⚠️ Could not load config.json, using defaults');
   config = {
     thresholds: {
-      colorDifference: 10,
+      colorDifference: 3,
       sizeDifference: 5,
       spacingDifference: 3,
       fontSizeDifference: 2
@@ -19,6 +19,10 @@ import { Server } from 'socket.io';
 import RobustFigmaExtractor from './src/figma/robustFigmaExtractor.js';
 import { EnhancedWebExtractor } from './src/scraper/enhancedWebExtractor.js';
 import ComparisonEngine from './src/compare/comparisonEngine.js';
+import SeverityRules from './src/compare/severityRules.js';
+import WaiverStore, { DEFAULT_WAIVERS_FILE } from './src/compare/waiverStore.js';
+import MappingStore, { DEFAULT_MAPPINGS_FILE } from './src/compare/mappingStore.js';
+import NodeInstrumentation, { DEFAULT_FIGMA_NODE_ATTRIBUTE } from './src/compare/nodeInstrumentation.js';
 import ReportGenerator from './src/report/reportGenerator.js';
 import { ComponentCategorizer } from './src/analyze/componentCategorizer.js';
 import { FigmaUrlParser } from './src/figma/urlParser.js';
@@ -34,7 +38,8 @@ const CONFIG = {
   },
   puppeteer: {
     headless: true,
-    timeout: 30000
+    timeout: 30000,
+    figmaNodeAttribute: process.env.FIGMA_NODE_ATTRIBUTE || DEFAULT_FIGMA_NODE_ATTRIBUTE
   }
 };
 
@@ -70,6 +75,20 @@ app.use(express.static(path.join(__dirname, 'public/modern')));
 let figmaExtractor, webExtractor, comparisonEngine, reportGenerator, componentCategorizer;
 let initialized = false;
 
+// Accepted deviations are shared by every comparison and the waiver API. The file is small and
+// read on each use, so waivers added with the CLI or by hand apply without a restart
+const WAIVERS_FILE = process.env.COMPARISON_WAIVERS_FILE || DEFAULT_WAIVERS_FILE;
+async function getWaiverStore() {
+  return WaiverStore.load(WAIVERS_FILE);
+}
+
+// Pinned Figma node → web element mappings, per Figma file + URL pair. Read on each use like
+// the waivers, so pins made with the CLI apply without a restart
+const MAPPINGS_FILE = process.env.COMPARISON_MAPPINGS_FILE || DEFAULT_MAPPINGS_FILE;
+async function getMappingStore() {
+  return MappingStore.load(MAPPINGS_FILE);
+}
+
 async function initializeOnce() {
   if (initialized) return;
   
@@ -78,7 +97,11 @@ async function initializeOnce() {
   try {
     figmaExtractor = new RobustFigmaExtractor(CONFIG);
     webExtractor = new EnhancedWebExtractor(CONFIG.puppeteer);
-    comparisonEngine = new ComparisonEngine();
+    comparisonEngine = new ComparisonEngine({
+      rulesFile: await SeverityRules.resolveFile(),
+      waiversFile: WAIVERS_FILE,
+      mappingsFile: MAPPINGS_FILE
+    });
     reportGenerator = new ReportGenerator(CONFIG);
     componentCategorizer = new ComponentCategorizer();
     
@@ -199,7 +222,7 @@ app.get('/api/comparison/:id/web-data', async (req, res) => {
 // MAIN COMPARISON ENDPOINT - Fixed method names with progress updates!
 app.post('/api/compare', async (req, res) => {
   try {
-    const { figmaUrl, webUrl, authentication } = req.body;
+    const { figmaUrl, webUrl, authentication, rules } = req.body;
     
     if (!figmaUrl || !webUrl) {
       return res.status(400).json({
@@ -207,6 +230,19 @@ app.post('/api/compare', async (req, res) => {
         error: 'Missing figmaUrl or webUrl'
       });
     }
+
+    // Inline rules replace the server's rules file for this comparison
+    let requestRules = null;
+    if (rules) {
+      try {
+        requestRules = new SeverityRules(rules, 'request rules');
+      } catch (rulesError) {
+        return res.status(400).json({
+          success: false,
+          error: rulesError.message
+        });
+      }
+    }
     
     // Ensure components are ready
     await initializeOnce();
@@ -284,7 +320,25 @@ app.post('/api/compare', async (req, res) => {
     }
     
     const figmaData = await figmaExtractor.getFigmaData(fileKey, nodeId);
+    // Mappings are kept per Figma file + URL pair
+    figmaData.fileId = figmaData.fileId || fileKey;
     emitProgress('figma', 50, `Extracted ${figmaData.components?.length || 0} Figma components`);
+
+    // Icons are compared by shape against their Figma export
+    try {
+      const icons = await figmaExtractor.attachIconRasters(fileKey, figmaData.components || [], path.join(__dirname, 'output/rasters', comparisonId));
+      console.log(`🔣 Exported ${icons} Figma icons`);
+    } catch (iconError) {
+      console.warn('⚠️ Figma icon export failed:', iconError.message);
+    }
+
+    // Image fills are compared with the rendered web images by perceptual hash
+    try {
+      const images = await figmaExtractor.attachImageRasters(fileKey, figmaData.components || [], path.join(__dirname, 'output/rasters', comparisonId));
+      console.log(`🖼️ Exported ${images} Figma image fills`);
+    } catch (imageError) {
+      console.warn('⚠️ Figma image fill export failed:', imageError.message);
+    }
     
     // Store Figma data in comparison
     global.activeComparisons[comparisonId].figmaData = figmaData;
@@ -292,16 +346,35 @@ app.post('/api/compare', async (req, res) => {
     // Extract web data - CONSISTENT METHOD NAME
     console.log('🌐 Extracting web...');
     emitProgress('web', 60, 'Extracting web page elements...');
-    const webData = await webExtractor.extractWebData(webUrl, authentication);
+    // Only the capture passes the design needs run: they interact with and resize the page
+    const webData = await webExtractor.extractWebData(webUrl, authentication, {
+      mappings: (await getMappingStore()).forPair(fileKey, webUrl),
+      captures: comparisonEngine.requiredCaptures(figmaData.components)
+    });
     emitProgress('web', 80, `Extracted ${webData.elements?.length || 0} web elements`);
     
     // Store Web data in comparison
     global.activeComparisons[comparisonId].webData = webData;
+
+    // Instrumented node ids outside the extracted nodes may just be outside the compared frame;
+    // ask Figma which ones are gone
+    const unknownNodeIds = NodeInstrumentation.unknownNodeIds(figmaData.components || [], webData);
+    if (unknownNodeIds.length > 0) {
+      try {
+        figmaData.missingNodeIds = await figmaExtractor.findMissingNodes(fileKey, unknownNodeIds);
+        console.log(`🏷️ ${figmaData.missingNodeIds.length} instrumented Figma nodes no longer exist`);
+      } catch (lookupError) {
+        console.warn('⚠️ Figma node lookup failed:', lookupError.message);
+      }
+    }
     
     // Compare
     console.log('🔍 Comparing...');
     emitProgress('comparison', 85, 'Analyzing differences...');
-    const comparison = await comparisonEngine.compareDesigns(figmaData, webData);
+    const engine = requestRules
+      ? new ComparisonEngine({ rules: requestRules, waiversFile: WAIVERS_FILE, mappingsFile: MAPPINGS_FILE })
+      : comparisonEngine;
+    const comparison = await engine.compareDesigns(figmaData, webData);
     emitProgress('comparison', 90, `Found ${comparison.matches?.length || 0} matches and ${comparison.deviations?.length || 0} deviations`);
     
     // Categorize components for modern UI
@@ -338,9 +411,20 @@ app.post('/api/compare', async (req, res) => {
         },
         comparison: {
           matches: comparison.matches?.length || 0,
-          deviations: comparison.deviations?.length || 0
+          deviations: comparison.deviations?.length || 0,
+          ignored: comparison.summary?.ignored || 0,
+          waived: comparison.summary?.waived || 0,
+          hiddenComponents: comparison.summary?.hiddenComponents || 0,
+          instrumentationCoverage: comparison.instrumentation?.coverage ?? 0
         }
       },
+      // Why each component matched its element, with the runner-up candidates
+      matchExplanations: (comparison.comparisons || []).map(entry => ({
+        componentId: entry.componentId,
+        componentName: entry.componentName,
+        selector: entry.selector,
+        ...entry.matchExplanation
+      })),
       reports: {
         html: htmlReport,
         json: jsonReport
@@ -395,6 +479,84 @@ app.get('/api/comparison/:id/progress', (req, res) => {
   }
 });
 
+// Accepted deviations (waivers)
+app.get('/api/waivers', async (req, res) => {
+  try {
+    const store = await getWaiverStore();
+    res.json({ success: true, waivers: store.list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/waivers', async (req, res) => {
+  let store;
+  try {
+    store = await getWaiverStore();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  try {
+    const waiver = await store.accept(req.body);
+    res.json({ success: true, waiver });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/waivers', async (req, res) => {
+  try {
+    const store = await getWaiverStore();
+    const removed = await store.revoke(req.body || {});
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Waiver not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pinned matches (mappings); GET takes ?fileKey=&url= to list one pair
+app.get('/api/mappings', async (req, res) => {
+  try {
+    const store = await getMappingStore();
+    res.json({ success: true, mappings: store.list({ fileKey: req.query.fileKey, url: req.query.url }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/mappings', async (req, res) => {
+  let store;
+  try {
+    store = await getMappingStore();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  try {
+    const mapping = await store.pin(req.body);
+    res.json({ success: true, mapping });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/mappings', async (req, res) => {
+  try {
+    const store = await getMappingStore();
+    const removed = await store.unpin(req.body || {});
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Mapping not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Reports
 app.get('/api/reports', async (req, res) => {
   try {
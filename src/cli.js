@@ -3,12 +3,17 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { promises as fs } from 'fs';
+import { promises as fs, realpathSync } from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
 
 import FigmaExtractor from './figma/extractor.js';
-import WebExtractor from './scraper/webExtractor.js';
+import EnhancedWebExtractor from './scraper/enhancedWebExtractor.js';
 import ComparisonEngine from './compare/comparisonEngine.js';
+import SeverityRules from './compare/severityRules.js';
+import WaiverStore, { DEFAULT_WAIVERS_FILE } from './compare/waiverStore.js';
+import MappingStore, { DEFAULT_MAPPINGS_FILE } from './compare/mappingStore.js';
+import NodeInstrumentation from './compare/nodeInstrumentation.js';
 import VisualDiff from './visual/visualDiff.js';
 import ReportGenerator from './report/reportGenerator.js';
 
@@ -27,6 +32,73 @@ async function loadConfig() {
   }
 }
 
+/**
+ * Extract the Figma design and the web page and compare them. The pinned mappings of the Figma
+ * file + URL pair are passed to the web extractor, so their CSS selector, XPath and data-testid
+ * targets are resolved in the page rather than against generated selectors. Instrumented node
+ * ids outside the extracted nodes are looked up in Figma, so only deleted ones count as stale.
+ * @param {Object} config - CLI configuration (figma, webUrl, webSelector, mappingsFile, ...)
+ * @param {Object} extractors - { figmaExtractor, webExtractor }
+ * @param {Function} onProgress - Called with a message before each step
+ * @returns {Promise<Object>} { figmaData, webData, comparisonEngine, comparisonReport }
+ */
+export async function extractAndCompare(config, { figmaExtractor, webExtractor }, onProgress = () => {}) {
+  const mappings = await MappingStore.load(config.mappingsFile);
+  const comparisonEngine = new ComparisonEngine({ ...config, mappings });
+
+  // Extract Figma design data
+  onProgress('Extracting Figma design data...');
+  const figmaData = await figmaExtractor.extractDesignData(
+    config.figma.fileId, 
+    config.figma.nodeId
+  );
+  console.log(chalk.green(`✅ Extracted ${figmaData.components.length} components from Figma`));
+
+  // Icons are compared by shape against their Figma export
+  const rasterDir = path.join('./output/rasters', new Date().toISOString().replace(/[:.]/g, '-'));
+  try {
+    const icons = await figmaExtractor.attachIconRasters(config.figma.fileId, figmaData.components, rasterDir);
+    console.log(chalk.green(`✅ Exported ${icons} Figma icons`));
+  } catch (iconError) {
+    console.warn(chalk.yellow(`⚠️ Figma icon export failed: ${iconError.message}`));
+  }
+
+  // Image fills are compared with the rendered web images by perceptual hash
+  try {
+    const images = await figmaExtractor.attachImageRasters(config.figma.fileId, figmaData.components, rasterDir);
+    console.log(chalk.green(`✅ Exported ${images} Figma image fills`));
+  } catch (imageError) {
+    console.warn(chalk.yellow(`⚠️ Figma image fill export failed: ${imageError.message}`));
+  }
+
+  // Extract web elements, with only the capture passes the design needs
+  onProgress('Extracting web elements...');
+  const webData = await webExtractor.extractWebData(config.webUrl, null, {
+    mappings: mappings.forPair(figmaData.fileId, config.webUrl),
+    captures: comparisonEngine.requiredCaptures(figmaData.components),
+    scope: config.webSelector
+  });
+  console.log(chalk.green(`✅ Extracted ${webData.elements.length} web elements`));
+
+  // Instrumented node ids outside the extracted nodes may just be outside the compared frame;
+  // ask Figma which ones are gone
+  const unknownNodeIds = NodeInstrumentation.unknownNodeIds(figmaData.components, webData);
+  if (unknownNodeIds.length > 0) {
+    try {
+      figmaData.missingNodeIds = await figmaExtractor.findMissingNodes(config.figma.fileId, unknownNodeIds);
+    } catch (lookupError) {
+      console.warn(chalk.yellow(`⚠️ Figma node lookup failed: ${lookupError.message}`));
+    }
+  }
+
+  // Compare designs
+  onProgress('Comparing designs...');
+  const comparisonReport = await comparisonEngine.compareDesigns(figmaData, webData);
+  console.log(chalk.green(`✅ Comparison complete: ${comparisonReport.summary.totalDeviations} deviations found`));
+
+  return { figmaData, webData, comparisonEngine, comparisonReport };
+}
+
 // Main comparison command
 async function runComparison(options) {
   const spinner = ora('Loading configuration...').start();
@@ -39,35 +111,20 @@ async function runComparison(options) {
     if (options.figmaNode) config.figma.nodeId = options.figmaNode;
     if (options.url) config.webUrl = options.url;
     if (options.selector) config.webSelector = options.selector;
+    config.rulesFile = await SeverityRules.resolveFile(options.rules || config.rulesFile);
+    config.waiversFile = options.waivers || config.waiversFile || DEFAULT_WAIVERS_FILE;
+    config.mappingsFile = options.mappings || config.mappingsFile || DEFAULT_MAPPINGS_FILE;
 
     spinner.text = 'Initializing extractors...';
     
     // Initialize extractors
     const figmaExtractor = new FigmaExtractor(config);
-    const webExtractor = new WebExtractor(config);
-    const comparisonEngine = new ComparisonEngine(config);
+    const webExtractor = new EnhancedWebExtractor(config.puppeteer);
     const reportGenerator = new ReportGenerator(config);
 
-    // Extract Figma design data
-    spinner.text = 'Extracting Figma design data...';
-    const figmaData = await figmaExtractor.extractDesignData(
-      config.figma.fileId, 
-      config.figma.nodeId
-    );
-    console.log(chalk.green(`✅ Extracted ${figmaData.components.length} components from Figma`));
-
-    // Extract web styles
-    spinner.text = 'Extracting web styles...';
-    const webData = await webExtractor.extractStyles(
-      config.webUrl || options.url,
-      config.webSelector || options.selector
-    );
-    console.log(chalk.green('✅ Extracted web styles'));
-
-    // Compare designs
-    spinner.text = 'Comparing designs...';
-    const comparisonReport = await comparisonEngine.compareDesigns(figmaData, webData);
-    console.log(chalk.green(`✅ Comparison complete: ${comparisonReport.metadata.totalDeviations} deviations found`));
+    const { comparisonEngine, comparisonReport } = await extractAndCompare(config, { figmaExtractor, webExtractor }, message => {
+      spinner.text = message;
+    });
 
     // Visual comparison (if enabled)
     let visualReport = null;
@@ -97,17 +154,17 @@ async function runComparison(options) {
     // Display summary
     console.log('\n' + chalk.bold('📊 Summary:'));
     console.log(`Components analyzed: ${chalk.cyan(comparisonReport.comparisons.length)}`);
-    console.log(`Total deviations: ${chalk.red(comparisonReport.metadata.totalDeviations)}`);
-    console.log(`High severity: ${chalk.red(comparisonReport.metadata.severity.high)}`);
-    console.log(`Medium severity: ${chalk.yellow(comparisonReport.metadata.severity.medium)}`);
-    console.log(`Low severity: ${chalk.blue(comparisonReport.metadata.severity.low)}`);
+    console.log(`Total deviations: ${chalk.red(comparisonReport.summary.totalDeviations)}`);
+    console.log(`High severity: ${chalk.red(comparisonReport.summary.severity.high)}`);
+    console.log(`Medium severity: ${chalk.yellow(comparisonReport.summary.severity.medium)}`);
+    console.log(`Low severity: ${chalk.blue(comparisonReport.summary.severity.low)}`);
     
     console.log('\n' + chalk.bold('📁 Reports generated:'));
     console.log(`JSON: ${chalk.green(jsonReportPath)}`);
     console.log(`HTML: ${chalk.green(htmlReportPath)}`);
 
     // Cleanup
-    await webExtractor.cleanup();
+    await webExtractor.close();
 
   } catch (error) {
     spinner.fail('Comparison failed');
@@ -128,11 +185,76 @@ program
   .option('-f, --figma-file <fileId>', 'Figma file ID')
   .option('-n, --figma-node <nodeId>', 'Figma node ID')
   .option('-u, --url <url>', 'Web page URL to compare')
-  .option('-s, --selector <selector>', 'CSS selector for web component')
+  .option('-s, --selector <selector>', 'Only compare web elements inside the first element matching this CSS selector')
   .option('-v, --visual', 'Include visual diff comparison')
+  .option('-r, --rules <file>', 'Severity/threshold rules file (default: comparison-rules.json if present)')
+  .option('-w, --waivers <file>', `Accepted deviations file (default: ${DEFAULT_WAIVERS_FILE})`)
+  .option('-m, --mappings <file>', `Pinned matches file (default: ${DEFAULT_MAPPINGS_FILE})`)
   .option('--headless <boolean>', 'Run browser in headless mode', true)
   .action(runComparison);
 
+program
+  .command('waive')
+  .description('Accept a known deviation so later runs report it as waived')
+  .requiredOption('-c, --component <nodeId>', 'Figma node id of the component')
+  .requiredOption('-p, --property <property>', 'Deviation property, e.g. fontFamily')
+  .option('-s, --selector <selector>', 'CSS selector the component was matched to')
+  .requiredOption('--reason <reason>', 'Why the deviation is accepted')
+  .requiredOption('--expires <date>', 'When the waiver expires (ISO date)')
+  .option('--by <name>', 'Reviewer accepting the deviation')
+  .option('-w, --waivers <file>', 'Accepted deviations file', DEFAULT_WAIVERS_FILE)
+  .action(async (options) => {
+    try {
+      const store = await WaiverStore.load(options.waivers);
+      const waiver = await store.accept({
+        componentId: options.component,
+        property: options.property,
+        selector: options.selector,
+        reason: options.reason,
+        expiresAt: options.expires,
+        acceptedBy: options.by
+      });
+      console.log(chalk.green(`✅ Waived ${waiver.property} on ${waiver.componentId} until ${waiver.expiresAt}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('pin')
+  .description('Pin a Figma node, or nodes matching a name pattern, to a web element')
+  .requiredOption('-f, --figma-file <fileKey>', 'Figma file key')
+  .requiredOption('-u, --url <url>', 'Page URL')
+  .option('-c, --component <nodeId>', 'Figma node id')
+  .option('-n, --name <pattern>', 'Figma layer name pattern, e.g. "Card/*"')
+  .option('-s, --selector <selector>', 'CSS selector of the web element')
+  .option('-x, --xpath <xpath>', 'XPath of the web element')
+  .option('-t, --test-id <testId>', 'data-testid of the web element')
+  .option('--note <note>', 'Why the match is pinned')
+  .option('--by <name>', 'Reviewer pinning the match')
+  .option('-m, --mappings <file>', 'Pinned matches file', DEFAULT_MAPPINGS_FILE)
+  .action(async (options) => {
+    try {
+      const store = await MappingStore.load(options.mappings);
+      const mapping = await store.pin({
+        fileKey: options.figmaFile,
+        url: options.url,
+        componentId: options.component,
+        namePattern: options.name,
+        selector: options.selector,
+        xpath: options.xpath,
+        testId: options.testId,
+        note: options.note,
+        createdBy: options.by
+      });
+      console.log(chalk.green(`✅ Pinned ${mapping.componentId || mapping.namePattern} to ${MappingStore.targetKey(mapping)}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('init')
   .description('Initialize configuration file')
@@ -285,7 +407,7 @@ program
 
       console.log('\n' + chalk.bold('📊 Test Results:'));
       console.log(`Components: ${chalk.cyan(comparisonReport.comparisons.length)}`);
-      console.log(`Deviations: ${chalk.red(comparisonReport.metadata.totalDeviations)}`);
+      console.log(`Deviations: ${chalk.red(comparisonReport.summary.totalDeviations)}`);
       console.log(`Report: ${chalk.green(reportPath)}`);
 
     } catch (error) {
@@ -300,11 +422,14 @@ program.on('command:*', () => {
   process.exit(1);
 });
 
-// Show help by default
-if (process.argv.length === 2) {
-  program.help();
-}
+// Parse arguments only when run as the CLI, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  // Show help by default
+  if (process.argv.length === 2) {
+    program.help();
+  }
 
-program.parse();
+  program.parse();
+}
 
 export default program; 
\ No newline at end of file
@@ -0,0 +1,269 @@
+/**
+ * Built-in Comparators
+ * The property comparisons every ComparisonEngine registers, in run order. Each delegates to the
+ * engine method that implements it (`context.engine`), so subclasses can still override those.
+ * Icons and token identity run last because they look at the deviations already reported: an
+ * icon's color only counts when no color deviation was reported, and a wrong token only where
+ * the value itself matched.
+ */
+
+import ImageFill from '../utils/imageFill.js';
+
+const hasWebStrokes = (engine, styles) => Boolean(styles) && engine.resolveWebStrokes(styles).length > 0;
+
+export const BUILT_IN_COMPARATORS = [
+  {
+    name: 'typography',
+    category: 'typography',
+    consumes: { figma: ['properties.typography'], web: ['styles'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const typography = figmaComponent.properties?.typography;
+      if (!typography) {
+        return { unfetched: [{ property: 'typography', message: 'Typography data not available in Figma design' }] };
+      }
+      return webElement.styles ? engine.compareTypography(typography, webElement.styles, webElement) : {};
+    }
+  },
+  {
+    // Figma TEXT nodes carry their characters
+    name: 'text',
+    category: 'typography',
+    consumes: { figma: ['characters'], web: ['text', 'textContent'] },
+    compare(figmaComponent, webElement, { engine }) {
+      if (figmaComponent.type !== 'TEXT' || typeof figmaComponent.characters !== 'string') return {};
+      return engine.textComparator.compare(
+        { characters: figmaComponent.characters, textCase: figmaComponent.properties?.typography?.textCase || figmaComponent.style?.textCase },
+        webElement
+      );
+    }
+  },
+  {
+    // The font the text is drawn with, which falls back silently when a webfont fails to load
+    name: 'renderedFont',
+    category: 'fontRendering',
+    consumes: { web: ['renderedFont'] },
+    compare(figmaComponent, webElement, { engine }) {
+      return engine.renderedFontComparator.compare(figmaComponent.properties?.typography, webElement.renderedFont);
+    }
+  },
+  {
+    name: 'backgroundColor',
+    category: 'color',
+    consumes: { figma: ['properties.backgroundColor'], web: ['styles.backgroundColor'] },
+    compare(figmaComponent, webElement, { engine, backdrop }) {
+      const figmaColor = figmaComponent.properties?.backgroundColor;
+      const webColor = webElement.styles?.backgroundColor;
+      if (figmaColor && webColor) {
+        const { deviation, match } = engine.compareColors(figmaColor, webColor, 'backgroundColor', { backdrop, counterpart: webElement.styles.color });
+        return deviation ? { deviations: [deviation] } : { matches: [match] };
+      }
+      return {
+        unfetched: [figmaColor
+          ? { property: 'backgroundColor', figmaValue: figmaColor, webValue: 'not found', message: 'Background color not found in web implementation' }
+          : { property: 'backgroundColor', figmaValue: 'not specified', webValue: webColor, message: 'Background color not specified in Figma design' }]
+      };
+    }
+  },
+  {
+    name: 'color',
+    category: 'color',
+    consumes: { figma: ['properties.color'], web: ['styles.color'] },
+    compare(figmaComponent, webElement, { engine, surface }) {
+      const figmaColor = figmaComponent.properties?.color;
+      const webColor = webElement.styles?.color;
+      if (figmaColor && webColor) {
+        const { deviation, match } = engine.compareColors(figmaColor, webColor, 'color', { backdrop: surface });
+        return deviation ? { deviations: [deviation] } : { matches: [match] };
+      }
+      return {
+        unfetched: [figmaColor
+          ? { property: 'color', figmaValue: figmaColor, webValue: 'not found', message: 'Text color not found in web implementation' }
+          : { property: 'color', figmaValue: 'not specified', webValue: webColor, message: 'Text color not specified in Figma design' }]
+      };
+    }
+  },
+  {
+    // Gradient and stacked fills against the background layers
+    name: 'fills',
+    category: 'color',
+    consumes: { figma: ['properties.fills'] },
+    compare(figmaComponent, webElement, { engine, backdrop }) {
+      const fills = figmaComponent.properties.fills;
+      if (webElement.styles?.backgroundImage || webElement.styles?.backgroundColor) {
+        return engine.compareFills(fills, webElement.styles, webElement.boundingRect, { backdrop });
+      }
+      return {
+        unfetched: [{
+          property: 'fills',
+          figmaValue: fills.map(fill => engine.formatFill(fill)).join(', '),
+          webValue: 'not found',
+          message: 'Background layers not found in web implementation'
+        }]
+      };
+    }
+  },
+  {
+    // Figma drop shadows on text render as text-shadow
+    name: 'shadows',
+    category: 'effects',
+    consumes: { figma: ['properties.shadows'] },
+    compare(figmaComponent, webElement, { engine, surface }) {
+      const shadows = figmaComponent.properties.shadows;
+      const property = figmaComponent.type === 'TEXT' ? 'textShadow' : 'boxShadow';
+      if (webElement.styles?.[property] !== undefined) {
+        return engine.compareShadows(shadows, webElement.styles[property], property, { backdrop: surface });
+      }
+      return {
+        unfetched: [{
+          property,
+          figmaValue: shadows.map(shadow => engine.formatShadow(shadow)).join(', '),
+          webValue: 'not found',
+          message: 'Shadow not found in web implementation'
+        }]
+      };
+    }
+  },
+  {
+    name: 'blur',
+    category: 'effects',
+    consumes: { figma: ['properties.blur'], web: ['styles.filter', 'styles.backdropFilter'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const styles = webElement.styles || {};
+      if (!figmaComponent.properties?.blur && !styles.filter && !styles.backdropFilter) return {};
+      return engine.compareBlur(figmaComponent.properties?.blur || {}, styles);
+    }
+  },
+  {
+    // Effective opacity and blend mode
+    name: 'opacity',
+    category: 'effects',
+    consumes: {
+      figma: ['effectiveOpacity', 'properties.effectiveOpacity', 'properties.opacity', 'opacity', 'properties.blendMode', 'blendMode'],
+      web: ['effectiveOpacity', 'styles.mixBlendMode']
+    },
+    compare(figmaComponent, webElement, { engine }) {
+      const figmaOpacity = engine.getFigmaOpacity(figmaComponent);
+      if (figmaOpacity.effectiveOpacity === undefined && !figmaOpacity.blendMode) return {};
+      return engine.compareOpacity(figmaOpacity, webElement);
+    }
+  },
+  {
+    name: 'spacing',
+    category: 'spacing',
+    consumes: { figma: ['properties.spacing'], web: ['styles'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const spacing = figmaComponent.properties?.spacing;
+      if (!spacing) {
+        return { unfetched: [{ property: 'spacing', message: 'Spacing data not available in Figma design' }] };
+      }
+      return webElement.styles ? engine.compareSpacing(spacing, webElement.styles, webElement) : {};
+    }
+  },
+  {
+    name: 'borderRadius',
+    category: 'borders',
+    consumes: { figma: ['properties.borderRadius', 'properties.cornerRadii'], web: ['styles.borderRadius'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const { borderRadius, cornerRadii, dimensions } = figmaComponent.properties || {};
+      const webRadius = webElement.styles?.borderRadius;
+      if ((borderRadius || cornerRadii) && webRadius) {
+        return engine.compareBorders({ borderRadius, cornerRadii }, webElement.styles, { figma: dimensions, web: webElement.boundingRect });
+      }
+      if (!borderRadius && !cornerRadii && webRadius) {
+        return { unfetched: [{ property: 'borderRadius', figmaValue: 'not specified', webValue: webRadius, message: 'Border radius not specified in Figma design' }] };
+      }
+      return {};
+    }
+  },
+  {
+    // Strokes against per-side borders, outline or spread-only shadows
+    name: 'strokes',
+    category: 'borders',
+    consumes: { figma: ['properties.border'], web: ['styles'] },
+    compare(figmaComponent, webElement, { engine, backdrop, surface }) {
+      const border = figmaComponent.properties?.border;
+      if (border && webElement.styles) {
+        return engine.compareStrokes(border, webElement.styles, { backdrop, surface });
+      }
+      if (!border && hasWebStrokes(engine, webElement.styles)) {
+        return {
+          unfetched: [{
+            property: 'border',
+            figmaValue: 'not specified',
+            webValue: webElement.styles.border || webElement.styles.outline,
+            message: 'Border not specified in Figma design'
+          }]
+        };
+      }
+      return {};
+    }
+  },
+  {
+    // Auto-layout against flexbox/grid and the measured child positions
+    name: 'layout',
+    category: 'spacing',
+    consumes: { figma: ['properties.layout'] },
+    compare(figmaComponent, webElement, { engine }) {
+      if (!webElement.styles) return {};
+      return engine.compareLayout(figmaComponent.properties.layout, webElement.styles, webElement.childRects);
+    }
+  },
+  {
+    // Fixed / fill / hug across viewport widths against layout sizing and constraints
+    name: 'resizing',
+    category: 'resizing',
+    consumes: { web: ['resizing'] },
+    compare(figmaComponent, webElement, { engine }) {
+      return engine.resizingComparator.compare(figmaComponent, webElement.resizing);
+    }
+  },
+  {
+    name: 'dimensions',
+    category: 'dimensions',
+    consumes: { figma: ['properties.dimensions'], web: ['boundingRect'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const dimensions = figmaComponent.properties?.dimensions;
+      if (!dimensions) {
+        return { unfetched: [{ property: 'dimensions', message: 'Dimension data not available in Figma design' }] };
+      }
+      return webElement.boundingRect ? engine.compareDimensions(dimensions, webElement.boundingRect, webElement.authoredStyles) : {};
+    }
+  },
+  {
+    // Icons by shape, from the Figma export and a screenshot of the web element
+    name: 'icon',
+    category: 'icon',
+    consumes: { figma: ['raster'] },
+    compare(figmaComponent, webElement, { engine, deviations }) {
+      if (!webElement.raster) {
+        return { unfetched: [{ property: 'icon.shape', figmaValue: figmaComponent.raster, webValue: 'not captured', message: 'Matched web element was not captured as an icon' }] };
+      }
+      return engine.iconComparator.compare(figmaComponent.raster, webElement.raster, deviations);
+    }
+  },
+  {
+    // Image fills against the <img> or url() background: scale mode, stretching and the picture
+    name: 'image',
+    category: 'image',
+    consumes: { figma: ['imageFill', 'properties.fills', 'fills'] },
+    compare(figmaComponent, webElement, { engine }) {
+      const fill = figmaComponent.imageFill || ImageFill.find(figmaComponent);
+      if (!fill) return {};
+      if (!webElement.image) {
+        return { unfetched: [{ property: 'image', figmaValue: engine.formatFill({ type: 'IMAGE', ...fill }), webValue: 'not found', message: 'Matched web element renders no image' }] };
+      }
+      return engine.imageComparator.compare(fill, webElement.image, webElement.boundingRect, webElement.raster);
+    }
+  },
+  {
+    // A value can match while using the wrong token, or no token at all
+    name: 'tokens',
+    category: 'tokens',
+    consumes: { figma: ['properties.tokens', 'tokens'] },
+    compare(figmaComponent, webElement, { engine, deviations }) {
+      return engine.compareTokens(figmaComponent.properties?.tokens || figmaComponent.tokens, webElement.tokens || {}, deviations);
+    }
+  }
+];
+
+export default BUILT_IN_COMPARATORS;
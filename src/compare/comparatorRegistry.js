@@ -0,0 +1,195 @@
+/**
+ * Comparator Registry
+ * Ordered set of property comparators the engine runs on every matched component. A comparator
+ * is a plain object:
+ *
+ * {
+ *   name: 'brand-radius',                       // unique; a later registration may replace it
+ *   category: 'borders',                        // groups its results (typography, color, spacing, ...)
+ *   consumes: {                                 // dotted paths it reads; it is skipped when none are present
+ *     figma: ['properties.borderRadius'],
+ *     web: ['styles.borderRadius']
+ *   },
+ *   compare(figmaComponent, webElement, context) // may be async; returns { deviations, matches, unfetched }
+ * }
+ *
+ * `context` carries the engine (`context.engine`), its thresholds, the rendered backdrop and the
+ * deviations reported so far by earlier comparators. Results are normalized to one schema:
+ * deviations { category, comparator, property, figmaValue, webValue, difference, severity, message },
+ * matches { category, comparator, property, value, message } and
+ * unfetched { category, comparator, property, status: 'unfetched', message }.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+class ComparatorRegistry {
+  /**
+   * @param {Array} comparators - Comparators to register, in order
+   */
+  constructor(comparators = []) {
+    this.comparators = new Map();
+    comparators.forEach(comparator => this.register(comparator));
+  }
+
+  /**
+   * Load comparators from a module whose default export is a comparator or an array of them
+   * @param {string} modulePath - Path to an ES module, relative to the working directory
+   * @returns {Promise<Array>} Registered comparators
+   */
+  async load(modulePath) {
+    let module;
+    try {
+      module = await import(pathToFileURL(path.resolve(modulePath)).href);
+    } catch (error) {
+      throw new Error(`Cannot load comparators from ${modulePath}: ${error.message}`);
+    }
+
+    const comparators = [].concat(module.default || []);
+    if (comparators.length === 0) {
+      throw new Error(`Comparator module ${modulePath} has no default export`);
+    }
+    return comparators.map(comparator => this.register(comparator, { replace: true }));
+  }
+
+  /**
+   * Add a comparator after the registered ones
+   * @param {Object} comparator - { name, category, consumes, compare }
+   * @param {Object} options - { replace } keeps the position of a comparator with the same name
+   * @returns {Object} The registered comparator
+   */
+  register(comparator, { replace = false } = {}) {
+    const name = comparator?.name;
+    const fail = reason => {
+      throw new Error(`Invalid comparator${name ? ` "${name}"` : ''}: ${reason}`);
+    };
+
+    if (!name || typeof name !== 'string') fail('"name" must be a non-empty string');
+    if (typeof comparator.compare !== 'function') fail('"compare" must be a function');
+    if (comparator.consumes !== undefined) {
+      const { figma = [], web = [] } = comparator.consumes;
+      if (![figma, web].every(fields => Array.isArray(fields) && fields.every(field => typeof field === 'string'))) {
+        fail('"consumes.figma" and "consumes.web" must be arrays of field paths');
+      }
+    }
+    if (this.comparators.has(name) && !replace) fail('a comparator with this name is already registered');
+
+    const registered = { category: 'custom', ...comparator };
+    this.comparators.set(name, registered);
+    return registered;
+  }
+
+  /**
+   * Remove a comparator
+   * @param {string} name - Comparator name
+   * @returns {boolean} Whether a comparator was removed
+   */
+  unregister(name) {
+    return this.comparators.delete(name);
+  }
+
+  get(name) {
+    return this.comparators.get(name) || null;
+  }
+
+  /**
+   * Registered comparators and the fields they consume, in run order
+   * @returns {Array} [{ name, category, consumes }]
+   */
+  list() {
+    return [...this.comparators.values()].map(({ name, category, consumes }) => ({ name, category, consumes: consumes || null }));
+  }
+
+  /**
+   * Whether any field a comparator consumes is present; comparators without `consumes` always run
+   */
+  appliesTo(comparator, figmaComponent, webElement) {
+    if (!comparator.consumes) return true;
+    const { figma = [], web = [] } = comparator.consumes;
+    return figma.some(field => this.readField(figmaComponent, field) !== undefined) ||
+      web.some(field => this.readField(webElement, field) !== undefined);
+  }
+
+  readField(object, field) {
+    return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+  }
+
+  /**
+   * Run every applicable comparator on a matched pair. A comparator that throws, or emits results
+   * outside the schema, is reported as unfetched so one faulty plugin does not abort the comparison.
+   * @param {Object} figmaComponent - Figma component
+   * @param {Object} webElement - Matched web element
+   * @param {Object} context - Shared context (engine, thresholds, backdrop, surface)
+   * @returns {Promise<Object>} { deviations, matches, unfetched }
+   */
+  async run(figmaComponent, webElement, context = {}) {
+    const deviations = [];
+    const matches = [];
+    const unfetched = [];
+
+    for (const comparator of this.comparators.values()) {
+      if (!this.appliesTo(comparator, figmaComponent, webElement)) continue;
+
+      let result;
+      try {
+        const output = await comparator.compare(figmaComponent, webElement, { ...context, deviations: [...deviations] });
+        result = {
+          deviations: (output?.deviations || []).map(deviation => this.normalizeDeviation(deviation, comparator)),
+          matches: (output?.matches || []).map(match => this.normalizeMatch(match, comparator)),
+          unfetched: (output?.unfetched || []).map(entry => this.normalizeUnfetched(entry, comparator))
+        };
+      } catch (error) {
+        console.warn(`⚠️ Comparator "${comparator.name}" failed:`, error.message);
+        unfetched.push(this.normalizeUnfetched({ property: comparator.name, message: `Comparator failed: ${error.message}` }, comparator));
+        continue;
+      }
+
+      deviations.push(...result.deviations);
+      matches.push(...result.matches);
+      unfetched.push(...result.unfetched);
+    }
+
+    return { deviations, matches, unfetched };
+  }
+
+  normalizeDeviation(deviation, comparator) {
+    if (!deviation?.property) {
+      throw new Error(`Comparator "${comparator.name}" emitted a deviation without a property`);
+    }
+    if (!SEVERITIES.includes(deviation.severity)) {
+      throw new Error(`Comparator "${comparator.name}" emitted "${deviation.property}" with severity "${deviation.severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+
+    return {
+      category: comparator.category,
+      comparator: comparator.name,
+      ...deviation,
+      figmaValue: deviation.figmaValue ?? null,
+      webValue: deviation.webValue ?? null,
+      difference: deviation.difference ?? null,
+      message: deviation.message || `${deviation.property} differs from the design`
+    };
+  }
+
+  normalizeMatch(match, comparator) {
+    return {
+      category: comparator.category,
+      comparator: comparator.name,
+      ...match,
+      message: match.message || `${match.property} matches the design`
+    };
+  }
+
+  normalizeUnfetched(entry, comparator) {
+    return {
+      category: comparator.category,
+      comparator: comparator.name,
+      ...entry,
+      status: 'unfetched'
+    };
+  }
+}
+
+export default ComparatorRegistry;
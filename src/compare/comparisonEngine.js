@@ -1,4 +1,121 @@
 import { promises as fs } from 'fs';
+import ColorModel from '../utils/colorModel.js';
+import CssValueParser from '../utils/cssValueParser.js';
+import DesignTokens, { TYPOGRAPHY_PROPERTIES } from '../utils/designTokens.js';
+import ImageFill from '../utils/imageFill.js';
+import AssignmentSolver from '../utils/assignmentSolver.js';
+import BUILT_IN_COMPARATORS from './builtInComparators.js';
+import ComparatorRegistry from './comparatorRegistry.js';
+import HierarchyMatcher from './hierarchyMatcher.js';
+import IconComparator from './iconComparator.js';
+import ImageComparator from './imageComparator.js';
+import MappingStore from './mappingStore.js';
+import NodeInstrumentation from './nodeInstrumentation.js';
+import PositionAnalyzer from './positionAnalyzer.js';
+import RenderedFontComparator from './renderedFontComparator.js';
+import ResizingComparator from './resizingComparator.js';
+import SeverityRules from './severityRules.js';
+import StateMatcher from './stateMatcher.js';
+import TextComparator from './textComparator.js';
+import WaiverStore from './waiverStore.js';
+
+// Pairs scoring at or below this are never matched; leaving a component unmatched costs the same
+const MIN_MATCH_SCORE = 0.3;
+// Finite stand-in for "never assign" so the solver's arithmetic stays defined
+const FORBIDDEN_MATCH_COST = 1e6;
+// Cost of leaving a pinned component unmatched; above any match, below a forbidden one
+const PINNED_UNMATCHED_COST = 2;
+
+// WCAG 2.x AA minimum contrast for body text
+const WCAG_AA_CONTRAST = 4.5;
+
+// Figma text case / decoration and the CSS that renders them
+const TEXT_CASE_CSS = {
+  ORIGINAL: { textTransform: 'none', fontVariantCaps: 'normal' },
+  UPPER: { textTransform: 'uppercase', fontVariantCaps: 'normal' },
+  LOWER: { textTransform: 'lowercase', fontVariantCaps: 'normal' },
+  TITLE: { textTransform: 'capitalize', fontVariantCaps: 'normal' },
+  SMALL_CAPS: { textTransform: 'none', fontVariantCaps: 'small-caps' },
+  SMALL_CAPS_FORCED: { textTransform: 'none', fontVariantCaps: 'all-small-caps' }
+};
+const TEXT_DECORATION_CSS = {
+  NONE: 'none',
+  UNDERLINE: 'underline',
+  STRIKETHROUGH: 'line-through'
+};
+
+// Figma auto-layout alignment and the flexbox values that render it
+const JUSTIFY_CONTENT_CSS = {
+  MIN: ['normal', 'flex-start', 'start', 'left'],
+  CENTER: ['center'],
+  MAX: ['flex-end', 'end', 'right'],
+  SPACE_BETWEEN: ['space-between']
+};
+// Stretched children still start at the cross-axis start, like Figma's default MIN
+const ALIGN_ITEMS_CSS = {
+  MIN: ['normal', 'stretch', 'flex-start', 'start', 'self-start'],
+  CENTER: ['center'],
+  MAX: ['flex-end', 'end', 'self-end'],
+  BASELINE: ['baseline', 'first baseline']
+};
+
+// Figma paint types and the CSS background layer that renders them
+const FILL_LAYER_TYPES = {
+  GRADIENT_LINEAR: 'linear',
+  GRADIENT_RADIAL: 'radial',
+  GRADIENT_ANGULAR: 'conic',
+  IMAGE: 'url'
+};
+
+// Figma layer blend modes and the CSS mix-blend-mode that renders them
+const BLEND_MODE_CSS = {
+  PASS_THROUGH: 'normal',
+  NORMAL: 'normal',
+  DARKEN: 'darken',
+  MULTIPLY: 'multiply',
+  LINEAR_BURN: 'plus-darker',
+  COLOR_BURN: 'color-burn',
+  LIGHTEN: 'lighten',
+  SCREEN: 'screen',
+  LINEAR_DODGE: 'plus-lighter',
+  COLOR_DODGE: 'color-dodge',
+  OVERLAY: 'overlay',
+  SOFT_LIGHT: 'soft-light',
+  HARD_LIGHT: 'hard-light',
+  DIFFERENCE: 'difference',
+  EXCLUSION: 'exclusion',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity'
+};
+
+// Axis whose transform scale applies to each resolved web length
+const LENGTH_AXES = {
+  fontSize: 'y',
+  width: 'x',
+  height: 'y',
+  paddingTop: 'y',
+  paddingRight: 'x',
+  paddingBottom: 'y',
+  paddingLeft: 'x'
+};
+
+// Difference at which a deviation of each property type becomes high / medium severity
+const SEVERITY_THRESHOLDS = {
+  color: { high: 10, medium: 5 },
+  angle: { high: 15, medium: 5 },
+  stroke: { high: 3, medium: 1 },
+  radius: { high: 8, medium: 4 },
+  position: { high: 16, medium: 8 },
+  opacity: { high: 30, medium: 15 },
+  fontSize: { high: 6, medium: 3 },
+  spacing: { high: 10, medium: 5 },
+  size: { high: 20, medium: 10 }
+};
+
+// Thresholds for property types without their own
+const DEFAULT_SEVERITY_THRESHOLDS = { high: 20, medium: 10 };
 
 /**
  * Real Comparison Engine
@@ -8,12 +125,120 @@ class ComparisonEngine {
   constructor(config) {
     this.config = config || {};
     this.thresholds = {
-      colorDifference: config?.thresholds?.colorDifference || 10,
+      colorDifference: config?.thresholds?.colorDifference || 3, // ΔE2000
       sizeDifference: config?.thresholds?.sizeDifference || 5,
       spacingDifference: config?.thresholds?.spacingDifference || 3,
       fontSizeDifference: config?.thresholds?.fontSizeDifference || 2,
+      angleDifference: config?.thresholds?.angleDifference || 2, // degrees
+      gradientStopDifference: config?.thresholds?.gradientStopDifference || 2, // % of gradient line
+      shadowDifference: config?.thresholds?.shadowDifference || 1, // px
+      strokeWidthDifference: config?.thresholds?.strokeWidthDifference || 0.5, // px
+      radiusDifference: config?.thresholds?.radiusDifference || 2, // px
+      lineHeightDifference: config?.thresholds?.lineHeightDifference || 1, // px
+      letterSpacingDifference: config?.thresholds?.letterSpacingDifference || 0.2, // px
+      positionDifference: config?.thresholds?.positionDifference || 4, // px, relative to the frame
+      alignmentDifference: config?.thresholds?.alignmentDifference || 2, // px between aligned siblings
+      opacityDifference: config?.thresholds?.opacityDifference || 5, // percentage points of effective opacity
+      textSimilarity: config?.thresholds?.textSimilarity || 0.5, // share of words in common before copy counts as different
+      iconShapeSimilarity: config?.thresholds?.iconShapeSimilarity || 0.8, // boundary F-score of the icon masks
+      iconGridSize: config?.thresholds?.iconGridSize || 32, // cells per side icons are compared on
+      imageHashDistance: config?.thresholds?.imageHashDistance || 10, // differing bits of the 64-bit image hash
+      resizeTolerance: config?.thresholds?.resizeTolerance || 2, // px of size change still counted as unchanged across widths
       ...config?.thresholds
     };
+    this.hierarchyMatcher = new HierarchyMatcher(this.config);
+    this.positionAnalyzer = new PositionAnalyzer(this.thresholds, (type, difference) => this.getSeverity(type, difference));
+    this.stateMatcher = new StateMatcher();
+    this.textComparator = new TextComparator(this.thresholds, (a, b) => this.levenshteinDistance(a, b));
+    this.iconComparator = new IconComparator(this.thresholds, (type, difference) => this.getSeverity(type, difference));
+    this.imageComparator = new ImageComparator(this.thresholds);
+    this.renderedFontComparator = new RenderedFontComparator();
+    this.resizingComparator = new ResizingComparator(this.thresholds);
+
+    // Runner-up candidates recorded with each match explanation
+    this.matchCandidates = config?.matchCandidates ?? 3;
+
+    // Property comparators: the built-ins minus `disabledComparators`, then `comparators` passed as
+    // objects and `comparatorModules` loaded on first comparison
+    const disabled = new Set(config?.disabledComparators || []);
+    this.comparators = new ComparatorRegistry(BUILT_IN_COMPARATORS.filter(comparator => !disabled.has(comparator.name)));
+    (config?.comparators || []).forEach(comparator => this.comparators.register(comparator, { replace: true }));
+    this.comparatorModules = config?.comparatorModules || [];
+
+    // Rules may be passed already parsed (`rules`) or as a file loaded on first comparison (`rulesFile`)
+    this.rulesFile = config?.rulesFile || null;
+    this.useRules(config?.rules instanceof SeverityRules ? config.rules : new SeverityRules(config?.rules));
+
+    // Accepted deviations: a shared WaiverStore (`waivers`) or a file loaded on each comparison (`waiversFile`)
+    this.waivers = config?.waivers instanceof WaiverStore ? config.waivers : null;
+    this.waiversFile = config?.waiversFile || null;
+
+    // Pinned matches: a shared MappingStore (`mappings`) or a file loaded on each comparison (`mappingsFile`)
+    this.mappings = config?.mappings instanceof MappingStore ? config.mappings : null;
+    this.mappingsFile = config?.mappingsFile || null;
+  }
+
+  /**
+   * Load a severity rules file and apply its thresholds
+   * @param {string} filePath - Path to the JSON rules file
+   */
+  async loadRules(filePath) {
+    this.useRules(await SeverityRules.load(filePath));
+    this.rulesFile = null;
+    console.log(`📏 Loaded ${this.rules.rules.length} comparison rules from ${filePath}`);
+  }
+
+  /**
+   * Register comparators from plugin modules
+   * @param {Array<string>} modulePaths - ES modules exporting a comparator or an array of them
+   */
+  async loadComparators(modulePaths) {
+    for (const modulePath of modulePaths) {
+      const comparators = await this.comparators.load(modulePath);
+      console.log(`🧩 Loaded comparators ${comparators.map(comparator => comparator.name).join(', ')} from ${modulePath}`);
+    }
+    this.comparatorModules = [];
+  }
+
+  /**
+   * Add a property comparator after the registered ones (see ComparatorRegistry)
+   * @param {Object} comparator - { name, category, consumes, compare }
+   * @returns {Object} The registered comparator
+   */
+  registerComparator(comparator) {
+    return this.comparators.register(comparator);
+  }
+
+  useRules(rules) {
+    this.rules = rules;
+    Object.assign(this.thresholds, rules.thresholds);
+    // Merged per property type, so a rules file may override only one level
+    this.severityThresholds = { ...SEVERITY_THRESHOLDS };
+    Object.entries(rules.severityThresholds || {}).forEach(([propertyType, levels]) => {
+      this.severityThresholds[propertyType] = { ...(SEVERITY_THRESHOLDS[propertyType] || DEFAULT_SEVERITY_THRESHOLDS), ...levels };
+    });
+  }
+
+  /**
+   * Web capture passes a design needs, for EnhancedWebExtractor `captures`: states for state
+   * variants, rendered fonts for text, rasters for exported icons and for image fills, and
+   * resizing for layers with explicit layout sizing or stretching constraints
+   * @param {Array} components - Figma components (after icon and image fill export)
+   * @returns {Object} { captureStates, captureFonts, captureIcons, captureImages, captureResizing }
+   */
+  requiredCaptures(components) {
+    const visible = (components || []).filter(component => !this.isHiddenLayer(component));
+    const hasResizingIntent = component => {
+      const intent = this.resizingComparator.designIntent(component);
+      return Boolean(intent.horizontal || intent.vertical);
+    };
+    return {
+      captureStates: visible.some(component => ![null, 'default'].includes(this.stateMatcher.getState(component))),
+      captureFonts: visible.some(component => component.type === 'TEXT'),
+      captureIcons: visible.some(component => component.raster),
+      captureImages: visible.some(component => component.imageFill || ImageFill.find(component)),
+      captureResizing: visible.some(hasResizingIntent)
+    };
   }
 
   /**
@@ -25,6 +250,14 @@ class ComparisonEngine {
   async compareDesigns(figmaData, webData) {
     try {
       console.log('🔍 Starting design comparison...');
+
+      if (this.rulesFile) {
+        await this.loadRules(this.rulesFile);
+      }
+      if (this.comparatorModules.length > 0) {
+        await this.loadComparators(this.comparatorModules);
+      }
+      const waivers = this.waivers || (this.waiversFile ? await WaiverStore.load(this.waiversFile) : null);
       
       const comparisons = [];
       const summary = {
@@ -32,30 +265,129 @@ class ComparisonEngine {
         totalDeviations: 0,
         totalUnfetched: 0,
         severity: { high: 0, medium: 0, low: 0 },
-        matches: 0
+        matches: 0,
+        missingComponents: 0,
+        unmatchedElements: 0,
+        ignored: 0,
+        waived: 0,
+        hiddenComponents: 0
+      };
+
+      // Hidden layers are not rendered by design, so they are neither matched nor reported missing
+      const visible = figmaData.components.filter(component => !this.isHiddenLayer(component));
+      summary.hiddenComponents = figmaData.components.length - visible.length;
+
+      // State variants (State=Hover, ...) render on the element of their resting variant, so they
+      // are compared against that element's captured state instead of being matched themselves
+      const stateVariants = this.stateMatcher.findStateVariants(visible);
+      const components = [];
+      const componentIndex = new Map();
+      visible.forEach((component, index) => {
+        if (stateVariants.has(index)) return;
+        componentIndex.set(index, components.length);
+        components.push(component);
+      });
+
+      // Match all components at once so each web element is used at most once
+      // Hand-pinned pairs and instrumented elements constrain the automatic matching
+      const mappings = this.mappings || (this.mappingsFile ? await MappingStore.load(this.mappingsFile) : null);
+      const pins = this.resolvePins(
+        NodeInstrumentation.resolve(components, webData),
+        mappings ? mappings.resolve(components, webData, figmaData.fileId || figmaData.fileKey) : new Map()
+      );
+      const { elements: assignedElements, explanations } = this.assignComponents(components, webData.elements, pins);
+      const assignment = assignedElements.map(element => (element ? element.matchIndex : -1));
+      const structuralDeviations = this.hierarchyMatcher.findStructuralDeviations(
+        components,
+        webData.elements,
+        assignment
+      );
+      const positions = this.positionAnalyzer.analyze(
+        components,
+        webData.elements,
+        assignment,
+        this.hierarchyMatcher.buildFigmaTree(components)
+      );
+
+      const record = (comparison, figmaComponent) => {
+        this.rules.apply(comparison, {
+          componentType: figmaComponent.type,
+          componentName: figmaComponent.name,
+          page: figmaComponent.page,
+          selector: comparison.selector
+        });
+        waivers?.apply(comparison);
+        comparison.status = this.determineStatus(comparison);
+
+        comparisons.push(comparison);
+        summary.totalComponents++;
+        summary.totalDeviations += comparison.deviations.length;
+        summary.matches += comparison.matches.length;
+        
+        // Count unfetched properties
+        if (comparison.unfetched) {
+          summary.totalUnfetched += comparison.unfetched.length;
+        }
+
+        if (comparison.ignored) {
+          summary.ignored += comparison.ignored.length;
+        }
+
+        if (comparison.waived) {
+          summary.waived += comparison.waived.length;
+        }
+        
+        // Count severity levels
+        comparison.deviations.forEach(dev => {
+          summary.severity[dev.severity]++;
+        });
+
+        if (comparison.status === 'no_match') {
+          summary.missingComponents++;
+        }
       };
 
-      // Compare each Figma component with web elements
-      for (const figmaComponent of figmaData.components) {
-        const comparison = await this.compareComponent(figmaComponent, webData.elements);
+      // Compare each Figma component with its assigned web element
+      for (const [index, figmaComponent] of components.entries()) {
+        // An instance placed in a non-resting state is compared against that state of its element
+        const state = this.stateMatcher.getState(figmaComponent);
+        const comparison = state && state !== 'default' && assignedElements[index]
+          ? await this.compareStateVariant(figmaComponent, assignedElements[index], state)
+          : await this.compareComponent(figmaComponent, webData.elements, assignedElements[index]);
         if (comparison) {
-          comparisons.push(comparison);
-          summary.totalComponents++;
-          summary.totalDeviations += comparison.deviations.length;
-          summary.matches += comparison.matches.length;
-          
-          // Count unfetched properties
-          if (comparison.unfetched) {
-            summary.totalUnfetched += comparison.unfetched.length;
+          comparison.matchExplanation = explanations[index];
+          comparison.deviations.push(...(structuralDeviations.get(index) || []).map(deviation => ({ category: 'hierarchy', ...deviation })));
+          if (positions.results.has(index)) {
+            comparison.deviations.push(...positions.results.get(index).deviations.map(deviation => ({ category: 'position', ...deviation })));
+            comparison.matches.push(...positions.results.get(index).matches.map(match => ({ category: 'position', ...match })));
           }
-          
-          // Count severity levels
-          comparison.deviations.forEach(dev => {
-            summary.severity[dev.severity]++;
-          });
+          record(comparison, figmaComponent);
         }
       }
 
+      // Compare state variants against the states captured for their resting variant's element
+      for (const [variantIndex, restingIndex] of stateVariants) {
+        const figmaComponent = visible[variantIndex];
+        const comparison = await this.compareStateVariant(
+          figmaComponent,
+          assignedElements[componentIndex.get(restingIndex)],
+          this.stateMatcher.getState(figmaComponent),
+          visible[restingIndex]
+        );
+        record(comparison, figmaComponent);
+      }
+
+      const assignedIndexes = new Set(assignedElements.filter(Boolean).map(element => element.matchIndex));
+      const unmatchedElements = webData.elements
+        .filter((_, index) => !assignedIndexes.has(index))
+        .map(element => ({
+          selector: element.selector,
+          tagName: element.tagName,
+          type: element.type,
+          text: element.text?.substring(0, 80) || ''
+        }));
+      summary.unmatchedElements = unmatchedElements.length;
+
       console.log(`✅ Comparison complete: ${summary.totalComponents} components, ${summary.totalDeviations} deviations, ${summary.totalUnfetched} unfetched`);
 
       return {
@@ -74,6 +406,9 @@ class ComparisonEngine {
           summary
         },
         comparisons,
+        unmatchedElements,
+        layoutDrift: positions.drift,
+        instrumentation: NodeInstrumentation.coverage(components, webData, { known: figmaData.components, missingNodeIds: figmaData.missingNodeIds }),
         summary
       };
 
@@ -87,11 +422,14 @@ class ComparisonEngine {
    * Compare a single Figma component with web elements
    * @param {Object} figmaComponent - Figma component data
    * @param {Array} webElements - Array of web element data
+   * @param {Object|null} assignedElement - Element assigned by matchComponents (null = unmatched);
+   *   when omitted, the best match is looked up
    * @returns {Object} Component comparison result
    */
-  async compareComponent(figmaComponent, webElements) {
-    // Find the best matching web element
-    const matchedElement = this.findBestMatch(figmaComponent, webElements);
+  async compareComponent(figmaComponent, webElements, assignedElement) {
+    const matchedElement = assignedElement !== undefined
+      ? assignedElement
+      : this.findBestMatch(figmaComponent, webElements);
     
     if (!matchedElement) {
       return {
@@ -101,6 +439,7 @@ class ComparisonEngine {
         selector: null,
         status: 'no_match',
         deviations: [{
+          category: 'existence',
           property: 'existence',
           figmaValue: 'exists',
           webValue: 'not found',
@@ -112,155 +451,26 @@ class ComparisonEngine {
       };
     }
 
-    // Compare properties
-    const deviations = [];
-    const matches = [];
-    const unfetched = [];
-
-    // Compare typography
-    if (figmaComponent.properties?.typography && matchedElement.styles) {
-      const typographyComparison = this.compareTypography(
-        figmaComponent.properties.typography,
-        matchedElement.styles
-      );
-      deviations.push(...typographyComparison.deviations);
-      matches.push(...typographyComparison.matches);
-    } else if (!figmaComponent.properties?.typography) {
-      unfetched.push({
-        property: 'typography',
-        status: 'unfetched',
-        message: 'Typography data not available in Figma design'
-      });
-    }
-
-    // Compare colors - only if both exist
-    if (figmaComponent.properties?.backgroundColor && matchedElement.styles?.backgroundColor) {
-      const colorComparison = this.compareColors(
-        figmaComponent.properties.backgroundColor,
-        matchedElement.styles.backgroundColor,
-        'backgroundColor'
-      );
-      if (colorComparison.deviation) {
-        deviations.push(colorComparison.deviation);
-      } else {
-        matches.push(colorComparison.match);
-      }
-    } else if (!figmaComponent.properties?.backgroundColor && matchedElement.styles?.backgroundColor) {
-      unfetched.push({
-        property: 'backgroundColor',
-        status: 'unfetched',
-        figmaValue: 'not specified',
-        webValue: matchedElement.styles.backgroundColor,
-        message: 'Background color not specified in Figma design'
-      });
-    } else if (figmaComponent.properties?.backgroundColor && !matchedElement.styles?.backgroundColor) {
-      unfetched.push({
-        property: 'backgroundColor',
-        status: 'unfetched',
-        figmaValue: figmaComponent.properties.backgroundColor,
-        webValue: 'not found',
-        message: 'Background color not found in web implementation'
-      });
-    }
-
-    if (figmaComponent.properties?.color && matchedElement.styles?.color) {
-      const colorComparison = this.compareColors(
-        figmaComponent.properties.color,
-        matchedElement.styles.color,
-        'color'
-      );
-      if (colorComparison.deviation) {
-        deviations.push(colorComparison.deviation);
-      } else {
-        matches.push(colorComparison.match);
-      }
-    } else if (!figmaComponent.properties?.color && matchedElement.styles?.color) {
-      unfetched.push({
-        property: 'color',
-        status: 'unfetched',
-        figmaValue: 'not specified',
-        webValue: matchedElement.styles.color,
-        message: 'Text color not specified in Figma design'
-      });
-    } else if (figmaComponent.properties?.color && !matchedElement.styles?.color) {
-      unfetched.push({
-        property: 'color',
-        status: 'unfetched',
-        figmaValue: figmaComponent.properties.color,
-        webValue: 'not found',
-        message: 'Text color not found in web implementation'
-      });
-    }
-
-    // Compare spacing - only if both exist
-    if (figmaComponent.properties?.spacing && matchedElement.styles) {
-      const spacingComparison = this.compareSpacing(
-        figmaComponent.properties.spacing,
-        matchedElement.styles
-      );
-      deviations.push(...spacingComparison.deviations);
-      matches.push(...spacingComparison.matches);
-    } else if (!figmaComponent.properties?.spacing) {
-      unfetched.push({
-        property: 'spacing',
-        status: 'unfetched',
-        message: 'Spacing data not available in Figma design'
-      });
-    }
-
-    // Compare borders - only if both exist
-    if (figmaComponent.properties?.borderRadius && matchedElement.styles?.borderRadius) {
-      const borderComparison = this.compareBorders(
-        { borderRadius: figmaComponent.properties.borderRadius },
-        { borderRadius: matchedElement.styles.borderRadius }
-      );
-      deviations.push(...borderComparison.deviations);
-      matches.push(...borderComparison.matches);
-    } else if (!figmaComponent.properties?.borderRadius && matchedElement.styles?.borderRadius) {
-      unfetched.push({
-        property: 'borderRadius',
-        status: 'unfetched',
-        figmaValue: 'not specified',
-        webValue: matchedElement.styles.borderRadius,
-        message: 'Border radius not specified in Figma design'
-      });
-    }
-
-    // Compare dimensions - only if both exist
-    if (figmaComponent.properties?.dimensions && matchedElement.boundingRect) {
-      const dimensionComparison = this.compareDimensions(
-        figmaComponent.properties.dimensions,
-        matchedElement.boundingRect
-      );
-      deviations.push(...dimensionComparison.deviations);
-      matches.push(...dimensionComparison.matches);
-    } else if (!figmaComponent.properties?.dimensions) {
-      unfetched.push({
-        property: 'dimensions',
-        status: 'unfetched',
-        message: 'Dimension data not available in Figma design'
-      });
-    }
+    // Translucent colors are composited over what is actually rendered behind the element
+    const backdrop = this.resolveBackdrop(matchedElement.styles?.parentBackgroundColors);
+    const surface = this.resolveBackdrop([matchedElement.styles?.backgroundColor], backdrop);
 
-    // Determine overall status
-    let status = 'matches';
-    if (deviations.length > 0) {
-      status = 'has_deviations';
-    } else if (unfetched.length > 0 && matches.length === 0) {
-      status = 'unfetched';
-    } else if (unfetched.length > 0) {
-      status = 'partial_data';
-    }
+    const { deviations, matches, unfetched } = await this.comparators.run(figmaComponent, matchedElement, {
+      engine: this,
+      thresholds: this.thresholds,
+      backdrop,
+      surface
+    });
 
     const result = {
       componentId: figmaComponent.id,
       componentName: figmaComponent.name,
       componentType: figmaComponent.type,
       selector: matchedElement.selector,
-      status,
       deviations,
       matches,
-      matchScore: matchedElement.matchScore
+      matchScore: matchedElement.matchScore,
+      matchExplanation: matchedElement.matchExplanation
     };
 
     // Add unfetched properties if any
@@ -268,29 +478,259 @@ class ComparisonEngine {
       result.unfetched = unfetched;
     }
 
+    result.status = this.determineStatus(result);
     return result;
   }
 
   /**
-   * Find the best matching web element for a Figma component
+   * Compare a Figma state variant with the matching captured state of a web element. Deviations
+   * and matches are prefixed with the state ("hover:backgroundColor").
+   * @param {Object} figmaComponent - Figma state variant
+   * @param {Object|null} webElement - Element implementing the component
+   * @param {string} state - hover, focus, active, disabled, checked or selected
+   * @param {Object} [restingComponent] - Resting variant the element was matched to
+   * @returns {Promise<Object>} Component comparison result
+   */
+  async compareStateVariant(figmaComponent, webElement, state, restingComponent = null) {
+    const notCompared = (selector, message) => ({
+      componentId: figmaComponent.id,
+      componentName: figmaComponent.name,
+      componentType: figmaComponent.type,
+      selector,
+      state,
+      variantOf: restingComponent?.id,
+      deviations: [],
+      matches: [],
+      unfetched: [{ property: state, status: 'unfetched', message }]
+    });
+
+    if (!webElement) {
+      return notCompared(null, `Resting variant "${restingComponent?.name}" has no web match to capture the ${state} state from`);
+    }
+
+    const stateElement = this.stateMatcher.applyState(webElement, state);
+    if (!stateElement) {
+      return notCompared(webElement.selector, `The ${state} state was not captured for ${webElement.selector}`);
+    }
+
+    const comparison = await this.compareComponent(figmaComponent, [], stateElement);
+    const prefix = entry => ({ ...entry, property: `${state}:${entry.property}` });
+    comparison.deviations = comparison.deviations.map(prefix);
+    comparison.matches = comparison.matches.map(prefix);
+    comparison.state = state;
+    if (restingComponent) comparison.variantOf = restingComponent.id;
+    return comparison;
+  }
+
+  /**
+   * Whether a Figma layer is hidden, itself or through a hidden ancestor
+   * @param {Object} figmaComponent - Figma component
+   * @returns {boolean} True for hidden layers
+   */
+  isHiddenLayer(figmaComponent) {
+    return figmaComponent.hidden === true || figmaComponent.visible === false;
+  }
+
+  /**
+   * Determine the overall status of a component comparison
+   * @param {Object} comparison - Component comparison result
+   * @returns {string} no_match, ignored, waived, has_deviations, unfetched, partial_data or matches
+   */
+  determineStatus(comparison) {
+    const unfetched = comparison.unfetched || [];
+
+    if (comparison.selector === null) {
+      // An unmatched component whose existence deviation was ignored by a rule or waived
+      if (comparison.deviations.length > 0) return 'no_match';
+      if (comparison.waived?.length > 0) return 'waived';
+      return comparison.ignored?.length > 0 ? 'ignored' : 'unfetched';
+    }
+    if (comparison.deviations.length > 0) return 'has_deviations';
+    if (unfetched.length > 0 && comparison.matches.length === 0) return 'unfetched';
+    if (unfetched.length > 0) return 'partial_data';
+    return 'matches';
+  }
+
+  /**
+   * Find the best matching web element for a single Figma component
    * @param {Object} figmaComponent - Figma component
    * @param {Array} webElements - Web elements
-   * @returns {Object} Best matching web element
+   * @returns {Object|null} Best matching web element
    */
   findBestMatch(figmaComponent, webElements) {
-    let bestMatch = null;
-    let bestScore = 0;
+    return this.matchComponents([figmaComponent], webElements)[0];
+  }
+
+  /**
+   * Assign web elements to Figma components one-to-one, maximizing the total match score
+   * (minimum-cost assignment over the whole score matrix). Each component may instead stay
+   * unmatched at the cost of a minimum-score match, so a weak match never displaces a better one
+   * and the result does not depend on component order.
+   * @param {Array} figmaComponents - Figma components
+   * @param {Array} webElements - Web elements
+   * @returns {Array} Matched element per component (with matchScore, matchIndex and
+   *   matchExplanation), or null
+   */
+  matchComponents(figmaComponents, webElements) {
+    return this.assignComponents(figmaComponents, webElements).elements;
+  }
+
+  /**
+   * Combine the pins from instrumented elements with the hand-pinned mappings. A mapping is the
+   * reviewer's override: it replaces the component's instrumented elements, and elements it pins
+   * are no longer instrumented elements of other components.
+   * @param {Map} instrumented - Component index → pin from NodeInstrumentation.resolve
+   * @param {Map} mapped - Component index → pin from MappingStore.resolve
+   * @returns {Map} Component index → { elements, mapping } or { elements, attribute, nodeId }
+   */
+  resolvePins(instrumented, mapped) {
+    const claimed = new Set([...mapped.values()].flatMap(pin => [...pin.elements]));
+    const pins = new Map();
+    instrumented.forEach((pin, index) => {
+      const elements = new Set([...pin.elements].filter(column => !claimed.has(column)));
+      if (elements.size > 0) pins.set(index, { ...pin, elements });
+    });
+    mapped.forEach((pin, index) => pins.set(index, pin));
+    return pins;
+  }
+
+  /**
+   * Assign web elements to Figma components (see matchComponents) and explain each assignment.
+   * Pinned components only take one of their pinned elements, however low it scores, and pinned
+   * elements are kept from every other component.
+   * @param {Array} figmaComponents - Figma components
+   * @param {Array} webElements - Web elements
+   * @param {Map} pins - Component index → { elements, ... } from resolvePins
+   * @returns {Object} { elements, explanations }: matched element (or null) and explanation
+   *   (see explainMatch) per component
+   */
+  assignComponents(figmaComponents, webElements, pins = new Map()) {
+    if (!figmaComponents?.length) return { elements: [], explanations: [] };
+    if (!webElements?.length) {
+      return { elements: figmaComponents.map(() => null), explanations: figmaComponents.map(() => ({ score: null, factors: null, candidates: [] })) };
+    }
+
+    const { base, scores } = this.scoreCandidates(figmaComponents, webElements);
+    const unmatchedCost = 1 - MIN_MATCH_SCORE;
+    const reserved = new Set([...pins.values()].flatMap(pin => [...pin.elements]));
+    const costs = scores.map((row, rowIndex) => {
+      const pinned = pins.get(rowIndex)?.elements;
+      if (pinned?.size > 0) {
+        return [
+          ...row.map((score, column) => (pinned.has(column) ? 1 - Math.max(score, 0) : FORBIDDEN_MATCH_COST)),
+          // Costlier than any pinned element, so a pinned component is only left unmatched when
+          // other components pinned to the same elements took them all
+          ...figmaComponents.map(() => PINNED_UNMATCHED_COST)
+        ];
+      }
+      return [
+        ...row.map((score, column) => (score > MIN_MATCH_SCORE && !reserved.has(column) ? 1 - score : FORBIDDEN_MATCH_COST)),
+        // One "unmatched" column per component keeps the problem feasible
+        ...figmaComponents.map(() => unmatchedCost)
+      ];
+    });
+
+    const assignment = AssignmentSolver.solve(costs).map((column, row) =>
+      (column >= webElements.length || costs[row][column] >= FORBIDDEN_MATCH_COST ? -1 : column));
+    const explanations = assignment.map((column, row) =>
+      this.explainMatch(figmaComponents, webElements, { base, scores, assignment, pins }, row));
+
+    const elements = assignment.map((column, row) => {
+      if (column < 0) return null;
+      return { ...webElements[column], matchScore: scores[row][column], matchIndex: column, matchExplanation: explanations[row] };
+    });
+    return { elements, explanations };
+  }
+
+  /**
+   * Score every Figma component against every web element, then let each candidate's parent
+   * and children reinforce or weaken it so structurally consistent matches win ties
+   * @param {Array} figmaComponents - Figma components
+   * @param {Array} webElements - Web elements
+   * @returns {Array<Array<number>>} Match scores (0-1), one row per component
+   */
+  buildScoreMatrix(figmaComponents, webElements) {
+    return this.scoreCandidates(figmaComponents, webElements).scores;
+  }
+
+  /**
+   * Score matrices before (`base`) and after (`scores`) the hierarchy refinement
+   */
+  scoreCandidates(figmaComponents, webElements) {
+    const base = figmaComponents.map(figmaComponent =>
+      webElements.map(webElement => this.calculateMatchScore(figmaComponent, webElement))
+    );
+
+    const scores = this.hierarchyMatcher.refineScores(
+      base,
+      this.hierarchyMatcher.buildFigmaTree(figmaComponents),
+      this.hierarchyMatcher.buildWebTree(webElements)
+    );
+    return { base, scores };
+  }
 
-    for (const webElement of webElements) {
-      const score = this.calculateMatchScore(figmaComponent, webElement);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = { ...webElement, matchScore: score };
+  /**
+   * Why a component was matched as it was: the per-factor breakdown of the chosen element's score
+   * and the best `matchCandidates` runner-ups, each with its own breakdown and the reason it was
+   * not chosen (`assignedTo` names the component that took it)
+   * @param {Array} figmaComponents - Figma components
+   * @param {Array} webElements - Web elements
+   * @param {Object} matrices - { base, scores, assignment, pins } from assignComponents
+   * @param {number} row - Index of the component to explain
+   * @returns {Object} { score, factors, candidates, pinned? }; score and factors are null when
+   *   unmatched, `pinned` describes the mapping or instrumented attribute a pinned component was matched by
+   */
+  explainMatch(figmaComponents, webElements, { base, scores, assignment, pins = new Map() }, row) {
+    const figmaComponent = figmaComponents[row];
+    const chosen = assignment[row];
+    const pin = pins.get(row);
+    const pinnedElsewhere = column => [...pins].some(([pinnedRow, { elements }]) => pinnedRow !== row && elements.has(column));
+    const describe = column => ({
+      score: this.roundScore(scores[row][column]),
+      factors: {
+        ...this.scoreMatchFactors(figmaComponent, webElements[column]).factors,
+        hierarchy: { adjustment: this.roundScore(scores[row][column] - base[row][column]) }
       }
+    });
+
+    const candidates = scores[row]
+      .map((score, column) => ({ score, column }))
+      .filter(({ score, column }) => column !== chosen && score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.matchCandidates)
+      .map(({ column }) => {
+        const element = webElements[column];
+        const owner = assignment.indexOf(column);
+        let reason = chosen >= 0 ? 'Scored lower than the matched element' : 'Not chosen by the one-to-one assignment';
+        if (owner >= 0) reason = `Matched to ${figmaComponents[owner].name}`;
+        else if (pin?.elements.size > 0) reason = 'Not a pinned element';
+        else if (pinnedElsewhere(column)) reason = 'Pinned to another component';
+        else if (scores[row][column] <= MIN_MATCH_SCORE) reason = 'Below the minimum match score';
+        return {
+          selector: element.selector,
+          tagName: element.tagName,
+          text: element.text?.substring(0, 80) || '',
+          ...describe(column),
+          ...(owner >= 0 ? { assignedTo: { componentId: figmaComponents[owner].id, componentName: figmaComponents[owner].name } } : {}),
+          reason
+        };
+      });
+
+    const explanation = chosen >= 0 ? { ...describe(chosen), candidates } : { score: null, factors: null, candidates };
+    if (pin?.mapping) {
+      explanation.pinned = {
+        ...(pin.mapping.componentId ? { componentId: pin.mapping.componentId } : { namePattern: pin.mapping.namePattern }),
+        target: MappingStore.targetKey(pin.mapping),
+        resolved: pin.elements.size > 0
+      };
+    } else if (pin) {
+      explanation.pinned = { nodeId: pin.nodeId, attribute: pin.attribute, target: `${pin.attribute}="${pin.nodeId}"`, resolved: true };
     }
+    return explanation;
+  }
 
-    // Only return matches above a minimum threshold
-    return bestScore > 0.3 ? bestMatch : null;
+  roundScore(score) {
+    return Math.round(score * 1000) / 1000;
   }
 
   /**
@@ -300,59 +740,69 @@ class ComparisonEngine {
    * @returns {number} Match score (0-1)
    */
   calculateMatchScore(figmaComponent, webElement) {
-    let score = 0;
-    let factors = 0;
+    return this.scoreMatchFactors(figmaComponent, webElement).score;
+  }
+
+  /**
+   * Match score with the factors it is made of. Each factor that can be compared has a
+   * similarity (0-1), a weight and its contribution to the score; weights of factors without
+   * data on either side are left out, so contributions always add up to the score.
+   * @param {Object} figmaComponent - Figma component
+   * @param {Object} webElement - Web element
+   * @returns {Object} { score, factors: { name, type, dimensions, color } }, null factors not compared
+   */
+  scoreMatchFactors(figmaComponent, webElement) {
+    const similarities = {
+      name: null,
+      type: { similarity: this.getTypeSimilarity(figmaComponent.type, webElement.tagName), weight: 0.2 },
+      dimensions: null,
+      color: null
+    };
 
     // Name similarity
     if (figmaComponent.name && webElement.text) {
-      const nameSimilarity = this.calculateStringSimilarity(
+      const similarity = this.calculateStringSimilarity(
         figmaComponent.name.toLowerCase(),
         webElement.text.toLowerCase()
       );
-      score += nameSimilarity * 0.3;
-      factors += 0.3;
+      similarities.name = { similarity, weight: 0.3 };
     }
 
-    // Type similarity
-    const typeSimilarity = this.getTypeSimilarity(figmaComponent.type, webElement.tagName);
-    score += typeSimilarity * 0.2;
-    factors += 0.2;
-
     // Dimension similarity - check both possible locations for dimensions
     const figmaDimensions = figmaComponent.dimensions || figmaComponent.properties?.dimensions;
     const webDimensions = webElement.dimensions || webElement.boundingRect;
-    
     if (figmaDimensions && webDimensions) {
-      const dimensionSimilarity = this.calculateDimensionSimilarity(
-        figmaDimensions,
-        webDimensions
-      );
-      score += dimensionSimilarity * 0.3;
-      factors += 0.3;
+      similarities.dimensions = { similarity: this.calculateDimensionSimilarity(figmaDimensions, webDimensions), weight: 0.3 };
     }
 
     // Color similarity - check both possible locations for backgroundColor
     const figmaColor = figmaComponent.backgroundColor || figmaComponent.properties?.backgroundColor;
-    
     if (figmaColor && webElement.styles?.backgroundColor) {
-      const colorSimilarity = this.calculateColorSimilarity(
-        figmaColor,
-        webElement.styles.backgroundColor
-      );
-      score += colorSimilarity * 0.2;
-      factors += 0.2;
+      similarities.color = { similarity: this.calculateColorSimilarity(figmaColor, webElement.styles.backgroundColor), weight: 0.2 };
     }
 
-    return factors > 0 ? score / factors : 0;
+    const compared = Object.values(similarities).filter(Boolean);
+    const totalWeight = compared.reduce((sum, factor) => sum + factor.weight, 0);
+    const score = totalWeight > 0
+      ? compared.reduce((sum, factor) => sum + factor.similarity * factor.weight, 0) / totalWeight
+      : 0;
+
+    const factors = Object.fromEntries(Object.entries(similarities).map(([name, factor]) => [name, factor && {
+      similarity: this.roundScore(factor.similarity),
+      weight: factor.weight,
+      contribution: this.roundScore((factor.similarity * factor.weight) / totalWeight)
+    }]));
+    return { score, factors };
   }
 
   /**
    * Compare typography properties
    * @param {Object} figmaTypography - Figma typography data
    * @param {Object} webStyles - Web element styles
+   * @param {Object} webElement - Web element, for authored values and length context
    * @returns {Object} Typography comparison result
    */
-  compareTypography(figmaTypography, webStyles) {
+  compareTypography(figmaTypography, webStyles, webElement = { styles: webStyles }) {
     const deviations = [];
     const matches = [];
 
@@ -378,16 +828,17 @@ class ComparisonEngine {
     }
 
     // Font size
-    if (figmaTypography.fontSize && webStyles.fontSize) {
+    const webSizeLength = webStyles.fontSize ? this.resolveWebLength(webElement, 'fontSize') : null;
+    if (figmaTypography.fontSize && webSizeLength) {
       const figmaSize = parseFloat(figmaTypography.fontSize);
-      const webSize = parseFloat(webStyles.fontSize);
-      const difference = Math.abs(figmaSize - webSize);
+      const webSize = webSizeLength.px;
+      const difference = Math.round(Math.abs(figmaSize - webSize) * 100) / 100;
       
       if (difference > this.thresholds.fontSizeDifference) {
         deviations.push({
           property: 'fontSize',
           figmaValue: `${figmaSize}px`,
-          webValue: `${webSize}px`,
+          webValue: webSizeLength.display,
           difference: `${difference}px`,
           severity: this.getSeverity('fontSize', difference),
           message: `Font size differs by ${difference}px`
@@ -424,21 +875,140 @@ class ComparisonEngine {
       }
     }
 
+    const figmaFontSize = parseFloat(figmaTypography.fontSize);
+    const webFontSize = parseFloat(webStyles.fontSize) || figmaFontSize;
+    const round = value => Math.round(value * 100) / 100;
+
+    // Line height - both sides resolved to px against their own font size
+    if ((figmaTypography.lineHeight || figmaTypography.lineHeightAuto) && webStyles.lineHeight) {
+      const webLineHeight = CssValueParser.resolveLineHeight(webStyles.lineHeight, webFontSize);
+      const figmaLineHeight = figmaTypography.lineHeightAuto
+        ? { px: figmaTypography.lineHeight || figmaFontSize * 1.2, normal: true }
+        : { px: parseFloat(figmaTypography.lineHeight), normal: false };
+
+      if (webLineHeight && Number.isFinite(webLineHeight.px)) {
+        // Auto vs normal both follow font metrics, so they agree whatever the approximation says
+        const difference = figmaLineHeight.normal && webLineHeight.normal
+          ? 0
+          : round(Math.abs(figmaLineHeight.px - webLineHeight.px));
+        const figmaValue = figmaLineHeight.normal ? `auto (${round(figmaLineHeight.px)}px)` : `${round(figmaLineHeight.px)}px`;
+        const webValue = String(webStyles.lineHeight) === `${round(webLineHeight.px)}px`
+          ? webStyles.lineHeight
+          : `${webStyles.lineHeight} (${webLineHeight.normal ? '≈' : ''}${round(webLineHeight.px)}px)`;
+
+        if (difference > this.thresholds.lineHeightDifference) {
+          deviations.push({
+            property: 'lineHeight',
+            figmaValue,
+            webValue,
+            difference: `${difference}px`,
+            severity: this.getSeverity('fontSize', difference),
+            message: `Line height differs by ${difference}px`
+          });
+        } else {
+          matches.push({
+            property: 'lineHeight',
+            value: figmaValue,
+            message: 'Line height matches within tolerance'
+          });
+        }
+      }
+    }
+
+    // Letter spacing - `normal` is 0
+    if (figmaTypography.letterSpacing !== undefined && webStyles.letterSpacing) {
+      const figmaSpacing = CssValueParser.resolveLetterSpacing(figmaTypography.letterSpacing, figmaFontSize);
+      const webSpacing = CssValueParser.resolveLetterSpacing(webStyles.letterSpacing, webFontSize);
+
+      if (figmaSpacing !== null && webSpacing !== null) {
+        const difference = round(Math.abs(figmaSpacing - webSpacing));
+
+        if (difference > this.thresholds.letterSpacingDifference) {
+          deviations.push({
+            property: 'letterSpacing',
+            figmaValue: `${round(figmaSpacing)}px`,
+            webValue: String(webStyles.letterSpacing) === `${round(webSpacing)}px` ? webStyles.letterSpacing : `${webStyles.letterSpacing} (${round(webSpacing)}px)`,
+            difference: `${difference}px`,
+            severity: difference >= 1 ? 'medium' : 'low',
+            message: `Letter spacing differs by ${difference}px`
+          });
+        } else {
+          matches.push({
+            property: 'letterSpacing',
+            value: `${round(figmaSpacing)}px`,
+            message: 'Letter spacing matches within tolerance'
+          });
+        }
+      }
+    }
+
+    // Text case maps to text-transform (and font-variant-caps for small caps)
+    const expectedCase = TEXT_CASE_CSS[figmaTypography.textCase];
+    if (expectedCase && webStyles.textTransform) {
+      const webCase = {
+        textTransform: webStyles.textTransform,
+        fontVariantCaps: webStyles.fontVariantCaps || 'normal'
+      };
+      const differs = Object.keys(expectedCase).find(key => expectedCase[key] !== webCase[key]);
+
+      if (differs) {
+        deviations.push({
+          property: differs,
+          figmaValue: figmaTypography.textCase,
+          webValue: webCase[differs],
+          difference: `${expectedCase[differs]} expected`,
+          severity: 'medium',
+          message: `Text case ${figmaTypography.textCase} should render as ${differs === 'textTransform' ? 'text-transform' : 'font-variant-caps'}: ${expectedCase[differs]}`
+        });
+      } else {
+        matches.push({
+          property: 'textTransform',
+          value: figmaTypography.textCase,
+          message: 'Text case matches'
+        });
+      }
+    }
+
+    // Text decoration - computed `text-decoration` is a shorthand, so prefer the line longhand
+    const expectedDecoration = TEXT_DECORATION_CSS[figmaTypography.textDecoration];
+    const webDecoration = webStyles.textDecorationLine || webStyles.textDecoration?.split(' ')[0];
+    if (expectedDecoration && webDecoration) {
+      if (!webDecoration.split(' ').includes(expectedDecoration)) {
+        deviations.push({
+          property: 'textDecoration',
+          figmaValue: figmaTypography.textDecoration,
+          webValue: webDecoration,
+          difference: `${expectedDecoration} expected`,
+          severity: 'medium',
+          message: `Text decoration differs: Figma ${figmaTypography.textDecoration}, web ${webDecoration}`
+        });
+      } else {
+        matches.push({
+          property: 'textDecoration',
+          value: figmaTypography.textDecoration,
+          message: 'Text decoration matches'
+        });
+      }
+    }
+
     return { deviations, matches };
   }
 
   /**
-   * Compare color properties
-   * @param {string} figmaColor - Figma color (hex)
-   * @param {string} webColor - Web color (various formats)
+   * Compare color properties perceptually (CIEDE2000)
+   * @param {string} figmaColor - Figma color (hex, optionally with alpha)
+   * @param {string} webColor - Web color (any CSS color syntax)
    * @param {string} property - Property name
+   * @param {Object} context - { backdrop, counterpart } backdrop is the resolved color behind
+   *   the compared color; counterpart is a color drawn on top of it (e.g. text on a background).
+   *   Contrast is measured against the counterpart when given, otherwise against the backdrop.
    * @returns {Object} Color comparison result
    */
-  compareColors(figmaColor, webColor, property) {
-    const figmaRgb = this.hexToRgb(figmaColor);
-    const webRgb = this.parseWebColor(webColor);
+  compareColors(figmaColor, webColor, property, context = {}) {
+    const figmaParsed = this.parseWebColor(figmaColor);
+    const webParsed = this.parseWebColor(webColor);
     
-    if (!figmaRgb || !webRgb) {
+    if (!figmaParsed || !webParsed) {
       return {
         deviation: {
           property,
@@ -451,17 +1021,24 @@ class ComparisonEngine {
       };
     }
 
-    const difference = this.calculateColorDifference(figmaRgb, webRgb);
+    const backdrop = context.backdrop || this.resolveBackdrop();
+    const figmaRendered = ColorModel.composite(figmaParsed, backdrop);
+    const webRendered = ColorModel.composite(webParsed, backdrop);
+    const deltaE = Math.round(ColorModel.deltaE2000(figmaRendered, webRendered) * 100) / 100;
+    const contrast = this.calculateContrastImpact(figmaRendered, webRendered, backdrop, context.counterpart);
     
-    if (difference > this.thresholds.colorDifference) {
+    if (deltaE > this.thresholds.colorDifference) {
+      const losesCompliance = contrast.wcagAA.figma && !contrast.wcagAA.web;
       return {
         deviation: {
           property,
           figmaValue: figmaColor,
           webValue: webColor,
-          difference: `${Math.round(difference)} units`,
-          severity: this.getSeverity('color', difference),
-          message: `${property} differs by ${Math.round(difference)} color units`
+          difference: `ΔE ${deltaE}`,
+          deltaE,
+          contrast,
+          severity: losesCompliance ? 'high' : this.getSeverity('color', deltaE),
+          message: `${property} differs by ΔE ${deltaE} (contrast ${contrast.figma}:1 → ${contrast.web}:1${losesCompliance ? ', drops below WCAG AA' : ''})`
         }
       };
     } else {
@@ -469,42 +1046,539 @@ class ComparisonEngine {
         match: {
           property,
           value: figmaColor,
-          message: `${property} matches within tolerance`
+          deltaE,
+          message: `${property} matches within tolerance (ΔE ${deltaE})`
         }
       };
     }
   }
 
   /**
-   * Compare spacing properties
-   * @param {Object} figmaSpacing - Figma spacing data
-   * @param {Object} webStyles - Web element styles
-   * @returns {Object} Spacing comparison result
+   * Measure how a color deviation changes WCAG contrast
+   * @param {Object} figmaRendered - Opaque Figma color
+   * @param {Object} webRendered - Opaque web color
+   * @param {Object} backdrop - Opaque color behind both
+   * @param {string} counterpart - Optional CSS color drawn on top of the compared color
+   * @returns {Object} Contrast ratios on both sides and whether they meet WCAG AA
+   */
+  calculateContrastImpact(figmaRendered, webRendered, backdrop, counterpart) {
+    const counterpartColor = counterpart ? this.parseWebColor(counterpart) : null;
+    const ratioFor = (rendered) => counterpartColor
+      ? ColorModel.contrastRatio(ColorModel.composite(counterpartColor, rendered), rendered)
+      : ColorModel.contrastRatio(rendered, backdrop);
+
+    const figma = Math.round(ratioFor(figmaRendered) * 100) / 100;
+    const web = Math.round(ratioFor(webRendered) * 100) / 100;
+
+    return {
+      figma,
+      web,
+      change: Math.round((web - figma) * 100) / 100,
+      wcagAA: {
+        figma: figma >= WCAG_AA_CONTRAST,
+        web: web >= WCAG_AA_CONTRAST
+      }
+    };
+  }
+
+  /**
+   * Resolve the opaque color behind an element by compositing background layers
+   * @param {Array} layers - CSS background colors, nearest layer first
+   * @param {Object} base - Opaque color underneath all layers (defaults to the white canvas)
+   * @returns {Object} Opaque { r, g, b, a } color
+   */
+  resolveBackdrop(layers = [], base = { r: 255, g: 255, b: 255, a: 1 }) {
+    return (layers || [])
+      .map(layer => this.parseWebColor(layer))
+      .filter(Boolean)
+      .reverse()
+      .reduce((below, layer) => ColorModel.composite(layer, below), base);
+  }
+
+  /**
+   * Compare Figma fills with the CSS background layers that render them.
+   * Solid fills flatten into `background-color`; gradient and image fills pair
+   * with `background-image` layers in order, topmost first.
+   * @param {Array} figmaFills - Normalized Figma fills, topmost first
+   * @param {Object} webStyles - Web element styles (backgroundImage, backgroundColor)
+   * @param {Object} box - Element bounding rect, used to resolve corner angles and px stops
+   * @param {Object} context - { backdrop } resolved color behind the element
+   * @returns {Object} Fill comparison result
    */
-  compareSpacing(figmaSpacing, webStyles) {
+  compareFills(figmaFills, webStyles, box = null, context = {}) {
     const deviations = [];
     const matches = [];
+    const collect = ({ deviation, match }) => deviation ? deviations.push(deviation) : matches.push(match);
 
-    const spacingProps = [
-      { figma: 'paddingTop', web: 'paddingTop' },
-      { figma: 'paddingRight', web: 'paddingRight' },
-      { figma: 'paddingBottom', web: 'paddingBottom' },
-      { figma: 'paddingLeft', web: 'paddingLeft' }
-    ];
+    const figmaSolids = figmaFills.filter(fill => fill.type === 'SOLID');
+    const figmaLayers = figmaFills.filter(fill => fill.type !== 'SOLID');
+    const webLayers = CssValueParser.parseBackgroundImage(webStyles.backgroundImage, box);
 
-    for (const prop of spacingProps) {
-      if (figmaSpacing[prop.figma] !== undefined && webStyles[prop.web] !== undefined) {
-        const figmaValue = parseFloat(figmaSpacing[prop.figma]);
-        const webValue = parseFloat(webStyles[prop.web]);
-        const difference = Math.abs(figmaValue - webValue);
+    if (figmaSolids.length > 0) {
+      const flattened = figmaSolids
+        .map(fill => this.parseWebColor(fill.color))
+        .filter(Boolean)
+        .reverse()
+        .reduce((below, layer) => ColorModel.composite(layer, below), { r: 0, g: 0, b: 0, a: 0 });
+      collect(this.compareColors(ColorModel.toHex(flattened), webStyles.backgroundColor || 'transparent', 'fill.solid', context));
+    }
 
-        if (difference > this.thresholds.spacingDifference) {
-          deviations.push({
-            property: prop.figma,
-            figmaValue: `${figmaValue}px`,
-            webValue: `${webValue}px`,
-            difference: `${difference}px`,
-            severity: this.getSeverity('spacing', difference),
+    if (figmaLayers.length !== webLayers.length) {
+      deviations.push({
+        property: 'fill.layers',
+        figmaValue: figmaLayers.length,
+        webValue: webLayers.length,
+        difference: `${Math.abs(figmaLayers.length - webLayers.length)} layer(s)`,
+        severity: 'medium',
+        message: `Figma has ${figmaLayers.length} gradient/image fill(s), web has ${webLayers.length} background-image layer(s)`
+      });
+    }
+
+    for (let i = 0; i < Math.max(figmaLayers.length, webLayers.length); i++) {
+      const property = `fill[${i}]`;
+      if (!figmaLayers[i] || !webLayers[i]) {
+        deviations.push({
+          property,
+          figmaValue: figmaLayers[i] ? this.formatFill(figmaLayers[i]) : 'none',
+          webValue: webLayers[i] ? webLayers[i].value : 'none',
+          difference: figmaLayers[i] ? 'missing' : 'extra',
+          severity: 'medium',
+          message: figmaLayers[i] ? `Fill layer ${i} is missing on the web` : `Background layer ${i} is not in the Figma design`
+        });
+        continue;
+      }
+
+      const comparison = this.compareGradient(figmaLayers[i], webLayers[i], property, context);
+      deviations.push(...comparison.deviations);
+      matches.push(...comparison.matches);
+    }
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Compare one Figma gradient/image fill with one parsed CSS background layer
+   * @param {Object} figmaFill - Normalized Figma fill
+   * @param {Object} webLayer - Layer from CssValueParser.parseBackgroundImage
+   * @param {string} property - Property prefix, e.g. `fill[0]`
+   * @param {Object} context - { backdrop }
+   * @returns {Object} Gradient comparison result
+   */
+  compareGradient(figmaFill, webLayer, property, context = {}) {
+    const deviations = [];
+    const matches = [];
+
+    const expectedType = FILL_LAYER_TYPES[figmaFill.type];
+    if (expectedType !== webLayer.type) {
+      deviations.push({
+        property: `${property}.type`,
+        figmaValue: figmaFill.type,
+        webValue: webLayer.value,
+        difference: `${figmaFill.type} vs ${webLayer.type}`,
+        severity: 'medium',
+        message: `Fill type differs: Figma ${figmaFill.type}, web ${webLayer.type}`
+      });
+      return { deviations, matches };
+    }
+
+    matches.push({ property: `${property}.type`, value: figmaFill.type, message: 'Fill type matches' });
+    if (!figmaFill.stops) return { deviations, matches };
+
+    if (figmaFill.type !== 'GRADIENT_RADIAL') {
+      const difference = Math.round(this.angleDistance(figmaFill.angle, webLayer.angle) * 100) / 100;
+      if (difference > this.thresholds.angleDifference) {
+        deviations.push({
+          property: `${property}.angle`,
+          figmaValue: `${figmaFill.angle}deg`,
+          webValue: `${webLayer.angle}deg`,
+          difference: `${difference}deg`,
+          severity: this.getSeverity('angle', difference),
+          message: `Gradient angle differs by ${difference}deg`
+        });
+      } else {
+        matches.push({ property: `${property}.angle`, value: `${figmaFill.angle}deg`, message: 'Gradient angle matches within tolerance' });
+      }
+    }
+
+    // Stops only pair up meaningfully when both gradients have the same number of them
+    if (figmaFill.stops.length !== webLayer.stops.length) {
+      deviations.push({
+        property: `${property}.stops`,
+        figmaValue: figmaFill.stops.length,
+        webValue: webLayer.stops.length,
+        difference: `${Math.abs(figmaFill.stops.length - webLayer.stops.length)} stop(s)`,
+        severity: 'medium',
+        message: `Gradient has ${figmaFill.stops.length} stops in Figma, ${webLayer.stops.length} on the web`
+      });
+      return { deviations, matches };
+    }
+
+    figmaFill.stops.forEach((figmaStop, index) => {
+      const webStop = webLayer.stops[index];
+      const stopProperty = `${property}.stops[${index}]`;
+
+      const colorComparison = this.compareColors(figmaStop.color, webStop.color, `${stopProperty}.color`, context);
+      if (colorComparison.deviation) {
+        deviations.push(colorComparison.deviation);
+      } else {
+        matches.push(colorComparison.match);
+      }
+
+      const figmaPosition = Math.round(figmaStop.position * 10000) / 100;
+      const webPosition = Math.round(webStop.position * 10000) / 100;
+      const difference = Math.round(Math.abs(figmaPosition - webPosition) * 100) / 100;
+      if (difference > this.thresholds.gradientStopDifference) {
+        deviations.push({
+          property: `${stopProperty}.position`,
+          figmaValue: `${figmaPosition}%`,
+          webValue: `${webPosition}%`,
+          difference: `${difference}%`,
+          severity: this.getSeverity('spacing', difference),
+          message: `Gradient stop ${index} position differs by ${difference}%`
+        });
+      } else {
+        matches.push({ property: `${stopProperty}.position`, value: `${figmaPosition}%`, message: 'Gradient stop position matches within tolerance' });
+      }
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Smallest difference between two angles in degrees
+   */
+  angleDistance(angle1, angle2) {
+    const difference = Math.abs(((angle1 ?? 0) - (angle2 ?? 0)) % 360);
+    return Math.min(difference, 360 - difference);
+  }
+
+  /**
+   * Render a normalized Figma fill as the equivalent CSS background layer, for reports
+   */
+  formatFill(fill) {
+    if (fill.type === 'SOLID') return fill.color;
+    if (fill.type === 'IMAGE') return `image(${fill.imageRef || 'unknown'})`;
+
+    const stops = (fill.stops || []).map(stop => `${stop.color} ${Math.round(stop.position * 10000) / 100}%`).join(', ');
+    if (fill.type === 'GRADIENT_RADIAL') return `radial-gradient(${stops})`;
+    if (fill.type === 'GRADIENT_ANGULAR') return `conic-gradient(from ${fill.angle}deg, ${stops})`;
+    if (fill.type === 'GRADIENT_LINEAR') return `linear-gradient(${fill.angle}deg, ${stops})`;
+    return fill.type.toLowerCase();
+  }
+
+  /**
+   * Compare Figma shadow effects with a computed CSS shadow list.
+   * Shadows are paired by kind (drop vs inner/inset) and closest geometry, since
+   * layer order is not significant for visually distinct shadows.
+   * @param {Array} figmaShadows - Figma shadows: { type, color, offset, radius, spread }
+   * @param {string} webShadow - Computed `box-shadow` or `text-shadow`
+   * @param {string} property - CSS property compared against, used in messages
+   * @param {Object} context - { backdrop } resolved color behind the shadow
+   * @returns {Object} Shadow comparison result
+   */
+  compareShadows(figmaShadows, webShadow, property = 'boxShadow', context = {}) {
+    const deviations = [];
+    const matches = [];
+    const webShadows = CssValueParser.parseShadow(webShadow);
+    const unpaired = new Set(webShadows.map((_, index) => index));
+
+    figmaShadows.forEach((figmaShadow, index) => {
+      const expected = {
+        inset: figmaShadow.type === 'INNER_SHADOW',
+        offsetX: figmaShadow.offset?.x || 0,
+        offsetY: figmaShadow.offset?.y || 0,
+        blur: figmaShadow.radius || 0,
+        spread: figmaShadow.spread || 0
+      };
+      const shadowProperty = `shadow[${index}]`;
+
+      const candidates = [...unpaired].filter(webIndex => webShadows[webIndex].inset === expected.inset);
+      if (candidates.length === 0) {
+        deviations.push({
+          property: shadowProperty,
+          figmaValue: this.formatShadow(figmaShadow),
+          webValue: webShadow || 'none',
+          difference: 'missing',
+          severity: 'medium',
+          message: `${expected.inset ? 'Inner' : 'Drop'} shadow is missing from ${property}`
+        });
+        return;
+      }
+
+      const geometryDistance = webIndex => ['offsetX', 'offsetY', 'blur', 'spread']
+        .reduce((sum, key) => sum + Math.abs(expected[key] - webShadows[webIndex][key]), 0);
+      const webIndex = candidates.reduce((best, candidate) =>
+        geometryDistance(candidate) < geometryDistance(best) ? candidate : best);
+      const web = webShadows[webIndex];
+      unpaired.delete(webIndex);
+
+      ['offsetX', 'offsetY', 'blur', 'spread'].forEach(key => {
+        // text-shadow has no spread
+        if (key === 'spread' && property === 'textShadow') return;
+
+        const difference = Math.abs(expected[key] - web[key]);
+        if (difference > this.thresholds.shadowDifference) {
+          deviations.push({
+            property: `${shadowProperty}.${key}`,
+            figmaValue: `${expected[key]}px`,
+            webValue: `${web[key]}px`,
+            difference: `${difference}px`,
+            severity: this.getSeverity('spacing', difference),
+            message: `Shadow ${key} differs by ${difference}px`
+          });
+        } else {
+          matches.push({
+            property: `${shadowProperty}.${key}`,
+            value: `${expected[key]}px`,
+            message: `Shadow ${key} matches within tolerance`
+          });
+        }
+      });
+
+      const colorComparison = this.compareColors(figmaShadow.color, web.color, `${shadowProperty}.color`, context);
+      if (colorComparison.deviation) {
+        deviations.push(colorComparison.deviation);
+      } else {
+        matches.push(colorComparison.match);
+      }
+    });
+
+    unpaired.forEach(webIndex => {
+      const web = webShadows[webIndex];
+      deviations.push({
+        property,
+        figmaValue: 'none',
+        webValue: `${web.inset ? 'inset ' : ''}${web.offsetX}px ${web.offsetY}px ${web.blur}px ${web.spread}px ${web.color}`,
+        difference: 'extra',
+        severity: 'low',
+        message: `${property} has a shadow that is not in the Figma design`
+      });
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Compare Figma layer/background blur with CSS `filter`/`backdrop-filter` blur().
+   * Figma blur radius is twice the CSS blur() standard deviation, matching Figma's CSS export.
+   * @param {Object} figmaBlur - { layer, background } radii in px
+   * @param {Object} webStyles - Web element styles (filter, backdropFilter)
+   * @returns {Object} Blur comparison result
+   */
+  compareBlur(figmaBlur, webStyles) {
+    const deviations = [];
+    const matches = [];
+
+    [
+      { figma: 'layer', web: 'filter' },
+      { figma: 'background', web: 'backdropFilter' }
+    ].forEach(({ figma, web }) => {
+      if (webStyles[web] === undefined) return;
+
+      const figmaValue = (figmaBlur[figma] || 0) / 2;
+      const webValue = CssValueParser.parseBlurRadius(webStyles[web]);
+      if (figmaValue === 0 && webValue === 0) return;
+
+      const difference = Math.abs(figmaValue - webValue);
+      if (difference > this.thresholds.shadowDifference) {
+        deviations.push({
+          property: web,
+          figmaValue: figmaValue ? `blur(${figmaValue}px)` : 'none',
+          webValue: webStyles[web],
+          difference: `${difference}px`,
+          severity: this.getSeverity('spacing', difference),
+          message: `${figma === 'layer' ? 'Layer' : 'Background'} blur differs by ${difference}px`
+        });
+      } else {
+        matches.push({
+          property: web,
+          value: `blur(${figmaValue}px)`,
+          message: `${figma === 'layer' ? 'Layer' : 'Background'} blur matches within tolerance`
+        });
+      }
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Opacity and blend mode of a Figma component, from either extractor's output
+   * @param {Object} figmaComponent - Figma component
+   * @returns {Object} { opacity, effectiveOpacity, blendMode }
+   */
+  getFigmaOpacity(figmaComponent) {
+    const opacity = figmaComponent.properties?.opacity ?? figmaComponent.opacity;
+    return {
+      opacity,
+      effectiveOpacity: figmaComponent.properties?.effectiveOpacity ?? figmaComponent.effectiveOpacity ?? opacity,
+      blendMode: figmaComponent.properties?.blendMode ?? figmaComponent.blendMode
+    };
+  }
+
+  /**
+   * Compare effective opacity (the element's own opacity multiplied by its ancestors') and
+   * blend mode. Disabled states and overlays are usually built with opacity on a parent, so
+   * the product is what must match, not the element's own value.
+   * @param {Object} figmaOpacity - { opacity, effectiveOpacity, blendMode }
+   * @param {Object} webElement - Web element ({ effectiveOpacity, styles })
+   * @returns {Object} Opacity comparison result
+   */
+  compareOpacity(figmaOpacity, webElement) {
+    const deviations = [];
+    const matches = [];
+    const webStyles = webElement.styles || {};
+    const webOwnOpacity = webStyles.opacity !== undefined ? parseFloat(webStyles.opacity) : undefined;
+    const webOpacity = webElement.effectiveOpacity ?? webOwnOpacity;
+
+    if (figmaOpacity.effectiveOpacity !== undefined && webOpacity !== undefined && !Number.isNaN(webOpacity)) {
+      const figmaPercent = Math.round(figmaOpacity.effectiveOpacity * 100);
+      const webPercent = Math.round(webOpacity * 100);
+      const difference = Math.abs(figmaPercent - webPercent);
+
+      if (difference > this.thresholds.opacityDifference) {
+        // Point at where the difference comes from when the element's own opacity agrees
+        const inherited = figmaOpacity.opacity !== undefined && webOwnOpacity !== undefined &&
+          Math.abs(Math.round(figmaOpacity.opacity * 100) - Math.round(webOwnOpacity * 100)) <= this.thresholds.opacityDifference;
+        deviations.push({
+          property: 'opacity',
+          figmaValue: `${figmaPercent}%`,
+          webValue: `${webPercent}%`,
+          difference: `${difference}%`,
+          severity: this.getSeverity('opacity', difference),
+          message: `Effective opacity differs: Figma ${figmaPercent}%, web ${webPercent}%${inherited ? ' (inherited from an ancestor)' : ''}`
+        });
+      } else {
+        matches.push({
+          property: 'opacity',
+          value: `${figmaPercent}%`,
+          message: 'Effective opacity matches within tolerance'
+        });
+      }
+    }
+
+    const expectedBlend = BLEND_MODE_CSS[figmaOpacity.blendMode];
+    if (expectedBlend && webStyles.mixBlendMode !== undefined) {
+      if (webStyles.mixBlendMode !== expectedBlend) {
+        deviations.push({
+          property: 'mixBlendMode',
+          figmaValue: figmaOpacity.blendMode,
+          webValue: webStyles.mixBlendMode,
+          difference: 'different',
+          severity: 'medium',
+          message: `Blend mode ${figmaOpacity.blendMode} should render as mix-blend-mode: ${expectedBlend}`
+        });
+      } else {
+        matches.push({
+          property: 'mixBlendMode',
+          value: figmaOpacity.blendMode,
+          message: 'Blend mode matches exactly'
+        });
+      }
+    }
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Compare the Figma styles/variables a component is bound to with the CSS custom properties
+   * its web values were authored with. "Hardcoded" means the web value uses no custom property
+   * at all; "wrong token" means it uses one that is not the bound token although the value
+   * matches (a wrong value is already reported by the value comparison).
+   * @param {Object} figmaTokens - { [cssProperty]: { source, id, name } } (typography for text styles)
+   * @param {Object} webTokens - { [cssProperty]: custom property chain, e.g. ['--button-bg', '--color-primary'] }
+   * @param {Array} valueDeviations - Deviations already found for the component
+   * @returns {Object} Token comparison result
+   */
+  compareTokens(figmaTokens, webTokens, valueDeviations = []) {
+    const deviations = [];
+    const matches = [];
+
+    Object.entries(figmaTokens).forEach(([property, token]) => {
+      // A text style covers every typography property; any of them naming it is enough
+      const webProperties = property === 'typography' ? TYPOGRAPHY_PROPERTIES : [property];
+      const chain = [...new Set(webProperties.flatMap(webProperty => webTokens[webProperty] || []))];
+      const tokenName = token.name || token.id;
+      const tokenLabel = `${token.source} "${tokenName}"`;
+
+      if (chain.length === 0) {
+        deviations.push({
+          property: `hardcoded.${property}`,
+          figmaValue: tokenName,
+          webValue: 'hardcoded value',
+          difference: 'no token',
+          severity: 'low',
+          message: `${property} is hardcoded instead of using the ${tokenLabel}`
+        });
+        return;
+      }
+
+      // Without a name (variables not readable) the token cannot be identified on the web
+      if (!token.name) return;
+
+      if (chain.some(customProperty => DesignTokens.matches(token.name, customProperty, { partial: property === 'typography' }))) {
+        matches.push({
+          property: `token.${property}`,
+          value: token.name,
+          message: `${property} uses the ${tokenLabel} (${chain.join(' → ')})`
+        });
+        return;
+      }
+
+      const valueDiffers = valueDeviations.some(deviation => webProperties.some(webProperty => deviation.property.startsWith(webProperty)));
+      if (!valueDiffers) {
+        deviations.push({
+          property: `wrongToken.${property}`,
+          figmaValue: token.name,
+          webValue: `var(${chain[0]})`,
+          difference: 'different token',
+          severity: 'medium',
+          message: `Right value, wrong token: ${property} uses var(${chain[0]}) instead of the ${tokenLabel}`
+        });
+      }
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Render a Figma shadow as the equivalent CSS shadow, for reports
+   */
+  formatShadow(shadow) {
+    const inset = shadow.type === 'INNER_SHADOW' ? 'inset ' : '';
+    return `${inset}${shadow.offset?.x || 0}px ${shadow.offset?.y || 0}px ${shadow.radius || 0}px ${shadow.spread || 0}px ${shadow.color}`;
+  }
+
+  /**
+   * Compare spacing properties
+   * @param {Object} figmaSpacing - Figma spacing data
+   * @param {Object} webStyles - Web element styles
+   * @param {Object} webElement - Web element, for authored values and length context
+   * @returns {Object} Spacing comparison result
+   */
+  compareSpacing(figmaSpacing, webStyles, webElement = { styles: webStyles }) {
+    const deviations = [];
+    const matches = [];
+
+    const spacingProps = [
+      { figma: 'paddingTop', web: 'paddingTop' },
+      { figma: 'paddingRight', web: 'paddingRight' },
+      { figma: 'paddingBottom', web: 'paddingBottom' },
+      { figma: 'paddingLeft', web: 'paddingLeft' }
+    ];
+
+    for (const prop of spacingProps) {
+      const webLength = webStyles[prop.web] !== undefined ? this.resolveWebLength(webElement, prop.web) : null;
+      if (figmaSpacing[prop.figma] !== undefined && webLength) {
+        const figmaValue = parseFloat(figmaSpacing[prop.figma]);
+        const difference = Math.round(Math.abs(figmaValue - webLength.px) * 100) / 100;
+
+        if (difference > this.thresholds.spacingDifference) {
+          deviations.push({
+            property: prop.figma,
+            figmaValue: `${figmaValue}px`,
+            webValue: webLength.display,
+            difference: `${difference}px`,
+            severity: this.getSeverity('spacing', difference),
             message: `${prop.figma} differs by ${difference}px`
           });
         } else {
@@ -521,49 +1595,441 @@ class ComparisonEngine {
   }
 
   /**
-   * Compare border properties
-   * @param {Object} figmaBorders - Figma border data
-   * @param {Object} webBorders - Web border data
+   * Compare border properties. Radii are compared per corner after resolving % and
+   * elliptical values into px and scaling overlapping corners the way browsers render them.
+   * @param {Object} figmaBorders - Figma border data: { borderRadius, cornerRadii }
+   * @param {Object} webBorders - Web border data: `borderRadius` shorthand and/or corner longhands
+   * @param {Object} boxes - { figma, web } element sizes used to resolve radii
    * @returns {Object} Border comparison result
    */
-  compareBorders(figmaBorders, webBorders) {
+  compareBorders(figmaBorders, webBorders, boxes = {}) {
     const deviations = [];
     const matches = [];
 
-    // Border radius
-    if (figmaBorders.borderRadius !== undefined && webBorders.borderRadius !== undefined) {
-      const figmaValue = parseFloat(figmaBorders.borderRadius);
-      const webValue = parseFloat(webBorders.borderRadius);
-      const difference = Math.abs(figmaValue - webValue);
+    const figmaCorners = this.resolveFigmaCornerRadii(figmaBorders, boxes.figma);
+    const webCorners = CssValueParser.parseBorderRadius(webBorders, boxes.web);
+    if (!figmaCorners || !webCorners) return { deviations, matches };
 
-      if (difference > this.thresholds.sizeDifference) {
+    const corners = Object.keys(figmaCorners);
+    const round = value => Math.round(value * 100) / 100;
+    const formatRadius = ({ x, y }) => round(x) === round(y) ? `${round(x)}px` : `${round(x)}px / ${round(y)}px`;
+    const sameCorners = radii => corners.every(corner => formatRadius(radii[corner]) === formatRadius(radii[corners[0]]));
+
+    // Uniform radii read as a single border-radius; mixed radii are reported per corner
+    const groups = sameCorners(figmaCorners) && sameCorners(webCorners)
+      ? [{ property: 'borderRadius', corner: corners[0], label: 'Border radius' }]
+      : corners.map(corner => ({
+        property: `border${corner[0].toUpperCase()}${corner.slice(1)}Radius`,
+        corner,
+        label: `${corner.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase())} radius`
+      }));
+
+    groups.forEach(({ property, corner, label }) => {
+      const figma = figmaCorners[corner];
+      const web = webCorners[corner];
+      const difference = round(Math.max(Math.abs(figma.x - web.x), Math.abs(figma.y - web.y)));
+
+      if (difference > this.thresholds.radiusDifference) {
         deviations.push({
-          property: 'borderRadius',
-          figmaValue: `${figmaValue}px`,
-          webValue: `${webValue}px`,
+          property,
+          figmaValue: formatRadius(figma),
+          webValue: formatRadius(web),
           difference: `${difference}px`,
-          severity: this.getSeverity('size', difference),
-          message: `Border radius differs by ${difference}px`
+          severity: this.getSeverity('radius', difference),
+          message: `${label} differs by ${difference}px`
         });
       } else {
         matches.push({
-          property: 'borderRadius',
-          value: `${figmaValue}px`,
-          message: 'Border radius matches within tolerance'
+          property,
+          value: formatRadius(figma),
+          message: `${label} matches within tolerance`
+        });
+      }
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Resolve Figma corner radii into px per corner, clamped to the node size
+   * @param {Object} figmaBorders - { borderRadius, cornerRadii }
+   * @param {Object} box - Figma node { width, height }
+   * @returns {Object|null} { topLeft: { x, y }, topRight, bottomRight, bottomLeft }
+   */
+  resolveFigmaCornerRadii(figmaBorders, box) {
+    const uniform = parseFloat(figmaBorders.borderRadius);
+    const source = figmaBorders.cornerRadii || (Number.isNaN(uniform) ? null : {
+      topLeft: uniform, topRight: uniform, bottomRight: uniform, bottomLeft: uniform
+    });
+    if (!source) return null;
+
+    const radii = {};
+    ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'].forEach(corner => {
+      const radius = parseFloat(source[corner]) || 0;
+      radii[corner] = { x: radius, y: radius };
+    });
+    return CssValueParser.clampCornerRadii(radii, box);
+  }
+
+  /**
+   * Compare a Figma stroke with the CSS that draws it, side by side.
+   * INSIDE strokes are expected as `border` (or an inset spread-only box-shadow), OUTSIDE
+   * strokes as `outline` (or an outer spread-only box-shadow); CENTER strokes straddle the
+   * edge, so either is accepted.
+   * @param {Object} figmaBorder - Figma border: { width, widths, color, style, align, dashPattern }
+   * @param {Object} webStyles - Web element styles
+   * @param {Object} context - { backdrop, surface } colors behind outside and inside strokes
+   * @returns {Object} Stroke comparison result
+   */
+  compareStrokes(figmaBorder, webStyles, context = {}) {
+    const deviations = [];
+    const matches = [];
+    const align = figmaBorder.align || 'INSIDE';
+    const expectedPosition = align === 'OUTSIDE' ? 'outside' : 'inside';
+
+    const candidates = this.resolveWebStrokes(webStyles);
+    const rendered = candidates.find(candidate => candidate.position === expectedPosition) || candidates[0];
+
+    if (!rendered) {
+      deviations.push({
+        property: 'border',
+        figmaValue: `${figmaBorder.width}px ${figmaBorder.style} ${figmaBorder.color}`,
+        webValue: 'none',
+        difference: 'missing',
+        severity: 'medium',
+        message: `${align.toLowerCase()} stroke is not rendered on the web (no border, outline or spread shadow)`
+      });
+      return { deviations, matches };
+    }
+
+    if (align !== 'CENTER' && rendered.position !== expectedPosition) {
+      deviations.push({
+        property: 'strokeAlign',
+        figmaValue: align,
+        webValue: rendered.source,
+        difference: `${expectedPosition} vs ${rendered.position}`,
+        severity: 'medium',
+        message: `Figma stroke is ${align} but the web draws it ${rendered.position} the box with ${rendered.source}`
+      });
+    } else {
+      matches.push({ property: 'strokeAlign', value: align, message: `Stroke alignment matches (${rendered.source})` });
+    }
+
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const figmaWidths = sides.map(side => figmaBorder.widths?.[side] ?? figmaBorder.width);
+    const uniform = values => values.every(value => value === values[0]);
+    const sideGroups = uniform(figmaWidths) && uniform(sides.map(side => rendered.sides[side].width))
+      ? [{ property: 'borderWidth', sides }]
+      : sides.map(side => ({ property: `border${side[0].toUpperCase()}${side.slice(1)}Width`, sides: [side] }));
+
+    sideGroups.forEach(group => {
+      const figmaValue = figmaWidths[sides.indexOf(group.sides[0])];
+      const webValue = rendered.sides[group.sides[0]].width;
+      const difference = Math.round(Math.abs(figmaValue - webValue) * 100) / 100;
+
+      if (difference > this.thresholds.strokeWidthDifference) {
+        deviations.push({
+          property: group.property,
+          figmaValue: `${figmaValue}px`,
+          webValue: `${webValue}px (${rendered.source})`,
+          difference: `${difference}px`,
+          severity: figmaValue > 0 && webValue === 0 ? 'high' : this.getSeverity('stroke', difference),
+          message: `Stroke width differs by ${difference}px`
+        });
+      } else {
+        matches.push({ property: group.property, value: `${figmaValue}px`, message: 'Stroke width matches within tolerance' });
+      }
+    });
+
+    // Color and style only matter on sides that actually draw a stroke
+    const drawnSides = sides.filter((side, index) => figmaWidths[index] > 0 && rendered.sides[side].width > 0);
+    const webColors = [...new Set(drawnSides.map(side => rendered.sides[side].color))];
+    const colorGroups = webColors.length <= 1
+      ? [{ property: 'borderColor', side: drawnSides[0] }]
+      : drawnSides.map(side => ({ property: `border${side[0].toUpperCase()}${side.slice(1)}Color`, side }));
+
+    colorGroups.filter(group => group.side).forEach(group => {
+      const colorComparison = this.compareColors(
+        figmaBorder.color,
+        rendered.sides[group.side].color,
+        group.property,
+        { backdrop: rendered.position === 'outside' ? context.backdrop : context.surface }
+      );
+      if (colorComparison.deviation) {
+        deviations.push(colorComparison.deviation);
+      } else {
+        matches.push(colorComparison.match);
+      }
+    });
+
+    const webStyle = drawnSides.length > 0 ? rendered.sides[drawnSides[0]].style : null;
+    if (webStyle) {
+      // Dashes no longer than the stroke is thick read as dots
+      const dotted = figmaBorder.style === 'dashed' && figmaBorder.dashPattern?.[0] <= figmaBorder.width;
+      const styleMatches = webStyle === figmaBorder.style || (dotted && webStyle === 'dotted');
+
+      if (!styleMatches) {
+        deviations.push({
+          property: 'borderStyle',
+          figmaValue: figmaBorder.dashPattern ? `${figmaBorder.style} [${figmaBorder.dashPattern.join(', ')}]` : figmaBorder.style,
+          webValue: webStyle,
+          difference: `${figmaBorder.style} vs ${webStyle}`,
+          severity: 'medium',
+          message: `Stroke style differs: Figma ${figmaBorder.style}, web ${webStyle}`
+        });
+      } else {
+        matches.push({ property: 'borderStyle', value: webStyle, message: 'Stroke style matches' });
+      }
+    }
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Find every way the web element draws a stroke around its box
+   * @param {Object} webStyles - Web element styles
+   * @returns {Array} Candidates: { source, position, sides: { top: { width, style, color }, ... } }
+   */
+  resolveWebStrokes(webStyles) {
+    const candidates = [];
+    const allSides = stroke => ({ top: stroke, right: stroke, bottom: stroke, left: stroke });
+    const isDrawn = (style, width) => style && style !== 'none' && style !== 'hidden' && width > 0;
+
+    const borderSides = {};
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+      const prefix = `border${side[0].toUpperCase()}${side.slice(1)}`;
+      const width = parseFloat(webStyles[`${prefix}Width`] ?? webStyles.borderWidth) || 0;
+      const style = webStyles[`${prefix}Style`] ?? webStyles.borderStyle;
+      const color = webStyles[`${prefix}Color`] ?? webStyles.borderColor;
+      borderSides[side] = isDrawn(style, width) ? { width, style, color } : { width: 0, style: 'none', color };
+    });
+    if (Object.values(borderSides).some(side => side.width > 0)) {
+      candidates.push({ source: 'border', position: 'inside', sides: borderSides });
+    }
+
+    const outlineWidth = parseFloat(webStyles.outlineWidth) || 0;
+    if (isDrawn(webStyles.outlineStyle, outlineWidth)) {
+      // A negative offset of at least the outline width pulls it inside the box
+      const offset = parseFloat(webStyles.outlineOffset) || 0;
+      candidates.push({
+        source: 'outline',
+        position: offset <= -outlineWidth ? 'inside' : 'outside',
+        sides: allSides({ width: outlineWidth, style: webStyles.outlineStyle, color: webStyles.outlineColor })
+      });
+    }
+
+    CssValueParser.parseShadow(webStyles.boxShadow)
+      .filter(shadow => shadow.offsetX === 0 && shadow.offsetY === 0 && shadow.blur === 0 && shadow.spread > 0)
+      .forEach(shadow => candidates.push({
+        source: 'box-shadow',
+        position: shadow.inset ? 'inside' : 'outside',
+        sides: allSides({ width: shadow.spread, style: 'solid', color: shadow.color })
+      }));
+
+    return candidates;
+  }
+
+  /**
+   * Compare Figma auto-layout with the web layout. Direction and gap are checked against
+   * the measured child positions when available, so stacks spaced with margins or laid out
+   * without flexbox still match; flexbox alignment and wrap are compared when flexbox is used.
+   * @param {Object} figmaLayout - { mode, direction, counterAxisAlign, gap, wrap, counterAxisGap }
+   * @param {Object} webStyles - Web element styles
+   * @param {Array} childRects - Bounding rects of in-flow children, in DOM order
+   * @returns {Object} Layout comparison result
+   */
+  compareLayout(figmaLayout, webStyles, childRects = []) {
+    const deviations = [];
+    const matches = [];
+    const display = webStyles.display || '';
+    const isFlex = display.includes('flex');
+    const isGrid = display.includes('grid');
+
+    if (figmaLayout.mode === 'GRID') {
+      if (isGrid) {
+        matches.push({ property: 'layoutMode', value: 'GRID', message: 'Grid layout matches' });
+      } else {
+        deviations.push({
+          property: 'layoutMode',
+          figmaValue: 'GRID',
+          webValue: `display: ${display}`,
+          difference: 'different',
+          severity: 'medium',
+          message: 'Figma grid auto-layout is not rendered with display: grid'
+        });
+      }
+      return { deviations, matches };
+    }
+
+    const expectedAxis = { HORIZONTAL: 'horizontal', VERTICAL: 'vertical' }[figmaLayout.mode];
+    if (!expectedAxis) return { deviations, matches };
+
+    const measured = this.measureChildLayout(childRects);
+    let webAxis = null;
+    let webSource = null;
+    if (isFlex) {
+      webAxis = (webStyles.flexDirection || 'row').startsWith('column') ? 'vertical' : 'horizontal';
+      webSource = `flex-direction: ${webStyles.flexDirection || 'row'}`;
+    } else if (measured?.axis) {
+      webAxis = measured.axis;
+      webSource = `display: ${display} (measured)`;
+    }
+
+    if (webAxis && webAxis !== expectedAxis) {
+      deviations.push({
+        property: 'layoutMode',
+        figmaValue: figmaLayout.mode,
+        webValue: webSource,
+        difference: `${expectedAxis} vs ${webAxis}`,
+        severity: 'high',
+        message: `Auto-layout is ${expectedAxis} in Figma but children are laid out ${webAxis}`
+      });
+      return { deviations, matches };
+    }
+    if (webAxis) {
+      matches.push({ property: 'layoutMode', value: figmaLayout.mode, message: `Layout direction matches (${webSource})` });
+    }
+
+    // Space-between distributes children, so its itemSpacing is not a fixed gap
+    if (figmaLayout.gap !== undefined && figmaLayout.direction !== 'SPACE_BETWEEN') {
+      const cssGap = parseFloat(expectedAxis === 'horizontal' ? webStyles.columnGap : webStyles.rowGap) || 0;
+      const useMeasured = measured?.axis === expectedAxis && measured.gaps.length > 0;
+      const webGap = useMeasured ? this.median(measured.gaps) : cssGap;
+
+      if (useMeasured || isFlex) {
+        const difference = Math.round(Math.abs(figmaLayout.gap - webGap) * 100) / 100;
+        const webValue = useMeasured ? `${webGap}px (measured)` : `${webGap}px (${expectedAxis === 'horizontal' ? 'column-gap' : 'row-gap'})`;
+
+        if (difference > this.thresholds.spacingDifference) {
+          deviations.push({
+            property: 'gap',
+            figmaValue: `${figmaLayout.gap}px`,
+            webValue,
+            difference: `${difference}px`,
+            severity: this.getSeverity('spacing', difference),
+            message: `Gap between children differs by ${difference}px`
+          });
+        } else {
+          matches.push({
+            property: 'gap',
+            value: `${figmaLayout.gap}px`,
+            message: useMeasured && Math.abs(cssGap - webGap) > this.thresholds.spacingDifference
+              ? 'Gap matches within tolerance (spaced with margins)'
+              : 'Gap matches within tolerance'
+          });
+        }
+      }
+    }
+
+    if (isFlex) {
+      [
+        { property: 'justifyContent', figmaValue: figmaLayout.direction || 'MIN', accepted: JUSTIFY_CONTENT_CSS, axis: 'primary' },
+        { property: 'alignItems', figmaValue: figmaLayout.counterAxisAlign || 'MIN', accepted: ALIGN_ITEMS_CSS, axis: 'counter' }
+      ].forEach(({ property, figmaValue, accepted, axis }) => {
+        const expected = accepted[figmaValue];
+        const webValue = webStyles[property] || 'normal';
+        if (!expected) return;
+
+        if (expected.includes(webValue)) {
+          matches.push({ property, value: figmaValue, message: `${axis === 'primary' ? 'Primary' : 'Counter'} axis alignment matches` });
+        } else {
+          deviations.push({
+            property,
+            figmaValue,
+            webValue,
+            difference: `${expected[0] === 'normal' ? expected[1] : expected[0]} expected`,
+            severity: 'medium',
+            message: `${axis === 'primary' ? 'Primary' : 'Counter'} axis alignment differs: Figma ${figmaValue}, web ${webValue}`
+          });
+        }
+      });
+    }
+
+    const figmaWraps = figmaLayout.wrap === 'WRAP';
+    const webWraps = isFlex ? (webStyles.flexWrap || 'nowrap') !== 'nowrap' : Boolean(measured?.wrapped);
+    if (isFlex || figmaWraps) {
+      if (figmaWraps !== webWraps) {
+        deviations.push({
+          property: 'flexWrap',
+          figmaValue: figmaLayout.wrap || 'NO_WRAP',
+          webValue: isFlex ? webStyles.flexWrap || 'nowrap' : `display: ${display}`,
+          difference: 'different',
+          severity: 'medium',
+          message: figmaWraps ? 'Figma auto-layout wraps but the web layout does not' : 'Web layout wraps but Figma auto-layout does not'
+        });
+      } else {
+        matches.push({ property: 'flexWrap', value: figmaLayout.wrap || 'NO_WRAP', message: 'Wrap mode matches' });
+      }
+    }
+
+    // Spacing between wrapped rows
+    if (figmaWraps && webWraps && figmaLayout.counterAxisGap !== undefined) {
+      const useMeasured = measured?.lineGaps.length > 0;
+      const webGap = useMeasured ? this.median(measured.lineGaps) : parseFloat(webStyles.rowGap) || 0;
+      const difference = Math.round(Math.abs(figmaLayout.counterAxisGap - webGap) * 100) / 100;
+
+      if (difference > this.thresholds.spacingDifference) {
+        deviations.push({
+          property: 'rowGap',
+          figmaValue: `${figmaLayout.counterAxisGap}px`,
+          webValue: `${webGap}px${useMeasured ? ' (measured)' : ''}`,
+          difference: `${difference}px`,
+          severity: this.getSeverity('spacing', difference),
+          message: `Gap between wrapped rows differs by ${difference}px`
         });
+      } else {
+        matches.push({ property: 'rowGap', value: `${figmaLayout.counterAxisGap}px`, message: 'Row gap matches within tolerance' });
       }
     }
 
     return { deviations, matches };
   }
 
+  /**
+   * Infer the layout axis and spacing of children from their bounding rects
+   * @param {Array} childRects - Child rects { x, y, width, height } in DOM order
+   * @returns {Object|null} { axis, wrapped, gaps, lineGaps } or null with fewer than two children
+   */
+  measureChildLayout(childRects = []) {
+    if (!Array.isArray(childRects) || childRects.length < 2) return null;
+
+    const tolerance = 1;
+    const pairs = childRects.slice(1).map((rect, index) => ({ previous: childRects[index], rect }));
+    const horizontalGap = ({ previous, rect }) => rect.x - (previous.x + previous.width);
+    const verticalGap = ({ previous, rect }) => rect.y - (previous.y + previous.height);
+
+    if (pairs.every(pair => horizontalGap(pair) >= -tolerance)) {
+      return { axis: 'horizontal', wrapped: false, gaps: pairs.map(horizontalGap), lineGaps: [] };
+    }
+    if (pairs.every(pair => verticalGap(pair) >= -tolerance)) {
+      return { axis: 'vertical', wrapped: false, gaps: pairs.map(verticalGap), lineGaps: [] };
+    }
+
+    // A child that moves back to the left and below its predecessor starts a new row
+    const lineBreaks = pairs.filter(pair => pair.rect.x < pair.previous.x && verticalGap(pair) >= -tolerance);
+    const sameLine = pairs.filter(pair => !lineBreaks.includes(pair));
+    if (lineBreaks.length > 0 && sameLine.every(pair => horizontalGap(pair) >= -tolerance)) {
+      return { axis: 'horizontal', wrapped: true, gaps: sameLine.map(horizontalGap), lineGaps: lineBreaks.map(verticalGap) };
+    }
+
+    return { axis: null, wrapped: false, gaps: [], lineGaps: [] };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 100) / 100;
+  }
+
   /**
    * Compare dimension properties
    * @param {Object} figmaDimensions - Figma dimensions
-   * @param {Object} webDimensions - Web element dimensions
+   * @param {Object} webDimensions - Web element dimensions (rendered, so transforms are included)
+   * @param {Object} authoredStyles - Authored web values shown next to the rendered size
    * @returns {Object} Dimension comparison result
    */
-  compareDimensions(figmaDimensions, webDimensions) {
+  compareDimensions(figmaDimensions, webDimensions, authoredStyles = {}) {
     const deviations = [];
     const matches = [];
 
@@ -574,7 +2040,7 @@ class ComparisonEngine {
         deviations.push({
           property: 'width',
           figmaValue: `${figmaDimensions.width}px`,
-          webValue: `${webDimensions.width}px`,
+          webValue: this.formatResolvedLength(authoredStyles?.width, webDimensions.width),
           difference: `${difference}px`,
           severity: this.getSeverity('size', difference),
           message: `Width differs by ${difference}px`
@@ -595,7 +2061,7 @@ class ComparisonEngine {
         deviations.push({
           property: 'height',
           figmaValue: `${figmaDimensions.height}px`,
-          webValue: `${webDimensions.height}px`,
+          webValue: this.formatResolvedLength(authoredStyles?.height, webDimensions.height),
           difference: `${difference}px`,
           severity: this.getSeverity('size', difference),
           message: `Height differs by ${difference}px`
@@ -614,6 +2080,50 @@ class ComparisonEngine {
 
   // Helper methods for calculations and normalization
 
+  /**
+   * Resolve a web length to rendered px with the element's context - root/parent font size,
+   * containing block, viewport and transform scale - keeping the authored value for display
+   * @param {Object} element - Web element (styles, authoredStyles, lengthContext)
+   * @param {string} property - Style property, e.g. 'paddingTop'
+   * @returns {Object|null} { px, display } - display reads like "1.25rem (20px)"; null when unresolvable
+   */
+  resolveWebLength(element, property) {
+    const styles = element?.styles || {};
+    const context = element?.lengthContext || {};
+    const fontSize = context.fontSize ?? parseFloat(styles.fontSize);
+    const containingBlock = context.containingBlock || {};
+
+    // em and % in font-size refer to the parent; box lengths take % of the containing block
+    // width, except height which takes its height
+    const resolveContext = {
+      fontSize: property === 'fontSize' ? context.parentFontSize ?? fontSize : fontSize,
+      rootFontSize: context.rootFontSize,
+      viewport: context.viewport,
+      percentBase: property === 'fontSize'
+        ? context.parentFontSize
+        : property === 'height' ? containingBlock.height : containingBlock.width
+    };
+
+    const authored = element?.authoredStyles?.[property];
+    const px = CssValueParser.resolveCssLength(styles[property], resolveContext)
+      ?? CssValueParser.resolveCssLength(authored, resolveContext);
+    if (px === null) return null;
+
+    const scale = context.scale?.[LENGTH_AXES[property] || 'x'] || 1;
+    const rendered = Math.round(px * scale * 100) / 100;
+    return { px: rendered, display: this.formatResolvedLength(authored ?? styles[property], rendered) };
+  }
+
+  /**
+   * Show an authored value next to its resolved px, e.g. "1.25rem (20px)"
+   */
+  formatResolvedLength(authored, px) {
+    if (authored === undefined || authored === null || String(authored).trim() === `${px}px`) {
+      return `${px}px`;
+    }
+    return `${authored} (${px}px)`;
+  }
+
   calculateStringSimilarity(str1, str2) {
     const longer = str1.length > str2.length ? str1 : str2;
     const shorter = str1.length > str2.length ? str2 : str1;
@@ -669,46 +2179,24 @@ class ComparisonEngine {
   }
 
   calculateColorSimilarity(color1, color2) {
-    const rgb1 = this.hexToRgb(color1);
+    const rgb1 = this.parseWebColor(color1);
     const rgb2 = this.parseWebColor(color2);
     
     if (!rgb1 || !rgb2) return 0;
     
     const difference = this.calculateColorDifference(rgb1, rgb2);
-    return Math.max(0, 1 - difference / 255);
-  }
-
-  hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-      r: parseInt(result[1], 16),
-      g: parseInt(result[2], 16),
-      b: parseInt(result[3], 16)
-    } : null;
+    return Math.max(0, 1 - difference / 100);
   }
 
   parseWebColor(color) {
-    // Handle rgb(), rgba(), hex, and named colors
-    if (color.startsWith('#')) {
-      return this.hexToRgb(color);
-    } else if (color.startsWith('rgb')) {
-      const matches = color.match(/\d+/g);
-      if (matches && matches.length >= 3) {
-        return {
-          r: parseInt(matches[0]),
-          g: parseInt(matches[1]),
-          b: parseInt(matches[2])
-        };
-      }
-    }
-    return null;
+    return ColorModel.parse(color);
   }
 
   calculateColorDifference(rgb1, rgb2) {
-    return Math.sqrt(
-      Math.pow(rgb1.r - rgb2.r, 2) +
-      Math.pow(rgb1.g - rgb2.g, 2) +
-      Math.pow(rgb1.b - rgb2.b, 2)
+    const backdrop = this.resolveBackdrop();
+    return ColorModel.deltaE2000(
+      ColorModel.composite(rgb1, backdrop),
+      ColorModel.composite(rgb2, backdrop)
     );
   }
 
@@ -734,14 +2222,7 @@ class ComparisonEngine {
   }
 
   getSeverity(propertyType, difference) {
-    const severityThresholds = {
-      color: { high: 50, medium: 20 },
-      fontSize: { high: 6, medium: 3 },
-      spacing: { high: 10, medium: 5 },
-      size: { high: 20, medium: 10 }
-    };
-
-    const thresholds = severityThresholds[propertyType] || { high: 20, medium: 10 };
+    const thresholds = this.severityThresholds[propertyType] || DEFAULT_SEVERITY_THRESHOLDS;
     
     if (difference >= thresholds.high) return 'high';
     if (difference >= thresholds.medium) return 'medium';
@@ -0,0 +1,264 @@
+/**
+ * Hierarchy Matcher
+ * Aligns the Figma node tree with the DOM tree: refines match scores with the scores of
+ * parents and children, and reports structural deviations (nesting, missing wrappers, order)
+ */
+
+class HierarchyMatcher {
+  constructor(config) {
+    this.config = config || {};
+    // Share of a candidate's score that comes from its parent and children matching
+    this.structureWeight = config?.thresholds?.structureWeight ?? 0.3;
+  }
+
+  /**
+   * Rebuild the Figma tree over a flat component list from the nested `children` arrays.
+   * Nodes that are not in the list are skipped over, so each component's parent is its
+   * nearest listed ancestor.
+   * @param {Array} components - Flat Figma components (FigmaExtractor or RobustFigmaExtractor)
+   * @returns {Object} { parents, children, paths } indexed like `components`; paths are
+   *   child-index paths below the parent, used for sibling order
+   */
+  buildFigmaTree(components) {
+    const indexById = new Map(components.map((component, index) => [component.id, index]));
+    const parents = components.map(() => -1);
+    const paths = components.map(() => []);
+
+    const visit = (node, ancestor, path) => {
+      this.getFigmaChildren(node).forEach((child, position) => {
+        const childPath = [...path, position];
+        const childIndex = indexById.get(child.id);
+
+        if (childIndex !== undefined && childIndex !== ancestor) {
+          // Listed nodes walk their own subtree from their list entry
+          if (parents[childIndex] === -1) {
+            parents[childIndex] = ancestor;
+            paths[childIndex] = childPath;
+          }
+        } else {
+          visit(child, ancestor, childPath);
+        }
+      });
+    };
+
+    components.forEach((component, index) => visit(component, index, []));
+    return { parents, children: this.groupChildren(parents), paths };
+  }
+
+  getFigmaChildren(node) {
+    if (Array.isArray(node?.children) && node.children.length > 0) return node.children;
+    return node?._originalNode?.children || [];
+  }
+
+  /**
+   * Build the DOM tree over extracted web elements from their `domPath` ("1/0/3")
+   * @param {Array} elements - Web elements
+   * @returns {Object|null} { parents, children, paths }, or null when elements carry no domPath
+   */
+  buildWebTree(elements) {
+    if (!elements.some(element => element.domPath)) return null;
+
+    const indexByPath = new Map(elements.map((element, index) => [element.domPath, index]));
+    const paths = elements.map(element => (element.domPath ? element.domPath.split('/').map(Number) : []));
+    const parents = paths.map(path => {
+      for (let length = path.length - 1; length > 0; length--) {
+        const ancestor = indexByPath.get(path.slice(0, length).join('/'));
+        if (ancestor !== undefined) return ancestor;
+      }
+      return -1;
+    });
+
+    return { parents, children: this.groupChildren(parents), paths };
+  }
+
+  groupChildren(parents) {
+    const children = parents.map(() => []);
+    parents.forEach((parent, index) => {
+      if (parent >= 0) children[parent].push(index);
+    });
+    return children;
+  }
+
+  /**
+   * Blend each candidate's own score with how well its parent and children match.
+   * A candidate keeps its own score when neither side has structure to compare.
+   * @param {Array<Array<number>>} scores - Figma × web match scores (0-1)
+   * @param {Object} figmaTree - From buildFigmaTree
+   * @param {Object|null} webTree - From buildWebTree
+   * @returns {Array<Array<number>>} Refined scores
+   */
+  refineScores(scores, figmaTree, webTree) {
+    if (!webTree || this.structureWeight <= 0) return scores;
+
+    return scores.map((row, figmaIndex) => row.map((score, webIndex) => {
+      if (score <= 0) return score;
+
+      const support = [];
+      const figmaParent = figmaTree.parents[figmaIndex];
+      const webParent = webTree.parents[webIndex];
+      if (figmaParent >= 0 && webParent >= 0) {
+        support.push(scores[figmaParent][webParent]);
+      }
+
+      const figmaChildren = figmaTree.children[figmaIndex];
+      const webChildren = webTree.children[webIndex];
+      if (figmaChildren.length > 0 && webChildren.length > 0) {
+        const childScores = figmaChildren.map(child => Math.max(...webChildren.map(webChild => scores[child][webChild])));
+        support.push(childScores.reduce((sum, value) => sum + value, 0) / childScores.length);
+      }
+
+      if (support.length === 0) return score;
+      const structural = support.reduce((sum, value) => sum + value, 0) / support.length;
+      return (1 - this.structureWeight) * score + this.structureWeight * structural;
+    }));
+  }
+
+  /**
+   * Report where the matched DOM structure departs from the Figma structure
+   * @param {Array} components - Figma components
+   * @param {Array} elements - Web elements
+   * @param {Array<number>} assignment - Web element index per component (-1 = unmatched)
+   * @returns {Map} Component index → structural deviations
+   */
+  findStructuralDeviations(components, elements, assignment) {
+    const deviations = new Map();
+    const figmaTree = this.buildFigmaTree(components);
+    const webTree = this.buildWebTree(elements);
+    if (!webTree) return deviations;
+
+    const add = (index, deviation) => {
+      if (!deviations.has(index)) deviations.set(index, []);
+      deviations.get(index).push(deviation);
+    };
+    const nearestMatchedAncestor = index => {
+      let ancestor = figmaTree.parents[index];
+      while (ancestor >= 0 && assignment[ancestor] < 0) ancestor = figmaTree.parents[ancestor];
+      return ancestor;
+    };
+
+    // Nesting: a matched child must sit inside its matched Figma parent
+    components.forEach((component, index) => {
+      const parent = figmaTree.parents[index];
+      if (assignment[index] < 0 || parent < 0 || assignment[parent] < 0) return;
+
+      const element = elements[assignment[index]];
+      const parentElement = elements[assignment[parent]];
+      if (!this.isDescendant(webTree.paths[assignment[index]], webTree.paths[assignment[parent]])) {
+        const webParent = webTree.parents[assignment[index]];
+        add(index, {
+          property: 'hierarchy.nesting',
+          figmaValue: `${components[parent].name} > ${component.name}`,
+          webValue: `${webParent >= 0 ? elements[webParent].selector : 'document'} > ${element.selector}`,
+          difference: 'wrong parent',
+          severity: 'medium',
+          message: `"${component.name}" should be inside "${components[parent].name}" (${parentElement.selector}) but is rendered outside it`
+        });
+      }
+    });
+
+    // Missing wrapper: an unmatched Figma parent whose matched children sit directly in the grandparent
+    const matchedElements = new Set(assignment.filter(webIndex => webIndex >= 0));
+    components.forEach((component, index) => {
+      if (assignment[index] >= 0) return;
+
+      const matchedChildren = figmaTree.children[index].filter(child => assignment[child] >= 0);
+      if (matchedChildren.length === 0) return;
+
+      // Without a matched container there is nothing the children could be flattened into;
+      // unmatched root and page frames would be reported on every run
+      const ancestor = nearestMatchedAncestor(index);
+      if (ancestor < 0) return;
+
+      // A child inside an unmatched web element may well be inside the wrapper, which then only
+      // failed to match and is already reported as missing
+      const container = elements[assignment[ancestor]];
+      const insideUnmatched = webIndex => {
+        for (let parent = webTree.parents[webIndex]; parent >= 0 && parent !== assignment[ancestor]; parent = webTree.parents[parent]) {
+          if (!matchedElements.has(parent)) return true;
+        }
+        return false;
+      };
+      const flattened = matchedChildren.filter(child =>
+        this.isDescendant(webTree.paths[assignment[child]], webTree.paths[assignment[ancestor]]) &&
+        !insideUnmatched(assignment[child]));
+      if (flattened.length === 0) return;
+
+      add(index, {
+        property: 'hierarchy.wrapper',
+        figmaValue: `${component.name} > ${flattened.map(child => components[child].name).join(', ')}`,
+        webValue: `${container.selector} > ${flattened.map(child => elements[assignment[child]].selector).join(', ')}`,
+        difference: 'missing wrapper',
+        severity: 'medium',
+        message: `Wrapper "${component.name}" has no web counterpart; ${flattened.length} of its children are rendered without it`
+      });
+    });
+
+    // Order: children of auto-layout frames must keep their Figma order in the DOM
+    components.forEach((component, index) => {
+      if (!component.properties?.layout && !component.layoutMode) return;
+
+      const siblings = figmaTree.children[index]
+        .filter(child => assignment[child] >= 0)
+        .sort((a, b) => this.comparePaths(figmaTree.paths[a], figmaTree.paths[b]));
+      if (siblings.length < 2) return;
+
+      const webOrder = [...siblings].sort((a, b) => this.comparePaths(webTree.paths[assignment[a]], webTree.paths[assignment[b]]));
+      const inOrder = this.longestIncreasingSubsequence(webOrder.map(child => siblings.indexOf(child)));
+
+      siblings.forEach((child, figmaPosition) => {
+        if (inOrder.has(figmaPosition)) return;
+        const webPosition = webOrder.indexOf(child);
+        add(child, {
+          property: 'hierarchy.order',
+          figmaValue: `position ${figmaPosition + 1} of ${siblings.length}`,
+          webValue: `position ${webPosition + 1} of ${siblings.length}`,
+          difference: 'reordered',
+          severity: 'medium',
+          message: `"${components[child].name}" is child ${figmaPosition + 1} of "${component.name}" in Figma but appears at position ${webPosition + 1} on the web`
+        });
+      });
+    });
+
+    return deviations;
+  }
+
+  isDescendant(path, ancestorPath) {
+    return path.length > ancestorPath.length && ancestorPath.every((segment, index) => path[index] === segment);
+  }
+
+  comparePaths(a, b) {
+    for (let index = 0; index < Math.min(a.length, b.length); index++) {
+      if (a[index] !== b[index]) return a[index] - b[index];
+    }
+    return a.length - b.length;
+  }
+
+  /**
+   * Values that belong to one longest increasing subsequence - the rest are out of order
+   * @param {Array<number>} values - Distinct numbers
+   * @returns {Set<number>} Values in the subsequence
+   */
+  longestIncreasingSubsequence(values) {
+    const lengths = values.map(() => 1);
+    const previous = values.map(() => -1);
+
+    values.forEach((value, index) => {
+      for (let earlier = 0; earlier < index; earlier++) {
+        if (values[earlier] < value && lengths[earlier] + 1 > lengths[index]) {
+          lengths[index] = lengths[earlier] + 1;
+          previous[index] = earlier;
+        }
+      }
+    });
+
+    const result = new Set();
+    let index = lengths.indexOf(Math.max(...lengths));
+    while (index >= 0) {
+      result.add(values[index]);
+      index = previous[index];
+    }
+    return result;
+  }
+}
+
+export default HierarchyMatcher;
@@ -0,0 +1,131 @@
+/**
+ * Icon Comparator
+ * Compares icons by shape: the Figma export and the rendered web icon are reduced to coverage
+ * masks on the same grid, so color, export scale and padding do not count. A different shape
+ * means a wrong or outdated icon. The ink color is reported separately, and only when no
+ * color deviation was reported for the component already.
+ */
+
+import ColorModel from '../utils/colorModel.js';
+import IconRaster from '../utils/iconRaster.js';
+
+// Deviations that already cover an icon's color
+const COLOR_PROPERTIES = /^(color|backgroundColor|fills?|fill\..*|border(Color)?)$/;
+
+class IconComparator {
+  /**
+   * @param {Object} thresholds - Engine thresholds (iconShapeSimilarity, iconGridSize, colorDifference)
+   * @param {Function} getSeverity - (propertyType, difference) => severity
+   */
+  constructor(thresholds, getSeverity) {
+    this.thresholds = thresholds;
+    this.getSeverity = getSeverity;
+  }
+
+  /**
+   * Compare a Figma icon raster with the web icon's raster
+   * @param {string} figmaRaster - PNG exported from Figma
+   * @param {string} webRaster - PNG screenshot of the web element
+   * @param {Array} reported - Deviations already reported for the component
+   * @returns {Promise<Object>} { deviations, matches }
+   */
+  async compare(figmaRaster, webRaster, reported = []) {
+    const deviations = [];
+    const matches = [];
+    const [figmaImage, webImage] = await Promise.all([IconRaster.read(figmaRaster), IconRaster.read(webRaster)]);
+
+    const figmaMask = IconRaster.toMask(figmaImage, this.thresholds.iconGridSize);
+    const webMask = IconRaster.toMask(webImage, this.thresholds.iconGridSize);
+    const similarity = this.shapeSimilarity(figmaMask, webMask);
+    const percent = `${Math.round(similarity * 100)}%`;
+
+    if (similarity < this.thresholds.iconShapeSimilarity) {
+      deviations.push({
+        property: 'icon.shape',
+        figmaValue: figmaRaster,
+        webValue: webMask.empty ? 'nothing rendered' : webRaster,
+        difference: `${percent} shape similarity`,
+        severity: similarity < this.thresholds.iconShapeSimilarity / 2 ? 'high' : 'medium',
+        message: webMask.empty
+          ? 'Icon renders nothing on the web'
+          : `Icon shape differs from the design (${percent} similar); the icon may be wrong or outdated`
+      });
+    } else {
+      matches.push({ property: 'icon.shape', value: percent, message: `Icon shape matches (${percent} similar)` });
+    }
+
+    if (!reported.some(deviation => COLOR_PROPERTIES.test(deviation.property))) {
+      const colorComparison = this.compareInk(IconRaster.inkColor(figmaImage), IconRaster.inkColor(webImage));
+      if (colorComparison?.deviation) deviations.push(colorComparison.deviation);
+      if (colorComparison?.match) matches.push(colorComparison.match);
+    }
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Boundary-tolerant F-score of two masks: a shape cell counts as matched when the other mask
+   * has a shape cell within one cell of it, so anti-aliasing and hairline stroke differences
+   * do not count as shape changes
+   * @param {Object} maskA - Mask from IconRaster.toMask
+   * @param {Object} maskB - Mask of the same size
+   * @returns {number} Similarity from 0 to 1
+   */
+  shapeSimilarity(maskA, maskB) {
+    if (maskA.empty && maskB.empty) return 1;
+    if (maskA.empty || maskB.empty) return 0;
+
+    const precision = this.matchedShare(maskB, maskA);
+    const recall = this.matchedShare(maskA, maskB);
+    return precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  }
+
+  /**
+   * Share of `from`'s shape cells that have a shape cell of `to` within one cell
+   */
+  matchedShare(from, to) {
+    const { size } = from;
+    let total = 0;
+    let matched = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!from.cells[y * size + x]) continue;
+        total++;
+        let found = false;
+        for (let dy = -1; dy <= 1 && !found; dy++) {
+          for (let dx = -1; dx <= 1 && !found; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            found = nx >= 0 && ny >= 0 && nx < size && ny < size && to.cells[ny * size + nx] === 1;
+          }
+        }
+        if (found) matched++;
+      }
+    }
+    return total > 0 ? matched / total : 0;
+  }
+
+  compareInk(figmaInk, webInk) {
+    if (!figmaInk || !webInk) return null;
+
+    const deltaE = ColorModel.deltaE2000(figmaInk, webInk);
+    const figmaHex = ColorModel.toHex(figmaInk);
+    const webHex = ColorModel.toHex(webInk);
+    if (deltaE <= this.thresholds.colorDifference) {
+      return { match: { property: 'icon.color', value: figmaHex, message: `Icon color matches (${figmaHex})` } };
+    }
+    return {
+      deviation: {
+        property: 'icon.color',
+        figmaValue: figmaHex,
+        webValue: webHex,
+        difference: `ΔE ${deltaE.toFixed(1)}`,
+        deltaE: Math.round(deltaE * 10) / 10,
+        severity: this.getSeverity('color', deltaE),
+        message: `Icon color differs: expected ${figmaHex} but rendered ${webHex}`
+      }
+    };
+  }
+}
+
+export default IconComparator;
@@ -0,0 +1,182 @@
+/**
+ * Image Comparator
+ * Compares a Figma IMAGE fill with the web <img> or url() background that renders it: the
+ * scale mode against object-fit / background-size, the rendered aspect ratio of the image
+ * (stretching), and the picture itself by perceptual hash, which catches outdated art and
+ * wrong crops.
+ */
+
+import IconRaster from '../utils/iconRaster.js';
+import ImageFill from '../utils/imageFill.js';
+
+// How each Figma scale mode renders in CSS
+const EXPECTED_FIT = {
+  FILL: { img: ['cover'], background: ['cover'], label: 'cover' },
+  FIT: { img: ['contain', 'scale-down'], background: ['contain'], label: 'contain' },
+  // A crop is cover plus a position, or an explicit background size
+  CROP: { img: ['cover', 'none'], background: ['cover', 'explicit'], label: 'cover with object-position' },
+  TILE: { label: 'a repeating background' }
+};
+
+// Bits in an ImageFill.dHash
+const HASH_BITS = 64;
+
+// Rendered and natural aspect ratios further apart than this mean a stretched image
+const ASPECT_TOLERANCE = 0.02;
+
+class ImageComparator {
+  /**
+   * @param {Object} thresholds - Engine thresholds (imageHashDistance)
+   */
+  constructor(thresholds) {
+    this.thresholds = thresholds;
+  }
+
+  /**
+   * Compare a Figma image fill with the web image
+   * @param {Object} figmaFill - { imageRef, scaleMode, raster? } from ImageFill
+   * @param {Object} webImage - Element `image`: { kind: 'img' | 'background', src, naturalWidth, naturalHeight, objectFit, backgroundSize, backgroundRepeat }
+   * @param {Object} webRect - Rendered { width, height } of the element
+   * @param {string} webRaster - PNG screenshot of the web element
+   * @returns {Promise<Object>} { deviations, matches }
+   */
+  async compare(figmaFill, webImage, webRect, webRaster) {
+    const deviations = [];
+    const matches = [];
+    const collect = result => {
+      if (result?.deviation) deviations.push(result.deviation);
+      if (result?.match) matches.push(result.match);
+    };
+
+    collect(this.compareScaleMode(figmaFill.scaleMode, webImage, webRect));
+    collect(this.compareAspectRatio(webImage, webRect));
+    if (figmaFill.raster && webRaster) {
+      collect(await this.compareContent(figmaFill.raster, webRaster));
+    }
+
+    return { deviations, matches };
+  }
+
+  compareScaleMode(scaleMode, webImage, webRect) {
+    const expected = EXPECTED_FIT[scaleMode];
+    if (!expected) return null;
+
+    const fit = this.webFit(webImage, webRect);
+    const tiles = webImage.kind === 'background' && Boolean(webImage.backgroundRepeat) && !/^no-repeat( no-repeat)?$/.test(webImage.backgroundRepeat);
+    const matchesMode = scaleMode === 'TILE' ? tiles : !tiles && expected[webImage.kind].includes(fit);
+    const webValue = webImage.kind === 'img'
+      ? `object-fit: ${webImage.objectFit || 'fill'}`
+      : `background-size: ${webImage.backgroundSize || 'auto'}; background-repeat: ${webImage.backgroundRepeat || 'repeat'}`;
+
+    if (matchesMode) {
+      return { match: { property: 'image.scaleMode', value: scaleMode, message: `Image scale mode matches (${scaleMode} as ${webValue})` } };
+    }
+    return {
+      deviation: {
+        property: 'image.scaleMode',
+        figmaValue: scaleMode,
+        webValue,
+        difference: `expected ${expected.label}`,
+        severity: 'medium',
+        message: `Image is ${scaleMode === 'TILE' ? 'not tiled' : 'fitted differently'}: Figma uses ${scaleMode} (${expected.label}) but the web uses ${webValue}`
+      }
+    };
+  }
+
+  /**
+   * How the web image fits its box, in terms of object-fit: cover, contain, none or fill (both
+   * axes set independently). Sizes that keep the box's aspect render like cover, so an
+   * `object-fit: fill` image with the box's aspect ratio counts as cover.
+   */
+  webFit(webImage, webRect) {
+    if (webImage.kind === 'img') {
+      const objectFit = webImage.objectFit || 'fill';
+      return objectFit === 'fill' && !this.isStretched(webImage, webRect) ? 'cover' : objectFit;
+    }
+
+    const size = (webImage.backgroundSize || 'auto').split(',')[0].trim();
+    if (['cover', 'contain'].includes(size)) return size;
+    if (/^auto( auto)?$/.test(size)) return 'auto';
+    if (size.split(/\s+/).length === 2 && !size.includes('auto')) {
+      return this.isStretched(webImage, webRect) ? 'fill' : 'cover';
+    }
+    return 'explicit';
+  }
+
+  /**
+   * Stretching is never a Figma scale mode: every mode keeps the image's aspect ratio
+   */
+  compareAspectRatio(webImage, webRect) {
+    const rendered = this.renderedSize(webImage, webRect);
+    if (!rendered || !webImage.naturalWidth || !webImage.naturalHeight) return null;
+
+    const natural = webImage.naturalWidth / webImage.naturalHeight;
+    const actual = rendered.width / rendered.height;
+    const distortion = Math.abs(actual / natural - 1);
+    if (distortion <= ASPECT_TOLERANCE) {
+      return { match: { property: 'image.aspectRatio', value: natural.toFixed(2), message: 'Image keeps its aspect ratio' } };
+    }
+    return {
+      deviation: {
+        property: 'image.aspectRatio',
+        figmaValue: natural.toFixed(2),
+        webValue: actual.toFixed(2),
+        difference: `${Math.round(distortion * 100)}% distortion`,
+        severity: 'high',
+        message: `Image is stretched: rendered at ${actual.toFixed(2)}:1 but the image is ${natural.toFixed(2)}:1`
+      }
+    };
+  }
+
+  isStretched(webImage, webRect) {
+    const rendered = this.renderedSize(webImage, webRect);
+    if (!rendered || !webImage.naturalWidth || !webImage.naturalHeight) return false;
+    return Math.abs((rendered.width / rendered.height) / (webImage.naturalWidth / webImage.naturalHeight) - 1) > ASPECT_TOLERANCE;
+  }
+
+  /**
+   * Size the image is drawn at when its axes are sized independently, or null when the browser
+   * keeps its aspect ratio (cover, contain, none, a single background length)
+   */
+  renderedSize(webImage, webRect) {
+    if (!webRect?.width || !webRect?.height) return null;
+    if (webImage.kind === 'img') {
+      return (webImage.objectFit || 'fill') === 'fill' ? { width: webRect.width, height: webRect.height } : null;
+    }
+
+    const parts = (webImage.backgroundSize || 'auto').split(',')[0].trim().split(/\s+/);
+    if (parts.length !== 2 || parts.includes('auto')) return null;
+    const resolve = (value, length) => (value.endsWith('%') ? (parseFloat(value) / 100) * length : parseFloat(value));
+    const width = resolve(parts[0], webRect.width);
+    const height = resolve(parts[1], webRect.height);
+    return width > 0 && height > 0 ? { width, height } : null;
+  }
+
+  /**
+   * Compare the pictures by difference hash; more differing bits than the threshold means
+   * different art or a different crop
+   */
+  async compareContent(figmaRaster, webRaster) {
+    const [figmaImage, webImage] = await Promise.all([IconRaster.read(figmaRaster), IconRaster.read(webRaster)]);
+    const figmaHash = ImageFill.dHash(figmaImage);
+    const webHash = ImageFill.dHash(webImage);
+    const distance = ImageFill.distance(figmaHash, webHash);
+    const limit = this.thresholds.imageHashDistance;
+
+    if (distance <= limit) {
+      return { match: { property: 'image.content', value: figmaHash, message: `Image matches the design (${distance}/${HASH_BITS} hash bits differ)` } };
+    }
+    return {
+      deviation: {
+        property: 'image.content',
+        figmaValue: figmaHash,
+        webValue: webHash,
+        difference: `${distance}/${HASH_BITS} hash bits`,
+        severity: distance > limit * 2 ? 'high' : 'medium',
+        message: `Image differs from the design (${distance}/${HASH_BITS} hash bits); the asset may be outdated or cropped differently`
+      }
+    };
+  }
+}
+
+export default ImageComparator;
@@ -0,0 +1,199 @@
+/**
+ * Mapping Store
+ * Hand-pinned matches between Figma nodes and web elements, for screens where automatic matching
+ * is ambiguous. A mapping picks Figma nodes by id or by a name glob and web elements by a CSS
+ * selector, an XPath or a data-testid, and belongs to one Figma file + page URL pair:
+ *
+ * {
+ *   "mappings": [
+ *     {
+ *       "fileKey": "abc123", "url": "https://example.com/checkout",
+ *       "componentId": "12:34", "selector": "#order-summary",
+ *       "note": "Two identical summaries on this screen", "createdAt": "...", "createdBy": "reviewer"
+ *     },
+ *     { "fileKey": "abc123", "url": "https://example.com/checkout", "namePattern": "Card/*", "testId": "product-card" }
+ *   ]
+ * }
+ *
+ * A name pattern matching several components and a target matching several elements leave the
+ * automatic matching to pair them up, but only among those elements.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import SeverityRules from './severityRules.js';
+
+export const DEFAULT_MAPPINGS_FILE = 'comparison-mappings.json';
+
+const TARGET_FIELDS = ['selector', 'xpath', 'testId'];
+
+class MappingStore {
+  /**
+   * @param {string} filePath - JSON file the mappings are saved to
+   * @param {Array} mappings - Existing mappings
+   */
+  constructor(filePath = DEFAULT_MAPPINGS_FILE, mappings = []) {
+    this.filePath = filePath;
+    this.mappings = new Map(mappings.map(mapping => [MappingStore.key(mapping), mapping]));
+  }
+
+  /**
+   * Load a mapping file; a missing file has no mappings
+   * @param {string} filePath - Path to the mapping file
+   * @returns {Promise<MappingStore>} Loaded store
+   */
+  static async load(filePath = DEFAULT_MAPPINGS_FILE) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new MappingStore(filePath);
+      throw new Error(`Cannot read mapping file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return new MappingStore(filePath, JSON.parse(content).mappings || []);
+    } catch (error) {
+      throw new Error(`Invalid JSON in mapping file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Key a mapping by Figma file, page URL and the Figma nodes it pins
+   * @param {Object} mapping - { fileKey, url, componentId | namePattern }
+   * @returns {string} Mapping key
+   */
+  static key({ fileKey, url, componentId, namePattern }) {
+    return [fileKey || '', MappingStore.normalizeUrl(url), componentId ? `id:${componentId}` : `name:${namePattern}`].join('|');
+  }
+
+  /**
+   * Key of the web elements a mapping targets, e.g. `selector:#order-summary`
+   */
+  static targetKey(mapping) {
+    const field = TARGET_FIELDS.find(candidate => mapping[candidate]);
+    return field ? `${field}:${mapping[field]}` : null;
+  }
+
+  /**
+   * URLs differing only by fragment or a trailing slash are the same page
+   */
+  static normalizeUrl(url) {
+    return url ? String(url).replace(/#.*$/, '').replace(/\/+(\?|$)/, '$1') : '';
+  }
+
+  /**
+   * List mappings, optionally only those of one Figma file + URL pair
+   * @param {Object} pair - { fileKey, url }
+   * @returns {Array} Mappings
+   */
+  list({ fileKey, url } = {}) {
+    return [...this.mappings.values()].filter(mapping =>
+      (!fileKey || !mapping.fileKey || mapping.fileKey === fileKey) &&
+      (!url || !mapping.url || MappingStore.normalizeUrl(mapping.url) === MappingStore.normalizeUrl(url)));
+  }
+
+  /**
+   * Mappings that apply to a comparison of one Figma file with one page; mappings saved without
+   * a fileKey or url apply to every file or page
+   */
+  forPair(fileKey, url) {
+    return [...this.mappings.values()].filter(mapping =>
+      (!mapping.fileKey || mapping.fileKey === fileKey) &&
+      (!mapping.url || MappingStore.normalizeUrl(mapping.url) === MappingStore.normalizeUrl(url)));
+  }
+
+  /**
+   * Pin Figma nodes to web elements and save the mappings; a mapping for the same nodes of the
+   * same pair is replaced
+   * @param {Object} mapping - { fileKey, url, componentId | namePattern, selector | xpath | testId, note?, createdBy? }
+   * @param {Date} now - Creation time
+   * @returns {Promise<Object>} Stored mapping
+   */
+  async pin(mapping, now = new Date()) {
+    const { fileKey, url, componentId, namePattern } = mapping || {};
+    if (!fileKey || !url) {
+      throw new Error('A mapping needs the Figma fileKey and the page url');
+    }
+    if (Boolean(componentId) === Boolean(namePattern)) {
+      throw new Error('A mapping needs either a Figma componentId or a namePattern');
+    }
+    const targets = TARGET_FIELDS.filter(field => mapping[field]);
+    if (targets.length !== 1) {
+      throw new Error(`A mapping needs exactly one target: ${TARGET_FIELDS.join(', ')}`);
+    }
+
+    const stored = {
+      fileKey,
+      url,
+      ...(componentId ? { componentId } : { namePattern }),
+      [targets[0]]: String(mapping[targets[0]]).trim(),
+      note: mapping.note || null,
+      createdAt: now.toISOString(),
+      createdBy: mapping.createdBy || null
+    };
+
+    this.mappings.set(MappingStore.key(stored), stored);
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Remove a mapping and save
+   * @param {Object} target - { fileKey, url, componentId | namePattern }
+   * @returns {Promise<boolean>} Whether a mapping was removed
+   */
+  async unpin(target) {
+    const removed = this.mappings.delete(MappingStore.key(target));
+    if (removed) await this.save();
+    return removed;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ mappings: [...this.mappings.values()] }, null, 2));
+  }
+
+  /**
+   * Web elements each Figma component is pinned to. Targets are looked up in
+   * `webData.mappingTargets` (target key → DOM paths, resolved in the page by the web extractor),
+   * falling back to elements whose own selector or data-testid equals the target. A node id
+   * mapping takes precedence over name patterns; among patterns the first one listed wins.
+   * @param {Array} components - Figma components being matched
+   * @param {Object} webData - Extracted web data ({ url, elements, mappingTargets })
+   * @param {string} fileKey - Figma file key
+   * @returns {Map} Component index → { mapping, elements: Set of element indexes (empty when the target was not found) }
+   */
+  resolve(components, webData, fileKey) {
+    const pins = new Map();
+    const mappings = this.forPair(fileKey, webData.url);
+    if (mappings.length === 0) return pins;
+
+    const byPath = new Map((webData.elements || []).map((element, index) => [element.domPath, index]));
+    const elementsFor = mapping => {
+      const key = MappingStore.targetKey(mapping);
+      const resolved = webData.mappingTargets?.[key];
+      if (resolved) return new Set(resolved.map(domPath => byPath.get(domPath)).filter(index => index !== undefined));
+
+      const matches = new Set();
+      (webData.elements || []).forEach((element, index) => {
+        if ((mapping.selector && element.selector === mapping.selector) ||
+          (mapping.testId && element.attributes?.testId === mapping.testId)) {
+          matches.add(index);
+        }
+      });
+      return matches;
+    };
+
+    const byId = mappings.filter(mapping => mapping.componentId);
+    const byName = mappings.filter(mapping => mapping.namePattern).map(mapping => ({ mapping, pattern: SeverityRules.globToRegExp(mapping.namePattern) }));
+    components.forEach((component, index) => {
+      const mapping = byId.find(candidate => candidate.componentId === component.id) ||
+        byName.find(({ pattern }) => pattern.test(component.name || ''))?.mapping;
+      if (mapping) pins.set(index, { mapping, elements: elementsFor(mapping) });
+    });
+    return pins;
+  }
+}
+
+export default MappingStore;
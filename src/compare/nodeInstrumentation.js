@@ -0,0 +1,115 @@
+/**
+ * Node Instrumentation
+ * Components can carry the Figma node they implement as an attribute, e.g.
+ * `<div data-figma-node="123:456">`. An instrumented element is an exact match: the node is
+ * only paired with the elements carrying its id, whatever the heuristics score. Elements may
+ * also carry the id of the main component an instance was made from, which pins every instance
+ * of it to those elements.
+ *
+ * The web extractor records the attribute value as `attributes.figmaNode` on each element and
+ * every instrumented element of the page, extracted or not, in `webData.figmaNodes`.
+ */
+
+export const DEFAULT_FIGMA_NODE_ATTRIBUTE = 'data-figma-node';
+
+// Node ids as they appear in Figma URLs ("123-456", "I1-2;3-4")
+const URL_NODE_ID = /^I?\d+-\d+(;\d+-\d+)*$/;
+
+class NodeInstrumentation {
+  /**
+   * Normalize an attribute value to a Figma node id; URL-style ids use dashes
+   * @param {string} value - Attribute value
+   * @returns {string|null} Node id, e.g. "123:456"
+   */
+  static normalizeNodeId(value) {
+    const id = typeof value === 'string' ? value.trim() : '';
+    if (!id) return null;
+    return URL_NODE_ID.test(id) ? id.replace(/-/g, ':') : id;
+  }
+
+  /**
+   * Instrumented elements of the page: `webData.figmaNodes` when the extractor collected them,
+   * otherwise the extracted elements carrying the attribute
+   * @param {Object} webData - Extracted web data
+   * @returns {Array} { nodeId, selector, tagName, domPath }
+   */
+  static pageNodes(webData) {
+    const nodes = webData.figmaNodes || (webData.elements || [])
+      .filter(element => element.attributes?.figmaNode)
+      .map(element => ({ nodeId: element.attributes.figmaNode, selector: element.selector, tagName: element.tagName, domPath: element.domPath }));
+    return nodes
+      .map(node => ({ ...node, nodeId: NodeInstrumentation.normalizeNodeId(node.nodeId) }))
+      .filter(node => node.nodeId);
+  }
+
+  /**
+   * Web elements each Figma component is instrumented on: the elements carrying its node id, or
+   * failing that the id of its main component
+   * @param {Array} components - Figma components being matched
+   * @param {Object} webData - Extracted web data
+   * @returns {Map} Component index → { attribute, nodeId, elements: Set of element indexes }
+   */
+  static resolve(components, webData) {
+    const byNode = new Map();
+    (webData.elements || []).forEach((element, index) => {
+      const nodeId = NodeInstrumentation.normalizeNodeId(element.attributes?.figmaNode);
+      if (!nodeId) return;
+      if (!byNode.has(nodeId)) byNode.set(nodeId, new Set());
+      byNode.get(nodeId).add(index);
+    });
+
+    const pins = new Map();
+    if (byNode.size === 0) return pins;
+    const attribute = webData.figmaNodeAttribute || DEFAULT_FIGMA_NODE_ATTRIBUTE;
+    components.forEach((component, index) => {
+      const nodeId = [component.id, component.componentId].find(id => id && byNode.has(id));
+      if (nodeId) pins.set(index, { attribute, nodeId, elements: byNode.get(nodeId) });
+    });
+    return pins;
+  }
+
+  /**
+   * Node ids used on the page that are not among the extracted Figma nodes. They are either
+   * stale or outside the compared part of the file; `missingNodeIds` tells which.
+   * @param {Array} components - Extracted Figma components
+   * @param {Object} webData - Extracted web data
+   * @returns {Array<string>} Node ids
+   */
+  static unknownNodeIds(components, webData) {
+    const known = new Set(components.flatMap(component => [component.id, component.componentId]).filter(Boolean));
+    return [...new Set(NodeInstrumentation.pageNodes(webData).map(node => node.nodeId))].filter(id => !known.has(id));
+  }
+
+  /**
+   * How much of the design is instrumented, and which instrumented elements point at nodes the
+   * Figma file no longer has
+   * @param {Array} components - Figma components being matched
+   * @param {Object} webData - Extracted web data
+   * @param {Object} options - { known: all extracted components, hidden ones included;
+   *   missingNodeIds: ids the Figma file was checked not to have. When not checked, every id
+   *   outside the extracted nodes counts as stale }
+   * @returns {Object} { attribute, designNodes, instrumentedNodes, coverage (%), instrumentedElements,
+   *   staleNodes: [{ nodeId, selector, tagName }], outsideScope: node ids that exist elsewhere in the file }
+   */
+  static coverage(components, webData, { known = components, missingNodeIds = null } = {}) {
+    const pageNodes = NodeInstrumentation.pageNodes(webData);
+    const onPage = new Set(pageNodes.map(node => node.nodeId));
+    const instrumented = components.filter(component => onPage.has(component.id) || onPage.has(component.componentId));
+    const unknown = NodeInstrumentation.unknownNodeIds(known, webData);
+    const missing = missingNodeIds ? new Set(missingNodeIds) : new Set(unknown);
+
+    return {
+      attribute: webData.figmaNodeAttribute || DEFAULT_FIGMA_NODE_ATTRIBUTE,
+      designNodes: components.length,
+      instrumentedNodes: instrumented.length,
+      coverage: components.length > 0 ? Math.round((instrumented.length / components.length) * 100) : 0,
+      instrumentedElements: pageNodes.length,
+      staleNodes: pageNodes
+        .filter(node => missing.has(node.nodeId))
+        .map(({ nodeId, selector, tagName }) => ({ nodeId, selector, tagName })),
+      outsideScope: unknown.filter(id => !missing.has(id))
+    };
+  }
+}
+
+export default NodeInstrumentation;
@@ -0,0 +1,236 @@
+/**
+ * Position Analyzer
+ * Compares where matched components sit relative to their frame: offsets from the design,
+ * edges that should line up with siblings, and a layout drift summary per frame
+ */
+
+const HORIZONTAL_EDGES = {
+  left: box => box.x,
+  center: box => box.x + box.width / 2,
+  right: box => box.x + box.width
+};
+
+const VERTICAL_EDGES = {
+  top: box => box.y,
+  middle: box => box.y + box.height / 2,
+  bottom: box => box.y + box.height
+};
+
+// Figma edges closer than this (px) are treated as deliberately aligned
+const FIGMA_ALIGNMENT_TOLERANCE = 0.5;
+
+class PositionAnalyzer {
+  /**
+   * @param {Object} thresholds - Engine thresholds (positionDifference, alignmentDifference)
+   * @param {Function} getSeverity - Engine severity grading, called as (type, difference)
+   */
+  constructor(thresholds, getSeverity) {
+    this.thresholds = thresholds;
+    this.getSeverity = getSeverity;
+  }
+
+  /**
+   * Analyze positions of all matched components
+   * @param {Array} components - Figma components
+   * @param {Array} elements - Web elements
+   * @param {Array<number>} assignment - Web element index per component (-1 = unmatched)
+   * @param {Object} figmaTree - From HierarchyMatcher.buildFigmaTree
+   * @returns {Object} { results: Map of component index → {deviations, matches}, drift: per-frame summaries }
+   */
+  analyze(components, elements, assignment, figmaTree) {
+    const results = new Map();
+    const drift = [];
+    const result = index => {
+      if (!results.has(index)) results.set(index, { deviations: [], matches: [] });
+      return results.get(index);
+    };
+
+    const figmaBoxes = components.map(component => this.getFigmaBox(component));
+    const webBoxes = assignment.map(webIndex => (webIndex >= 0 ? this.getWebBox(elements[webIndex]) : null));
+
+    this.groupByFrame(figmaTree).forEach((members, frame) => {
+      const placed = members.filter(index => figmaBoxes[index] && webBoxes[index]);
+      if (placed.length === 0 || !figmaBoxes[frame]) return;
+
+      const origin = this.resolveOrigins(frame, placed, figmaBoxes, webBoxes);
+      const relative = new Map(placed.map(index => [index, {
+        figma: this.translate(figmaBoxes[index], origin.figma),
+        web: this.translate(webBoxes[index], origin.web)
+      }]));
+
+      const offsets = placed.map(index => {
+        const { figma, web } = relative.get(index);
+        const offset = { index, x: this.round(web.x - figma.x), y: this.round(web.y - figma.y) };
+        this.compareOffset(components[index], figma, web, offset, result(index));
+        return offset;
+      });
+
+      this.compareAlignment(components, figmaTree, relative, result);
+
+      const distances = offsets.map(offset => Math.hypot(offset.x, offset.y));
+      const worst = distances.indexOf(Math.max(...distances));
+      drift.push({
+        frameId: components[frame].id,
+        frameName: components[frame].name,
+        selector: assignment[frame] >= 0 ? elements[assignment[frame]].selector : null,
+        componentsCompared: placed.length,
+        shift: { x: this.median(offsets.map(offset => offset.x)), y: this.median(offsets.map(offset => offset.y)) },
+        averageOffset: this.round(distances.reduce((sum, value) => sum + value, 0) / distances.length),
+        maxOffset: { value: this.round(distances[worst]), componentName: components[offsets[worst].index].name },
+        misplaced: offsets.filter(offset => results.get(offset.index).deviations.some(d => d.property.startsWith('position.'))).length
+      });
+    });
+
+    return { results, drift };
+  }
+
+  /**
+   * Group components under their top-level frame; frames without children are skipped
+   * @returns {Map} Frame index → descendant indexes
+   */
+  groupByFrame(figmaTree) {
+    const frames = new Map();
+    figmaTree.parents.forEach((parent, index) => {
+      if (parent < 0) return;
+      let frame = parent;
+      while (figmaTree.parents[frame] >= 0) frame = figmaTree.parents[frame];
+      if (!frames.has(frame)) frames.set(frame, []);
+      frames.get(frame).push(index);
+    });
+    return frames;
+  }
+
+  /**
+   * Origins to measure each side from: the frame and its matched element, or, when the frame
+   * has no web counterpart, the median translation between the two sides
+   */
+  resolveOrigins(frame, placed, figmaBoxes, webBoxes) {
+    if (webBoxes[frame]) {
+      return { figma: figmaBoxes[frame], web: webBoxes[frame] };
+    }
+    return {
+      figma: { x: 0, y: 0 },
+      web: {
+        x: this.median(placed.map(index => webBoxes[index].x - figmaBoxes[index].x)),
+        y: this.median(placed.map(index => webBoxes[index].y - figmaBoxes[index].y))
+      }
+    };
+  }
+
+  compareOffset(component, figma, web, offset, result) {
+    const tolerance = this.thresholds.positionDifference;
+    const axes = [
+      { property: 'position.x', figmaValue: figma.x, webValue: web.x, difference: offset.x, directions: ['further right', 'further left'] },
+      { property: 'position.y', figmaValue: figma.y, webValue: web.y, difference: offset.y, directions: ['lower', 'higher'] }
+    ];
+
+    axes.forEach(axis => {
+      const difference = Math.abs(axis.difference);
+      if (difference > tolerance) {
+        const direction = axis.difference > 0 ? axis.directions[0] : axis.directions[1];
+        result.deviations.push({
+          property: axis.property,
+          figmaValue: `${this.round(axis.figmaValue)}px`,
+          webValue: `${this.round(axis.webValue)}px`,
+          difference: `${difference}px`,
+          severity: this.getSeverity('position', difference),
+          message: `"${component.name}" is ${difference}px ${direction} than in the design`
+        });
+      } else {
+        result.matches.push({
+          property: axis.property,
+          value: `${this.round(axis.figmaValue)}px`,
+          message: 'Position matches within tolerance'
+        });
+      }
+    });
+  }
+
+  /**
+   * Siblings whose edges line up in Figma should line up on the web too. Only the first broken
+   * edge per axis is reported for a component, and the sibling most others agree with is the reference.
+   */
+  compareAlignment(components, figmaTree, relative, result) {
+    const tolerance = this.thresholds.alignmentDifference;
+
+    figmaTree.children.forEach(children => {
+      const siblings = children.filter(index => relative.has(index));
+      if (siblings.length < 2) return;
+
+      [HORIZONTAL_EDGES, VERTICAL_EDGES].forEach(edges => {
+        const reported = new Set();
+
+        Object.entries(edges).forEach(([edge, edgeOf]) => {
+          this.clusterAligned(siblings, index => edgeOf(relative.get(index).figma)).forEach(group => {
+            const webEdges = new Map(group.map(index => [index, edgeOf(relative.get(index).web)]));
+            const reference = this.findReference(group, webEdges, tolerance);
+
+            group.forEach(index => {
+              const difference = this.round(Math.abs(webEdges.get(index) - webEdges.get(reference)));
+              if (index === reference || reported.has(index) || difference <= tolerance) return;
+
+              reported.add(index);
+              result(index).deviations.push({
+                property: `alignment.${edge}`,
+                figmaValue: `aligned with "${components[reference].name}"`,
+                webValue: `${difference}px off`,
+                difference: `${difference}px`,
+                severity: this.getSeverity('position', difference),
+                message: `${edge[0].toUpperCase()}${edge.slice(1)} edge of "${components[index].name}" is ${difference}px out of line with "${components[reference].name}"`
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+
+  clusterAligned(indexes, valueOf) {
+    const sorted = [...indexes].sort((a, b) => valueOf(a) - valueOf(b));
+    const groups = [];
+    sorted.forEach(index => {
+      const group = groups[groups.length - 1];
+      if (group && valueOf(index) - valueOf(group[group.length - 1]) <= FIGMA_ALIGNMENT_TOLERANCE) {
+        group.push(index);
+      } else {
+        groups.push([index]);
+      }
+    });
+    return groups.filter(group => group.length > 1);
+  }
+
+  findReference(group, webEdges, tolerance) {
+    const agreement = index => group.filter(other => Math.abs(webEdges.get(other) - webEdges.get(index)) <= tolerance).length;
+    return group.reduce((best, index) => (agreement(index) > agreement(best) ? index : best), group[0]);
+  }
+
+  getFigmaBox(component) {
+    const box = component.properties?.dimensions || component.dimensions || component.absoluteBoundingBox;
+    return this.isBox(box) ? box : null;
+  }
+
+  getWebBox(element) {
+    const box = element.boundingRect || element.dimensions;
+    return this.isBox(box) ? box : null;
+  }
+
+  isBox(box) {
+    return box && [box.x, box.y, box.width, box.height].every(Number.isFinite);
+  }
+
+  translate(box, origin) {
+    return { x: box.x - origin.x, y: box.y - origin.y, width: box.width, height: box.height };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return this.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+export default PositionAnalyzer;
@@ -0,0 +1,74 @@
+/**
+ * Rendered Font Comparator
+ * The computed font-family is only what the CSS asks for. When a webfont fails to load or a
+ * local font is not installed, the browser silently renders a fallback while font-family still
+ * matches the design. This checks the font the text was actually drawn with, as reported by the
+ * DevTools protocol (CSS.getPlatformFontsForNode), and the load status of the declared webfont
+ * (document.fonts).
+ */
+
+// Generic families name no particular font, so any font rendering them is expected
+const GENERIC_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math', 'fangsong',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', '-apple-system', 'blinkmacsystemfont'
+];
+
+class RenderedFontComparator {
+  /**
+   * Compare the rendered font with the declared one
+   * @param {Object|undefined} figmaTypography - Figma typography, for the design's font family
+   * @param {Object} renderedFont - Element `renderedFont`: { declaredFamily, family, isCustomFont,
+   *   fonts, webfont: { status } | null } where webfont is null for fonts without @font-face
+   * @returns {Object} { deviations, matches }
+   */
+  compare(figmaTypography, renderedFont) {
+    const { declaredFamily, family, webfont } = renderedFont;
+    if (!declaredFamily || !family || GENERIC_FAMILIES.includes(this.normalize(declaredFamily))) {
+      return {};
+    }
+    const expected = figmaTypography?.fontFamily || declaredFamily;
+
+    if (webfont?.status === 'error') {
+      return {
+        deviations: [{
+          property: 'renderedFont.loadFailed',
+          figmaValue: expected,
+          webValue: family,
+          difference: 'webfont failed to load',
+          severity: 'high',
+          message: `Webfont "${declaredFamily}" failed to load; text renders in ${family} instead`
+        }]
+      };
+    }
+
+    if (this.isFallback(renderedFont)) {
+      return {
+        deviations: [{
+          property: 'renderedFont.fallback',
+          figmaValue: expected,
+          webValue: family,
+          difference: 'fallback font',
+          severity: 'high',
+          message: `Text renders in fallback font ${family} instead of ${declaredFamily}${webfont ? ` (webfont ${webfont.status})` : ' (not installed)'}`
+        }]
+      };
+    }
+
+    return { matches: [{ property: 'renderedFont', value: family, message: `Text renders in ${declaredFamily}` }] };
+  }
+
+  /**
+   * A webfont renders as a custom font once loaded, whatever the family name inside the file; a
+   * local font renders under its own family name
+   */
+  isFallback({ declaredFamily, family, isCustomFont, webfont }) {
+    if (webfont) return !isCustomFont || webfont.status !== 'loaded';
+    return this.normalize(family) !== this.normalize(declaredFamily);
+  }
+
+  normalize(family) {
+    return String(family).toLowerCase().replace(/['"]/g, '').trim();
+  }
+}
+
+export default RenderedFontComparator;
@@ -0,0 +1,183 @@
+/**
+ * Resizing Comparator
+ * Checks how an element resizes against the design intent. The web extractor measures each
+ * element at several viewport widths (`resizing.samples`); from how its size follows its parent
+ * and its content the element is classified per axis as fixed, fill (follows its container),
+ * scale (keeps a proportion of its container) or hug (follows its content). The design intent
+ * comes from Figma `layoutSizingHorizontal` / `layoutSizingVertical` (FIXED, HUG, FILL) and,
+ * outside auto layout, from constraints (LEFT_RIGHT stretches, SCALE scales).
+ */
+
+const AXES = {
+  horizontal: { size: 'width', parent: 'parentWidth', content: 'contentWidth' },
+  vertical: { size: 'height', parent: 'parentHeight', content: 'contentHeight' }
+};
+
+// Constraints that stretch or scale a layer with its parent, per axis
+const STRETCH_CONSTRAINTS = { horizontal: 'LEFT_RIGHT', vertical: 'TOP_BOTTOM' };
+
+// Change in size/parent proportion tolerated for an element that scales with its parent
+const SCALE_TOLERANCE = 0.01;
+
+// Severity when the design expects one behavior (key) and the web shows another
+const SEVERITY = {
+  fill: { fixed: 'high', hug: 'high', scale: 'low' },
+  scale: { fixed: 'high', hug: 'high', fill: 'low' },
+  fixed: { fill: 'medium', scale: 'medium', hug: 'low' },
+  hug: { fill: 'medium', scale: 'medium', fixed: 'low' }
+};
+
+class ResizingComparator {
+  /**
+   * @param {Object} thresholds - Engine thresholds (resizeTolerance)
+   */
+  constructor(thresholds) {
+    this.thresholds = thresholds;
+  }
+
+  /**
+   * Compare the web element's resizing with the design intent on both axes
+   * @param {Object} figmaComponent - Figma component
+   * @param {Object} resizing - Element `resizing`: { samples: [{ viewportWidth, width, height,
+   *   parentWidth, parentHeight, contentWidth, contentHeight }] }
+   * @returns {Object} { deviations, matches }
+   */
+  compare(figmaComponent, resizing) {
+    const deviations = [];
+    const matches = [];
+    const intent = this.designIntent(figmaComponent);
+
+    Object.keys(AXES).forEach(axis => {
+      if (!intent[axis]) return;
+      const web = this.inferBehavior(resizing.samples, axis);
+      if (!web.behavior) return;
+
+      const property = `resizing.${axis}`;
+      const direction = axis === 'horizontal' ? 'horizontally' : 'vertically';
+      if (web.behavior === intent[axis].behavior) {
+        matches.push({ property, value: intent[axis].label, message: `Resizes as designed: ${this.describe(web, true)} ${direction} between ${web.viewports.min}px and ${web.viewports.max}px wide` });
+        return;
+      }
+      deviations.push({
+        property,
+        figmaValue: intent[axis].label,
+        webValue: `${web.behavior.toUpperCase()} (${this.formatSizes(web)})`,
+        difference: `expected ${intent[axis].behavior}, behaves ${web.behavior}`,
+        severity: SEVERITY[intent[axis].behavior][web.behavior],
+        message: `Should ${this.describe(intent[axis])} ${direction} but ${this.describe(web, true)} between ${web.viewports.min}px and ${web.viewports.max}px wide`
+      });
+    });
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Resizing the design asks for on each axis. Pinning constraints (LEFT, RIGHT, CENTER, TOP, ...)
+   * are Figma's defaults rather than an explicit choice to stay fixed, so they give no intent.
+   * @param {Object} component - Figma component from any extractor
+   * @returns {Object} { horizontal, vertical }: { behavior, label } or null
+   */
+  designIntent(component) {
+    const properties = component.properties || {};
+    const sizing = properties.layoutSizing || properties.layout?.layoutSizing || {
+      horizontal: component.layoutSizingHorizontal,
+      vertical: component.layoutSizingVertical
+    };
+    const constraints = properties.constraints || properties.layout?.constraints || component.constraints || {};
+
+    const intentFor = axis => {
+      if (SEVERITY[sizing[axis]?.toLowerCase()]) return { behavior: sizing[axis].toLowerCase(), label: sizing[axis] };
+      const constraint = constraints[axis];
+      if (!constraint) return null;
+      if (constraint === STRETCH_CONSTRAINTS[axis]) return { behavior: 'fill', label: constraint };
+      if (constraint === 'SCALE') return { behavior: 'scale', label: constraint };
+      return null;
+    };
+    return { horizontal: intentFor('horizontal'), vertical: intentFor('vertical') };
+  }
+
+  /**
+   * Classify how an element resizes along an axis. An element that stays the same size while its
+   * parent resizes is fixed, or hugs when it is exactly as large as its content; one that follows
+   * the parent fills it, also when a min or max size stops it; one that keeps its proportion of
+   * the parent scales.
+   * @param {Array} samples - Measurements at each viewport width
+   * @param {string} axis - 'horizontal' or 'vertical'
+   * @returns {Object} { behavior: 'fixed' | 'fill' | 'scale' | 'hug' | null, sizes, viewports, clamped }
+   */
+  inferBehavior(samples, axis) {
+    const { size, parent, content } = AXES[axis];
+    const tolerance = this.thresholds.resizeTolerance;
+    const sorted = [...(samples || [])]
+      .filter(sample => typeof sample[size] === 'number')
+      .sort((a, b) => a.viewportWidth - b.viewportWidth);
+    const sizes = sorted.map(sample => sample[size]);
+    const result = {
+      behavior: null,
+      sizes: { min: Math.min(...sizes), max: Math.max(...sizes) },
+      viewports: { min: sorted[0]?.viewportWidth, max: sorted[sorted.length - 1]?.viewportWidth },
+      clamped: false
+    };
+    if (sorted.length < 2) return result;
+
+    const hugs = sorted.every(sample => typeof sample[content] === 'number' && Math.abs(sample[size] - sample[content]) <= tolerance);
+    const segments = [];
+    for (let i = 1; i < sorted.length; i++) {
+      const [before, after] = [sorted[i - 1], sorted[i]];
+      if (typeof before[parent] !== 'number' || typeof after[parent] !== 'number') continue;
+      const parentChange = after[parent] - before[parent];
+      if (Math.abs(parentChange) <= tolerance) continue;
+
+      const change = after[size] - before[size];
+      if (Math.abs(change) <= tolerance) segments.push('fixed');
+      else if (Math.abs(change - parentChange) <= tolerance) segments.push('fill');
+      else if (before[parent] > 0 && after[parent] > 0 &&
+        Math.abs(after[size] / after[parent] - before[size] / before[parent]) <= SCALE_TOLERANCE) segments.push('scale');
+      else segments.push('other');
+    }
+
+    // A container that never resized tells nothing about fixed or fill
+    if (segments.length === 0) return { ...result, behavior: hugs ? 'hug' : null };
+    if (segments.every(segment => segment === 'fixed')) return { ...result, behavior: hugs ? 'hug' : 'fixed' };
+    if (segments.every(segment => segment === 'scale')) return { ...result, behavior: 'scale' };
+    const fill = this.followsParent(sorted.filter(sample => typeof sample[parent] === 'number'), size, parent, tolerance);
+    if (fill) return { ...result, behavior: 'fill', clamped: fill.clamped };
+    return { ...result, behavior: hugs ? 'hug' : null };
+  }
+
+  /**
+   * Whether the size is the parent's size minus a constant inset (padding, margins), optionally
+   * clamped to a minimum and maximum size - what min-width / max-width do to a filling element
+   * @returns {Object|null} { clamped } when it fits
+   */
+  followsParent(samples, size, parent, tolerance) {
+    const sizes = samples.map(sample => sample[size]);
+    const [low, high] = [Math.min(...sizes), Math.max(...sizes)];
+    for (const reference of samples) {
+      const inset = reference[parent] - reference[size];
+      const expected = sample => Math.min(Math.max(sample[parent] - inset, low), high);
+      if (samples.every(sample => Math.abs(sample[size] - expected(sample)) <= tolerance)) {
+        return { clamped: samples.some(sample => Math.abs(sample[parent] - inset - expected(sample)) > tolerance) };
+      }
+    }
+    return null;
+  }
+
+  describe({ behavior, sizes, clamped }, measured = false) {
+    if (!measured) {
+      return { fill: 'fill its container', scale: 'scale with its container', fixed: 'stay fixed', hug: 'hug its content' }[behavior];
+    }
+    return {
+      fill: `fills its container${clamped ? ' up to a size limit' : ''}`,
+      scale: 'scales with its container',
+      fixed: `stays fixed at ${sizes.min}px`,
+      hug: 'hugs its content'
+    }[behavior];
+  }
+
+  formatSizes({ sizes }) {
+    return sizes.min === sizes.max ? `${sizes.min}px` : `${sizes.min}–${sizes.max}px`;
+  }
+}
+
+export default ResizingComparator;
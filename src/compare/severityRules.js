@@ -0,0 +1,184 @@
+/**
+ * Severity Rules
+ * Declarative per-design-system tuning of comparison results. A rules file looks like:
+ *
+ * {
+ *   "thresholds": { "colorDifference": 2 },
+ *   "severityThresholds": { "color": { "high": 8, "medium": 4 } },
+ *   "rules": [
+ *     { "id": "icon-colors", "match": { "property": "color", "componentName": "Icon/*" }, "tolerance": 5, "severity": "low" },
+ *     { "id": "legacy-page", "match": { "page": "Legacy*" }, "severity": "ignore" }
+ *   ]
+ * }
+ *
+ * The first rule whose every `match` field matches a deviation applies to it.
+ */
+
+import { promises as fs } from 'fs';
+
+export const DEFAULT_RULES_FILE = 'comparison-rules.json';
+
+const MATCH_FIELDS = ['property', 'category', 'componentType', 'componentName', 'page', 'selector'];
+const SEVERITIES = ['high', 'medium', 'low', 'ignore'];
+
+class SeverityRules {
+  /**
+   * @param {Object} definition - Parsed rules file ({ thresholds, severityThresholds, rules })
+   * @param {string} source - Where the rules came from, for messages
+   */
+  constructor(definition = {}, source = 'inline rules') {
+    if (typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`Invalid rules in ${source}: expected an object with a "rules" array`);
+    }
+
+    this.source = source;
+    this.thresholds = definition.thresholds || {};
+    this.severityThresholds = definition.severityThresholds || {};
+    this.rules = (definition.rules || []).map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * Load and validate a rules file
+   * @param {string} filePath - Path to a JSON rules file
+   * @returns {Promise<SeverityRules>} Loaded rules
+   */
+  static async load(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read rules file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return new SeverityRules(JSON.parse(content), filePath);
+    } catch (error) {
+      throw new Error(error instanceof SyntaxError ? `Invalid JSON in rules file ${filePath}: ${error.message}` : error.message);
+    }
+  }
+
+  /**
+   * Rules file to use: the explicit path, else COMPARISON_RULES_FILE, else comparison-rules.json
+   * in the working directory when it exists
+   * @param {string} [explicitPath] - Path given on the command line or in config
+   * @returns {Promise<string|null>} Path to load, or null when there is no rules file
+   */
+  static async resolveFile(explicitPath) {
+    if (explicitPath) return explicitPath;
+    if (process.env.COMPARISON_RULES_FILE) return process.env.COMPARISON_RULES_FILE;
+
+    try {
+      await fs.access(DEFAULT_RULES_FILE);
+      return DEFAULT_RULES_FILE;
+    } catch {
+      return null;
+    }
+  }
+
+  compileRule(rule, index) {
+    const id = rule?.id || `rule-${index + 1}`;
+    const fail = reason => {
+      throw new Error(`Invalid rule "${id}" in ${this.source}: ${reason}`);
+    };
+
+    if (!rule || typeof rule.match !== 'object') fail('"match" must be an object');
+    const fields = Object.keys(rule.match);
+    const unknown = fields.filter(field => !MATCH_FIELDS.includes(field));
+    if (unknown.length > 0) fail(`unknown match field ${unknown.join(', ')} (expected ${MATCH_FIELDS.join(', ')})`);
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+    if (rule.tolerance !== undefined && !(typeof rule.tolerance === 'number' && rule.tolerance >= 0)) fail('tolerance must be a non-negative number');
+    if (rule.severity === undefined && rule.tolerance === undefined) fail('set a tolerance, a severity or "ignore"');
+
+    return {
+      id,
+      severity: rule.severity,
+      tolerance: rule.tolerance,
+      matchers: fields.map(field => {
+        // A field may list several patterns; any of them matching is enough
+        const patterns = [].concat(rule.match[field]).map(pattern => SeverityRules.globToRegExp(String(pattern)));
+        return {
+          field,
+          test: value => value !== undefined && value !== null && patterns.some(pattern => pattern.test(String(value)))
+        };
+      })
+    };
+  }
+
+  /**
+   * Convert a glob (`*` any run of characters, `?` one character) to a case-insensitive RegExp
+   */
+  static globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Find the rule that applies to a deviation
+   * @param {Object} context - { property, category, componentType, componentName, page, selector }
+   * @returns {Object|null} First matching rule
+   */
+  find(context) {
+    return this.rules.find(rule => rule.matchers.every(({ field, test }) => test(context[field]))) || null;
+  }
+
+  /**
+   * Apply rules to a component comparison in place. Each ruled deviation records `rule`;
+   * ignored deviations move to `ignored`, and deviations within a rule's tolerance become matches.
+   * @param {Object} comparison - Result of ComparisonEngine.compareComponent
+   * @param {Object} context - { componentType, componentName, page, selector }
+   * @returns {Object} The same comparison
+   */
+  apply(comparison, context) {
+    if (this.rules.length === 0) return comparison;
+
+    const deviations = [];
+    comparison.deviations.forEach(deviation => {
+      const rule = this.find({ ...context, property: deviation.property, category: deviation.category });
+      if (!rule) {
+        deviations.push(deviation);
+        return;
+      }
+
+      if (rule.severity === 'ignore') {
+        comparison.ignored = comparison.ignored || [];
+        comparison.ignored.push({ ...deviation, rule: rule.id });
+        return;
+      }
+
+      const measured = this.measure(deviation);
+      if (rule.tolerance !== undefined && measured !== null && measured <= rule.tolerance) {
+        comparison.matches.push({
+          property: deviation.property,
+          value: deviation.figmaValue,
+          rule: rule.id,
+          message: `${deviation.property} is within the tolerance of rule "${rule.id}" (${measured} ≤ ${rule.tolerance})`
+        });
+        return;
+      }
+
+      deviations.push({ ...deviation, severity: rule.severity || deviation.severity, rule: rule.id });
+    });
+
+    comparison.deviations = deviations;
+    return comparison;
+  }
+
+  /**
+   * Numeric size of a deviation in its own unit (ΔE for colors, px or degrees otherwise)
+   * @returns {number|null} Null for non-numeric deviations such as a missing component
+   */
+  measure(deviation) {
+    if (typeof deviation.deltaE === 'number') return deviation.deltaE;
+    const number = String(deviation.difference ?? '').match(/-?\d+(\.\d+)?/);
+    return number ? Math.abs(parseFloat(number[0])) : null;
+  }
+}
+
+export default SeverityRules;
@@ -0,0 +1,94 @@
+/**
+ * State Matcher
+ * Pairs Figma state variants (State=Hover, State=Disabled, ...) with the web states captured
+ * for the element that implements the component
+ */
+
+// Variant values naming each captured web state
+const STATE_NAMES = {
+  default: ['default', 'rest', 'resting', 'enabled', 'normal', 'idle', 'base'],
+  hover: ['hover', 'hovered', 'hovering'],
+  focus: ['focus', 'focused', 'focus-visible', 'focus visible', 'keyboard focus'],
+  active: ['active', 'pressed', 'press', 'clicked'],
+  disabled: ['disabled', 'inactive'],
+  checked: ['checked', 'on'],
+  selected: ['selected', 'current']
+};
+
+// Variant properties that carry the interaction state
+const STATE_PROPERTY = /^(state|states|status|interaction)$/i;
+
+class StateMatcher {
+  /**
+   * Interaction state a Figma component's variant represents
+   * @param {Object} component - Figma component with `variant`
+   * @returns {string|null} default, hover, focus, active, disabled, checked, selected, or null
+   */
+  getState(component) {
+    const properties = component.variant?.properties || {};
+    const key = Object.keys(properties).find(name => STATE_PROPERTY.test(name.trim()));
+    if (!key) return null;
+
+    const value = String(properties[key]).trim().toLowerCase();
+    return Object.keys(STATE_NAMES).find(state => STATE_NAMES[state].includes(value)) || null;
+  }
+
+  /**
+   * Find the state variants of component sets that are compared through their resting variant
+   * rather than matched on their own: the web renders every state on the same element
+   * @param {Array} components - Figma components
+   * @returns {Map<number, number>} State variant index → index of its resting variant
+   */
+  findStateVariants(components) {
+    const variants = new Map();
+    const restingBySet = new Map();
+    components.forEach((component, index) => {
+      const setId = component.variant?.setId;
+      if (setId && this.getState(component) === 'default') {
+        if (!restingBySet.has(setId)) restingBySet.set(setId, []);
+        restingBySet.get(setId).push(index);
+      }
+    });
+
+    components.forEach((component, index) => {
+      const state = this.getState(component);
+      const resting = restingBySet.get(component.variant?.setId);
+      if (!state || state === 'default' || !resting) return;
+
+      // Prefer the resting variant that agrees on every other property (Size=Large, ...)
+      const others = this.otherProperties(component);
+      const sameVariant = resting.find(restingIndex => this.otherProperties(components[restingIndex]) === others);
+      variants.set(index, sameVariant ?? resting[0]);
+    });
+
+    return variants;
+  }
+
+  otherProperties(component) {
+    return Object.entries(component.variant?.properties || {})
+      .filter(([name]) => !STATE_PROPERTY.test(name.trim()))
+      .map(([name, value]) => `${name}=${value}`)
+      .sort()
+      .join(',');
+  }
+
+  /**
+   * The web element as rendered in a state
+   * @param {Object} element - Web element with captured `states`
+   * @param {string} state - State name
+   * @returns {Object|null} Element with the state's styles, or null when the state was not captured
+   */
+  applyState(element, state) {
+    const captured = element.states?.[state];
+    if (!captured) return null;
+
+    return {
+      ...element,
+      styles: { ...element.styles, ...captured.styles },
+      effectiveOpacity: captured.effectiveOpacity ?? element.effectiveOpacity,
+      state
+    };
+  }
+}
+
+export default StateMatcher;
@@ -0,0 +1,306 @@
+/**
+ * Text Comparator
+ * Checks the copy of Figma TEXT nodes against the rendered text: wording (typos, missing and
+ * extra words, punctuation), letter case as rendered, placeholder text left in production and truncation
+ */
+
+// Typographic characters and their plain equivalents; designers and CMSs mix both freely
+const CHARACTER_EQUIVALENTS = [
+  [/[\u2018\u2019\u201A\u201B\u2032]/g, '\''],
+  [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+  [/[\u2010-\u2015\u2212]/g, '-'],
+  [/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' '],
+  [/\u2026/g, '...'],
+  [/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, '']
+];
+
+// Copy that was never meant to ship
+const PLACEHOLDER_PATTERNS = [
+  { pattern: /\blorem ipsum\b|\bdolor sit amet\b|\bconsectetur adipiscing\b/i, label: 'Lorem ipsum' },
+  { pattern: /\{\{.*?\}\}|\$\{.*?\}/, label: 'unrendered template expression' },
+  { pattern: /^(placeholder|text goes here|your text here|sample text|tbd|todo|xxx+)$/i, label: 'placeholder copy' },
+  { pattern: /^(undefined|null|NaN|\[object Object\])$/, label: 'unrendered value' }
+];
+
+// Ellipsis characters are normalized to three dots
+const ELLIPSIS = /\.{3}\s*$/;
+
+class TextComparator {
+  /**
+   * @param {Object} thresholds - Engine thresholds (textSimilarity)
+   * @param {Function} distance - Edit distance between two strings
+   */
+  constructor(thresholds, distance) {
+    this.thresholds = thresholds;
+    this.distance = distance;
+  }
+
+  /**
+   * Compare the copy of a Figma TEXT node with its matched web element
+   * @param {Object} figmaText - { characters, textCase } from the Figma node
+   * @param {Object} webElement - Matched element ({ text, textContent, textOverflow, styles })
+   * @returns {Object} { deviations, matches }
+   */
+  compare(figmaText, webElement) {
+    const deviations = [];
+    const matches = [];
+    const styles = webElement.styles || {};
+    const figmaCopy = this.normalize(figmaText.characters);
+    const webCopy = this.normalize(webElement.textContent ?? webElement.text);
+
+    if (!figmaCopy) return { deviations, matches };
+    if (!webCopy) {
+      deviations.push({
+        property: 'text.content',
+        figmaValue: figmaCopy,
+        webValue: '',
+        difference: 'missing',
+        severity: 'high',
+        message: 'Text is empty in the web implementation'
+      });
+      return { deviations, matches };
+    }
+
+    const placeholder = this.findPlaceholder(webCopy);
+    if (placeholder && !this.findPlaceholder(figmaCopy)) {
+      deviations.push({
+        property: 'text.placeholder',
+        figmaValue: figmaCopy,
+        webValue: webCopy,
+        difference: placeholder,
+        severity: 'high',
+        message: `Placeholder text (${placeholder}) rendered instead of the design copy`
+      });
+      return { deviations, matches };
+    }
+
+    const truncation = this.detectTruncation(figmaCopy, webCopy, webElement);
+    let figmaWords = this.words(figmaCopy);
+    let webWords = this.words(webCopy);
+    if (truncation) {
+      deviations.push({
+        property: 'text.truncated',
+        figmaValue: figmaCopy,
+        webValue: truncation.visible,
+        difference: truncation.cause,
+        severity: 'high',
+        message: `Text is truncated (${truncation.cause}) where the design shows it in full`
+      });
+      // Only the words before the cut can be checked; the last one may be cut mid-word
+      if (truncation.visible !== webCopy) {
+        webWords = this.words(truncation.visible).slice(0, -1);
+        figmaWords = figmaWords.slice(0, webWords.length);
+      }
+    }
+
+    const diff = this.diffWords(figmaWords, webWords);
+    const similarity = figmaWords.length > 0 ? diff.common / Math.max(figmaWords.length, webWords.length) : 1;
+    if (similarity < this.thresholds.textSimilarity) {
+      deviations.push({
+        property: 'text.content',
+        figmaValue: figmaCopy,
+        webValue: webCopy,
+        difference: `${Math.round(similarity * 100)}% of words in common`,
+        severity: 'high',
+        message: 'Text differs from the design copy'
+      });
+      return { deviations, matches };
+    }
+
+    if (diff.typos.length > 0) {
+      deviations.push({
+        property: 'text.typo',
+        figmaValue: diff.typos.map(typo => typo.figma).join(', '),
+        webValue: diff.typos.map(typo => typo.web).join(', '),
+        difference: `${diff.typos.length} word${diff.typos.length === 1 ? '' : 's'}`,
+        severity: 'medium',
+        message: `Possible typo: ${diff.typos.map(typo => `"${typo.web}" should be "${typo.figma}"`).join(', ')}`
+      });
+    }
+    if (diff.missing.length > 0) {
+      deviations.push({
+        property: 'text.missingWords',
+        figmaValue: figmaCopy,
+        webValue: webCopy,
+        difference: `${diff.missing.length} word${diff.missing.length === 1 ? '' : 's'}`,
+        severity: 'medium',
+        message: `Words missing from the web copy: ${diff.missing.map(word => `"${word}"`).join(', ')}`
+      });
+    }
+    if (diff.extra.length > 0) {
+      deviations.push({
+        property: 'text.extraWords',
+        figmaValue: figmaCopy,
+        webValue: webCopy,
+        difference: `${diff.extra.length} word${diff.extra.length === 1 ? '' : 's'}`,
+        severity: 'low',
+        message: `Words not in the design copy: ${diff.extra.map(word => `"${word}"`).join(', ')}`
+      });
+    }
+
+    // Letter case is compared as rendered: Figma text case and CSS text-transform both apply
+    if (deviations.length === 0) {
+      const figmaRendered = this.applyFigmaCase(figmaWords.join(' '), figmaText.textCase);
+      const webRendered = this.applyTextTransform(webWords.join(' '), styles.textTransform);
+      if (figmaRendered.toLowerCase() !== webRendered.toLowerCase()) {
+        deviations.push({
+          property: 'text.punctuation',
+          figmaValue: figmaRendered,
+          webValue: webRendered,
+          difference: 'punctuation',
+          severity: 'low',
+          message: 'Punctuation differs from the design copy'
+        });
+      } else if (figmaRendered !== webRendered) {
+        deviations.push({
+          property: 'text.case',
+          figmaValue: figmaRendered,
+          webValue: webRendered,
+          difference: 'letter case',
+          severity: 'low',
+          message: 'Text renders in a different letter case than the design'
+        });
+      } else if (!truncation) {
+        matches.push({ property: 'text.content', value: figmaCopy, message: 'Text matches the design copy' });
+      }
+    }
+
+    return { deviations, matches };
+  }
+
+  /**
+   * Collapse whitespace and map smart quotes, dashes and special spaces to plain characters
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    if (typeof text !== 'string') return '';
+    return CHARACTER_EQUIVALENTS
+      .reduce((normalized, [pattern, replacement]) => normalized.replace(pattern, replacement), text)
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  words(text) {
+    return text.split(' ').filter(Boolean);
+  }
+
+  /**
+   * Name of the placeholder pattern the text matches
+   * @returns {string|null} Placeholder label
+   */
+  findPlaceholder(text) {
+    return PLACEHOLDER_PATTERNS.find(({ pattern }) => pattern.test(text))?.label || null;
+  }
+
+  /**
+   * Detect text cut short on the web: an ellipsis baked into the string, or CSS clipping
+   * (text-overflow, line clamping, overflow hidden) that hides part of the copy
+   * @returns {Object|null} { cause, visible } visible is the text shown before the cut
+   */
+  detectTruncation(figmaCopy, webCopy, webElement) {
+    if (ELLIPSIS.test(figmaCopy)) return null;
+
+    const stem = webCopy.replace(ELLIPSIS, '').trim();
+    if (stem !== webCopy && stem.length < figmaCopy.length &&
+        figmaCopy.toLowerCase().startsWith(stem.toLowerCase().replace(/\W+$/, ''))) {
+      return { cause: 'ellipsis in text', visible: stem };
+    }
+
+    const overflow = webElement.textOverflow;
+    if (!overflow?.clipped) return null;
+
+    const styles = webElement.styles || {};
+    if (styles.textOverflow === 'ellipsis') return { cause: 'text-overflow: ellipsis', visible: webCopy };
+    if (styles.lineClamp && styles.lineClamp !== 'none') return { cause: `line-clamp: ${styles.lineClamp}`, visible: webCopy };
+    return { cause: 'overflow hidden', visible: webCopy };
+  }
+
+  /**
+   * Word-level diff (longest common subsequence, case-insensitive). Unmatched words that sit
+   * in the same gap on both sides and are a small edit apart are reported as typos.
+   * @returns {Object} { common, typos, missing, extra }
+   */
+  diffWords(figmaWords, webWords) {
+    const key = word => word.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, '');
+    const a = figmaWords.map(key);
+    const b = webWords.map(key);
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const result = { common: lengths[0][0], typos: [], missing: [], extra: [] };
+    let gap = { figma: [], web: [] };
+    const closeGap = () => {
+      this.pairTypos(gap, result);
+      gap = { figma: [], web: [] };
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        closeGap();
+        i++;
+        j++;
+      } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        gap.figma.push(figmaWords[i++]);
+      } else {
+        gap.web.push(webWords[j++]);
+      }
+    }
+    closeGap();
+
+    return result;
+  }
+
+  pairTypos(gap, result) {
+    const web = [...gap.web];
+    gap.figma.forEach(figmaWord => {
+      const index = web.findIndex(webWord => this.isTypo(figmaWord, webWord));
+      if (index === -1) {
+        result.missing.push(figmaWord);
+      } else {
+        result.typos.push({ figma: figmaWord, web: web[index] });
+        web.splice(index, 1);
+      }
+    });
+    result.extra.push(...web);
+  }
+
+  /**
+   * Two words are a typo of each other when they are a few edits apart relative to their length
+   * (a swapped letter pair counts as two edits)
+   */
+  isTypo(figmaWord, webWord) {
+    const a = figmaWord.toLowerCase();
+    const b = webWord.toLowerCase();
+    const allowed = Math.max(1, Math.floor(Math.max(a.length, b.length) / 3));
+    return Math.min(a.length, b.length) >= 3 && this.distance(a, b) <= allowed;
+  }
+
+  applyFigmaCase(text, textCase) {
+    if (textCase === 'UPPER') return text.toUpperCase();
+    if (textCase === 'LOWER') return text.toLowerCase();
+    if (textCase === 'TITLE') return this.capitalize(text);
+    // Small caps keep the original letters; only their glyphs change
+    return text;
+  }
+
+  applyTextTransform(text, textTransform) {
+    if (textTransform === 'uppercase') return text.toUpperCase();
+    if (textTransform === 'lowercase') return text.toLowerCase();
+    if (textTransform === 'capitalize') return this.capitalize(text);
+    return text;
+  }
+
+  capitalize(text) {
+    return text.replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+  }
+}
+
+export default TextComparator;
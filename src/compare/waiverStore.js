@@ -0,0 +1,173 @@
+/**
+ * Waiver Store
+ * Baseline of accepted deviations that later runs report as waived instead of counting them.
+ * Waivers are keyed by Figma node id + property + matched selector and kept in a JSON file:
+ *
+ * {
+ *   "waivers": [
+ *     {
+ *       "componentId": "12:34", "property": "fontFamily", "selector": ".hero h1",
+ *       "reason": "Platform font rendering", "expiresAt": "2026-12-31T00:00:00.000Z",
+ *       "acceptedAt": "...", "acceptedBy": "reviewer", "figmaValue": "Inter", "webValue": "Inter, sans-serif"
+ *     }
+ *   ]
+ * }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_WAIVERS_FILE = 'comparison-waivers.json';
+
+class WaiverStore {
+  /**
+   * @param {string} filePath - JSON file the waivers are saved to
+   * @param {Array} waivers - Existing waivers
+   */
+  constructor(filePath = DEFAULT_WAIVERS_FILE, waivers = []) {
+    this.filePath = filePath;
+    this.waivers = new Map(waivers.map(waiver => [WaiverStore.key(waiver), waiver]));
+  }
+
+  /**
+   * Load a waiver file; a missing file is an empty baseline
+   * @param {string} filePath - Path to the waiver file
+   * @returns {Promise<WaiverStore>} Loaded store
+   */
+  static async load(filePath = DEFAULT_WAIVERS_FILE) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new WaiverStore(filePath);
+      throw new Error(`Cannot read waiver file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return new WaiverStore(filePath, JSON.parse(content).waivers || []);
+    } catch (error) {
+      throw new Error(`Invalid JSON in waiver file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Key a waiver or deviation by Figma node id, property and matched selector
+   * @param {Object} target - { componentId, property, selector }
+   * @returns {string} Waiver key
+   */
+  static key({ componentId, property, selector }) {
+    return [componentId, property, selector || ''].join('|');
+  }
+
+  /**
+   * List waivers, each flagged with whether it has expired
+   * @param {Date} now - Reference time
+   * @returns {Array} Waivers
+   */
+  list(now = new Date()) {
+    return [...this.waivers.values()].map(waiver => ({ ...waiver, expired: this.isExpired(waiver, now) }));
+  }
+
+  /**
+   * Accept a deviation and save the baseline
+   * @param {Object} waiver - { componentId, property, selector, reason, expiresAt, acceptedBy?, figmaValue?, webValue? }
+   * @param {Date} now - Acceptance time
+   * @returns {Promise<Object>} Stored waiver
+   */
+  async accept(waiver, now = new Date()) {
+    const { componentId, property, reason, expiresAt } = waiver || {};
+    if (!componentId || !property) {
+      throw new Error('A waiver needs the Figma componentId and the deviation property');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A waiver needs a reason');
+    }
+
+    const expiry = new Date(expiresAt);
+    if (!expiresAt || Number.isNaN(expiry.getTime())) {
+      throw new Error('A waiver needs a valid expiresAt date');
+    }
+    if (expiry <= now) {
+      throw new Error(`Waiver expiry ${expiry.toISOString()} is already in the past`);
+    }
+
+    const stored = {
+      componentId,
+      property,
+      selector: waiver.selector || null,
+      reason: String(reason).trim(),
+      expiresAt: expiry.toISOString(),
+      acceptedAt: now.toISOString(),
+      acceptedBy: waiver.acceptedBy || null,
+      figmaValue: waiver.figmaValue ?? null,
+      webValue: waiver.webValue ?? null
+    };
+
+    this.waivers.set(WaiverStore.key(stored), stored);
+    await this.save();
+    return stored;
+  }
+
+  /**
+   * Remove a waiver and save the baseline
+   * @param {Object} target - { componentId, property, selector }
+   * @returns {Promise<boolean>} Whether a waiver was removed
+   */
+  async revoke(target) {
+    const removed = this.waivers.delete(WaiverStore.key(target));
+    if (removed) await this.save();
+    return removed;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ waivers: [...this.waivers.values()] }, null, 2));
+  }
+
+  isExpired(waiver, now) {
+    return new Date(waiver.expiresAt) <= now;
+  }
+
+  /**
+   * Move waived deviations of a component comparison to `waived` in place. A waiver only
+   * covers the values it was accepted for: if either side has changed since, the deviation
+   * is reported again. Deviations whose waiver has expired stay counted and note the expiry.
+   * @param {Object} comparison - Component comparison result
+   * @param {Date} now - Reference time
+   * @returns {Object} The same comparison
+   */
+  apply(comparison, now = new Date()) {
+    if (this.waivers.size === 0) return comparison;
+
+    const deviations = [];
+    comparison.deviations.forEach(deviation => {
+      const waiver = this.waivers.get(WaiverStore.key({
+        componentId: comparison.componentId,
+        property: deviation.property,
+        selector: comparison.selector
+      }));
+
+      if (!waiver || !this.coversValues(waiver, deviation)) {
+        deviations.push(deviation);
+      } else if (this.isExpired(waiver, now)) {
+        deviations.push({ ...deviation, waiverExpired: waiver.expiresAt });
+      } else {
+        comparison.waived = comparison.waived || [];
+        comparison.waived.push({
+          ...deviation,
+          waiver: { reason: waiver.reason, expiresAt: waiver.expiresAt, acceptedAt: waiver.acceptedAt, acceptedBy: waiver.acceptedBy }
+        });
+      }
+    });
+
+    comparison.deviations = deviations;
+    return comparison;
+  }
+
+  coversValues(waiver, deviation) {
+    return (waiver.figmaValue === null || waiver.figmaValue === undefined || String(waiver.figmaValue) === String(deviation.figmaValue)) &&
+      (waiver.webValue === null || waiver.webValue === undefined || String(waiver.webValue) === String(deviation.webValue));
+  }
+}
+
+export default WaiverStore;
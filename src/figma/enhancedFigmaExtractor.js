@@ -289,6 +289,9 @@ class EnhancedFigmaExtractor {
     if (node.constraints) {
       layout.constraints = node.constraints;
     }
+    if (node.layoutSizingHorizontal || node.layoutSizingVertical) {
+      layout.layoutSizing = { horizontal: node.layoutSizingHorizontal, vertical: node.layoutSizingVertical };
+    }
 
     // Layout properties
     if (node.layoutMode) layout.layoutMode = node.layoutMode; // AUTO_LAYOUT
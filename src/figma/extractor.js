@@ -1,6 +1,10 @@
 import fs from 'fs/promises';
 import path from 'path';
 import FigmaMCPIntegration from './mcpIntegration.js';
+import DesignTokens from '../utils/designTokens.js';
+import FigmaVariants from '../utils/figmaVariants.js';
+import IconRaster from '../utils/iconRaster.js';
+import ImageFill from '../utils/imageFill.js';
 
 /**
  * Figma Design Data Extractor
@@ -87,6 +91,8 @@ class FigmaExtractor {
    */
   async processDesignData(figmaData, fileKey = null, nodeId = null) {
     const components = [];
+    // Style and variable names for the tokens nodes are bound to
+    this.tokenNames = { styles: figmaData.styles, variables: figmaData.variables };
     
     console.log(`🔍 Processing design data. NodeId: ${nodeId}`);
     console.log(`📋 Figma data keys:`, Object.keys(figmaData));
@@ -223,6 +229,10 @@ class FigmaExtractor {
       }
     }
 
+    this.tagPages(figmaData.document, components);
+    this.tagVisibility(figmaData.document, components);
+    FigmaVariants.tag(figmaData.document, components);
+
     console.log(`🎯 Final component count: ${components.length}`);
     return {
       fileId: fileKey || figmaData.fileKey || 'unknown',
@@ -269,8 +279,11 @@ class FigmaExtractor {
           }
         }
         
-        // Recursively flatten children regardless of whether we added the parent
-        await this.flattenComponents(child, components);
+        // Recursively flatten children regardless of whether we added the parent; an icon's
+        // vectors are compared as part of the icon's raster
+        if (!IconRaster.isFigmaIcon(child)) {
+          await this.flattenComponents(child, components);
+        }
       }
     } else {
       console.log(`🔍 ${component.name} has no children to flatten`);
@@ -283,6 +296,11 @@ class FigmaExtractor {
    * @returns {boolean} True if component should be included in comparison
    */
   isMeaningfulComponent(component) {
+    // Icons and vector shapes are compared by their rendered shape
+    if (IconRaster.isFigmaIcon(component)) {
+      return true;
+    }
+
     // Include components that have visual properties or are interactive elements
     const meaningfulTypes = ['TEXT', 'RECTANGLE', 'ELLIPSE', 'COMPONENT', 'INSTANCE', 'BUTTON', 'FRAME', 'GROUP'];
     
@@ -356,6 +374,55 @@ class FigmaExtractor {
     );
   }
 
+  /**
+   * Record the page (canvas) name each component lives on, so rules can target pages
+   * @param {Object} document - Figma document node
+   * @param {Array} components - Extracted components
+   */
+  tagPages(document, components) {
+    const pageById = new Map();
+    const visit = (node, page) => {
+      pageById.set(node.id, page);
+      (node.children || []).forEach(child => visit(child, page));
+    };
+    (document?.children || [])
+      .filter(canvas => canvas.type === 'CANVAS')
+      .forEach(canvas => visit(canvas, canvas.name));
+
+    components.forEach(component => {
+      if (!component.page && pageById.has(component.id)) {
+        component.page = pageById.get(component.id);
+      }
+    });
+  }
+
+  /**
+   * Set each component's effective opacity (its own opacity multiplied by every ancestor's) when
+   * it is below 1, and mark layers that are hidden themselves or inside a hidden ancestor
+   * @param {Object} document - Figma document node
+   * @param {Array} components - Extracted components
+   */
+  tagVisibility(document, components) {
+    const stateById = new Map();
+    const visit = (node, inherited) => {
+      const state = {
+        opacity: inherited.opacity * (node.opacity ?? 1),
+        hidden: inherited.hidden || node.visible === false
+      };
+      stateById.set(node.id, state);
+      (node.children || []).forEach(child => visit(child, state));
+    };
+    if (document) visit(document, { opacity: 1, hidden: false });
+
+    components.forEach(component => {
+      const state = stateById.get(component.id);
+      if (!state) return;
+      // Fully opaque layers have no opacity to compare
+      if (state.opacity < 1) component.properties.effectiveOpacity = Math.round(state.opacity * 1000) / 1000;
+      if (state.hidden) component.hidden = true;
+    });
+  }
+
   /**
    * Recursively find a node by its ID in the Figma document tree
    * @param {Object} node - Current node to search
@@ -441,15 +508,28 @@ class FigmaExtractor {
       children: []
     };
 
+    if (node.type === 'TEXT' && typeof node.characters === 'string') {
+      component.characters = node.characters;
+    }
+    if (node.visible === false) {
+      component.visible = false;
+    }
+
     // Extract typography properties - only if they exist
     if (node.style) {
       const typography = {};
       if (node.style.fontFamily) typography.fontFamily = node.style.fontFamily;
       if (node.style.fontSize) typography.fontSize = node.style.fontSize;
       if (node.style.fontWeight) typography.fontWeight = node.style.fontWeight;
-      if (node.style.letterSpacing) typography.letterSpacing = node.style.letterSpacing;
+      if (node.style.letterSpacing !== undefined) typography.letterSpacing = node.style.letterSpacing;
       if (node.style.lineHeightPx) typography.lineHeight = node.style.lineHeightPx;
+      // "Auto" line height follows the font's metrics, like CSS `normal`
+      if (node.style.lineHeightUnit === 'INTRINSIC_%') typography.lineHeightAuto = true;
       if (node.style.textAlignHorizontal) typography.textAlign = node.style.textAlignHorizontal;
+      if (node.type === 'TEXT') {
+        typography.textCase = node.style.textCase || 'ORIGINAL';
+        typography.textDecoration = node.style.textDecoration || 'NONE';
+      }
       
       if (Object.keys(typography).length > 0) {
         component.properties.typography = typography;
@@ -460,13 +540,21 @@ class FigmaExtractor {
     if (node.fills && node.fills.length > 0) {
       const fill = node.fills[0];
       if (fill.type === 'SOLID' && fill.color) {
-        const colorHex = this.rgbaToHex(fill.color);
+        const colorHex = this.rgbaToHex(fill.color, fill.opacity);
         if (colorHex && colorHex !== '#000000') { // Don't use fallback black
           component.properties.color = colorHex;
         }
       }
     }
 
+    // Extract gradient and stacked fills - text fills are the text color, not a background
+    if (node.type !== 'TEXT') {
+      const fills = this.extractFills(node);
+      if (fills.some(fill => fill.type !== 'SOLID') || fills.length > 1) {
+        component.properties.fills = fills;
+      }
+    }
+
     // Only set backgroundColor if it actually exists in the node and is not a default/fallback value
     if (node.backgroundColor && this.isValidColor(node.backgroundColor)) {
       // Check for common default/fallback RGBA values that Figma sets
@@ -496,21 +584,43 @@ class FigmaExtractor {
       component.properties.borderRadius = node.cornerRadius;
     }
 
+    // Mixed corners come as [topLeft, topRight, bottomRight, bottomLeft]
+    if (Array.isArray(node.rectangleCornerRadii) && node.rectangleCornerRadii.length === 4) {
+      const [topLeft, topRight, bottomRight, bottomLeft] = node.rectangleCornerRadii;
+      component.properties.cornerRadii = { topLeft, topRight, bottomRight, bottomLeft };
+    }
+
     if (node.strokes && node.strokes.length > 0) {
-      const stroke = node.strokes[0];
-      if (stroke.color && this.isValidColor(stroke.color)) {
+      const stroke = node.strokes.find(paint => paint.visible !== false);
+      if (stroke?.color && this.isValidColor(stroke.color)) {
+        const width = node.strokeWeight ?? 1;
+        const weights = node.individualStrokeWeights;
+        const dashes = node.strokeDashes || node.dashPattern || [];
+
         component.properties.border = {
-          width: node.strokeWeight || 1,
-          color: this.rgbaToHex(stroke.color),
-          style: 'solid'
+          width,
+          color: this.rgbaToHex(stroke.color, stroke.opacity),
+          style: dashes.length > 0 ? 'dashed' : 'solid',
+          // Figma defaults frames/shapes to INSIDE; vectors default to CENTER
+          align: node.strokeAlign || 'INSIDE',
+          widths: {
+            top: weights?.top ?? width,
+            right: weights?.right ?? width,
+            bottom: weights?.bottom ?? width,
+            left: weights?.left ?? width
+          }
         };
+
+        if (dashes.length > 0) {
+          component.properties.border.dashPattern = dashes;
+        }
       }
     }
 
     // Extract shadow properties - only if they exist
     if (node.effects && node.effects.length > 0) {
       const shadows = node.effects
-        .filter(effect => effect.color && this.isValidColor(effect.color))
+        .filter(effect => effect.visible !== false && effect.color && this.isValidColor(effect.color))
         .map(effect => ({
           type: effect.type,
           color: this.rgbaToHex(effect.color),
@@ -522,6 +632,18 @@ class FigmaExtractor {
       if (shadows.length > 0) {
         component.properties.shadows = shadows;
       }
+
+      const blur = {};
+      node.effects
+        .filter(effect => effect.visible !== false && effect.radius > 0)
+        .forEach(effect => {
+          if (effect.type === 'LAYER_BLUR') blur.layer = effect.radius;
+          if (effect.type === 'BACKGROUND_BLUR') blur.background = effect.radius;
+        });
+
+      if (Object.keys(blur).length > 0) {
+        component.properties.blur = blur;
+      }
     }
 
     // Extract dimensions - only if they exist
@@ -541,7 +663,10 @@ class FigmaExtractor {
       };
       
       if (node.primaryAxisAlignItems) layout.direction = node.primaryAxisAlignItems;
+      if (node.counterAxisAlignItems) layout.counterAxisAlign = node.counterAxisAlignItems;
       if (node.itemSpacing !== undefined) layout.gap = node.itemSpacing;
+      if (node.layoutWrap) layout.wrap = node.layoutWrap;
+      if (node.counterAxisSpacing !== undefined) layout.counterAxisGap = node.counterAxisSpacing;
       
       const layoutPadding = {};
       if (node.paddingTop !== undefined) layoutPadding.top = node.paddingTop;
@@ -556,11 +681,33 @@ class FigmaExtractor {
       component.properties.layout = layout;
     }
 
+    // Record the styles and variables the node's properties are bound to
+    const tokens = DesignTokens.readFigmaBindings(node, this.tokenNames);
+    if (tokens) {
+      component.properties.tokens = tokens;
+    }
+
+    // Extract layer opacity and blend mode - effective opacity is set by tagVisibility
+    if (node.opacity !== undefined) {
+      component.properties.opacity = node.opacity;
+    }
+    if (node.blendMode) {
+      component.properties.blendMode = node.blendMode;
+    }
+
     // Extract constraints - only if they exist
     if (node.constraints) {
       component.properties.constraints = node.constraints;
     }
 
+    // Resizing of auto-layout frames and their children: FIXED, HUG or FILL per axis
+    if (node.layoutSizingHorizontal || node.layoutSizingVertical) {
+      component.properties.layoutSizing = {
+        horizontal: node.layoutSizingHorizontal,
+        vertical: node.layoutSizingVertical
+      };
+    }
+
     // Process children recursively
     if (node.children && node.children.length > 0) {
       for (const child of node.children) {
@@ -574,6 +721,81 @@ class FigmaExtractor {
     return component;
   }
 
+  /**
+   * Extract visible fills as background layers, topmost first (CSS background order)
+   * @param {Object} node - Figma node object
+   * @returns {Array} Normalized fills: { type, opacity, color } or { type, opacity, angle, stops }
+   */
+  extractFills(node) {
+    if (!Array.isArray(node.fills)) return [];
+
+    const box = node.absoluteBoundingBox || node.size || { width: 1, height: 1 };
+    const fills = [];
+
+    for (const fill of node.fills) {
+      if (fill.visible === false) continue;
+      const opacity = fill.opacity ?? 1;
+
+      if (fill.type === 'SOLID' && this.isValidColor(fill.color)) {
+        fills.push({ type: 'SOLID', opacity, color: this.rgbaToHex(fill.color, opacity) });
+      } else if (fill.type?.startsWith('GRADIENT_') && Array.isArray(fill.gradientStops)) {
+        fills.push(this.extractGradient(fill, box));
+      } else if (fill.type === 'IMAGE') {
+        fills.push({ type: 'IMAGE', opacity, imageRef: fill.imageRef, scaleMode: fill.scaleMode });
+      }
+    }
+
+    // Figma lists paints bottom to top
+    return fills.reverse();
+  }
+
+  /**
+   * Normalize a Figma gradient paint into CSS terms: the angle uses CSS conventions
+   * (0deg points up, clockwise) and linear stop positions are projected onto the CSS
+   * gradient line, which always spans the whole box through its center
+   * @param {Object} fill - Figma gradient paint
+   * @param {Object} box - Node size { width, height }
+   * @returns {Object} Normalized gradient fill
+   */
+  extractGradient(fill, box) {
+    const opacity = fill.opacity ?? 1;
+    const width = box.width || 1;
+    const height = box.height || 1;
+    const [start = { x: 0, y: 0.5 }, end = { x: 1, y: 0.5 }] = fill.gradientHandlePositions || [];
+
+    // Handle positions are fractions of the node box; work in px so the angle respects aspect ratio
+    const dx = (end.x - start.x) * width;
+    const dy = (end.y - start.y) * height;
+    const angle = ((Math.atan2(dx, -dy) * 180 / Math.PI) + 360) % 360;
+
+    let projectPosition = position => position;
+    if (fill.type === 'GRADIENT_LINEAR') {
+      const rad = angle * Math.PI / 180;
+      const direction = { x: Math.sin(rad), y: -Math.cos(rad) };
+      const lineLength = Math.abs(width * direction.x) + Math.abs(height * direction.y);
+      const lineStart = {
+        x: width / 2 - direction.x * lineLength / 2,
+        y: height / 2 - direction.y * lineLength / 2
+      };
+
+      projectPosition = position => {
+        const point = { x: start.x * width + dx * position, y: start.y * height + dy * position };
+        return ((point.x - lineStart.x) * direction.x + (point.y - lineStart.y) * direction.y) / lineLength;
+      };
+    }
+
+    return {
+      type: fill.type,
+      opacity,
+      angle: Math.round(angle * 100) / 100,
+      center: { x: start.x, y: start.y },
+      stops: fill.gradientStops.map(stop => ({
+        color: this.rgbaToHex(stop.color, opacity),
+        position: Math.round(projectPosition(stop.position) * 10000) / 10000
+      }))
+    };
+  }
+
   /**
    * Check if a color object is valid and not a fallback
    * @param {Object} color - RGBA color object
@@ -628,16 +850,19 @@ class FigmaExtractor {
   /**
    * Convert RGBA color object to hex string
    * @param {Object} rgba - RGBA color object {r, g, b, a}
-   * @returns {string|null} Hex color string or null if invalid
+   * @param {number} opacity - Optional paint opacity multiplied into the alpha channel
+   * @returns {string|null} Hex color string (#rrggbbaa when translucent) or null if invalid
    */
-  rgbaToHex(rgba) {
+  rgbaToHex(rgba, opacity = 1) {
     if (!this.isValidColor(rgba)) return null;
     
     const r = Math.round(rgba.r * 255);
     const g = Math.round(rgba.g * 255);
     const b = Math.round(rgba.b * 255);
+    const alpha = (rgba.a ?? 1) * (opacity ?? 1);
+    const a = alpha < 1 ? Math.round(alpha * 255).toString(16).padStart(2, '0') : '';
     
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}${a}`;
   }
 
   /**
@@ -677,6 +902,40 @@ class FigmaExtractor {
     }
   }
 
+  /**
+   * Find which node ids no longer exist in a Figma file
+   * @param {string} fileKey - Figma file key
+   * @param {Array<string>} nodeIds - Node ids to look up
+   * @returns {Promise<Array<string>>} The ids the file does not have
+   */
+  async findMissingNodes(fileKey, nodeIds) {
+    return this.mcpIntegration.findMissingNodes(fileKey, nodeIds);
+  }
+
+  /**
+   * Export the icons among extracted components so they can be compared by shape; each icon
+   * gets its PNG as `raster`
+   * @param {string} fileKey - Figma file key
+   * @param {Array} components - Extracted components
+   * @param {string} localPath - Directory to save the rasters in
+   * @returns {Promise<number>} Number of icons with a raster
+   */
+  async attachIconRasters(fileKey, components, localPath) {
+    return IconRaster.attachFigmaRasters(components, (nodes, directory) => this.downloadImages(fileKey, nodes, directory), localPath);
+  }
+
+  /**
+   * Export the components with an image fill so the picture can be compared with the web
+   * rendering; each gets `imageFill` with its scale mode and PNG
+   * @param {string} fileKey - Figma file key
+   * @param {Array} components - Extracted components
+   * @param {string} localPath - Directory to save the rasters in
+   * @returns {Promise<number>} Number of image fills with a raster
+   */
+  async attachImageRasters(fileKey, components, localPath) {
+    return ImageFill.attachFigmaRasters(components, (nodes, directory) => this.downloadImages(fileKey, nodes, directory), localPath);
+  }
+
   /**
    * Extract all components from a Figma file and prepare for comparison
    * @param {string} fileKey - Figma file key
@@ -746,6 +746,39 @@ class FigmaMCPIntegration {
     }
   }
 
+  /**
+   * Find which node ids no longer exist in a Figma file. Only the REST API can look nodes up
+   * by id, so this needs an access token whichever integration type is active.
+   * @param {string} fileKey - Figma file key
+   * @param {Array<string>} nodeIds - Node ids to look up
+   * @returns {Promise<Array<string>>} The ids the file does not have
+   */
+  async findMissingNodes(fileKey, nodeIds) {
+    const accessToken = this.config?.figma?.accessToken;
+    if (!accessToken) {
+      throw new Error('Figma access token not configured');
+    }
+
+    const missing = [];
+    // Keep the query string short; the nodes endpoint takes a comma-separated id list
+    for (let start = 0; start < nodeIds.length; start += 50) {
+      const batch = nodeIds.slice(start, start + 50);
+      const response = await fetch(`https://api.figma.com/v1/files/${fileKey}/nodes?depth=1&ids=${batch.map(encodeURIComponent).join(',')}`, {
+        headers: {
+          'X-Figma-Token': accessToken
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      missing.push(...batch.filter(id => !data.nodes?.[id]));
+    }
+    return missing;
+  }
+
   /**
    * Get the current MCP integration type
    * @returns {string} 'official', 'third-party', 'api', or null
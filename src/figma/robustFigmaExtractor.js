@@ -5,6 +5,10 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import DesignTokens from '../utils/designTokens.js';
+import FigmaVariants from '../utils/figmaVariants.js';
+import IconRaster from '../utils/iconRaster.js';
+import ImageFill from '../utils/imageFill.js';
 
 class RobustFigmaExtractor {
   constructor(config) {
@@ -38,6 +42,11 @@ class RobustFigmaExtractor {
         throw new Error('Failed to fetch Figma file data');
       }
       
+      // Variable names are only needed to name the tokens nodes are bound to
+      if (this.hasBoundVariables(fileData.document)) {
+        fileData.variables = await this.fetchLocalVariables(fileKey);
+      }
+      
       // Process and structure the data similar to MCP output
       const processedData = this.processFigmaData(fileData, nodeId, depth);
       
@@ -146,6 +155,38 @@ class RobustFigmaExtractor {
     }
   }
 
+  /**
+   * Export the icons among extracted components so they can be compared by shape; each icon
+   * gets its PNG as `raster`
+   * @param {string} fileKey - Figma file key
+   * @param {Array} components - Extracted components
+   * @param {string} localPath - Directory to save the rasters in
+   * @returns {Promise<number>} Number of icons with a raster
+   */
+  async attachIconRasters(fileKey, components, localPath) {
+    return IconRaster.attachFigmaRasters(
+      components,
+      (nodes, directory) => this.downloadFigmaImages(fileKey, nodes, directory, { format: 'png', scale: 2 }),
+      localPath
+    );
+  }
+
+  /**
+   * Export the components with an image fill so the picture can be compared with the web
+   * rendering; each gets `imageFill` with its scale mode and PNG
+   * @param {string} fileKey - Figma file key
+   * @param {Array} components - Extracted components
+   * @param {string} localPath - Directory to save the rasters in
+   * @returns {Promise<number>} Number of image fills with a raster
+   */
+  async attachImageRasters(fileKey, components, localPath) {
+    return ImageFill.attachFigmaRasters(
+      components,
+      (nodes, directory) => this.downloadFigmaImages(fileKey, nodes, directory, { format: 'png', scale: 1 }),
+      localPath
+    );
+  }
+
   /**
    * Fetch complete Figma file data
    * @param {string} fileKey - Figma file key
@@ -173,6 +214,68 @@ class RobustFigmaExtractor {
     }
   }
 
+  /**
+   * Find which node ids no longer exist in a Figma file
+   * @param {string} fileKey - Figma file key
+   * @param {Array<string>} nodeIds - Node ids to look up
+   * @returns {Promise<Array<string>>} The ids the file does not have
+   */
+  async findMissingNodes(fileKey, nodeIds) {
+    const missing = [];
+    // Keep the query string short; the nodes endpoint takes a comma-separated id list
+    for (let start = 0; start < nodeIds.length; start += 50) {
+      const batch = nodeIds.slice(start, start + 50);
+      const response = await fetch(`${this.baseUrl}/files/${fileKey}/nodes?depth=1&ids=${batch.map(encodeURIComponent).join(',')}`, {
+        headers: {
+          'X-Figma-Token': this.apiKey
+        }
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Figma API error ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      missing.push(...batch.filter(id => !data.nodes?.[id]));
+    }
+    return missing;
+  }
+
+  /**
+   * Fetch the file's local variables. The variables endpoint needs an Enterprise plan and the
+   * file_variables:read scope, so failures are not fatal: tokens are then known by id only.
+   * @param {string} fileKey - Figma file key
+   * @returns {Object} Variables by id ({ name, resolvedType, ... })
+   */
+  async fetchLocalVariables(fileKey) {
+    try {
+      const response = await fetch(`${this.baseUrl}/files/${fileKey}/variables/local`, {
+        headers: {
+          'X-Figma-Token': this.apiKey
+        }
+      });
+      
+      if (!response.ok) {
+        console.warn(`⚠️ Figma variables unavailable (${response.status}); bound variables are reported by id`);
+        return {};
+      }
+      
+      const data = await response.json();
+      return data.meta?.variables || {};
+      
+    } catch (error) {
+      console.warn('⚠️ Could not fetch Figma variables:', error.message);
+      return {};
+    }
+  }
+
+  hasBoundVariables(node) {
+    if (!node) return false;
+    if (node.boundVariables && Object.keys(node.boundVariables).length > 0) return true;
+    return (node.children || []).some(child => this.hasBoundVariables(child));
+  }
+
   /**
    * Process raw Figma data into structured format similar to MCP output
    * @param {Object} fileData - Raw Figma file data
@@ -183,19 +286,26 @@ class RobustFigmaExtractor {
   processFigmaData(fileData, nodeId = null, depth = 5) {
     const components = [];
     const styles = [];
+    this.tokenNames = { styles: fileData.styles, variables: fileData.variables };
     
     // Extract components recursively
     if (nodeId) {
       // Find specific node
       const targetNode = this.findNodeById(fileData.document, nodeId);
       if (targetNode) {
-        this.extractComponents(targetNode, components, 0, depth);
+        const page = fileData.document?.children?.find(canvas => this.findNodeById(canvas, nodeId));
+        const ancestors = this.findAncestors(fileData.document, nodeId) || [];
+        const inherited = ancestors.reduce((state, ancestor) => this.inheritVisibility(state, ancestor), { opacity: 1, hidden: false });
+        this.extractComponents(targetNode, components, 0, depth, page?.name || null, inherited);
       }
     } else {
       // Extract all components
       this.extractComponents(fileData.document, components, 0, depth);
     }
     
+    // Variant properties pair state variants (State=Hover) with captured web states
+    FigmaVariants.tag(fileData.document, components);
+    
     // Extract styles and design tokens
     this.extractStyles(fileData, styles);
     
@@ -244,24 +354,46 @@ class RobustFigmaExtractor {
    * @param {Array} components - Components array to populate
    * @param {number} currentDepth - Current traversal depth
    * @param {number} maxDepth - Maximum traversal depth
+   * @param {string|null} page - Name of the page (canvas) the node is on
+   * @param {Object} inherited - { opacity, hidden } accumulated from the node's ancestors
    */
-  extractComponents(node, components, currentDepth = 0, maxDepth = 5) {
+  extractComponents(node, components, currentDepth = 0, maxDepth = 5, page = null, inherited = { opacity: 1, hidden: false }) {
     if (currentDepth > maxDepth) return;
+    const nodePage = node.type === 'CANVAS' ? node.name : page;
+    const state = this.inheritVisibility(inherited, node);
     
     // Extract component data based on node type
     if (this.isExtractableNode(node)) {
       const component = this.transformNodeToComponent(node);
+      component.page = nodePage;
+      component.tokens = DesignTokens.readFigmaBindings(node, this.tokenNames);
+      // Fully opaque layers have no opacity to compare
+      if (state.opacity < 1) component.effectiveOpacity = Math.round(state.opacity * 1000) / 1000;
+      if (state.hidden) component.hidden = true;
       components.push(component);
     }
     
     // Recursively process children
     if (node.children && currentDepth < maxDepth) {
       node.children.forEach(child => {
-        this.extractComponents(child, components, currentDepth + 1, maxDepth);
+        this.extractComponents(child, components, currentDepth + 1, maxDepth, nodePage, state);
       });
     }
   }
 
+  /**
+   * Opacity multiplies down the layer tree and a hidden layer hides everything inside it
+   * @param {Object} inherited - { opacity, hidden } of the parent
+   * @param {Object} node - Figma node
+   * @returns {Object} { opacity, hidden } of the node
+   */
+  inheritVisibility(inherited, node) {
+    return {
+      opacity: inherited.opacity * (node.opacity ?? 1),
+      hidden: inherited.hidden || node.visible === false
+    };
+  }
+
   /**
    * Check if node should be extracted as a component
    * @param {Object} node - Figma node
@@ -309,6 +441,8 @@ class RobustFigmaExtractor {
       size: node.size,
       relativeTransform: node.relativeTransform,
       constraints: node.constraints,
+      layoutSizingHorizontal: node.layoutSizingHorizontal,
+      layoutSizingVertical: node.layoutSizingVertical,
       
       // Style properties
       fills: node.fills || [],
@@ -522,6 +656,23 @@ class RobustFigmaExtractor {
     return null;
   }
 
+  /**
+   * Ancestors of a node, outermost first
+   * @param {Object} node - Root node to search from
+   * @param {string} targetId - Target node ID
+   * @returns {Array|null} Ancestor nodes, or null when the node is not found
+   */
+  findAncestors(node, targetId) {
+    if (node.id === targetId) return [];
+
+    for (const child of node.children || []) {
+      const ancestors = this.findAncestors(child, targetId);
+      if (ancestors) return [node, ...ancestors];
+    }
+
+    return null;
+  }
+
   /**
    * Download a batch of images
    * @param {string} fileKey - Figma file key
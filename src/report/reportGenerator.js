@@ -138,6 +138,8 @@ class ReportGenerator {
         .status-mismatch { background: #f8d7da; color: #721c24; padding: 6px 12px; border-radius: 20px; font-weight: bold; font-size: 12px; }
         .status-missing { background: #fff3cd; color: #856404; padding: 6px 12px; border-radius: 20px; font-weight: bold; font-size: 12px; }
         .status-unfetched { background: #e2f3ff; color: #0066cc; padding: 6px 12px; border-radius: 20px; font-weight: bold; font-size: 12px; }
+        .status-waived { background: #f1f8e9; color: #558b2f; padding: 6px 12px; border-radius: 20px; font-weight: bold; font-size: 12px; }
+        .status-ignored { background: #eeeeee; color: #666666; padding: 6px 12px; border-radius: 20px; font-weight: bold; font-size: 12px; }
         
         /* Property categories */
         .prop-color { background: #e3f2fd; border-left: 4px solid #2196f3; }
@@ -159,6 +161,12 @@ class ReportGenerator {
         
         /* Summary cards */
         .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; margin: 20px 0; }
+        .match-explanation { margin: 10px 0; }
+        .match-explanation summary { cursor: pointer; padding: 8px 0; }
+        .pin-note { margin: 5px 0; font-size: 14px; }
+        .pin-form { display: flex; gap: 8px; margin: 10px 0; }
+        .pin-form input { flex: 1; padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; }
+        .pin-button { padding: 4px 10px; border: 1px solid #007bff; background: white; color: #007bff; border-radius: 6px; cursor: pointer; font-size: 12px; }
         .summary-card { background: white; padding: 20px; border-radius: 8px; border-left: 4px solid #007bff; }
         .summary-card h3 { margin: 0 0 10px 0; color: #007bff; }
         .summary-card .number { font-size: 2em; font-weight: bold; margin: 10px 0; display: block; }
@@ -227,6 +235,12 @@ class ReportGenerator {
           ${!showCategorized ? this.generateDetailedComparisonTable(comparisonData.comparisons || []) : ''}
           ${this.generateColorAnalysis(comparisonData.comparisons || [])}
           ${this.generateTypographyAnalysis(comparisonData.comparisons || [])}
+          ${this.generateLayoutDriftSection(comparisonData.layoutDrift || [])}
+          ${this.generateInstrumentationSection(comparisonData.instrumentation)}
+          ${this.generateMatchExplanationSection(comparisonData.comparisons || [], {
+            fileKey: comparisonData.metadata?.figma?.fileId,
+            url: comparisonData.metadata?.web?.url
+          })}
         </div>
     </div>
     
@@ -279,6 +293,36 @@ class ReportGenerator {
             }
         }
         
+        // Pin a Figma component to a web element for the next run of this Figma file + URL
+        async function pinMatch(button) {
+            const value = (button.dataset.target || button.previousElementSibling.value || '').trim();
+            if (!value) return;
+
+            const target = value.startsWith('/') || value.startsWith('(') ? { xpath: value }
+                : value.startsWith('data-testid=') ? { testId: value.slice('data-testid='.length).replace(/^["']|["']$/g, '') }
+                : { selector: value };
+            await saveMapping('POST', { componentId: button.dataset.componentId, ...target }, button, 'Pinned');
+        }
+
+        async function unpinMatch(button) {
+            await saveMapping('DELETE', { componentId: button.dataset.componentId }, button, 'Unpinned');
+        }
+
+        async function saveMapping(method, mapping, button, done) {
+            const section = document.getElementById('match-explanations');
+            try {
+                const response = await fetch('/api/mappings', {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ fileKey: section.dataset.fileKey, url: section.dataset.url, ...mapping })
+                });
+                const result = await response.json();
+                button.textContent = result.success ? done + ' - applies to the next run' : result.error;
+            } catch (error) {
+                button.textContent = 'Failed: ' + error.message;
+            }
+        }
+
         // Accordion functionality
         function toggleAccordion(element) {
             const content = element.nextElementSibling;
@@ -319,6 +363,8 @@ class ReportGenerator {
     const colorIssues = this.countIssuesByType(comparisonData.comparisons, 'color');
     const typographyIssues = this.countIssuesByType(comparisonData.comparisons, 'typography');
     const spacingIssues = this.countIssuesByType(comparisonData.comparisons, 'spacing');
+    const unmatchedElements = comparisonData.unmatchedElements?.length || 0;
+    const waived = comparisonData.summary?.waived || 0;
 
     return `
     <div class="section">
@@ -354,6 +400,16 @@ class ReportGenerator {
           <span class="number">${colorIssues}</span>
           <span class="label">Color mismatches</span>
         </div>
+        <div class="summary-card">
+          <h3>Unmatched Elements</h3>
+          <span class="number">${unmatchedElements}</span>
+          <span class="label">Web elements not in design</span>
+        </div>
+        <div class="summary-card">
+          <h3>Waived</h3>
+          <span class="number">${waived}</span>
+          <span class="label">Accepted deviations</span>
+        </div>
       </div>
     </div>`;
   }
@@ -387,12 +443,42 @@ class ReportGenerator {
             this.formatValue(dev.property, dev.figmaValue),
             this.formatValue(dev.property, dev.webValue),
             'MISMATCH',
-            dev.message || `${dev.property} values don't match`,
+            this.withRule(dev.message || `${dev.property} values don't match`, dev.rule),
             dev.severity || 'medium'
           ));
         });
       }
+
+      // Add deviations silenced by a rule - kept visible, but not counted
+      if (comp.ignored && comp.ignored.length > 0) {
+        comp.ignored.forEach(dev => {
+          tableRows.push(this.createTableRow(
+            componentName,
+            dev.property,
+            this.formatValue(dev.property, dev.figmaValue),
+            this.formatValue(dev.property, dev.webValue),
+            'IGNORED',
+            this.withRule(dev.message || `${dev.property} values don't match`, dev.rule),
+            'low'
+          ));
+        });
+      }
       
+      // Add accepted deviations - kept visible, but not counted
+      if (comp.waived && comp.waived.length > 0) {
+        comp.waived.forEach(dev => {
+          tableRows.push(this.createTableRow(
+            componentName,
+            dev.property,
+            this.formatValue(dev.property, dev.figmaValue),
+            this.formatValue(dev.property, dev.webValue),
+            'WAIVED',
+            `${dev.message || `${dev.property} values don't match`} <span class="reason-text">(accepted: ${dev.waiver.reason}; expires ${dev.waiver.expiresAt.slice(0, 10)})</span>`,
+            'low'
+          ));
+        });
+      }
+
       // Add matches
       if (comp.matches && comp.matches.length > 0) {
         comp.matches.forEach(match => {
@@ -460,10 +546,16 @@ class ReportGenerator {
     </div>`;
   }
 
+  withRule(message, rule) {
+    return rule ? `${message} <span class="reason-text">(rule: ${rule})</span>` : message;
+  }
+
   createTableRow(component, property, figmaValue, webValue, status, reason, severity = 'medium') {
     const statusClass = status === 'MATCH' ? 'status-match' : 
                        status === 'MISSING' ? 'status-missing' : 
-                       status === 'UNFETCHED' ? 'status-unfetched' : 'status-mismatch';
+                       status === 'UNFETCHED' ? 'status-unfetched' :
+                       status === 'IGNORED' ? 'status-ignored' :
+                       status === 'WAIVED' ? 'status-waived' : 'status-mismatch';
     
     const propertyType = this.getPropertyType(property);
     const rowClass = severity === 'high' ? 'severity-high' : '';
@@ -493,6 +585,11 @@ class ReportGenerator {
       const color = this.normalizeColor(value);
       return `<div><span class="color-swatch" style="background-color: ${color};"></span><span class="color-value">${color}</span></div>`;
     }
+
+    // Handle gradient fill layers - the swatch renders the gradient itself
+    if (this.isFillLayerProperty(property) && /gradient\(/.test(value)) {
+      return `<div><span class="color-swatch" style="background: ${value};"></span><code>${value}</code></div>`;
+    }
     
     // Handle typography values
     if (this.isTypographyProperty(property)) {
@@ -581,6 +678,135 @@ class ReportGenerator {
     </div>`;
   }
 
+  generateLayoutDriftSection(layoutDrift) {
+    if (layoutDrift.length === 0) {
+      return '';
+    }
+
+    return `
+    <div class="section">
+      <h2>Layout Drift</h2>
+      <table class="comparison-table">
+        <thead>
+          <tr><th>Frame</th><th>Web Element</th><th>Components</th><th>Overall Shift</th><th>Average Offset</th><th>Largest Offset</th><th>Misplaced</th></tr>
+        </thead>
+        <tbody>
+          ${layoutDrift.map(frame => `
+            <tr>
+              <td>${frame.frameName}</td>
+              <td>${frame.selector || 'not matched'}</td>
+              <td>${frame.componentsCompared}</td>
+              <td>${frame.shift.x}px, ${frame.shift.y}px</td>
+              <td>${frame.averageOffset}px</td>
+              <td>${frame.maxOffset.value}px (${frame.maxOffset.componentName})</td>
+              <td>${frame.misplaced}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>`;
+  }
+
+  /**
+   * Share of design nodes whose component carries the Figma node attribute, and the instrumented
+   * elements pointing at nodes that no longer exist in the Figma file
+   */
+  generateInstrumentationSection(instrumentation) {
+    if (!instrumentation?.instrumentedElements) {
+      return '';
+    }
+
+    return `
+    <div class="section" id="instrumentation">
+      <h2>Design Instrumentation</h2>
+      <p>${instrumentation.coverage}% of design nodes are instrumented (${instrumentation.instrumentedNodes} of ${instrumentation.designNodes} carry <code>${instrumentation.attribute}</code>)</p>
+      ${instrumentation.outsideScope.length > 0 ? `<p>${instrumentation.outsideScope.length} instrumented nodes are outside the compared part of the Figma file.</p>` : ''}
+      ${instrumentation.staleNodes.length > 0 ? `
+      <h3>Stale Instrumented Nodes</h3>
+      <table class="comparison-table">
+        <thead>
+          <tr><th>Figma Node</th><th>Web Element</th></tr>
+        </thead>
+        <tbody>
+          ${instrumentation.staleNodes.map(node => `
+            <tr>
+              <td><code>${node.nodeId}</code></td>
+              <td>${node.selector} (${node.tagName})</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>` : '<p>Every instrumented node still exists in the Figma file.</p>'}
+    </div>`;
+  }
+
+  /**
+   * "Why this match?" panel per component: the score factors of the chosen element and the
+   * runner-up candidates with the reason each lost. When the report knows its Figma file and
+   * URL, matches can be pinned or unpinned from here through /api/mappings for the next run.
+   */
+  generateMatchExplanationSection(comparisons, pair = {}) {
+    const explained = comparisons.filter(comp => comp.matchExplanation);
+    if (explained.length === 0) {
+      return '';
+    }
+
+    const editable = Boolean(pair.fileKey && pair.url);
+    // Layer names, selectors and pin targets come from the design, the page or the user
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    const percent = value => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+    const factorCells = factors => ['name', 'type', 'dimensions', 'color']
+      .map(factor => `<td>${factors?.[factor] ? `${percent(factors[factor].similarity)} × ${factors[factor].weight}` : 'n/a'}</td>`)
+      .join('') + `<td>${factors ? `${factors.hierarchy.adjustment >= 0 ? '+' : ''}${percent(factors.hierarchy.adjustment)}` : '-'}</td>`;
+    const pinButton = (comp, target) => (editable && target
+      ? `<button class="pin-button" onclick="pinMatch(this)" data-component-id="${escape(comp.componentId)}" data-target="${escape(target)}">Pin</button>`
+      : '');
+    const pinnedNote = pinned => {
+      if (!pinned) return '';
+      if (pinned.attribute) return `<p class="pin-note">📌 Instrumented with <code>${escape(pinned.target)}</code></p>`;
+      const unpin = editable && pinned.componentId
+        ? ` <button class="pin-button" onclick="unpinMatch(this)" data-component-id="${escape(pinned.componentId)}">Unpin</button>`
+        : '';
+      return `<p class="pin-note">📌 Pinned to <code>${escape(pinned.target)}</code>${pinned.resolved ? '' : ' (not found on the page; matched automatically)'}${unpin}</p>`;
+    };
+
+    return `
+    <div class="section" id="match-explanations" data-file-key="${escape(pair.fileKey || '')}" data-url="${escape(pair.url || '')}">
+      <h2>Why This Match?</h2>
+      ${explained.map(comp => {
+        const explanation = comp.matchExplanation;
+        return `
+        <details class="match-explanation">
+          <summary><strong>${escape(comp.componentName)}</strong> → ${comp.selector ? escape(comp.selector) : 'not matched'} (${percent(explanation.score)})${explanation.pinned ? ' 📌' : ''}</summary>
+          ${pinnedNote(explanation.pinned)}
+          <table class="comparison-table">
+            <thead>
+              <tr><th>Candidate</th><th>Score</th><th>Name</th><th>Type</th><th>Dimensions</th><th>Color</th><th>Hierarchy</th><th>Outcome</th>${editable ? '<th></th>' : ''}</tr>
+            </thead>
+            <tbody>
+              ${comp.selector ? `<tr><td>${escape(comp.selector)}</td><td>${percent(explanation.score)}</td>${factorCells(explanation.factors)}<td>Matched</td>${editable ? `<td>${explanation.pinned ? '' : pinButton(comp, comp.selector)}</td>` : ''}</tr>` : ''}
+              ${explanation.candidates.map(candidate => `
+                <tr>
+                  <td>${escape(candidate.selector)}</td>
+                  <td>${percent(candidate.score)}</td>
+                  ${factorCells(candidate.factors)}
+                  <td>${escape(candidate.reason)}</td>
+                  ${editable ? `<td>${pinButton(comp, candidate.selector)}</td>` : ''}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          ${editable ? `
+          <div class="pin-form">
+            <input type="text" placeholder="CSS selector, XPath (//...) or data-testid=..." aria-label="Pin ${escape(comp.componentName)} to">
+            <button class="pin-button" onclick="pinMatch(this)" data-component-id="${escape(comp.componentId)}">Pin</button>
+          </div>` : ''}
+        </details>`;
+      }).join('')}
+    </div>`;
+  }
+
   generateTypographyAnalysis(comparisons) {
     const typographyIssues = [];
     const typographyMatches = [];
@@ -646,20 +872,27 @@ class ReportGenerator {
   }
 
   isColorProperty(property) {
-    return ['backgroundColor', 'color', 'borderColor', 'fill', 'stroke'].includes(property);
+    return ['backgroundColor', 'color', 'borderColor', 'fill', 'stroke', 'fill.solid'].includes(property) ||
+      /\.color$/.test(property) || /^border(Top|Right|Bottom|Left)Color$/.test(property);
+  }
+
+  isFillLayerProperty(property) {
+    return property === 'fills' || /^fill\[\d+\]$/.test(property);
   }
 
   isTypographyProperty(property) {
-    return ['fontSize', 'fontFamily', 'fontWeight', 'lineHeight', 'letterSpacing', 'textAlign'].includes(property);
+    return ['fontSize', 'fontFamily', 'fontWeight', 'lineHeight', 'letterSpacing', 'textAlign',
+            'textTransform', 'textDecoration', 'fontVariantCaps'].includes(property);
   }
 
   isSpacingProperty(property) {
     return ['padding', 'margin', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 
-            'marginTop', 'marginRight', 'marginBottom', 'marginLeft'].includes(property);
+            'marginTop', 'marginRight', 'marginBottom', 'marginLeft', 'gap', 'rowGap', 'columnGap'].includes(property);
   }
 
   isBorderProperty(property) {
-    return ['border', 'borderWidth', 'borderStyle', 'borderRadius'].includes(property);
+    return ['border', 'borderWidth', 'borderStyle', 'borderRadius', 'strokeAlign'].includes(property) ||
+      /^border(Top|Right|Bottom|Left)(Left|Right)?(Width|Radius)$/.test(property);
   }
 
   normalizeColor(color) {
@@ -3,6 +3,42 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { ErrorCategorizer } from '../utils/errorCategorizer.js';
 import { BrowserManager } from '../utils/browserManager.js';
+import { DomPath } from '../utils/domPath.js';
+import MappingStore from '../compare/mappingStore.js';
+import { DEFAULT_FIGMA_NODE_ATTRIBUTE } from '../compare/nodeInstrumentation.js';
+
+// Pseudo-classes forced through the DevTools protocol; focus also forces :focus-visible
+const PSEUDO_STATES = {
+  hover: ['hover'],
+  focus: ['focus', 'focus-visible'],
+  active: ['active']
+};
+
+// States set through the DOM: the element's own property when it has one, else the ARIA attribute.
+// `elements` limits a state to the elements that can have it
+const ATTRIBUTE_STATES = {
+  disabled: { property: 'disabled', attribute: 'aria-disabled' },
+  checked: {
+    property: 'checked',
+    attribute: 'aria-checked',
+    elements: 'input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="radio"], [role="switch"]'
+  },
+  selected: { property: null, attribute: 'aria-selected' }
+};
+
+// Capture passes after component extraction, each enabled by the config key of the same name
+const CAPTURE_PASSES = ['captureStates', 'captureFonts', 'captureIcons', 'captureImages', 'captureResizing'];
+
+// Computed styles read in each state - the properties states usually change
+const STATE_STYLE_PROPERTIES = [
+  'color', 'backgroundColor', 'backgroundImage',
+  'borderTopColor', 'borderRightColor', 'borderBottomColor', 'borderLeftColor',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle',
+  'borderColor', 'borderWidth', 'borderStyle',
+  'outlineWidth', 'outlineStyle', 'outlineColor', 'outlineOffset',
+  'boxShadow', 'opacity', 'textDecorationLine', 'fontWeight', 'transform', 'cursor'
+];
 
 /**
  * Enhanced Web Extractor
@@ -16,6 +52,23 @@ export class EnhancedWebExtractor {
       viewport: { width: 1200, height: 800 },
       maxComponents: 2000,
       includeInvisible: false,
+      // Extra capture passes are opt-in: each one interacts with or resizes the page. They also
+      // run for a single extraction when the compared design needs them (extractWebData captures)
+      captureStates: false,
+      maxStateElements: 30,
+      captureIcons: false,
+      maxIconElements: 50,
+      captureImages: false,
+      maxImageElements: 30,
+      rasterDir: './output/rasters',
+      captureFonts: false,
+      maxFontElements: 200,
+      // Viewport widths each element is measured at to infer how it resizes
+      captureResizing: false,
+      resizeWidths: [375, 768, 1280],
+      maxResizeElements: 150,
+      // Attribute naming the Figma node a component implements, e.g. data-figma-node="123:456"
+      figmaNodeAttribute: DEFAULT_FIGMA_NODE_ATTRIBUTE,
       componentFilters: {
         minWidth: 10,
         minHeight: 10,
@@ -110,9 +163,13 @@ export class EnhancedWebExtractor {
    * Extract comprehensive web component data
    * @param {string} url - Target URL
    * @param {Object} authentication - Authentication config
+   * @param {Object} options - { mappings, captures, scope }: pinned mappings whose targets are
+   *   looked up in the page, capture passes to run on top of the configured ones
+   *   (ComparisonEngine.requiredCaptures), and a CSS selector limiting extraction to one element
+   *   and its descendants
    * @returns {Object} Enhanced component data
    */
-  async extractWebData(url, authentication = null) {
+  async extractWebData(url, authentication = null, options = {}) {
     try {
       console.log(`🌐 Enhanced extraction from: ${url}`);
       
@@ -196,8 +253,70 @@ export class EnhancedWebExtractor {
       }
 
       // Extract comprehensive component data
-      const components = await this.extractComponents();
+      let components = await this.extractComponents();
+      if (options.scope) {
+        components = await this.filterToScope(components, options.scope);
+      }
+      const captures = Object.fromEntries(CAPTURE_PASSES.map(pass => [pass, Boolean(this.config[pass] || options.captures?.[pass])]));
+
+      // Capture hover/focus/active/disabled styles of interactive elements
+      if (captures.captureStates) {
+        try {
+          const captured = await this.captureInteractiveStates(components);
+          console.log(`🎛️ Captured interactive states for ${captured} elements`);
+        } catch (stateError) {
+          console.warn('⚠️ Interactive state capture failed:', stateError.message);
+        }
+      }
+
+      // Record the font text is actually drawn with, which differs from font-family on fallback
+      if (captures.captureFonts) {
+        try {
+          const captured = await this.captureRenderedFonts(components);
+          console.log(`🔤 Captured rendered fonts for ${captured} text elements`);
+        } catch (fontError) {
+          console.warn('⚠️ Rendered font capture failed:', fontError.message);
+        }
+      }
+
+      // Screenshot icons and images so they can be compared with the Figma export
+      if (captures.captureIcons || captures.captureImages) {
+        try {
+          const captured = await this.captureElementRasters(components, captures);
+          console.log(`🔣 Captured ${captured} icons and images`);
+        } catch (rasterError) {
+          console.warn('⚠️ Icon and image capture failed:', rasterError.message);
+        }
+      }
       
+      // Elements targeted by pinned Figma mappings, found while the page is still open
+      let mappingTargets = {};
+      if (options.mappings?.length > 0) {
+        try {
+          mappingTargets = await this.resolveMappingTargets(options.mappings);
+        } catch (mappingError) {
+          console.warn('⚠️ Mapping target lookup failed:', mappingError.message);
+        }
+      }
+
+      // Measure elements at several viewport widths; runs last as it resizes the page
+      if (captures.captureResizing) {
+        try {
+          const captured = await this.captureResizing(components);
+          console.log(`↔️ Captured resizing behavior of ${captured} elements`);
+        } catch (resizeError) {
+          console.warn('⚠️ Resizing capture failed:', resizeError.message);
+        }
+      }
+
+      // Every instrumented element, including those not extracted, for the coverage report
+      let figmaNodes = [];
+      try {
+        figmaNodes = await this.extractFigmaNodes();
+      } catch (instrumentationError) {
+        console.warn('⚠️ Figma node attribute lookup failed:', instrumentationError.message);
+      }
+
       // Analyze component hierarchy and relationships
       const hierarchyData = await this.analyzeComponentHierarchy();
       
@@ -221,7 +340,10 @@ export class EnhancedWebExtractor {
         // Additional enhanced data
         components,
         semanticComponents,
-        hierarchyData
+        hierarchyData,
+        mappingTargets,
+        figmaNodeAttribute: this.config.figmaNodeAttribute,
+        figmaNodes
       };
 
       console.log(`✅ Enhanced extraction complete: ${components.length} components, ${semanticComponents.length} semantic elements`);
@@ -272,6 +394,7 @@ export class EnhancedWebExtractor {
    * Extract all meaningful components from the page
    */
   async extractComponents() {
+    await DomPath.install(this.page);
     return await this.page.evaluate((config) => {
       const components = [];
       const processedElements = new Set();
@@ -362,10 +485,14 @@ export class EnhancedWebExtractor {
             letterSpacing: computed.letterSpacing,
             textAlign: computed.textAlign,
             textDecoration: computed.textDecoration,
+            textDecorationLine: computed.textDecorationLine,
             textTransform: computed.textTransform,
+            fontVariantCaps: computed.fontVariantCaps,
             color: computed.color,
             whiteSpace: computed.whiteSpace,
-            wordSpacing: computed.wordSpacing
+            wordSpacing: computed.wordSpacing,
+            textOverflow: computed.textOverflow,
+            lineClamp: computed.webkitLineClamp || computed.lineClamp
           },
 
           // Layout & Positioning
@@ -428,6 +555,18 @@ export class EnhancedWebExtractor {
             borderWidth: computed.borderWidth,
             borderStyle: computed.borderStyle,
             borderColor: computed.borderColor,
+            borderTopWidth: computed.borderTopWidth,
+            borderRightWidth: computed.borderRightWidth,
+            borderBottomWidth: computed.borderBottomWidth,
+            borderLeftWidth: computed.borderLeftWidth,
+            borderTopStyle: computed.borderTopStyle,
+            borderRightStyle: computed.borderRightStyle,
+            borderBottomStyle: computed.borderBottomStyle,
+            borderLeftStyle: computed.borderLeftStyle,
+            borderTopColor: computed.borderTopColor,
+            borderRightColor: computed.borderRightColor,
+            borderBottomColor: computed.borderBottomColor,
+            borderLeftColor: computed.borderLeftColor,
             borderRadius: computed.borderRadius,
             borderTopLeftRadius: computed.borderTopLeftRadius,
             borderTopRightRadius: computed.borderTopRightRadius,
@@ -436,15 +575,18 @@ export class EnhancedWebExtractor {
             outline: computed.outline,
             outlineWidth: computed.outlineWidth,
             outlineStyle: computed.outlineStyle,
-            outlineColor: computed.outlineColor
+            outlineColor: computed.outlineColor,
+            outlineOffset: computed.outlineOffset
           },
 
           // Effects & Transforms
           effects: {
             opacity: computed.opacity,
+            mixBlendMode: computed.mixBlendMode,
             boxShadow: computed.boxShadow,
             textShadow: computed.textShadow,
             filter: computed.filter,
+            backdropFilter: computed.backdropFilter,
             transform: computed.transform,
             transformOrigin: computed.transformOrigin,
             transition: computed.transition,
@@ -495,6 +637,281 @@ export class EnhancedWebExtractor {
         };
       }
 
+      function getParentBackgroundColors(element) {
+        // Nearest first, stopping at the first opaque layer
+        const colors = [];
+        let current = element.parentElement;
+        while (current) {
+          const backgroundColor = window.getComputedStyle(current).backgroundColor;
+          if (backgroundColor && backgroundColor !== 'transparent' && backgroundColor !== 'rgba(0, 0, 0, 0)') {
+            colors.push(backgroundColor);
+            if (!backgroundColor.startsWith('rgba(') && !backgroundColor.includes('/')) break;
+          }
+          current = current.parentElement;
+        }
+        return colors;
+      }
+
+      // Longhands whose authored value (rem, %, calc(), ...) is kept next to the computed px
+      const AUTHORED_PROPERTIES = [
+        'fontSize', 'width', 'height',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'marginTop', 'marginRight', 'marginBottom', 'marginLeft'
+      ];
+      // Properties whose design token is traced, and the declarations (longhand first) that can set them
+      const TOKEN_SOURCES = {
+        color: ['color'],
+        backgroundColor: ['backgroundColor', 'background'],
+        borderColor: ['borderTopColor', 'borderColor', 'border'],
+        boxShadow: ['boxShadow'],
+        opacity: ['opacity'],
+        gap: ['columnGap', 'gap'],
+        paddingTop: ['paddingTop', 'padding'],
+        paddingRight: ['paddingRight', 'padding'],
+        paddingBottom: ['paddingBottom', 'padding'],
+        paddingLeft: ['paddingLeft', 'padding'],
+        borderRadius: ['borderTopLeftRadius', 'borderRadius'],
+        width: ['width'],
+        height: ['height'],
+        fontFamily: ['fontFamily', 'font'],
+        fontSize: ['fontSize', 'font'],
+        fontWeight: ['fontWeight', 'font'],
+        lineHeight: ['lineHeight', 'font'],
+        letterSpacing: ['letterSpacing']
+      };
+      const INHERITED_TOKEN_PROPERTIES = ['color', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+      const TRACKED_PROPERTIES = [...new Set([...AUTHORED_PROPERTIES, ...Object.values(TOKEN_SOURCES).flat()])];
+      const authoredRules = collectAuthoredRules();
+      const matchedRulesCache = new WeakMap();
+
+      function collectAuthoredRules() {
+        // Style rules that set a tracked or custom property, in cascade order; cross-origin sheets can't be read
+        const rules = [];
+        const visit = ruleList => {
+          Array.from(ruleList || []).forEach(rule => {
+            if (rule.selectorText && rule.style &&
+                (TRACKED_PROPERTIES.some(property => rule.style[property]) || Array.from(rule.style).some(name => name.startsWith('--')))) {
+              rules.push(rule);
+            } else if (rule.cssRules && (!rule.media || window.matchMedia(rule.media.mediaText).matches)) {
+              visit(rule.cssRules);
+            }
+          });
+        };
+        Array.from(document.styleSheets).forEach(sheet => {
+          try {
+            visit(sheet.cssRules);
+          } catch (error) {
+            // Cross-origin stylesheet
+          }
+        });
+        return rules;
+      }
+
+      function getSpecificity(selector) {
+        const withoutNot = selector.replace(/:not\(([^)]*)\)/g, ' $1');
+        const ids = (withoutNot.match(/#[\w-]+/g) || []).length;
+        const classes = (withoutNot.match(/\.[\w-]+|\[[^\]]+\]|(?<!:):(?!:)[\w-]+/g) || []).length;
+        const types = (withoutNot.replace(/\[[^\]]+\]/g, '').match(/(^|[\s>+~(])[a-z][\w-]*|::[\w-]+/gi) || []).length;
+        return ids * 10000 + classes * 100 + types;
+      }
+
+      function getMatchedRules(element) {
+        // Authored rules that apply to the element, with their specificity and source order
+        if (!matchedRulesCache.has(element)) {
+          const matched = [];
+          authoredRules.forEach((rule, order) => {
+            let specificity = -1;
+            try {
+              rule.selectorText.split(',').forEach(selector => {
+                if (element.matches(selector.trim())) specificity = Math.max(specificity, getSpecificity(selector.trim()));
+              });
+            } catch (error) {
+              return;
+            }
+            if (specificity >= 0) matched.push({ rule, specificity, order });
+          });
+          matchedRulesCache.set(element, matched);
+        }
+        return matchedRulesCache.get(element);
+      }
+
+      function getWinningDeclarations(element, properties) {
+        // Winning declaration per property: !important first, then specificity, then source order
+        const authored = {};
+        const ranks = {};
+        const cssName = property => (property.startsWith('--') ? property : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`));
+        getMatchedRules(element).forEach(({ rule, specificity, order }) => {
+          properties.forEach(property => {
+            const value = rule.style.getPropertyValue(cssName(property)).trim();
+            if (!value) return;
+            const rank = [rule.style.getPropertyPriority(cssName(property)) === 'important' ? 1 : 0, specificity, order];
+            const current = ranks[property];
+            if (!current || rank[0] > current[0] || (rank[0] === current[0] && (rank[1] > current[1] || (rank[1] === current[1] && rank[2] > current[2])))) {
+              authored[property] = value;
+              ranks[property] = rank;
+            }
+          });
+        });
+
+        // Inline styles beat everything but !important rules
+        properties.forEach(property => {
+          const value = element.style.getPropertyValue(cssName(property)).trim();
+          if (value && !(ranks[property] && ranks[property][0] === 1)) authored[property] = value;
+        });
+        return authored;
+      }
+
+      function getAuthoredStyles(element) {
+        return getWinningDeclarations(element, AUTHORED_PROPERTIES);
+      }
+
+      function getCustomPropertyValue(element, name) {
+        // Custom properties inherit, so the declaration may sit on any ancestor
+        for (let current = element; current; current = current.parentElement) {
+          const value = getWinningDeclarations(current, [name])[name];
+          if (value) return value;
+        }
+        return null;
+      }
+
+      function getTokenReferences(element) {
+        // Custom properties each traced value was authored with, following aliases such as
+        // --button-bg: var(--color-primary) → ['--button-bg', '--color-primary']
+        const tokens = {};
+        Object.entries(TOKEN_SOURCES).forEach(([property, sources]) => {
+          let owner = element;
+          let value = null;
+          while (owner) {
+            const declared = getWinningDeclarations(owner, sources);
+            value = sources.map(source => declared[source]).find(declaration => declaration && declaration !== 'inherit');
+            if (value || !INHERITED_TOKEN_PROPERTIES.includes(property)) break;
+            owner = owner.parentElement;
+          }
+
+          const chain = [];
+          while (value) {
+            const reference = value.match(/var\(\s*(--[\w-]+)/);
+            if (!reference || chain.includes(reference[1])) break;
+            chain.push(reference[1]);
+            value = getCustomPropertyValue(owner, reference[1]);
+          }
+          if (chain.length > 0) tokens[property] = chain;
+        });
+        return tokens;
+      }
+
+      function getLengthContext(element) {
+        // What relative lengths resolve against, plus the rendered scale from transforms on the element and its ancestors
+        const parent = element.parentElement;
+        const parentStyle = parent ? window.getComputedStyle(parent) : null;
+        const containingBlock = parent ? {
+          width: parent.clientWidth - parseFloat(parentStyle.paddingLeft) - parseFloat(parentStyle.paddingRight),
+          height: parent.clientHeight - parseFloat(parentStyle.paddingTop) - parseFloat(parentStyle.paddingBottom)
+        } : { width: window.innerWidth, height: window.innerHeight };
+        const rect = element.getBoundingClientRect();
+
+        return {
+          fontSize: parseFloat(window.getComputedStyle(element).fontSize),
+          parentFontSize: parentStyle ? parseFloat(parentStyle.fontSize) : null,
+          rootFontSize: parseFloat(window.getComputedStyle(document.documentElement).fontSize),
+          containingBlock,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          scale: {
+            x: element.offsetWidth ? Math.round(rect.width / element.offsetWidth * 1000) / 1000 : 1,
+            y: element.offsetHeight ? Math.round(rect.height / element.offsetHeight * 1000) / 1000 : 1
+          }
+        };
+      }
+
+      function getEffectiveOpacity(element) {
+        // Opacity composites per element, so what is rendered is the product down the ancestor chain
+        let opacity = 1;
+        for (let current = element; current; current = current.parentElement) {
+          opacity *= parseFloat(window.getComputedStyle(current).opacity);
+        }
+        return Math.round(opacity * 1000) / 1000;
+      }
+
+      function isInteractive(element) {
+        // Elements whose hover/focus/active/disabled states are worth capturing
+        const tagName = element.tagName.toLowerCase();
+        const role = element.getAttribute('role');
+        return ['button', 'input', 'select', 'textarea', 'summary'].includes(tagName) ||
+          (tagName === 'a' && element.hasAttribute('href')) ||
+          ['button', 'link', 'tab', 'checkbox', 'radio', 'switch', 'menuitem', 'option'].includes(role) ||
+          (element.hasAttribute('tabindex') && element.tabIndex >= 0);
+      }
+
+      function isIcon(element, rect) {
+        // svg elements, small images, and small text-less wrappers of one svg/img or an icon font
+        const tagName = element.tagName.toLowerCase();
+        const small = Math.max(rect.width, rect.height) <= 64;
+        if (tagName === 'svg') return true;
+        if (tagName === 'img') return small;
+        if (!small || (element.textContent || '').trim().length > 2) return false;
+        const only = element.children.length === 1 ? element.children[0].tagName.toLowerCase() : null;
+        const className = typeof element.className === 'string' ? element.className : '';
+        return only === 'svg' || only === 'img' || /(^|\s)(icon|material-icons|material-symbols-\w+|fa[srlb]?|bi)(\s|$)|(^|\s)(icon|fa|bi)-/.test(className);
+      }
+
+      function getImage(element) {
+        // The raster an element draws itself: an <img> or the first url() background layer
+        const computed = window.getComputedStyle(element);
+        if (element.tagName.toLowerCase() === 'img') {
+          return {
+            kind: 'img',
+            src: element.currentSrc || element.src,
+            naturalWidth: element.naturalWidth,
+            naturalHeight: element.naturalHeight,
+            objectFit: computed.objectFit,
+            objectPosition: computed.objectPosition
+          };
+        }
+        const url = /url\(["']?([^"')]+)["']?\)/.exec(computed.backgroundImage);
+        if (!url) return null;
+        return {
+          kind: 'background',
+          src: url[1],
+          backgroundSize: computed.backgroundSize,
+          backgroundRepeat: computed.backgroundRepeat,
+          backgroundPosition: computed.backgroundPosition
+        };
+      }
+
+      function getTextOverflow(element) {
+        // Whether overflow clipping hides part of the element's own text
+        const computed = window.getComputedStyle(element);
+        const clipsX = computed.overflowX !== 'visible' && element.scrollWidth > element.clientWidth + 1;
+        const clipsY = computed.overflowY !== 'visible' && element.scrollHeight > element.clientHeight + 1;
+        return {
+          clipped: Boolean(element.textContent?.trim()) && (clipsX || clipsY),
+          scrollWidth: element.scrollWidth,
+          clientWidth: element.clientWidth,
+          scrollHeight: element.scrollHeight,
+          clientHeight: element.clientHeight
+        };
+      }
+
+      function getChildRects(element) {
+        // In-flow children only - absolutely positioned children don't take part in layout
+        return Array.from(element.children)
+          .filter(child => {
+            const childStyle = window.getComputedStyle(child);
+            return childStyle.display !== 'none' && childStyle.position !== 'absolute' && childStyle.position !== 'fixed';
+          })
+          .slice(0, 50)
+          .map(child => {
+            const childRect = child.getBoundingClientRect();
+            return {
+              x: Math.round(childRect.left * 100) / 100,
+              y: Math.round(childRect.top * 100) / 100,
+              width: Math.round(childRect.width * 100) / 100,
+              height: Math.round(childRect.height * 100) / 100
+            };
+          })
+          .filter(childRect => childRect.width > 0 || childRect.height > 0);
+      }
+
       function getComponentType(element) {
         const tagName = element.tagName.toLowerCase();
         const className = (element.className && typeof element.className === 'string') 
@@ -577,12 +994,18 @@ export class EnhancedWebExtractor {
           letterSpacing: styles.typography.letterSpacing,
           textAlign: styles.typography.textAlign,
           textDecoration: styles.typography.textDecoration,
+          textDecorationLine: styles.typography.textDecorationLine,
           textTransform: styles.typography.textTransform,
+          fontVariantCaps: styles.typography.fontVariantCaps,
           color: styles.typography.color,
+          whiteSpace: styles.typography.whiteSpace,
+          textOverflow: styles.typography.textOverflow,
+          lineClamp: styles.typography.lineClamp,
           
           // Background from nested structure
           backgroundColor: styles.background.backgroundColor,
           backgroundImage: styles.background.backgroundImage,
+          parentBackgroundColors: getParentBackgroundColors(element),
           
           // Spacing from nested structure
           margin: styles.spacing.margin,
@@ -602,6 +1025,30 @@ export class EnhancedWebExtractor {
           borderStyle: styles.border.borderStyle,
           borderColor: styles.border.borderColor,
           borderRadius: styles.border.borderRadius,
+          borderTopLeftRadius: styles.border.borderTopLeftRadius,
+          borderTopRightRadius: styles.border.borderTopRightRadius,
+          borderBottomRightRadius: styles.border.borderBottomRightRadius,
+          borderBottomLeftRadius: styles.border.borderBottomLeftRadius,
+          ...['Top', 'Right', 'Bottom', 'Left'].reduce((sides, side) => {
+            sides[`border${side}Width`] = styles.border[`border${side}Width`];
+            sides[`border${side}Style`] = styles.border[`border${side}Style`];
+            sides[`border${side}Color`] = styles.border[`border${side}Color`];
+            return sides;
+          }, {}),
+          outlineWidth: styles.border.outlineWidth,
+          outlineStyle: styles.border.outlineStyle,
+          outlineColor: styles.border.outlineColor,
+          outlineOffset: styles.border.outlineOffset,
+          boxSizing: styles.dimensions.boxSizing,
+
+          // Flexbox from nested structure
+          flexDirection: styles.flexbox.flexDirection,
+          flexWrap: styles.flexbox.flexWrap,
+          justifyContent: styles.flexbox.justifyContent,
+          alignItems: styles.flexbox.alignItems,
+          gap: styles.flexbox.gap,
+          rowGap: styles.flexbox.rowGap,
+          columnGap: styles.flexbox.columnGap,
           
           // Layout from nested structure
           display: styles.layout.display,
@@ -611,8 +1058,11 @@ export class EnhancedWebExtractor {
           
           // Effects from nested structure
           opacity: styles.effects.opacity,
+          mixBlendMode: styles.effects.mixBlendMode,
           boxShadow: styles.effects.boxShadow,
           textShadow: styles.effects.textShadow,
+          filter: styles.effects.filter,
+          backdropFilter: styles.effects.backdropFilter,
           transform: styles.effects.transform
         };
 
@@ -622,6 +1072,13 @@ export class EnhancedWebExtractor {
           tagName: element.tagName.toLowerCase(),
           type: componentType,
           text: element.textContent?.trim().substring(0, 200) || '',
+          // Full copy for the text comparison; `text` is a short matching signal
+          textContent: element.textContent?.trim().substring(0, 5000) || '',
+          textOverflow: getTextOverflow(element),
+          effectiveOpacity: getEffectiveOpacity(element),
+          interactive: isInteractive(element),
+          icon: isIcon(element, rect),
+          image: getImage(element),
           attributes: {
             id: element.id || null,
             className: element.className || null,
@@ -630,7 +1087,9 @@ export class EnhancedWebExtractor {
             title: element.getAttribute('title') || null,
             alt: element.getAttribute('alt') || null,
             href: element.getAttribute('href') || null,
-            src: element.getAttribute('src') || null
+            src: element.getAttribute('src') || null,
+            testId: element.getAttribute('data-testid') || null,
+            figmaNode: element.getAttribute(config.figmaNodeAttribute) || null
           },
           // For comparison engine compatibility
           boundingRect: {
@@ -661,8 +1120,13 @@ export class EnhancedWebExtractor {
           },
           detailedStyles: styles,
           childCount: element.children.length,
+          childRects: getChildRects(element),
           depth: 0, // Will be calculated in hierarchy analysis
-          parentSelector: element.parentElement ? getElementSelector(element.parentElement) : null
+          parentSelector: element.parentElement ? getElementSelector(element.parentElement) : null,
+          domPath: window.__domPath.of(element),
+          authoredStyles: getAuthoredStyles(element),
+          tokens: getTokenReferences(element),
+          lengthContext: getLengthContext(element)
         };
 
         components.push(component);
@@ -673,6 +1137,396 @@ export class EnhancedWebExtractor {
     }, this.config);
   }
 
+  /**
+   * Capture the styles of interactive elements in each state. Pseudo-classes are forced through
+   * the DevTools protocol (CSS.forcePseudoState); disabled, checked and selected are set through
+   * the element's property or ARIA attribute and restored afterwards. Transitions are suspended
+   * while capturing so the settled state is read rather than a frame of the transition.
+   * @param {Array} components - Extracted components (with domPath and interactive)
+   * @returns {Promise<number>} Number of elements whose states were captured
+   */
+  async captureInteractiveStates(components) {
+    const candidates = components
+      .filter(component => component.interactive && component.domPath !== undefined)
+      .slice(0, this.config.maxStateElements);
+    if (candidates.length === 0) return 0;
+
+    const client = await this.page.target().createCDPSession();
+    try {
+      await client.send('DOM.enable');
+      await client.send('CSS.enable');
+
+      // Mark the elements so the protocol can find them
+      await DomPath.mark(this.page, candidates.map(component => component.domPath), 'data-state-capture');
+      await this.page.evaluate(() => {
+        const style = document.createElement('style');
+        style.id = 'state-capture-style';
+        style.textContent = '*, *::before, *::after { transition: none !important; animation: none !important; }';
+        document.head.appendChild(style);
+      });
+
+      const { root } = await client.send('DOM.getDocument', { depth: 0 });
+      for (const [index, component] of candidates.entries()) {
+        const selector = `[data-state-capture="${index}"]`;
+        const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+        if (!nodeId) continue;
+
+        const states = {};
+        for (const [state, pseudoClasses] of Object.entries(PSEUDO_STATES)) {
+          await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: pseudoClasses });
+          states[state] = await this.readStateStyles(selector);
+        }
+        await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+
+        for (const state of Object.keys(ATTRIBUTE_STATES)) {
+          const captured = await this.readStateStyles(selector, ATTRIBUTE_STATES[state]);
+          if (captured) states[state] = captured;
+        }
+        component.states = states;
+      }
+
+      return candidates.length;
+    } finally {
+      await this.page.evaluate(() => {
+        document.querySelectorAll('[data-state-capture]').forEach(element => element.removeAttribute('data-state-capture'));
+        document.getElementById('state-capture-style')?.remove();
+      }).catch(() => {});
+      await client.detach().catch(() => {});
+    }
+  }
+
+  /**
+   * Record the font each text element is actually rendered with as `renderedFont`. The platform
+   * fonts used for the element's own text come from the DevTools protocol
+   * (CSS.getPlatformFontsForNode); the one drawing most glyphs is the rendered font. The load
+   * status of the @font-face rules for the declared family, weight and style comes from
+   * document.fonts, read once loading has settled.
+   * @param {Array} components - Extracted components (with domPath and text)
+   * @returns {Promise<number>} Number of elements whose rendered font was captured
+   */
+  async captureRenderedFonts(components) {
+    const withText = components.filter(component => component.domPath !== undefined && component.text);
+    if (withText.length === 0) return 0;
+
+    const client = await this.page.target().createCDPSession();
+    try {
+      await client.send('DOM.enable');
+      await client.send('CSS.enable');
+
+      // Mark the elements with text of their own; only that text is reported for a node
+      await DomPath.install(this.page);
+      const declared = await this.page.evaluate(async (paths, maxElements) => {
+        await Promise.race([document.fonts.ready, new Promise(resolve => setTimeout(resolve, 5000))]);
+        const unquote = family => family.replace(/['"]/g, '').trim();
+        const faces = [...document.fonts].map(face => ({
+          family: unquote(face.family).toLowerCase(),
+          weight: face.weight,
+          style: face.style.split(' ')[0],
+          status: face.status
+        }));
+        const weightValue = weight => ({ normal: 400, bold: 700 }[weight] || Number(weight));
+        const coversWeight = (range, weight) => {
+          const [min, max = min] = range.split(/\s+/).map(weightValue);
+          return weight >= min && weight <= max;
+        };
+
+        let marked = 0;
+        return paths.map((domPath, index) => {
+          if (marked >= maxElements) return null;
+          const element = window.__domPath.find(domPath);
+          const ownText = element && [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+          if (!ownText) return null;
+          element.setAttribute('data-font-capture', String(index));
+          marked++;
+
+          const computed = window.getComputedStyle(element);
+          const family = unquote(computed.fontFamily.split(',')[0]);
+          const familyFaces = faces.filter(face => face.family === family.toLowerCase());
+          const matching = familyFaces.filter(face =>
+            coversWeight(face.weight, weightValue(computed.fontWeight)) && face.style === computed.fontStyle.split(' ')[0]);
+          const statuses = (matching.length > 0 ? matching : familyFaces).map(face => face.status);
+          let status = null;
+          if (statuses.length > 0) {
+            status = ['loaded', 'error', 'loading'].find(candidate => statuses.includes(candidate)) || statuses[0];
+          }
+          return { family, webfont: status ? { status } : null };
+        });
+      }, withText.map(component => component.domPath), this.config.maxFontElements);
+
+      const { root } = await client.send('DOM.getDocument', { depth: 0 });
+      let captured = 0;
+      for (const [index, component] of withText.entries()) {
+        if (!declared[index]) continue;
+        const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector: `[data-font-capture="${index}"]` });
+        if (!nodeId) continue;
+
+        const { fonts } = await client.send('CSS.getPlatformFontsForNode', { nodeId });
+        if (!fonts?.length) continue;
+        const primary = fonts.reduce((best, font) => (font.glyphCount > best.glyphCount ? font : best));
+        component.renderedFont = {
+          declaredFamily: declared[index].family,
+          family: primary.familyName,
+          postScriptName: primary.postScriptName || null,
+          isCustomFont: primary.isCustomFont,
+          fonts: fonts.map(({ familyName, isCustomFont, glyphCount }) => ({ familyName, isCustomFont, glyphCount })),
+          webfont: declared[index].webfont
+        };
+        captured++;
+      }
+      return captured;
+    } finally {
+      await this.page.evaluate(() => {
+        document.querySelectorAll('[data-font-capture]').forEach(element => element.removeAttribute('data-font-capture'));
+      }).catch(() => {});
+      await client.detach().catch(() => {});
+    }
+  }
+
+  /**
+   * Measure elements at each of `resizeWidths` so the engine can tell whether they stay fixed,
+   * fill their container or hug their content. Each sample records the element's size, its
+   * parent's size and its content size, measured by briefly sizing the element to max-content.
+   * The largest block elements are measured; the viewport is restored afterwards.
+   * @param {Array} components - Extracted components (with domPath and boundingRect)
+   * @returns {Promise<number>} Number of elements measured
+   */
+  async captureResizing(components) {
+    const candidates = components
+      .filter(component => component.domPath !== undefined && !['inline', 'contents', 'none'].includes(component.styles?.display))
+      .sort((a, b) => (b.boundingRect.width * b.boundingRect.height) - (a.boundingRect.width * a.boundingRect.height))
+      .slice(0, this.config.maxResizeElements);
+    if (candidates.length === 0) return 0;
+
+    const viewport = this.page.viewport() || this.config.viewport;
+    const widths = [...new Set([...this.config.resizeWidths, viewport.width])].sort((a, b) => a - b);
+    const samples = candidates.map(() => []);
+
+    await DomPath.mark(this.page, candidates.map(component => component.domPath), 'data-resize-capture');
+
+    try {
+      for (const width of widths) {
+        await this.page.setViewport({ ...viewport, width });
+        const measured = await this.page.evaluate(async (count) => {
+          // Let resize handlers and layout settle
+          await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+          const contentSize = (element, property) => {
+            const style = element.getAttribute('style');
+            element.style.setProperty(property, 'max-content', 'important');
+            element.style.setProperty('flex', 'none', 'important');
+            const size = Math.round(element.getBoundingClientRect()[property]);
+            if (style === null) element.removeAttribute('style');
+            else element.setAttribute('style', style);
+            return size;
+          };
+
+          return Array.from({ length: count }, (_, index) => {
+            const element = document.querySelector(`[data-resize-capture="${index}"]`);
+            if (!element) return null;
+            const rect = element.getBoundingClientRect();
+            const parent = element.parentElement?.getBoundingClientRect();
+            return {
+              width: Math.round(rect.width),
+              height: Math.round(rect.height),
+              parentWidth: parent ? Math.round(parent.width) : null,
+              parentHeight: parent ? Math.round(parent.height) : null,
+              contentWidth: contentSize(element, 'width'),
+              contentHeight: contentSize(element, 'height')
+            };
+          });
+        }, candidates.length);
+
+        measured.forEach((sample, index) => {
+          if (sample) samples[index].push({ viewportWidth: width, ...sample });
+        });
+      }
+    } finally {
+      await this.page.setViewport(viewport).catch(() => {});
+      await this.page.evaluate(() => {
+        document.querySelectorAll('[data-resize-capture]').forEach(element => element.removeAttribute('data-resize-capture'));
+      }).catch(() => {});
+    }
+
+    let captured = 0;
+    candidates.forEach((component, index) => {
+      if (samples[index].length < 2) return;
+      component.resizing = { samples: samples[index] };
+      captured++;
+    });
+    return captured;
+  }
+
+  /**
+   * Screenshot icon and image elements (with a transparent background) so they can be compared
+   * with the Figma export; each file is recorded as the component's `raster`. Background images
+   * also get their natural size, which the stretch check needs.
+   * @param {Array} components - Extracted components (with domPath, icon and image)
+   * @param {Object} captures - { captureIcons, captureImages }: which kinds to capture
+   * @returns {Promise<number>} Number of elements captured
+   */
+  async captureElementRasters(components, captures = this.config) {
+    const withPath = components.filter(component => component.domPath !== undefined);
+    const icons = captures.captureIcons
+      ? withPath.filter(component => component.icon).slice(0, this.config.maxIconElements)
+      : [];
+    const images = captures.captureImages
+      ? withPath.filter(component => component.image && !component.icon).slice(0, this.config.maxImageElements)
+      : [];
+    const candidates = [...icons, ...images];
+    if (candidates.length === 0) return 0;
+
+    const directory = path.join(this.config.rasterDir, String(Date.now()));
+    await fs.mkdir(directory, { recursive: true });
+
+    await DomPath.mark(this.page, candidates.map(component => component.domPath), 'data-raster-capture');
+
+    const backgrounds = images.filter(component => component.image.kind === 'background');
+    if (backgrounds.length > 0) {
+      const sizes = await this.page.evaluate(async (sources) => Promise.all(sources.map(async (src) => {
+        const image = new Image();
+        image.src = src;
+        try {
+          await image.decode();
+          return { naturalWidth: image.naturalWidth, naturalHeight: image.naturalHeight };
+        } catch {
+          return null;
+        }
+      })), backgrounds.map(component => component.image.src));
+      backgrounds.forEach((component, index) => Object.assign(component.image, sizes[index] || {}));
+    }
+
+    let captured = 0;
+    try {
+      for (const [index, component] of candidates.entries()) {
+        const handle = await this.page.$(`[data-raster-capture="${index}"]`);
+        if (!handle) continue;
+        const file = path.join(directory, `web-${index}.png`);
+        try {
+          await handle.screenshot({ path: file, omitBackground: true });
+          component.raster = file;
+          captured++;
+        } catch {
+          // Zero-size or detached elements cannot be captured
+        } finally {
+          await handle.dispose();
+        }
+      }
+    } finally {
+      await this.page.evaluate(() => {
+        document.querySelectorAll('[data-raster-capture]').forEach(element => element.removeAttribute('data-raster-capture'));
+      }).catch(() => {});
+    }
+    return captured;
+  }
+
+  /**
+   * Keep the components inside the first element matching a selector, the element included
+   * @param {Array} components - Extracted components (with domPath)
+   * @param {string} selector - CSS selector of the scope element
+   * @returns {Promise<Array>} Components in scope
+   */
+  async filterToScope(components, selector) {
+    await DomPath.install(this.page);
+    const scopePath = await this.page.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      return element ? window.__domPath.of(element) : null;
+    }, selector);
+    if (scopePath === null) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return components.filter(component => scopePath === '' ||
+      component.domPath === scopePath || component.domPath?.startsWith(`${scopePath}/`));
+  }
+
+  /**
+   * Find the elements pinned mappings target, by CSS selector, XPath or data-testid
+   * @param {Array} mappings - Mappings from MappingStore (selector, xpath or testId)
+   * @returns {Promise<Object>} Target key (MappingStore.targetKey) → DOM paths of the elements
+   */
+  async resolveMappingTargets(mappings) {
+    const targets = [...new Map(mappings
+      .map(mapping => [MappingStore.targetKey(mapping), mapping])
+      .filter(([key]) => key)).entries()]
+      .map(([key, { selector, xpath, testId }]) => ({ key, selector, xpath, testId }));
+
+    await DomPath.install(this.page);
+    return await this.page.evaluate((targets) => {
+      const resolved = {};
+      targets.forEach(({ key, selector, xpath, testId }) => {
+        let elements = [];
+        try {
+          if (xpath) {
+            const snapshot = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            for (let i = 0; i < snapshot.snapshotLength; i++) elements.push(snapshot.snapshotItem(i));
+          } else {
+            elements = [...document.querySelectorAll(selector || `[data-testid="${CSS.escape(testId)}"]`)];
+          }
+        } catch {
+          // An invalid selector or XPath resolves to nothing
+        }
+        resolved[key] = elements.filter(element => element.nodeType === Node.ELEMENT_NODE).map(element => window.__domPath.of(element));
+      });
+      return resolved;
+    }, targets);
+  }
+
+  /**
+   * Find the elements instrumented with the Figma node attribute
+   * @returns {Promise<Array>} { nodeId, selector, tagName, domPath } per element
+   */
+  async extractFigmaNodes() {
+    await DomPath.install(this.page);
+    return await this.page.evaluate((attribute) => {
+      const name = CSS.escape(attribute);
+      const selector = (element) => {
+        if (element.id) return `#${CSS.escape(element.id)}`;
+        return `${element.tagName.toLowerCase()}[${name}="${CSS.escape(element.getAttribute(attribute))}"]`;
+      };
+
+      return [...document.querySelectorAll(`[${name}]`)].map(element => ({
+        nodeId: element.getAttribute(attribute),
+        selector: selector(element),
+        tagName: element.tagName.toLowerCase(),
+        domPath: window.__domPath.of(element)
+      }));
+    }, this.config.figmaNodeAttribute);
+  }
+
+  /**
+   * Read an element's state styles, optionally with a DOM state applied for the duration
+   * @param {string} selector - Selector of the marked element
+   * @param {Object|null} domState - { property, attribute, elements } from ATTRIBUTE_STATES
+   * @returns {Promise<Object|null>} { styles, effectiveOpacity }, or null when the element cannot have the state
+   */
+  async readStateStyles(selector, domState = null) {
+    return await this.page.evaluate((selector, domState, properties) => {
+      const element = document.querySelector(selector);
+      if (domState?.elements && !element.matches(domState.elements)) return null;
+      let restore = () => {};
+      if (domState?.property && domState.property in element) {
+        const previous = element[domState.property];
+        element[domState.property] = true;
+        restore = () => { element[domState.property] = previous; };
+      } else if (domState) {
+        const previous = element.getAttribute(domState.attribute);
+        element.setAttribute(domState.attribute, 'true');
+        restore = () => (previous === null ? element.removeAttribute(domState.attribute) : element.setAttribute(domState.attribute, previous));
+      }
+
+      const computed = window.getComputedStyle(element);
+      const styles = {};
+      properties.forEach(property => {
+        styles[property] = computed[property];
+      });
+      let opacity = 1;
+      for (let current = element; current; current = current.parentElement) {
+        opacity *= parseFloat(window.getComputedStyle(current).opacity);
+      }
+
+      restore();
+      return { styles, effectiveOpacity: Math.round(opacity * 1000) / 1000 };
+    }, selector, domState, STATE_STYLE_PROPERTIES);
+  }
+
   /**
    * Extract semantic UI components (buttons, forms, navigation, etc.)
    */
@@ -1273,13 +2127,14 @@ export class EnhancedWebExtractor {
     return await this.page.evaluate(() => {
       const hierarchy = [];
 
-      function walkDOM(element, depth = 0, parent = null) {
+      function walkDOM(element, depth = 0, parent = null, domPath = '') {
         if (depth > 10) return; // Prevent infinite recursion
 
         const rect = element.getBoundingClientRect();
         const computed = window.getComputedStyle(element);
 
         hierarchy.push({
+          domPath,
           tagName: element.tagName.toLowerCase(),
           id: element.id || null,
           className: element.className || null,
@@ -1294,15 +2149,15 @@ export class EnhancedWebExtractor {
           }
         });
 
-        // Recursively process children
-        for (const child of element.children) {
-          walkDOM(child, depth + 1, element);
-        }
+        // Recursively process children, with the same child-index paths as extractComponents
+        Array.from(element.children).forEach((child, index) => {
+          walkDOM(child, depth + 1, element, `${domPath}/${index}`);
+        });
       }
 
       // Start from body
       if (document.body) {
-        walkDOM(document.body);
+        walkDOM(document.body, 0, null, String(Array.prototype.indexOf.call(document.documentElement.children, document.body)));
       }
 
       return hierarchy;
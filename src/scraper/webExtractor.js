@@ -3,6 +3,7 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import sharp from 'sharp';
 import { BrowserManager } from '../utils/browserManager.js';
+import { DEFAULT_FIGMA_NODE_ATTRIBUTE } from '../compare/nodeInstrumentation.js';
 
 /**
  * Live Webpage Style Extractor
@@ -14,6 +15,7 @@ export class WebExtractor {
       headless: "new",
       timeout: 30000,
       viewport: { width: 1200, height: 800 },
+      figmaNodeAttribute: DEFAULT_FIGMA_NODE_ATTRIBUTE,
       ...config
     };
 
@@ -439,7 +441,7 @@ export class WebExtractor {
 
   async extractElementStyles(element, index) {
     try {
-      const elementInfo = await this.page.evaluate((el, idx) => {
+      const elementInfo = await this.page.evaluate((el, idx, figmaNodeAttribute) => {
         const computedStyles = window.getComputedStyle(el);
         const rect = el.getBoundingClientRect();
         
@@ -453,6 +455,7 @@ export class WebExtractor {
           tagName: el.tagName.toLowerCase(),
           id: el.id || null,
           className: el.className || null,
+          figmaNode: el.getAttribute(figmaNodeAttribute) || null,
           textContent: el.textContent ? el.textContent.trim().substring(0, 100) : null,
           position: {
             x: Math.round(rect.left),
@@ -513,7 +516,7 @@ export class WebExtractor {
             gap: computedStyles.gap
           }
         };
-      }, element, index);
+      }, element, index, this.config.figmaNodeAttribute);
 
       return elementInfo;
     } catch (error) {
@@ -610,8 +613,10 @@ export class WebExtractor {
           tagName: element.tagName,
           text: element.textContent,
           styles: element.styles,
-          boundingRect: element.position
-        }))
+          boundingRect: element.position,
+          attributes: { figmaNode: element.figmaNode }
+        })),
+        figmaNodeAttribute: this.config.figmaNodeAttribute
       };
       
       console.log(`✅ Extracted ${webData.elements.length} web elements`);
@@ -0,0 +1,85 @@
+/**
+ * Assignment Solver Utility
+ * Minimum-cost one-to-one assignment between two sets (Hungarian algorithm)
+ */
+
+export class AssignmentSolver {
+  /**
+   * Solve the rectangular assignment problem in O(rows² × columns).
+   * Costs must be finite; use a large constant for forbidden pairs.
+   * @param {Array<Array<number>>} costMatrix - Cost of assigning each row to each column (rows <= columns)
+   * @returns {Array<number>} Column index assigned to each row
+   */
+  static solve(costMatrix) {
+    const rows = costMatrix.length;
+    if (rows === 0) return [];
+
+    const columns = costMatrix[0].length;
+    if (columns < rows) {
+      throw new Error(`Assignment needs at least as many columns as rows (${rows} rows, ${columns} columns)`);
+    }
+
+    // Row/column potentials and the row currently assigned to each column (1-based, 0 = free)
+    const rowPotential = new Float64Array(rows + 1);
+    const columnPotential = new Float64Array(columns + 1);
+    const columnOwner = new Int32Array(columns + 1);
+    const previousColumn = new Int32Array(columns + 1);
+
+    for (let row = 1; row <= rows; row++) {
+      columnOwner[0] = row;
+      let currentColumn = 0;
+      const minSlack = new Float64Array(columns + 1).fill(Infinity);
+      const visited = new Uint8Array(columns + 1);
+
+      // Grow an alternating path from the new row until it reaches a free column
+      do {
+        visited[currentColumn] = 1;
+        const currentRow = columnOwner[currentColumn];
+        let delta = Infinity;
+        let nextColumn = 0;
+
+        for (let column = 1; column <= columns; column++) {
+          if (visited[column]) continue;
+
+          const slack = costMatrix[currentRow - 1][column - 1] - rowPotential[currentRow] - columnPotential[column];
+          if (slack < minSlack[column]) {
+            minSlack[column] = slack;
+            previousColumn[column] = currentColumn;
+          }
+          if (minSlack[column] < delta) {
+            delta = minSlack[column];
+            nextColumn = column;
+          }
+        }
+
+        for (let column = 0; column <= columns; column++) {
+          if (visited[column]) {
+            rowPotential[columnOwner[column]] += delta;
+            columnPotential[column] -= delta;
+          } else {
+            minSlack[column] -= delta;
+          }
+        }
+
+        currentColumn = nextColumn;
+      } while (columnOwner[currentColumn] !== 0);
+
+      // Flip the path so every row on it moves to its new column
+      do {
+        const column = previousColumn[currentColumn];
+        columnOwner[currentColumn] = columnOwner[column];
+        currentColumn = column;
+      } while (currentColumn !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let column = 1; column <= columns; column++) {
+      if (columnOwner[column] !== 0) {
+        assignment[columnOwner[column] - 1] = column - 1;
+      }
+    }
+    return assignment;
+  }
+}
+
+export default AssignmentSolver;
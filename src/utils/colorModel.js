@@ -0,0 +1,562 @@
+/**
+ * Color Model Utility
+ * Parses every CSS color syntax into sRGB, composites alpha and measures
+ * perceptual differences (CIELAB ΔE2000) and WCAG contrast
+ */
+
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// Linear-light RGB → XYZ (D65) matrices for the predefined color() spaces
+const TO_XYZ_D65 = {
+  srgb: [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+  ],
+  'display-p3': [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ],
+  'a98-rgb': [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+  ],
+  rec2020: [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791]
+  ]
+};
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// Bradford chromatic adaptation D50 → D65 (CSS lab()/lch() are D50-relative)
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const D65_WHITE = [0.3127 / 0.3290, 1, (1 - 0.3127 - 0.3290) / 0.3290];
+
+export class ColorModel {
+  /**
+   * Parse any CSS color value into sRGB channels (0-255) and alpha (0-1)
+   * @param {string} value - CSS color (hex, named, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color())
+   * @param {Object} options - { currentColor } used to resolve `currentcolor`
+   * @returns {Object|null} { r, g, b, a } or null when the value is not a color
+   */
+  static parse(value, options = {}) {
+    if (typeof value !== 'string') return null;
+
+    const input = value.trim().toLowerCase();
+    if (!input) return null;
+
+    if (input === 'transparent') {
+      return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    if (input === 'currentcolor') {
+      return options.currentColor ? this.parse(options.currentColor) : null;
+    }
+
+    if (NAMED_COLORS[input]) {
+      return this.parseHex(NAMED_COLORS[input]);
+    }
+
+    if (input.startsWith('#')) {
+      return this.parseHex(input);
+    }
+
+    const fn = /^([a-z0-9-]+)\((.*)\)$/.exec(input);
+    if (!fn) return null;
+
+    const args = this.splitArguments(fn[2]);
+    if (!args) return null;
+
+    switch (fn[1]) {
+      case 'rgb':
+      case 'rgba':
+        return this.fromRgbArgs(args);
+      case 'hsl':
+      case 'hsla':
+        return this.fromHslArgs(args);
+      case 'hwb':
+        return this.fromHwbArgs(args);
+      case 'lab':
+        return this.fromLabArgs(args);
+      case 'lch':
+        return this.fromLchArgs(args);
+      case 'oklab':
+        return this.fromOklabArgs(args);
+      case 'oklch':
+        return this.fromOklchArgs(args);
+      case 'color':
+        return this.fromColorFunction(args);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse #rgb, #rgba, #rrggbb and #rrggbbaa
+   */
+  static parseHex(hex) {
+    const digits = hex.replace(/^#/, '');
+    if (!/^[0-9a-f]+$/i.test(digits)) return null;
+
+    let expanded;
+    if (digits.length === 3 || digits.length === 4) {
+      expanded = digits.split('').map(d => d + d).join('');
+    } else if (digits.length === 6 || digits.length === 8) {
+      expanded = digits;
+    } else {
+      return null;
+    }
+
+    return {
+      r: parseInt(expanded.slice(0, 2), 16),
+      g: parseInt(expanded.slice(2, 4), 16),
+      b: parseInt(expanded.slice(4, 6), 16),
+      a: expanded.length === 8 ? parseInt(expanded.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  /**
+   * Split functional notation arguments into channel tokens and an optional alpha token.
+   * Handles both legacy comma syntax and modern space/slash syntax.
+   */
+  static splitArguments(body) {
+    let channels;
+    let alpha = null;
+
+    if (body.includes(',')) {
+      const parts = body.split(',').map(p => p.trim());
+      channels = parts.slice(0, 3);
+      alpha = parts[3] ?? null;
+    } else {
+      const [main, alphaPart] = body.split('/');
+      channels = main.trim().split(/\s+/);
+      alpha = alphaPart !== undefined ? alphaPart.trim() : null;
+    }
+
+    if (channels.some(c => c === '')) return null;
+    return { channels, alpha };
+  }
+
+  static parseAlpha(token) {
+    if (token === null || token === undefined || token === 'none') return 1;
+    const value = token.endsWith('%') ? parseFloat(token) / 100 : parseFloat(token);
+    return Number.isNaN(value) ? null : this.clamp(value, 0, 1);
+  }
+
+  /**
+   * Parse a numeric channel; percentages resolve against `percentScale`
+   */
+  static parseNumber(token, percentScale = 1) {
+    if (token === 'none') return 0;
+    const value = parseFloat(token);
+    if (Number.isNaN(value)) return null;
+    return token.endsWith('%') ? (value / 100) * percentScale : value;
+  }
+
+  static parseHue(token) {
+    if (token === 'none') return 0;
+    const value = parseFloat(token);
+    if (Number.isNaN(value)) return null;
+    if (token.endsWith('turn')) return value * 360;
+    if (token.endsWith('grad')) return value * 0.9;
+    if (token.endsWith('rad')) return value * 180 / Math.PI;
+    return value;
+  }
+
+  static fromRgbArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const [r, g, b] = channels.map(c => this.parseNumber(c, 255));
+    const a = this.parseAlpha(alpha);
+    if ([r, g, b, a].some(v => v === null)) return null;
+    return this.clampColor({ r, g, b, a });
+  }
+
+  static fromHslArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const h = this.parseHue(channels[0]);
+    const s = this.parseNumber(channels[1], 100);
+    const l = this.parseNumber(channels[2], 100);
+    const a = this.parseAlpha(alpha);
+    if ([h, s, l, a].some(v => v === null)) return null;
+    return { ...this.hslToRgb(h, s / 100, l / 100), a };
+  }
+
+  static fromHwbArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const h = this.parseHue(channels[0]);
+    let w = this.parseNumber(channels[1], 100);
+    let bl = this.parseNumber(channels[2], 100);
+    const a = this.parseAlpha(alpha);
+    if ([h, w, bl, a].some(v => v === null)) return null;
+
+    w /= 100;
+    bl /= 100;
+    if (w + bl >= 1) {
+      const gray = (w / (w + bl)) * 255;
+      return { r: gray, g: gray, b: gray, a };
+    }
+
+    const base = this.hslToRgb(h, 1, 0.5);
+    const scale = channel => (channel / 255) * (1 - w - bl) * 255 + w * 255;
+    return { r: scale(base.r), g: scale(base.g), b: scale(base.b), a };
+  }
+
+  static fromLabArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const L = this.parseNumber(channels[0], 100);
+    const A = this.parseNumber(channels[1], 125);
+    const B = this.parseNumber(channels[2], 125);
+    const a = this.parseAlpha(alpha);
+    if ([L, A, B, a].some(v => v === null)) return null;
+    return { ...this.xyzToSrgb(this.multiply(D50_TO_D65, this.labToXyz(L, A, B, D50_WHITE))), a };
+  }
+
+  static fromLchArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const L = this.parseNumber(channels[0], 100);
+    const C = this.parseNumber(channels[1], 150);
+    const H = this.parseHue(channels[2]);
+    const a = this.parseAlpha(alpha);
+    if ([L, C, H, a].some(v => v === null)) return null;
+    const rad = H * Math.PI / 180;
+    const xyz = this.labToXyz(L, C * Math.cos(rad), C * Math.sin(rad), D50_WHITE);
+    return { ...this.xyzToSrgb(this.multiply(D50_TO_D65, xyz)), a };
+  }
+
+  static fromOklabArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const L = this.parseNumber(channels[0], 1);
+    const A = this.parseNumber(channels[1], 0.4);
+    const B = this.parseNumber(channels[2], 0.4);
+    const a = this.parseAlpha(alpha);
+    if ([L, A, B, a].some(v => v === null)) return null;
+    return { ...this.oklabToSrgb(L, A, B), a };
+  }
+
+  static fromOklchArgs({ channels, alpha }) {
+    if (channels.length !== 3) return null;
+    const L = this.parseNumber(channels[0], 1);
+    const C = this.parseNumber(channels[1], 0.4);
+    const H = this.parseHue(channels[2]);
+    const a = this.parseAlpha(alpha);
+    if ([L, C, H, a].some(v => v === null)) return null;
+    const rad = H * Math.PI / 180;
+    return { ...this.oklabToSrgb(L, C * Math.cos(rad), C * Math.sin(rad)), a };
+  }
+
+  /**
+   * color(<space> c1 c2 c3 [/ alpha]) for the predefined CSS color spaces
+   */
+  static fromColorFunction({ channels, alpha }) {
+    if (channels.length !== 4) return null;
+    const [space, ...rest] = channels;
+    const values = rest.map(c => this.parseNumber(c, 1));
+    const a = this.parseAlpha(alpha);
+    if ([...values, a].some(v => v === null)) return null;
+
+    switch (space) {
+      case 'srgb':
+        return this.clampColor({ r: values[0] * 255, g: values[1] * 255, b: values[2] * 255, a });
+      case 'srgb-linear':
+        return { ...this.xyzToSrgb(this.multiply(TO_XYZ_D65.srgb, values)), a };
+      case 'display-p3':
+        return { ...this.xyzToSrgb(this.multiply(TO_XYZ_D65['display-p3'], values.map(v => this.srgbToLinear(v)))), a };
+      case 'a98-rgb':
+        return { ...this.xyzToSrgb(this.multiply(TO_XYZ_D65['a98-rgb'], values.map(v => Math.sign(v) * Math.pow(Math.abs(v), 563 / 256)))), a };
+      case 'rec2020':
+        return { ...this.xyzToSrgb(this.multiply(TO_XYZ_D65.rec2020, values.map(v => this.rec2020ToLinear(v)))), a };
+      case 'xyz':
+      case 'xyz-d65':
+        return { ...this.xyzToSrgb(values), a };
+      case 'xyz-d50':
+        return { ...this.xyzToSrgb(this.multiply(D50_TO_D65, values)), a };
+      default:
+        return null;
+    }
+  }
+
+  static hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+    const m = l - chroma / 2;
+
+    const [r, g, b] =
+      hue < 60 ? [chroma, x, 0] :
+      hue < 120 ? [x, chroma, 0] :
+      hue < 180 ? [0, chroma, x] :
+      hue < 240 ? [0, x, chroma] :
+      hue < 300 ? [x, 0, chroma] :
+      [chroma, 0, x];
+
+    return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+  }
+
+  static srgbToLinear(value) {
+    const abs = Math.abs(value);
+    return abs <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+  }
+
+  static linearToSrgb(value) {
+    const abs = Math.abs(value);
+    return abs <= 0.0031308 ? value * 12.92 : Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+  }
+
+  static rec2020ToLinear(value) {
+    const alpha = 1.09929682680944;
+    const beta = 0.018053968510807;
+    const abs = Math.abs(value);
+    return abs < beta * 4.5 ? value / 4.5 : Math.sign(value) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+  }
+
+  static multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  /**
+   * Convert D65 XYZ to gamma-encoded sRGB, clipping out-of-gamut channels
+   */
+  static xyzToSrgb(xyz) {
+    const [r, g, b] = this.multiply(XYZ_D65_TO_LINEAR_SRGB, xyz).map(v => this.linearToSrgb(v) * 255);
+    return this.clampColor({ r, g, b });
+  }
+
+  static oklabToSrgb(L, A, B) {
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+
+    const linear = [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+    const [r, g, b] = linear.map(v => this.linearToSrgb(v) * 255);
+    return this.clampColor({ r, g, b });
+  }
+
+  static labToXyz(L, A, B, white) {
+    const epsilon = 216 / 24389;
+    const kappa = 24389 / 27;
+    const fy = (L + 16) / 116;
+    const fx = fy + A / 500;
+    const fz = fy - B / 200;
+
+    const x = Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa;
+    const y = L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa;
+    const z = Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa;
+
+    return [x * white[0], y * white[1], z * white[2]];
+  }
+
+  /**
+   * Convert an sRGB color to CIELAB (D65 reference white)
+   * @param {Object} color - { r, g, b } in 0-255
+   * @returns {Object} { L, a, b }
+   */
+  static toLab(color) {
+    const linear = [color.r, color.g, color.b].map(v => this.srgbToLinear(v / 255));
+    const xyz = this.multiply(TO_XYZ_D65.srgb, linear);
+
+    const epsilon = 216 / 24389;
+    const kappa = 24389 / 27;
+    const [fx, fy, fz] = xyz.map((v, i) => {
+      const ratio = v / D65_WHITE[i];
+      return ratio > epsilon ? Math.cbrt(ratio) : (kappa * ratio + 16) / 116;
+    });
+
+    return {
+      L: 116 * fy - 16,
+      a: 500 * (fx - fy),
+      b: 200 * (fy - fz)
+    };
+  }
+
+  /**
+   * Composite a (possibly translucent) color over a backdrop using source-over
+   * @param {Object} foreground - { r, g, b, a }
+   * @param {Object} backdrop - { r, g, b, a }, defaults to opaque white
+   * @returns {Object} Composited color
+   */
+  static composite(foreground, backdrop = { r: 255, g: 255, b: 255, a: 1 }) {
+    const fa = foreground.a ?? 1;
+    const ba = backdrop.a ?? 1;
+    const a = fa + ba * (1 - fa);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+
+    const mix = (f, b) => (f * fa + b * ba * (1 - fa)) / a;
+    return {
+      r: mix(foreground.r, backdrop.r),
+      g: mix(foreground.g, backdrop.g),
+      b: mix(foreground.b, backdrop.b),
+      a
+    };
+  }
+
+  /**
+   * CIEDE2000 color difference between two colors
+   * @param {Object} color1 - { r, g, b } in 0-255
+   * @param {Object} color2 - { r, g, b } in 0-255
+   * @returns {number} ΔE2000
+   */
+  static deltaE2000(color1, color2) {
+    return this.labDeltaE2000(this.toLab(color1), this.toLab(color2));
+  }
+
+  /**
+   * CIEDE2000 difference between two CIELAB values (Sharma et al. formulation)
+   * @param {Object} lab1 - { L, a, b }
+   * @param {Object} lab2 - { L, a, b }
+   * @returns {number} ΔE2000
+   */
+  static labDeltaE2000(lab1, lab2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const toDeg = rad => rad * 180 / Math.PI;
+
+    const C1 = Math.hypot(lab1.a, lab1.b);
+    const C2 = Math.hypot(lab2.a, lab2.b);
+    const Cbar = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(Cbar, 7) / (Math.pow(Cbar, 7) + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * lab1.a;
+    const a2p = (1 + G) * lab2.a;
+    const C1p = Math.hypot(a1p, lab1.b);
+    const C2p = Math.hypot(a2p, lab2.b);
+    const h1p = C1p === 0 ? 0 : (toDeg(Math.atan2(lab1.b, a1p)) + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (toDeg(Math.atan2(lab2.b, a2p)) + 360) % 360;
+
+    const dLp = lab2.L - lab1.L;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRad(dhp / 2));
+
+    const Lbarp = (lab1.L + lab2.L) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) > 180) {
+        hbarp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+      } else {
+        hbarp = (h1p + h2p) / 2;
+      }
+    }
+
+    const T = 1
+      - 0.17 * Math.cos(toRad(hbarp - 30))
+      + 0.24 * Math.cos(toRad(2 * hbarp))
+      + 0.32 * Math.cos(toRad(3 * hbarp + 6))
+      - 0.20 * Math.cos(toRad(4 * hbarp - 63));
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Rc = 2 * Math.sqrt(Math.pow(Cbarp, 7) / (Math.pow(Cbarp, 7) + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(toRad(2 * dTheta)) * Rc;
+
+    return Math.sqrt(
+      Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+    );
+  }
+
+  /**
+   * WCAG relative luminance of an opaque sRGB color
+   */
+  static relativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(v => this.srgbToLinear(v / 255));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * WCAG contrast ratio between two opaque colors (1-21)
+   */
+  static contrastRatio(color1, color2) {
+    const l1 = this.relativeLuminance(color1);
+    const l2 = this.relativeLuminance(color2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Format a parsed color as #rrggbb, or #rrggbbaa when translucent
+   */
+  static toHex(color) {
+    const hex = v => Math.round(this.clamp(v, 0, 255)).toString(16).padStart(2, '0');
+    const alpha = color.a ?? 1;
+    return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}${alpha < 1 ? hex(alpha * 255) : ''}`;
+  }
+
+  static clampColor(color) {
+    return {
+      ...color,
+      r: this.clamp(color.r, 0, 255),
+      g: this.clamp(color.g, 0, 255),
+      b: this.clamp(color.b, 0, 255)
+    };
+  }
+
+  static clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+}
+
+export default ColorModel;
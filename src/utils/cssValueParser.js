@@ -0,0 +1,531 @@
+/**
+ * CSS Value Parser Utility
+ * Parses computed CSS values (gradients, shadows, filters, radii, text metrics) into structured data
+ * that can be compared against Figma design properties
+ */
+
+const SIDE_ANGLES = {
+  top: 0,
+  right: 90,
+  bottom: 180,
+  left: 270
+};
+
+// Browsers resolve `line-height: normal` from font metrics; 1.2 is the usual approximation
+const NORMAL_LINE_HEIGHT = 1.2;
+
+// Root font size assumed when resolving rem
+const ROOT_FONT_SIZE = 16;
+
+// Absolute units in CSS px
+const ABSOLUTE_UNITS = {
+  px: 1,
+  pt: 96 / 72,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6
+};
+
+// Corner order used by the border-radius shorthand
+const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+export class CssValueParser {
+  /**
+   * Split a CSS value on a separator, ignoring separators nested inside parentheses
+   * @param {string} value - CSS value
+   * @param {string} separator - Single-character separator (',' or ' ')
+   * @returns {Array} Trimmed, non-empty parts
+   */
+  static splitTopLevel(value, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      const isSeparator = separator === ' ' ? /\s/.test(char) : char === separator;
+      if (isSeparator && depth === 0) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Parse a computed `background-image` value into layers, topmost first
+   * @param {string} value - Computed background-image
+   * @param {Object} box - Optional { width, height } used for corner angles and px stop positions
+   * @returns {Array} Layers: { type: 'linear'|'radial'|'conic'|'url', repeating, angle?, stops? }
+   */
+  static parseBackgroundImage(value, box = null) {
+    if (!value || value === 'none') return [];
+
+    return this.splitTopLevel(value).map(layer => {
+      if (layer.startsWith('url(')) {
+        return { type: 'url', value: layer };
+      }
+      return this.parseGradient(layer, box) || { type: 'unknown', value: layer };
+    });
+  }
+
+  /**
+   * Parse a single CSS gradient function
+   * @param {string} value - e.g. `linear-gradient(90deg, rgb(0, 0, 0) 0%, rgb(255, 255, 255) 100%)`
+   * @param {Object} box - Optional { width, height }
+   * @returns {Object|null} Parsed gradient or null
+   */
+  static parseGradient(value, box = null) {
+    const match = /^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/i.exec(value.trim());
+    if (!match) return null;
+
+    const type = match[2].toLowerCase();
+    const args = this.splitTopLevel(match[3]);
+    const gradient = { type, repeating: Boolean(match[1]), value: value.trim() };
+
+    // The first argument is a configuration prelude unless it starts with a color
+    let prelude = null;
+    if (args.length > 0 && this.isGradientPrelude(type, args[0])) {
+      prelude = args.shift();
+    }
+
+    if (type === 'linear') {
+      gradient.angle = this.parseLinearDirection(prelude, box);
+    } else if (type === 'conic') {
+      const from = prelude && /from\s+([^\s]+)/i.exec(prelude);
+      gradient.angle = from ? this.parseAngle(from[1]) : 0;
+      gradient.position = prelude && /at\s+(.+)$/i.exec(prelude)?.[1] || 'center';
+    } else {
+      gradient.shape = prelude && /circle/i.test(prelude) ? 'circle' : 'ellipse';
+      gradient.position = prelude && /at\s+(.+)$/i.exec(prelude)?.[1] || 'center';
+    }
+
+    const lineLength = type === 'linear' ? this.gradientLineLength(gradient.angle, box) : null;
+    gradient.stops = this.parseColorStops(args, type === 'conic' ? 'angle' : 'length', lineLength);
+    return gradient;
+  }
+
+  static isGradientPrelude(type, arg) {
+    const lower = arg.toLowerCase();
+    if (type === 'linear') return /^to\s/.test(lower) || /^-?[\d.]+(deg|rad|grad|turn)$/.test(lower);
+    if (type === 'conic') return /^(from|at)\s/.test(lower);
+    return /^(circle|ellipse|closest|farthest|at\s)/.test(lower) || /^[\d.]+(px|%)/.test(lower);
+  }
+
+  /**
+   * Resolve a linear-gradient direction into a CSS angle in degrees (0 = to top, clockwise)
+   */
+  static parseLinearDirection(prelude, box) {
+    if (!prelude) return 180;
+    if (!prelude.toLowerCase().startsWith('to ')) return this.parseAngle(prelude);
+
+    const sides = prelude.toLowerCase().replace(/^to\s+/, '').split(/\s+/);
+    if (sides.length === 1) return SIDE_ANGLES[sides[0]] ?? 180;
+
+    // Corner directions depend on the box aspect ratio ("magic corners")
+    const width = box?.width || 1;
+    const height = box?.height || 1;
+    const cornerAngle = Math.atan(height / width) * 180 / Math.PI;
+    const vertical = sides.includes('top') ? 'top' : 'bottom';
+    const horizontal = sides.includes('right') ? 'right' : 'left';
+
+    if (vertical === 'top' && horizontal === 'right') return cornerAngle;
+    if (vertical === 'bottom' && horizontal === 'right') return 180 - cornerAngle;
+    if (vertical === 'bottom' && horizontal === 'left') return 180 + cornerAngle;
+    return 360 - cornerAngle;
+  }
+
+  /**
+   * Parse a CSS angle into degrees
+   */
+  static parseAngle(value) {
+    const number = parseFloat(value);
+    if (Number.isNaN(number)) return 0;
+    if (value.endsWith('turn')) return number * 360;
+    if (value.endsWith('grad')) return number * 0.9;
+    if (value.endsWith('rad') && !value.endsWith('grad')) return number * 180 / Math.PI;
+    return number;
+  }
+
+  /**
+   * Length of the gradient line for a linear gradient at `angle` inside `box`
+   */
+  static gradientLineLength(angle, box) {
+    if (!box?.width || !box?.height) return null;
+    const rad = angle * Math.PI / 180;
+    return Math.abs(box.width * Math.sin(rad)) + Math.abs(box.height * Math.cos(rad));
+  }
+
+  /**
+   * Parse color stops, resolving positions into fractions (0-1) of the gradient line
+   * and distributing omitted positions evenly as CSS does
+   * @param {Array} args - Stop arguments, e.g. ['rgb(0, 0, 0) 10%', 'red']
+   * @param {string} unit - 'length' for linear/radial, 'angle' for conic
+   * @param {number} lineLength - Gradient line length in px (for px positions)
+   * @returns {Array} Stops: { color, position }
+   */
+  static parseColorStops(args, unit = 'length', lineLength = null) {
+    const stops = [];
+
+    args.forEach(arg => {
+      const tokens = this.splitTopLevel(arg, ' ');
+      // Skip interpolation hints (a bare position between two stops)
+      if (tokens.length === 1 && /^-?[\d.]/.test(tokens[0])) return;
+
+      const color = tokens[0];
+      const positions = tokens.slice(1).map(token => this.parseStopPosition(token, unit, lineLength));
+
+      if (positions.length === 0) {
+        stops.push({ color, position: null });
+      } else {
+        // A stop with two positions is shorthand for two stops of the same color
+        positions.forEach(position => stops.push({ color, position }));
+      }
+    });
+
+    if (stops.length === 0) return stops;
+    if (stops[0].position === null) stops[0].position = 0;
+    if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+
+    // Positions never go backwards
+    let max = 0;
+    stops.forEach(stop => {
+      if (stop.position !== null) {
+        stop.position = Math.max(stop.position, max);
+        max = stop.position;
+      }
+    });
+
+    // Fill runs of omitted positions by interpolating between their neighbours
+    for (let i = 1; i < stops.length; i++) {
+      if (stops[i].position !== null) continue;
+      let end = i;
+      while (stops[end].position === null) end++;
+      const start = stops[i - 1].position;
+      const step = (stops[end].position - start) / (end - i + 1);
+      for (let j = i; j < end; j++) {
+        stops[j].position = start + step * (j - i + 1);
+      }
+    }
+
+    return stops;
+  }
+
+  static parseStopPosition(token, unit, lineLength) {
+    const number = parseFloat(token);
+    if (Number.isNaN(number)) return null;
+    if (token.endsWith('%')) return number / 100;
+    if (unit === 'angle') return this.parseAngle(token) / 360;
+    if (token.endsWith('px') && lineLength) return number / lineLength;
+    return null;
+  }
+
+  /**
+   * Parse a computed `box-shadow` or `text-shadow` value, topmost shadow first
+   * @param {string} value - e.g. `rgba(0, 0, 0, 0.25) 0px 4px 4px 0px, rgb(0, 0, 0) 0px 0px 2px 0px inset`
+   * @returns {Array} Shadows: { inset, offsetX, offsetY, blur, spread, color }
+   */
+  static parseShadow(value) {
+    if (!value || value === 'none') return [];
+
+    return this.splitTopLevel(value).map(layer => {
+      const tokens = this.splitTopLevel(layer, ' ');
+      const lengths = [];
+      let color = 'currentcolor';
+      let inset = false;
+
+      tokens.forEach(token => {
+        if (token.toLowerCase() === 'inset') {
+          inset = true;
+        } else if (/^-?[\d.]+(px)?$/.test(token)) {
+          lengths.push(parseFloat(token));
+        } else {
+          color = token;
+        }
+      });
+
+      const [offsetX = 0, offsetY = 0, blur = 0, spread = 0] = lengths;
+      return { inset, offsetX, offsetY, blur, spread, color };
+    });
+  }
+
+  /**
+   * Read the radius of the `blur()` function from a computed `filter`/`backdrop-filter`
+   * @param {string} value - e.g. `blur(4px) saturate(1.2)`
+   * @returns {number} Blur radius in px (0 when there is no blur)
+   */
+  static parseBlurRadius(value) {
+    const match = value && /blur\(\s*(-?[\d.]+)px\s*\)/i.exec(value);
+    return match ? parseFloat(match[1]) : 0;
+  }
+
+  /**
+   * Resolve the four corner radii of an element into px, from the computed longhands
+   * (`borderTopLeftRadius`, ...) or, failing that, the `borderRadius` shorthand
+   * @param {Object} styles - Computed styles
+   * @param {Object} box - Optional { width, height } used for % radii and overlap scaling
+   * @returns {Object|null} { topLeft: { x, y }, topRight, bottomRight, bottomLeft }
+   */
+  static parseBorderRadius(styles, box = null) {
+    const longhands = CORNERS.map(corner => styles[`border${corner[0].toUpperCase()}${corner.slice(1)}Radius`]);
+    let corners;
+
+    if (longhands.every(value => value !== undefined && value !== null && value !== '')) {
+      // Elliptical longhands compute to "horizontal vertical"
+      corners = longhands.map(value => {
+        const [horizontal, vertical = horizontal] = this.splitTopLevel(String(value), ' ');
+        return { horizontal, vertical };
+      });
+    } else if (styles.borderRadius !== undefined && styles.borderRadius !== null && styles.borderRadius !== '') {
+      const [horizontal, vertical = horizontal] = String(styles.borderRadius)
+        .split('/')
+        .map(part => this.expandBoxValues(this.splitTopLevel(part.trim(), ' ')));
+      corners = horizontal.map((value, index) => ({ horizontal: value, vertical: vertical[index] }));
+    } else {
+      return null;
+    }
+
+    const radii = {};
+    corners.forEach(({ horizontal, vertical }, index) => {
+      radii[CORNERS[index]] = {
+        x: this.resolveLength(horizontal, box?.width),
+        y: this.resolveLength(vertical, box?.height)
+      };
+    });
+
+    return this.clampCornerRadii(radii, box);
+  }
+
+  /**
+   * Scale radii down the way browsers do when adjacent corners overlap
+   * (e.g. `border-radius: 9999px` on a pill)
+   * @param {Object} radii - { topLeft: { x, y }, ... } in px
+   * @param {Object} box - { width, height }
+   * @returns {Object} Radii as rendered
+   */
+  static clampCornerRadii(radii, box) {
+    if (!box?.width || !box?.height) return radii;
+
+    const { topLeft, topRight, bottomRight, bottomLeft } = radii;
+    const factor = Math.min(
+      1,
+      ...[
+        [box.width, topLeft.x + topRight.x],
+        [box.width, bottomLeft.x + bottomRight.x],
+        [box.height, topLeft.y + bottomLeft.y],
+        [box.height, topRight.y + bottomRight.y]
+      ].filter(([, sum]) => sum > 0).map(([length, sum]) => length / sum)
+    );
+
+    if (factor === 1) return radii;
+
+    const scaled = {};
+    CORNERS.forEach(corner => {
+      scaled[corner] = { x: radii[corner].x * factor, y: radii[corner].y * factor };
+    });
+    return scaled;
+  }
+
+  /**
+   * Resolve a `line-height` value into px for the element's font size
+   * @param {string|number} value - `normal`, unitless, em, rem, % or px
+   * @param {number} fontSize - Element font size in px
+   * @returns {Object|null} { px, normal } - `normal` is approximated from the font size
+   */
+  static resolveLineHeight(value, fontSize) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'normal') {
+      return { px: fontSize ? fontSize * NORMAL_LINE_HEIGHT : null, normal: true };
+    }
+
+    // Unitless line heights multiply the font size
+    const px = /^-?[\d.]+$/.test(text)
+      ? parseFloat(text) * fontSize
+      : this.resolveFontRelativeLength(text, fontSize);
+    return Number.isFinite(px) ? { px, normal: false } : null;
+  }
+
+  /**
+   * Resolve a `letter-spacing` value into px for the element's font size.
+   * Also accepts Figma's `{ unit: 'PIXELS' | 'PERCENT', value }` form.
+   * @param {string|number|Object} value - `normal`, em, rem, %, px or a px number
+   * @param {number} fontSize - Element font size in px
+   * @returns {number|null} Letter spacing in px
+   */
+  static resolveLetterSpacing(value, fontSize) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'object') {
+      return value.unit === 'PERCENT' ? value.value * fontSize / 100 : value.value;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'normal') return 0;
+
+    const px = this.resolveFontRelativeLength(text, fontSize);
+    return Number.isFinite(px) ? px : null;
+  }
+
+  /**
+   * Resolve px, em, rem and % (of the font size) lengths into px
+   */
+  static resolveFontRelativeLength(text, fontSize) {
+    const number = parseFloat(text);
+    if (Number.isNaN(number)) return null;
+    if (text.endsWith('rem')) return number * ROOT_FONT_SIZE;
+    if (text.endsWith('em')) return number * fontSize;
+    if (text.endsWith('%')) return number * fontSize / 100;
+    if (text.endsWith('px') || number === 0) return number;
+    return null;
+  }
+
+  /**
+   * Resolve any CSS length into px: absolute and font-relative units, %, viewport units and
+   * calc()/min()/max()/clamp() expressions
+   * @param {string|number} value - Authored or computed length
+   * @param {Object} context - { fontSize, rootFontSize, percentBase, viewport: { width, height } }
+   * @returns {number|null} Length in px, or null for `auto`, other keywords and unresolvable values
+   */
+  static resolveCssLength(value, context = {}) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === undefined || value === null) return null;
+
+    try {
+      const parser = { tokens: this.tokenizeLength(String(value).trim().toLowerCase()), position: 0 };
+      const result = this.parseLengthSum(parser, context);
+      if (parser.position !== parser.tokens.length) return null;
+      // A bare number is only a length when it is zero
+      return result.length || result.value === 0 ? result.value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  static tokenizeLength(text) {
+    const tokens = [];
+    const pattern = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)|([a-z-]+)\(|([-+*/(),]))/y;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), unit: match[2] });
+      else if (match[3] !== undefined) tokens.push({ type: 'function', name: match[3] });
+      else tokens.push({ type: 'op', value: match[4] });
+    }
+    if (pattern.lastIndex < text.trimEnd().length || !match) throw new Error(`Unsupported length: ${text}`);
+    return tokens;
+  }
+
+  static parseLengthSum(parser, context) {
+    let left = this.parseLengthProduct(parser, context);
+    while (['+', '-'].includes(parser.tokens[parser.position]?.value)) {
+      const operator = parser.tokens[parser.position++].value;
+      const right = this.parseLengthProduct(parser, context);
+      if (left.length !== right.length && left.value !== 0 && right.value !== 0) throw new Error('Cannot add a number to a length');
+      left = {
+        value: operator === '+' ? left.value + right.value : left.value - right.value,
+        length: left.length || right.length
+      };
+    }
+    return left;
+  }
+
+  static parseLengthProduct(parser, context) {
+    let left = this.parseLengthFactor(parser, context);
+    while (['*', '/'].includes(parser.tokens[parser.position]?.value)) {
+      const operator = parser.tokens[parser.position++].value;
+      const right = this.parseLengthFactor(parser, context);
+      if (operator === '*') {
+        if (left.length && right.length) throw new Error('Cannot multiply two lengths');
+        left = { value: left.value * right.value, length: left.length || right.length };
+      } else {
+        if (right.length || right.value === 0) throw new Error('Can only divide by a non-zero number');
+        left = { value: left.value / right.value, length: left.length };
+      }
+    }
+    return left;
+  }
+
+  static parseLengthFactor(parser, context) {
+    const token = parser.tokens[parser.position++];
+    const expect = value => {
+      if (parser.tokens[parser.position++]?.value !== value) throw new Error(`Expected "${value}"`);
+    };
+
+    if (!token) throw new Error('Unexpected end of length');
+    if (token.value === '-' || token.value === '+') {
+      const factor = this.parseLengthFactor(parser, context);
+      return { ...factor, value: token.value === '-' ? -factor.value : factor.value };
+    }
+    if (token.value === '(') {
+      const inner = this.parseLengthSum(parser, context);
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'number') {
+      return token.unit ? { value: this.lengthUnitToPx(token.value, token.unit, context), length: true } : { value: token.value, length: false };
+    }
+    if (token.type === 'function' && ['calc', 'min', 'max', 'clamp'].includes(token.name)) {
+      const args = [this.parseLengthSum(parser, context)];
+      while (parser.tokens[parser.position]?.value === ',') {
+        parser.position++;
+        args.push(this.parseLengthSum(parser, context));
+      }
+      expect(')');
+
+      const values = args.map(arg => arg.value);
+      const length = args.some(arg => arg.length);
+      if (token.name === 'calc' && args.length === 1) return args[0];
+      if (token.name === 'min') return { value: Math.min(...values), length };
+      if (token.name === 'max') return { value: Math.max(...values), length };
+      if (token.name === 'clamp' && args.length === 3) return { value: Math.max(values[0], Math.min(values[1], values[2])), length };
+    }
+    throw new Error('Unsupported length expression');
+  }
+
+  static lengthUnitToPx(number, unit, context) {
+    const fontSize = context.fontSize ?? ROOT_FONT_SIZE;
+    const viewport = context.viewport || {};
+    // Small/large/dynamic viewport units resolve like the plain ones for a static capture
+    const viewportUnit = unit.replace(/^[sld](?=v)/, '');
+
+    if (ABSOLUTE_UNITS[unit]) return number * ABSOLUTE_UNITS[unit];
+    if (unit === 'rem') return number * (context.rootFontSize || ROOT_FONT_SIZE);
+    if (unit === 'em') return number * fontSize;
+    // ex and ch are about half an em in most text fonts
+    if (unit === 'ex' || unit === 'ch') return number * fontSize / 2;
+    if (unit === '%' && Number.isFinite(context.percentBase)) return number * context.percentBase / 100;
+    if (['vw', 'vi'].includes(viewportUnit) && viewport.width) return number * viewport.width / 100;
+    if (['vh', 'vb'].includes(viewportUnit) && viewport.height) return number * viewport.height / 100;
+    if (viewportUnit === 'vmin' && viewport.width) return number * Math.min(viewport.width, viewport.height) / 100;
+    if (viewportUnit === 'vmax' && viewport.width) return number * Math.max(viewport.width, viewport.height) / 100;
+    throw new Error(`Cannot resolve unit ${unit}`);
+  }
+
+  /**
+   * Expand 1-4 shorthand values into four (top/left-first order)
+   */
+  static expandBoxValues([first = '0', second = first, third = first, fourth = second]) {
+    return [first, second, third, fourth];
+  }
+
+  /**
+   * Resolve a px or % length against a reference size
+   */
+  static resolveLength(value, reference) {
+    const number = parseFloat(value);
+    if (Number.isNaN(number)) return 0;
+    if (String(value).endsWith('%')) return reference ? number * reference / 100 : 0;
+    return number;
+  }
+}
+
+export default CssValueParser;
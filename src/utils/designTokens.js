@@ -0,0 +1,113 @@
+/**
+ * Design Tokens Utility
+ * Reads which Figma style or variable a node property is bound to, and matches those token
+ * names against the CSS custom properties a web value was authored with
+ */
+
+// Figma style slots (node.styles) and the CSS property each one styles; `fill` depends on the node
+const STYLE_PROPERTIES = {
+  fill: 'fill',
+  stroke: 'borderColor',
+  effect: 'boxShadow',
+  text: 'typography'
+};
+
+// Figma variable bindings (node.boundVariables) and the CSS property each one sets
+const VARIABLE_PROPERTIES = {
+  fills: 'fill',
+  strokes: 'borderColor',
+  effects: 'boxShadow',
+  opacity: 'opacity',
+  itemSpacing: 'gap',
+  paddingTop: 'paddingTop',
+  paddingRight: 'paddingRight',
+  paddingBottom: 'paddingBottom',
+  paddingLeft: 'paddingLeft',
+  topLeftRadius: 'borderRadius',
+  topRightRadius: 'borderRadius',
+  bottomLeftRadius: 'borderRadius',
+  bottomRightRadius: 'borderRadius',
+  width: 'width',
+  height: 'height',
+  fontFamily: 'fontFamily',
+  fontSize: 'fontSize',
+  fontWeight: 'fontWeight',
+  lineHeight: 'lineHeight',
+  letterSpacing: 'letterSpacing'
+};
+
+// CSS properties a Figma text style covers
+export const TYPOGRAPHY_PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
+export class DesignTokens {
+  /**
+   * Tokens a Figma node is bound to, keyed by the CSS property they style. Variables win over
+   * styles for the same property, as they do in Figma.
+   * @param {Object} node - Raw Figma node (styles, boundVariables)
+   * @param {Object} names - { styles, variables } lookups by id; `styles` may also be an array of { id, name }
+   * @returns {Object|null} { [cssProperty]: { source: 'style'|'variable', id, name } }
+   */
+  static readFigmaBindings(node, names = {}) {
+    const tokens = {};
+    const fillProperty = node.type === 'TEXT' ? 'color' : 'backgroundColor';
+    const target = property => (property === 'fill' ? fillProperty : property);
+    const styles = Array.isArray(names.styles)
+      ? Object.fromEntries(names.styles.map(style => [style.id, style]))
+      : names.styles || {};
+
+    Object.entries(node.styles || {}).forEach(([slot, id]) => {
+      if (!STYLE_PROPERTIES[slot]) return;
+      tokens[target(STYLE_PROPERTIES[slot])] = { source: 'style', id, name: styles[id]?.name || null };
+    });
+
+    Object.entries(node.boundVariables || {}).forEach(([field, binding]) => {
+      // Paints and text ranges bind a list of aliases; the first one is the one rendered
+      const alias = Array.isArray(binding) ? binding[0] : binding;
+      if (!VARIABLE_PROPERTIES[field] || alias?.type !== 'VARIABLE_ALIAS') return;
+      tokens[target(VARIABLE_PROPERTIES[field])] = {
+        source: 'variable',
+        id: alias.id,
+        name: names.variables?.[alias.id]?.name || null
+      };
+    });
+
+    return Object.keys(tokens).length > 0 ? tokens : null;
+  }
+
+  /**
+   * Token or custom property name as lowercase dash-separated words:
+   * "Color/Brand Primary" → "color-brand-primary", "--color-brand-primary" → "color-brand-primary"
+   */
+  static slugify(name) {
+    return String(name)
+      .replace(/^--/, '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Whether a custom property implements a Figma token. Design systems prefix their custom
+   * properties ("--ds-color-primary") or drop the token's group ("--primary" for
+   * "Color/Primary"), so the shorter name only has to end the longer one on a word boundary.
+   * Text styles cover several properties ("--heading-h1-size"), so `partial` also accepts the
+   * token anywhere in the custom property.
+   * @param {string} tokenName - Figma style or variable name
+   * @param {string} customProperty - CSS custom property, with or without the leading dashes
+   * @param {Object} options - { partial }
+   * @returns {boolean} True when the names refer to the same token
+   */
+  static matches(tokenName, customProperty, { partial = false } = {}) {
+    const token = DesignTokens.slugify(tokenName);
+    const property = DesignTokens.slugify(customProperty);
+    if (!token || !property) return false;
+    if (token === property) return true;
+
+    const [shorter, longer] = token.length < property.length ? [token, property] : [property, token];
+    if (longer.endsWith(`-${shorter}`)) return true;
+    return partial && `-${property}-`.includes(`-${token}-`);
+  }
+}
+
+export default DesignTokens;
@@ -0,0 +1,53 @@
+/**
+ * DOM Path Utility
+ * Extracted elements are identified across page.evaluate calls by their DOM path: the child
+ * indexes from the root element, e.g. "1/0/3" - unique, and encodes nesting and order. Page
+ * functions cannot share code with the extractor, so the path is built and walked by helpers
+ * installed on the page as `window.__domPath`: `of(element)` and `find(domPath)`.
+ */
+
+export class DomPath {
+  /**
+   * Install the page-side helpers; navigation clears them, so call before each use
+   * @param {Object} page - Puppeteer page
+   */
+  static async install(page) {
+    await page.evaluate(() => {
+      if (window.__domPath) return;
+      window.__domPath = {
+        of(element) {
+          const path = [];
+          let current = element;
+          while (current && current.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(current.parentElement.children, current));
+            current = current.parentElement;
+          }
+          return path.join('/');
+        },
+        find(domPath) {
+          let element = document.documentElement;
+          for (const childIndex of domPath ? domPath.split('/') : []) {
+            element = element?.children[Number(childIndex)];
+          }
+          return element || null;
+        }
+      };
+    });
+  }
+
+  /**
+   * Mark elements with their position in `paths` so the DevTools protocol and selectors can find
+   * them; selectors are not guaranteed to be unique
+   * @param {Object} page - Puppeteer page
+   * @param {Array<string>} paths - DOM paths
+   * @param {string} attribute - Attribute set to each element's index, e.g. "data-raster-capture"
+   */
+  static async mark(page, paths, attribute) {
+    await DomPath.install(page);
+    await page.evaluate((paths, attribute) => {
+      paths.forEach((domPath, index) => window.__domPath.find(domPath)?.setAttribute(attribute, String(index)));
+    }, paths, attribute);
+  }
+}
+
+export default DomPath;
@@ -0,0 +1,68 @@
+/**
+ * Figma Variants Utility
+ * Reads the variant properties of components in a component set ("State=Hover, Size=Large")
+ * and of instances, so state variants can be paired with captured web states
+ */
+
+export class FigmaVariants {
+  /**
+   * Parse a variant component name
+   * @param {string} name - e.g. "State=Hover, Size=Large"
+   * @returns {Object|null} { State: 'Hover', Size: 'Large' }, or null when the name is not a variant name
+   */
+  static parseName(name) {
+    const properties = {};
+    for (const part of String(name || '').split(',')) {
+      const separator = part.indexOf('=');
+      if (separator <= 0) return null;
+      properties[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+    }
+    return Object.keys(properties).length > 0 ? properties : null;
+  }
+
+  /**
+   * Variant of a node: components in a COMPONENT_SET carry it in their name, instances in
+   * their VARIANT component properties
+   * @param {Object} node - Raw Figma node
+   * @param {Object|null} parent - Raw parent node
+   * @returns {Object|null} { setId, setName, properties }
+   */
+  static read(node, parent) {
+    if (node.type === 'COMPONENT' && parent?.type === 'COMPONENT_SET') {
+      const properties = FigmaVariants.parseName(node.name);
+      return properties ? { setId: parent.id, setName: parent.name, properties } : null;
+    }
+
+    if (node.type === 'INSTANCE' && node.componentProperties) {
+      const properties = {};
+      Object.entries(node.componentProperties).forEach(([name, property]) => {
+        // Component property names of non-variant properties carry an "#id" suffix
+        if (property?.type === 'VARIANT') properties[name.split('#')[0]] = property.value;
+      });
+      return Object.keys(properties).length > 0 ? { setId: null, setName: null, properties } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Set `variant` on extracted components from the document tree
+   * @param {Object} document - Figma document node
+   * @param {Array} components - Extracted components
+   */
+  static tag(document, components) {
+    const variants = new Map();
+    const visit = (node, parent) => {
+      const variant = FigmaVariants.read(node, parent);
+      if (variant) variants.set(node.id, variant);
+      (node.children || []).forEach(child => visit(child, node));
+    };
+    if (document) visit(document, null);
+
+    components.forEach(component => {
+      if (variants.has(component.id)) component.variant = variants.get(component.id);
+    });
+  }
+}
+
+export default FigmaVariants;
@@ -0,0 +1,218 @@
+/**
+ * Icon Raster Utility
+ * Finds icon nodes in Figma output, attaches rasters exported from Figma to them, and turns a
+ * raster into a color-independent coverage mask so icons can be compared by shape
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { PNG } from 'pngjs';
+
+// Node types that are drawn shapes; compared by shape whatever their name
+const VECTOR_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'POLYGON'];
+
+// Components and frames named as icons: "Icon/Chevron", "icons - search", "ic_close"
+const ICON_NAME = /^\s*(icons?|ic)(\s*$|\s*[/_\-:])/i;
+
+// Containers larger than this (px, longest side) are not treated as icons whatever their name
+const MAX_ICON_SIZE = 128;
+
+export class IconRaster {
+  /**
+   * Whether a Figma component (or raw node) is an icon
+   * @param {Object} component - Component from either extractor, or a raw Figma node
+   * @returns {boolean} True for vector shapes and small components named as icons
+   */
+  static isFigmaIcon(component) {
+    if (VECTOR_TYPES.includes(component.type)) return true;
+    if (!['INSTANCE', 'COMPONENT', 'FRAME', 'GROUP'].includes(component.type) || !ICON_NAME.test(component.name || '')) return false;
+
+    const box = component.properties?.dimensions || component.dimensions || component.absoluteBoundingBox;
+    return !box || Math.max(box.width, box.height) <= MAX_ICON_SIZE;
+  }
+
+  /**
+   * Export the icons among Figma components as PNGs and record each file as `component.raster`
+   * @param {Array} components - Extracted components
+   * @param {Function} download - (nodes, localPath) => download result; nodes are { nodeId, fileName }
+   * @param {string} outputDir - Directory to save the rasters in
+   * @param {number} maxIcons - Most icons to export
+   * @returns {Promise<number>} Number of icons with a raster
+   */
+  static async attachFigmaRasters(components, download, outputDir, maxIcons = 50) {
+    const candidates = components.filter(component => !component.hidden && IconRaster.isFigmaIcon(component));
+    // Layers inside an icon instance ("I12:34;56:78" inside 12:34) are part of that icon's raster
+    const iconIds = new Set(candidates.map(component => component.id));
+    const icons = candidates
+      .filter(component => !(component.id.startsWith('I') && iconIds.has(component.id.slice(1).split(';')[0])))
+      .slice(0, maxIcons);
+    if (icons.length === 0) return 0;
+
+    const files = await IconRaster.exportRasters(icons, 'figma', download, outputDir);
+    icons.forEach((component, index) => {
+      // Not exported icons are compared by their other properties only
+      if (files[index]) component.raster = files[index];
+    });
+    return files.filter(Boolean).length;
+  }
+
+  /**
+   * Export Figma nodes as PNGs
+   * @param {Array} components - Components to export
+   * @param {string} prefix - File name prefix
+   * @param {Function} download - (nodes, localPath) => download result; nodes are { nodeId, fileName }
+   * @param {string} outputDir - Directory to save the rasters in
+   * @returns {Promise<Array>} Path of each component's PNG, or null where the export failed
+   */
+  static async exportRasters(components, prefix, download, outputDir) {
+    const nodes = components.map(component => ({ nodeId: component.id, fileName: `${prefix}-${component.id.replace(/[^a-z0-9]+/gi, '-')}.png` }));
+    const result = await download(nodes, outputDir);
+    const downloaded = new Map((result?.results || [])
+      .filter(entry => entry.success && entry.localPath)
+      .map(entry => [entry.nodeId, entry.localPath]));
+
+    return Promise.all(nodes.map(async node => {
+      // MCP downloads only report a count, so fall back to the requested file name
+      const file = downloaded.get(node.nodeId) || path.join(outputDir, node.fileName);
+      try {
+        await fs.access(file);
+        return file;
+      } catch {
+        return null;
+      }
+    }));
+  }
+
+  /**
+   * Read a PNG file
+   * @param {string} file - Path to a PNG
+   * @returns {Promise<Object>} { width, height, data } with RGBA data
+   */
+  static async read(file) {
+    const png = PNG.sync.read(await fs.readFile(file));
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  /**
+   * How much each pixel is part of the drawn shape (0-1), independent of its color. Transparent
+   * rasters use alpha; opaque ones (an <img> with a background) use the distance from the
+   * background color, read from the corners.
+   * @param {Object} image - { width, height, data }
+   * @returns {Float32Array} Coverage per pixel
+   */
+  static coverage(image) {
+    const { width, height, data } = image;
+    const coverage = new Float32Array(width * height);
+    let transparent = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 250) {
+        transparent = true;
+        break;
+      }
+    }
+
+    if (transparent) {
+      for (let i = 0; i < coverage.length; i++) coverage[i] = data[i * 4 + 3] / 255;
+      return coverage;
+    }
+
+    const background = IconRaster.backgroundColor(image);
+    for (let i = 0; i < coverage.length; i++) {
+      const distance = Math.max(
+        Math.abs(data[i * 4] - background[0]),
+        Math.abs(data[i * 4 + 1] - background[1]),
+        Math.abs(data[i * 4 + 2] - background[2])
+      );
+      coverage[i] = Math.min(1, distance / 96);
+    }
+    return coverage;
+  }
+
+  static backgroundColor({ width, height, data }) {
+    const corners = [0, width - 1, (height - 1) * width, height * width - 1]
+      .map(index => [data[index * 4], data[index * 4 + 1], data[index * 4 + 2]]);
+    // The color most corners agree on; icons rarely reach more than one corner
+    return corners.reduce((best, color) => {
+      const votes = corners.filter(other => other.every((channel, i) => Math.abs(channel - color[i]) < 8)).length;
+      return votes > best.votes ? { color, votes } : best;
+    }, { color: corners[0], votes: 0 }).color;
+  }
+
+  /**
+   * Shape mask of a raster: the drawn shape cropped to its bounds and fitted, aspect ratio kept,
+   * into a size × size grid, so padding and export scale do not matter
+   * @param {Object} image - { width, height, data }
+   * @param {number} size - Grid size
+   * @returns {Object} { size, cells: Uint8Array (1 = shape), empty }
+   */
+  static toMask(image, size = 32) {
+    const coverage = IconRaster.coverage(image);
+    const bounds = IconRaster.bounds(coverage, image.width, image.height);
+    const cells = new Uint8Array(size * size);
+    if (!bounds) return { size, cells, empty: true };
+
+    const boxWidth = bounds.right - bounds.left;
+    const boxHeight = bounds.bottom - bounds.top;
+    const scale = size / Math.max(boxWidth, boxHeight);
+    const offsetX = (size - boxWidth * scale) / 2;
+    const offsetY = (size - boxHeight * scale) / 2;
+
+    for (let cy = 0; cy < size; cy++) {
+      for (let cx = 0; cx < size; cx++) {
+        // Average the source pixels under the cell; small sources sample their nearest pixel
+        const x0 = bounds.left + (cx - offsetX) / scale;
+        const y0 = bounds.top + (cy - offsetY) / scale;
+        const x1 = x0 + 1 / scale;
+        const y1 = y0 + 1 / scale;
+        let sum = 0;
+        let count = 0;
+        for (let y = Math.max(bounds.top, Math.floor(y0)); y < Math.min(bounds.bottom, Math.ceil(y1)); y++) {
+          for (let x = Math.max(bounds.left, Math.floor(x0)); x < Math.min(bounds.right, Math.ceil(x1)); x++) {
+            sum += coverage[y * image.width + x];
+            count++;
+          }
+        }
+        cells[cy * size + cx] = count > 0 && sum / count >= 0.5 ? 1 : 0;
+      }
+    }
+    return { size, cells, empty: false };
+  }
+
+  static bounds(coverage, width, height) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (coverage[y * width + x] < 0.5) continue;
+        left = Math.min(left, x);
+        top = Math.min(top, y);
+        right = Math.max(right, x);
+        bottom = Math.max(bottom, y);
+      }
+    }
+    return right < 0 ? null : { left, top, right: right + 1, bottom: bottom + 1 };
+  }
+
+  /**
+   * Average color of the drawn shape, weighted by coverage
+   * @param {Object} image - { width, height, data }
+   * @returns {Object|null} { r, g, b, a } or null when nothing is drawn
+   */
+  static inkColor(image) {
+    const coverage = IconRaster.coverage(image);
+    const total = { r: 0, g: 0, b: 0, weight: 0 };
+    coverage.forEach((weight, i) => {
+      if (weight < 0.5) return;
+      total.r += image.data[i * 4] * weight;
+      total.g += image.data[i * 4 + 1] * weight;
+      total.b += image.data[i * 4 + 2] * weight;
+      total.weight += weight;
+    });
+    if (total.weight === 0) return null;
+    return { r: total.r / total.weight, g: total.g / total.weight, b: total.b / total.weight, a: 1 };
+  }
+}
+
+export default IconRaster;
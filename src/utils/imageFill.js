@@ -0,0 +1,113 @@
+/**
+ * Image Fill Utility
+ * Finds Figma IMAGE fills, attaches the node rendered with its fill as exported from Figma, and
+ * reduces a raster to a perceptual hash so an image can be compared with the web rendering
+ * regardless of export scale or compression
+ */
+
+import IconRaster from './iconRaster.js';
+
+// Figma's REST API reports a cropped image fill as STRETCH; the editor calls it CROP
+const SCALE_MODE_ALIASES = { STRETCH: 'CROP' };
+
+export class ImageFill {
+  /**
+   * The topmost visible IMAGE fill of a component
+   * @param {Object} component - Component from either extractor (normalized or raw fills)
+   * @returns {Object|null} { imageRef, scaleMode, opacity } with scaleMode FILL, FIT, CROP or TILE
+   */
+  static find(component) {
+    const fills = [...(component.properties?.fills || []), ...(Array.isArray(component.fills) ? component.fills : [])];
+    const fill = fills.find(candidate => candidate?.type === 'IMAGE' && candidate.visible !== false);
+    if (!fill) return null;
+
+    const scaleMode = fill.scaleMode || 'FILL';
+    return { imageRef: fill.imageRef || null, scaleMode: SCALE_MODE_ALIASES[scaleMode] || scaleMode, opacity: fill.opacity ?? 1 };
+  }
+
+  /**
+   * Export the components with an image fill as PNGs and record each as `component.imageFill`
+   * @param {Array} components - Extracted components
+   * @param {Function} download - (nodes, localPath) => download result; nodes are { nodeId, fileName }
+   * @param {string} outputDir - Directory to save the rasters in
+   * @param {number} maxImages - Most images to export
+   * @returns {Promise<number>} Number of image fills with a raster
+   */
+  static async attachFigmaRasters(components, download, outputDir, maxImages = 30) {
+    const images = components
+      .filter(component => !component.hidden && component.visible !== false && ImageFill.find(component))
+      .slice(0, maxImages);
+    if (images.length === 0) return 0;
+
+    const files = await IconRaster.exportRasters(images, 'figma-image', download, outputDir);
+    images.forEach((component, index) => {
+      // The scale mode is still compared when the export failed
+      component.imageFill = { ...ImageFill.find(component), raster: files[index] };
+    });
+    return files.filter(Boolean).length;
+  }
+
+  /**
+   * Difference hash: the raster, flattened onto white, is shrunk to (size + 1) × size grey cells
+   * and each bit records whether a cell is brighter than its right neighbour. Crops, different
+   * art and flipped images change many bits; scaling and compression change few.
+   * @param {Object} image - { width, height, data } with RGBA data
+   * @param {number} size - Bits per side
+   * @returns {string} Hash as hex, size × size bits
+   */
+  static dHash(image, size = 8) {
+    const cells = ImageFill.resample(ImageFill.luminance(image), image.width, image.height, size + 1, size);
+    let bits = '';
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        bits += cells[y * (size + 1) + x] > cells[y * (size + 1) + x + 1] ? '1' : '0';
+      }
+    }
+    return bits.match(/.{1,4}/g).map(nibble => parseInt(nibble.padEnd(4, '0'), 2).toString(16)).join('');
+  }
+
+  /**
+   * Number of differing bits between two hashes of the same size
+   */
+  static distance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < Math.max(hashA.length, hashB.length); i++) {
+      let bits = parseInt(hashA[i] || '0', 16) ^ parseInt(hashB[i] || '0', 16);
+      for (; bits; bits >>= 1) distance += bits & 1;
+    }
+    return distance;
+  }
+
+  static luminance({ width, height, data }) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      const alpha = data[i * 4 + 3] / 255;
+      const channel = offset => data[i * 4 + offset] * alpha + 255 * (1 - alpha);
+      gray[i] = 0.299 * channel(0) + 0.587 * channel(1) + 0.114 * channel(2);
+    }
+    return gray;
+  }
+
+  /**
+   * Area-average a grey image down (or nearest-sample it up) to targetWidth × targetHeight
+   */
+  static resample(gray, width, height, targetWidth, targetHeight) {
+    const cells = new Float32Array(targetWidth * targetHeight);
+    for (let cy = 0; cy < targetHeight; cy++) {
+      const y0 = Math.floor((cy * height) / targetHeight);
+      const y1 = Math.max(y0 + 1, Math.floor(((cy + 1) * height) / targetHeight));
+      for (let cx = 0; cx < targetWidth; cx++) {
+        const x0 = Math.floor((cx * width) / targetWidth);
+        const x1 = Math.max(x0 + 1, Math.floor(((cx + 1) * width) / targetWidth));
+        let sum = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) sum += gray[y * width + x];
+        }
+        cells[cy * targetWidth + cx] = sum / ((y1 - y0) * (x1 - x0));
+      }
+    }
+    return cells;
+  }
+}
+
+export default ImageFill;
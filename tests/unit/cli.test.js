@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the CLI comparison
+ * Tests that pinned mappings reach the web extractor, so XPath pins resolve from the CLI, that
+ * Figma icons and image fills are exported for the web extraction, and that instrumented node ids outside the compared frame are looked up in Figma
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractAndCompare } from '../../src/cli.js';
+import MappingStore from '../../src/compare/mappingStore.js';
+
+describe('CLI comparison', () => {
+  let directory;
+  let config;
+  const url = 'https://shop.test/checkout';
+
+  // Two identical summaries: automatic matching pairs the Figma node with the first one
+  const figmaExtractor = {
+    extractDesignData: async () => ({
+      fileId: 'abc123',
+      components: [{ id: '1:2', name: 'Order summary', type: 'FRAME', properties: {} }]
+    }),
+    attachIconRasters: async () => 0,
+    attachImageRasters: async () => 0
+  };
+  // Resolves mapping targets the way the page does, from a fixed XPath → DOM path table
+  const pageXPaths = { '//aside/div[1]': ['1/1'] };
+  const webExtractor = {
+    extractWebData: async (webUrl, authentication, options) => {
+      webExtractor.options = options;
+      return {
+        url: webUrl,
+        elements: [
+          { selector: '#summary-mobile', domPath: '1/0', tagName: 'div', text: 'Order summary', styles: {}, attributes: {} },
+          { selector: 'aside > div', domPath: '1/1', tagName: 'div', text: 'Order summary', styles: {}, attributes: {} }
+        ],
+        mappingTargets: Object.fromEntries(options.mappings.map(mapping => [MappingStore.targetKey(mapping), pageXPaths[mapping.xpath] || []]))
+      };
+    }
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    config = { figma: { fileId: 'abc123' }, webUrl: url, webSelector: 'main', mappingsFile: path.join(directory, 'mappings.json') };
+    const store = await MappingStore.load(config.mappingsFile);
+    await store.pin({ fileKey: 'abc123', url, componentId: '1:2', xpath: '//aside/div[1]' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should resolve XPath pins through the web extractor', async () => {
+    const { comparisonReport } = await extractAndCompare(config, { figmaExtractor, webExtractor });
+
+    expect(webExtractor.options).toMatchObject({
+      mappings: [expect.objectContaining({ componentId: '1:2', xpath: '//aside/div[1]' })],
+      scope: 'main'
+    });
+    expect(comparisonReport.comparisons[0].selector).toBe('aside > div');
+    expect(comparisonReport.comparisons[0].matchExplanation.pinned).toMatchObject({ target: 'xpath://aside/div[1]', resolved: true });
+  });
+
+  test('should export Figma icons before extracting the web page', async () => {
+    const iconFigmaExtractor = {
+      ...figmaExtractor,
+      attachIconRasters: async (fileKey, components, localPath) => {
+        components[0].raster = { path: path.join(localPath, 'icon.png') };
+        iconFigmaExtractor.iconExport = { fileKey, localPath };
+        return 1;
+      }
+    };
+
+    await extractAndCompare(config, { figmaExtractor: iconFigmaExtractor, webExtractor });
+
+    expect(iconFigmaExtractor.iconExport.fileKey).toBe('abc123');
+    expect(iconFigmaExtractor.iconExport.localPath).toContain(path.join('output', 'rasters'));
+    // The icon pass only runs when the design has exported icons
+    expect(webExtractor.options.captures.captureIcons).toBe(true);
+  });
+
+  test('should export Figma image fills before extracting the web page', async () => {
+    const imageFigmaExtractor = {
+      ...figmaExtractor,
+      attachImageRasters: async (fileKey, components, localPath) => {
+        components[0].imageFill = { scaleMode: 'FILL', raster: { path: path.join(localPath, 'image.png') } };
+        imageFigmaExtractor.imageExport = { fileKey, localPath };
+        return 1;
+      }
+    };
+
+    await extractAndCompare(config, { figmaExtractor: imageFigmaExtractor, webExtractor });
+
+    expect(imageFigmaExtractor.imageExport.fileKey).toBe('abc123');
+    expect(imageFigmaExtractor.imageExport.localPath).toContain(path.join('output', 'rasters'));
+    // The image pass only runs when the design has exported image fills
+    expect(webExtractor.options.captures.captureImages).toBe(true);
+  });
+
+  test('should only report instrumented nodes Figma no longer has as stale', async () => {
+    const lookups = [];
+    const scopedFigmaExtractor = {
+      ...figmaExtractor,
+      findMissingNodes: async (fileKey, nodeIds) => {
+        lookups.push({ fileKey, nodeIds });
+        return nodeIds.filter(id => id === '8:8');
+      }
+    };
+    // 5:6 is elsewhere in the file, 8:8 has been deleted
+    const instrumentedWebExtractor = {
+      extractWebData: async (...args) => {
+        const webData = await webExtractor.extractWebData(...args);
+        webData.elements.push(
+          { selector: 'header', domPath: '0', tagName: 'header', text: '', styles: {}, attributes: { figmaNode: '5:6' } },
+          { selector: 'footer', domPath: '2', tagName: 'footer', text: '', styles: {}, attributes: { figmaNode: '8:8' } }
+        );
+        return webData;
+      }
+    };
+
+    const { comparisonReport } = await extractAndCompare(config, { figmaExtractor: scopedFigmaExtractor, webExtractor: instrumentedWebExtractor });
+
+    expect(lookups).toEqual([{ fileKey: 'abc123', nodeIds: ['5:6', '8:8'] }]);
+    expect(comparisonReport.instrumentation.staleNodes).toEqual([{ nodeId: '8:8', selector: 'footer', tagName: 'footer' }]);
+    expect(comparisonReport.instrumentation.outsideScope).toEqual(['5:6']);
+  });
+});
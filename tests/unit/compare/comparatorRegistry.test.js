@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for ComparatorRegistry
+ * Tests registering comparators, field-based applicability, the deviation schema and plugin modules
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import ComparatorRegistry from '../../../src/compare/comparatorRegistry.js';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+import EnhancedComparisonEngine from '../../../src/compare/enhancedComparisonEngine.js';
+
+describe('ComparatorRegistry', () => {
+  let registry;
+  const brandRadius = {
+    name: 'brand-radius',
+    category: 'borders',
+    consumes: { figma: [], web: ['styles.borderRadius'] },
+    compare: (figmaComponent, webElement) => (webElement.styles.borderRadius === '4px'
+      ? { matches: [{ property: 'brandRadius', value: '4px' }] }
+      : { deviations: [{ property: 'brandRadius', figmaValue: '4px', webValue: webElement.styles.borderRadius, severity: 'medium', message: 'Brand radius is 4px' }] })
+  };
+
+  beforeEach(() => {
+    registry = new ComparatorRegistry();
+  });
+
+  test('should validate comparators on registration', () => {
+    registry.register(brandRadius);
+
+    expect(() => registry.register(brandRadius)).toThrow('already registered');
+    expect(() => registry.register({ name: 'no-compare' })).toThrow('"compare" must be a function');
+    expect(() => registry.register({ name: 'bad-fields', consumes: { figma: 'fills' }, compare: () => ({}) })).toThrow('arrays of field paths');
+    expect(registry.list()).toEqual([{ name: 'brand-radius', category: 'borders', consumes: brandRadius.consumes }]);
+  });
+
+  test('should skip comparators whose fields are all missing and normalize results', async () => {
+    registry.register(brandRadius);
+
+    expect(await registry.run({}, { styles: {} })).toEqual({ deviations: [], matches: [], unfetched: [] });
+
+    const result = await registry.run({}, { styles: { borderRadius: '8px' } });
+    expect(result.deviations).toEqual([{
+      category: 'borders',
+      comparator: 'brand-radius',
+      property: 'brandRadius',
+      figmaValue: '4px',
+      webValue: '8px',
+      difference: null,
+      severity: 'medium',
+      message: 'Brand radius is 4px'
+    }]);
+  });
+
+  test('should report failing comparators and results outside the schema as unfetched', async () => {
+    registry.register({ name: 'throws', compare: () => { throw new Error('boom'); } });
+    registry.register({ name: 'bad-severity', compare: () => ({ deviations: [{ property: 'x', severity: 'critical' }] }) });
+
+    const result = await registry.run({}, {});
+
+    expect(result.deviations).toHaveLength(0);
+    expect(result.unfetched.map(entry => [entry.comparator, entry.status])).toEqual([['throws', 'unfetched'], ['bad-severity', 'unfetched']]);
+    expect(result.unfetched[1].message).toContain('severity "critical"');
+  });
+
+  describe('Plugin modules', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'comparators-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should load comparators from a module on first comparison', async () => {
+      const modulePath = path.join(directory, 'brand.mjs');
+      await fs.writeFile(modulePath, `export default [{
+        name: 'brand-font',
+        category: 'typography',
+        consumes: { web: ['styles.fontFamily'] },
+        compare: (figmaComponent, webElement) => ({
+          deviations: webElement.styles.fontFamily.startsWith('Inter') ? [] : [{ property: 'brandFont', severity: 'high', message: 'Use the brand font' }]
+        })
+      }];\n`);
+      const engine = new ComparisonEngine({ comparatorModules: [modulePath], disabledComparators: ['dimensions'] });
+
+      const result = await engine.compareDesigns(
+        { fileId: 'file', components: [{ id: '1:1', name: 'Title', type: 'TEXT', properties: {} }] },
+        { url: 'https://example.com', elements: [{ selector: 'h1', tagName: 'h1', text: 'Title', styles: { fontFamily: 'Arial' } }] }
+      );
+
+      expect(engine.comparators.get('dimensions')).toBeNull();
+      expect(result.comparisons[0].deviations).toEqual([expect.objectContaining({ category: 'typography', comparator: 'brand-font', property: 'brandFont' })]);
+    });
+
+    test('should fail with the module path when a module cannot be loaded', async () => {
+      await expect(registry.load(path.join(directory, 'missing.mjs'))).rejects.toThrow('Cannot load comparators from');
+    });
+  });
+
+  test('should run the enhanced engine through the same comparators and schema', async () => {
+    const engine = new EnhancedComparisonEngine({ comparators: [brandRadius] });
+    const result = await engine.compareDesigns(
+      {
+        fileId: 'file',
+        components: [{
+          id: '1:1',
+          name: 'Save',
+          type: 'FRAME',
+          properties: { colors: { backgroundColor: '#1a73e8' }, typography: {}, layout: { paddingTop: 8 }, effects: {} }
+        }]
+      },
+      {
+        url: 'https://example.com',
+        elements: [{ selector: 'button', tagName: 'button', text: 'Save', styles: { backgroundColor: 'rgb(26, 115, 232)', borderRadius: '8px', paddingTop: '12px', fontFamily: 'Inter' } }]
+      }
+    );
+    const comparison = result.comparisons[0];
+
+    expect(comparison.matches).toContainEqual(expect.objectContaining({ category: 'color', comparator: 'backgroundColor', property: 'backgroundColor' }));
+    expect(comparison.deviations.map(deviation => deviation.comparator)).toEqual(['spacing', 'brand-radius']);
+    expect(result.colorAnalysis.commonColors).toEqual(['#1a73e8']);
+    expect(result.summary.totalMatches).toBe(comparison.matches.length);
+  });
+});
@@ -5,6 +5,7 @@
 
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+import WaiverStore from '../../../src/compare/waiverStore.js';
 
 describe('ComparisonEngine', () => {
   let comparisonEngine;
@@ -90,6 +91,18 @@ describe('ComparisonEngine', () => {
       expect(engine.thresholds.sizeDifference).toBeDefined();
       expect(engine.thresholds.spacingDifference).toBeDefined();
     });
+
+    test('should only ask for the web captures the design needs', () => {
+      expect(comparisonEngine.requiredCaptures([
+        { id: '1:1', name: 'Title', type: 'TEXT', properties: {} },
+        { id: '1:2', name: 'Card', type: 'FRAME', properties: { constraints: { horizontal: 'LEFT', vertical: 'TOP' } } },
+        { id: '1:3', name: 'State=Hover', type: 'COMPONENT', visible: false, variant: { properties: { State: 'Hover' } }, properties: {} }
+      ])).toEqual({ captureStates: false, captureFonts: true, captureIcons: false, captureImages: false, captureResizing: false });
+
+      expect(comparisonEngine.requiredCaptures([
+        { id: '2:1', name: 'Hero', type: 'FRAME', properties: { fills: [{ type: 'IMAGE', scaleMode: 'FILL' }], layoutSizing: { horizontal: 'FILL' } } }
+      ])).toMatchObject({ captureImages: true, captureResizing: true });
+    });
   });
 
   describe('Design Comparison', () => {
@@ -175,6 +188,82 @@ describe('ComparisonEngine', () => {
       expect(result.comparisons.filter(c => c.status === 'no_match').length).toBeGreaterThanOrEqual(1);
     });
 
+    test('should never assign one web element to several components', async () => {
+      const duplicate = { ...mockFigmaData.components[1], id: 'figma-button-2' };
+      const result = await comparisonEngine.compareDesigns(
+        { ...mockFigmaData, components: [...mockFigmaData.components, duplicate] },
+        mockWebData
+      );
+
+      const selectors = result.comparisons.map(comparison => comparison.selector).filter(Boolean);
+      expect(new Set(selectors).size).toBe(selectors.length);
+      expect(result.summary.missingComponents).toBe(result.comparisons.filter(c => c.status === 'no_match').length);
+      expect(result.summary.missingComponents).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should pick the globally best assignment regardless of order', () => {
+      const figmaComponents = [
+        { id: 'a', name: 'Save', type: 'TEXT' },
+        { id: 'b', name: 'Save changes', type: 'TEXT' }
+      ];
+      const webElements = [
+        { selector: '#save-changes', tagName: 'span', text: 'Save changes' },
+        { selector: '#save', tagName: 'span', text: 'Save' }
+      ];
+
+      const forward = comparisonEngine.matchComponents(figmaComponents, webElements).map(element => element?.selector);
+      const reversed = comparisonEngine.matchComponents([...figmaComponents].reverse(), webElements).map(element => element?.selector);
+
+      expect(forward).toEqual(['#save', '#save-changes']);
+      expect(reversed).toEqual(['#save-changes', '#save']);
+    });
+
+    test('should explain each match with its score factors and runner-up candidates', () => {
+      const figmaComponents = [
+        { id: 'a', name: 'Save', type: 'TEXT' },
+        { id: 'b', name: 'Save changes', type: 'TEXT' }
+      ];
+      const webElements = [
+        { selector: '#save-changes', tagName: 'span', text: 'Save changes' },
+        { selector: '#save', tagName: 'span', text: 'Save' }
+      ];
+
+      const { elements, explanations } = comparisonEngine.assignComponents(figmaComponents, webElements);
+      const explanation = explanations[0];
+
+      expect(elements[0].matchExplanation).toBe(explanation);
+      expect(explanation.score).toBeCloseTo(elements[0].matchScore, 3);
+      expect(explanation.factors.name).toMatchObject({ similarity: 1, weight: 0.3 });
+      expect(explanation.factors.dimensions).toBeNull();
+      expect(explanation.factors).toHaveProperty('hierarchy.adjustment');
+      expect(explanation.candidates).toEqual([
+        expect.objectContaining({ selector: '#save-changes', assignedTo: { componentId: 'b', componentName: 'Save changes' }, reason: 'Matched to Save changes' })
+      ]);
+    });
+
+    test('should keep candidates for unmatched components in the comparison output', async () => {
+      const result = await comparisonEngine.compareDesigns(
+        { components: [{ id: 'a', name: 'Checkout', type: 'FRAME', properties: {} }] },
+        { elements: [{ selector: 'span.note', tagName: 'span', text: 'Terms apply', styles: {} }] }
+      );
+      const explanation = result.comparisons[0].matchExplanation;
+
+      expect(result.comparisons[0].status).toBe('no_match');
+      expect(explanation).toMatchObject({ score: null, factors: null });
+      expect(explanation.candidates[0]).toMatchObject({ selector: 'span.note', reason: 'Below the minimum match score' });
+    });
+
+    test('should report web elements left without a Figma counterpart', async () => {
+      const extraElement = { selector: '.promo-banner', tagName: 'section', text: 'Limited offer', styles: {} };
+      const result = await comparisonEngine.compareDesigns(mockFigmaData, {
+        ...mockWebData,
+        elements: [...mockWebData.elements, extraElement]
+      });
+
+      expect(result.unmatchedElements.map(element => element.selector)).toContain('.promo-banner');
+      expect(result.summary.unmatchedElements).toBe(result.unmatchedElements.length);
+    });
+
     test('should calculate match confidence scores', async () => {
       const result = await comparisonEngine.compareDesigns(mockFigmaData, mockWebData);
 
@@ -190,6 +279,67 @@ describe('ComparisonEngine', () => {
     });
   });
 
+  describe('Severity Rules', () => {
+    test('should apply rules from config and record which rule applied', async () => {
+      const engine = new ComparisonEngine({
+        ...config,
+        rules: {
+          severityThresholds: { size: { high: 2, medium: 1 }, color: { high: 8 } },
+          rules: [{ id: 'placeholders', match: { componentName: 'Extra*', property: 'existence' }, severity: 'ignore' }]
+        }
+      });
+      const figmaDataWithExtra = {
+        ...mockFigmaData,
+        components: [...mockFigmaData.components, { id: 'figma-extra', name: 'Extra Component', type: 'ELLIPSE', properties: {} }]
+      };
+
+      const result = await engine.compareDesigns(figmaDataWithExtra, mockWebData);
+      const extra = result.comparisons.find(c => c.componentId === 'figma-extra');
+
+      expect(extra.status).toBe('ignored');
+      expect(extra.deviations).toHaveLength(0);
+      expect(extra.ignored[0].rule).toBe('placeholders');
+      expect(result.summary.ignored).toBe(1);
+      expect(engine.getSeverity('size', 3)).toBe('high');
+      expect(engine.getSeverity('color', 3)).toBe('low');
+      // Levels the rules leave out keep their defaults
+      expect(engine.getSeverity('color', 6)).toBe('medium');
+      expect(engine.getSeverity('color', 8)).toBe('high');
+    });
+
+    test('should load a rules file on first comparison', async () => {
+      const engine = new ComparisonEngine({ ...config, rulesFile: '/nonexistent/comparison-rules.json' });
+
+      await expect(engine.compareDesigns(mockFigmaData, mockWebData)).rejects.toThrow('Cannot read rules file');
+    });
+  });
+
+  describe('Waivers', () => {
+    test('should report waived deviations separately from the summary counts', async () => {
+      const waivers = new WaiverStore('unused.json', [{
+        componentId: 'figma-extra',
+        property: 'existence',
+        selector: null,
+        reason: 'Not built yet',
+        expiresAt: new Date(Date.now() + 86400000).toISOString()
+      }]);
+      const engine = new ComparisonEngine({ ...config, waivers });
+      const figmaDataWithExtra = {
+        ...mockFigmaData,
+        components: [...mockFigmaData.components, { id: 'figma-extra', name: 'Extra Component', type: 'ELLIPSE', properties: {} }]
+      };
+
+      const baseline = await engine.compareDesigns(mockFigmaData, mockWebData);
+      const result = await engine.compareDesigns(figmaDataWithExtra, mockWebData);
+      const extra = result.comparisons.find(c => c.componentId === 'figma-extra');
+
+      expect(extra.status).toBe('waived');
+      expect(extra.waived[0].waiver.reason).toBe('Not built yet');
+      expect(result.summary.waived).toBe(1);
+      expect(result.summary.totalDeviations).toBe(baseline.summary.totalDeviations);
+    });
+  });
+
   describe('Property Comparison', () => {
     test('should compare font properties correctly', async () => {
       const result = await comparisonEngine.compareDesigns(mockFigmaData, mockWebData);
@@ -319,8 +469,46 @@ describe('ComparisonEngine', () => {
     });
 
     test('should handle different color formats', () => {
-      // This method is not implemented in the current version
-      expect(true).toBe(true); // Placeholder test
+      const hsl = comparisonEngine.compareColors('#3366ff', 'hsl(225 100% 60%)', 'color');
+      const named = comparisonEngine.compareColors('#663399', 'rebeccapurple', 'color');
+      const p3 = comparisonEngine.compareColors('#808080', 'color(display-p3 0.5 0.5 0.5)', 'color');
+
+      expect(hsl.match).toBeDefined();
+      expect(named.match).toBeDefined();
+      expect(p3.match).toBeDefined();
+    });
+
+    test('should report ΔE2000 and contrast impact in color deviations', () => {
+      const comparison = comparisonEngine.compareColors('#767676', 'rgb(160, 160, 160)', 'color');
+
+      expect(comparison.deviation.deltaE).toBeGreaterThan(comparisonEngine.thresholds.colorDifference);
+      expect(comparison.deviation.difference).toMatch(/^ΔE /);
+      expect(comparison.deviation.contrast.wcagAA).toEqual({ figma: true, web: false });
+      expect(comparison.deviation.severity).toBe('high');
+      expect(comparison.deviation.message).toContain('drops below WCAG AA');
+    });
+
+    test('should composite translucent colors over the resolved backdrop', () => {
+      const backdrop = comparisonEngine.resolveBackdrop(['rgb(0, 0, 0)']);
+
+      // 50% white over black renders as mid grey, same as the opaque design value
+      const comparison = comparisonEngine.compareColors('#808080', 'rgba(255, 255, 255, 0.5)', 'backgroundColor', { backdrop });
+      expect(comparison.match).toBeDefined();
+
+      // Over the default white canvas the same value is a clear deviation
+      expect(comparisonEngine.compareColors('#808080', 'rgba(255, 255, 255, 0.5)', 'backgroundColor').deviation).toBeDefined();
+    });
+
+    test('should measure background contrast against the text color on top', () => {
+      const comparison = comparisonEngine.compareColors(
+        '#1a73e8',
+        'rgb(130, 180, 255)',
+        'backgroundColor',
+        { counterpart: 'rgb(255, 255, 255)' }
+      );
+
+      expect(comparison.deviation.contrast.figma).toBeGreaterThan(comparison.deviation.contrast.web);
+      expect(comparison.deviation.contrast.change).toBeLessThan(0);
     });
 
     test('should calculate color similarity', () => {
@@ -337,7 +525,367 @@ describe('ComparisonEngine', () => {
     });
   });
 
+  describe('Fill Analysis', () => {
+    const gradientFill = {
+      type: 'GRADIENT_LINEAR',
+      opacity: 1,
+      angle: 90,
+      stops: [
+        { color: '#ff0000', position: 0 },
+        { color: '#0000ff', position: 1 }
+      ]
+    };
+
+    test('should match an equivalent CSS gradient', () => {
+      const result = comparisonEngine.compareFills([gradientFill], {
+        backgroundImage: 'linear-gradient(to right, rgb(255, 0, 0), rgb(0, 0, 255))'
+      });
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches.map(match => match.property)).toContain('fill[0].stops[1].color');
+    });
+
+    test('should report angle, stop color and stop position deviations', () => {
+      const result = comparisonEngine.compareFills([gradientFill], {
+        backgroundImage: 'linear-gradient(45deg, rgb(255, 0, 0) 10%, rgb(0, 128, 0) 100%)'
+      });
+      const properties = result.deviations.map(deviation => deviation.property);
+
+      expect(properties).toEqual(['fill[0].angle', 'fill[0].stops[0].position', 'fill[0].stops[1].color']);
+      expect(result.deviations[0].severity).toBe('high');
+    });
+
+    test('should flatten stacked solid fills into background-color', () => {
+      const result = comparisonEngine.compareFills(
+        [{ type: 'SOLID', color: '#00000080' }, { type: 'SOLID', color: '#ffffff' }],
+        { backgroundColor: 'rgb(128, 128, 128)', backgroundImage: 'none' }
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches[0].property).toBe('fill.solid');
+    });
+
+    test('should report missing and mismatched layers', () => {
+      const result = comparisonEngine.compareFills(
+        [{ ...gradientFill, type: 'GRADIENT_RADIAL' }, gradientFill],
+        { backgroundImage: 'linear-gradient(90deg, red, blue)' }
+      );
+      const properties = result.deviations.map(deviation => deviation.property);
+
+      expect(properties).toEqual(['fill.layers', 'fill[0].type', 'fill[1]']);
+      expect(result.deviations[2].figmaValue).toBe('linear-gradient(90deg, #ff0000 0%, #0000ff 100%)');
+    });
+  });
+
+  describe('Effect Analysis', () => {
+    const dropShadow = { type: 'DROP_SHADOW', color: '#00000040', offset: { x: 0, y: 4 }, radius: 8, spread: 0 };
+
+    test('should pair shadows by kind regardless of order', () => {
+      const result = comparisonEngine.compareShadows(
+        [dropShadow, { type: 'INNER_SHADOW', color: '#ffffff', offset: { x: 0, y: 1 }, radius: 0, spread: 0 }],
+        'rgb(255, 255, 255) 0px 1px 0px 0px inset, rgba(0, 0, 0, 0.25) 0px 4px 8px 0px'
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches).toHaveLength(10);
+    });
+
+    test('should report geometry, color, missing and extra shadows', () => {
+      const result = comparisonEngine.compareShadows(
+        [dropShadow, { type: 'INNER_SHADOW', color: '#000000', offset: { x: 0, y: 0 }, radius: 2, spread: 0 }],
+        'rgba(0, 0, 0, 0.6) 0px 8px 8px 0px, rgb(0, 0, 0) 0px 0px 1px 0px'
+      );
+      const properties = result.deviations.map(deviation => deviation.property);
+
+      expect(properties).toEqual(['shadow[0].offsetY', 'shadow[0].color', 'shadow[1]', 'boxShadow']);
+      expect(result.deviations[2].figmaValue).toBe('inset 0px 0px 2px 0px #000000');
+    });
+
+    test('should compare layer and background blur with CSS filters', () => {
+      const result = comparisonEngine.compareBlur(
+        { layer: 8, background: 20 },
+        { filter: 'blur(4px)', backdropFilter: 'none' }
+      );
+
+      expect(result.matches[0].property).toBe('filter');
+      expect(result.deviations[0]).toMatchObject({ property: 'backdropFilter', figmaValue: 'blur(10px)', webValue: 'none' });
+    });
+
+    test('should compare effective opacity down the ancestor chain', () => {
+      const disabled = comparisonEngine.compareOpacity(
+        { opacity: 1, effectiveOpacity: 0.4 },
+        { effectiveOpacity: 0.4, styles: { opacity: '1' } }
+      );
+      expect(disabled.deviations).toHaveLength(0);
+      expect(disabled.matches[0]).toMatchObject({ property: 'opacity', value: '40%' });
+
+      const result = comparisonEngine.compareOpacity(
+        { opacity: 1, effectiveOpacity: 0.4 },
+        { effectiveOpacity: 1, styles: { opacity: '1' } }
+      );
+      expect(result.deviations[0]).toMatchObject({
+        property: 'opacity',
+        figmaValue: '40%',
+        webValue: '100%',
+        severity: 'high',
+        message: 'Effective opacity differs: Figma 40%, web 100% (inherited from an ancestor)'
+      });
+    });
+
+    test('should compare blend mode with mix-blend-mode', () => {
+      const result = comparisonEngine.compareOpacity(
+        { blendMode: 'LINEAR_DODGE' },
+        { styles: { mixBlendMode: 'screen' } }
+      );
+
+      expect(result.deviations[0]).toMatchObject({
+        property: 'mixBlendMode',
+        message: 'Blend mode LINEAR_DODGE should render as mix-blend-mode: plus-lighter'
+      });
+      expect(comparisonEngine.compareOpacity({ blendMode: 'PASS_THROUGH' }, { styles: { mixBlendMode: 'normal' } }).deviations).toHaveLength(0);
+    });
+
+    test('should not report hidden Figma layers as missing', async () => {
+      const result = await comparisonEngine.compareDesigns(
+        {
+          fileId: 'file',
+          components: [
+            { id: '1:1', name: 'Tooltip', type: 'FRAME', visible: false, properties: { dimensions: { x: 0, y: 0, width: 120, height: 40 } } },
+            { id: '1:2', name: 'Tooltip text', type: 'TEXT', hidden: true, properties: { dimensions: { x: 8, y: 8, width: 100, height: 20 } } }
+          ]
+        },
+        { url: 'https://example.com', elements: [] }
+      );
+
+      expect(result.comparisons).toHaveLength(0);
+      expect(result.summary).toMatchObject({ missingComponents: 0, hiddenComponents: 2 });
+    });
+  });
+
+  describe('Token Analysis', () => {
+    const primary = { source: 'variable', id: 'VariableID:1', name: 'color/primary' };
+
+    test('should accept values authored with the bound token', () => {
+      const result = comparisonEngine.compareTokens(
+        { backgroundColor: primary },
+        { backgroundColor: ['--button-bg', '--color-primary'] }
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches[0].message).toBe('backgroundColor uses the variable "color/primary" (--button-bg → --color-primary)');
+    });
+
+    test('should report hardcoded values and wrong tokens as separate deviations', () => {
+      const result = comparisonEngine.compareTokens(
+        { backgroundColor: primary, color: { source: 'style', id: 'S:1', name: 'Text/Default' } },
+        { color: ['--color-gray-900'] }
+      );
+
+      expect(result.deviations.map(deviation => deviation.property)).toEqual(['hardcoded.backgroundColor', 'wrongToken.color']);
+      expect(result.deviations[1].message).toBe('Right value, wrong token: color uses var(--color-gray-900) instead of the style "Text/Default"');
+    });
+
+    test('should leave wrong tokens with wrong values to the value comparison', () => {
+      const result = comparisonEngine.compareTokens(
+        { backgroundColor: primary },
+        { backgroundColor: ['--color-secondary'] },
+        [{ property: 'backgroundColor', severity: 'high' }]
+      );
+
+      expect(result.deviations).toHaveLength(0);
+    });
+
+    test('should match text styles against any typography custom property', () => {
+      const result = comparisonEngine.compareTokens(
+        { typography: { source: 'style', id: 'S:2', name: 'Heading/H1' } },
+        { fontFamily: ['--font-sans'], fontSize: ['--heading-h1-size'] }
+      );
+
+      expect(result.matches[0].property).toBe('token.typography');
+    });
+  });
+
+  describe('Layout Analysis', () => {
+    const row = (gap, count = 3) => Array.from({ length: count }, (_, index) => ({ x: index * (40 + gap), y: 0, width: 40, height: 20 }));
+
+    test('should match horizontal auto-layout rendered with flexbox', () => {
+      const result = comparisonEngine.compareLayout(
+        { mode: 'HORIZONTAL', direction: 'CENTER', counterAxisAlign: 'CENTER', gap: 8 },
+        { display: 'flex', flexDirection: 'row', justifyContent: 'center', alignItems: 'center', columnGap: '8px', rowGap: 'normal', flexWrap: 'nowrap' },
+        row(8)
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches.map(match => match.property)).toEqual(['layoutMode', 'gap', 'justifyContent', 'alignItems', 'flexWrap']);
+    });
+
+    test('should accept margin-based spacing measured from child rects', () => {
+      const stacked = [0, 1, 2].map(index => ({ x: 0, y: index * 36, width: 200, height: 24 }));
+      const result = comparisonEngine.compareLayout(
+        { mode: 'VERTICAL', gap: 12 },
+        { display: 'block', rowGap: 'normal', columnGap: 'normal' },
+        stacked
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches.find(match => match.property === 'gap').message).toContain('margins');
+    });
+
+    test('should report direction, alignment, gap and wrap deviations', () => {
+      const direction = comparisonEngine.compareLayout(
+        { mode: 'VERTICAL', gap: 8 },
+        { display: 'flex', flexDirection: 'row' },
+        row(8)
+      );
+      expect(direction.deviations[0]).toMatchObject({ property: 'layoutMode', severity: 'high' });
+
+      const details = comparisonEngine.compareLayout(
+        { mode: 'HORIZONTAL', direction: 'SPACE_BETWEEN', counterAxisAlign: 'MIN', gap: 8, wrap: 'WRAP' },
+        { display: 'flex', flexDirection: 'row', justifyContent: 'flex-start', alignItems: 'stretch', flexWrap: 'nowrap' },
+        row(24)
+      );
+      expect(details.deviations.map(deviation => deviation.property)).toEqual(['justifyContent', 'flexWrap']);
+
+      const gap = comparisonEngine.compareLayout({ mode: 'HORIZONTAL', gap: 8 }, { display: 'flex', columnGap: '8px' }, row(20));
+      expect(gap.deviations[0]).toMatchObject({ property: 'gap', webValue: '20px (measured)' });
+    });
+
+    test('should detect wrapped rows from child rects', () => {
+      const wrapped = [
+        { x: 0, y: 0, width: 40, height: 20 }, { x: 48, y: 0, width: 40, height: 20 },
+        { x: 0, y: 36, width: 40, height: 20 }, { x: 48, y: 36, width: 40, height: 20 }
+      ];
+      const layout = comparisonEngine.measureChildLayout(wrapped);
+
+      expect(layout).toEqual({ axis: 'horizontal', wrapped: true, gaps: [8, 8], lineGaps: [16] });
+    });
+  });
+
+  describe('Corner Radius Analysis', () => {
+    test('should keep a single borderRadius result for uniform corners', () => {
+      const result = comparisonEngine.compareBorders({ borderRadius: 8 }, { borderRadius: '8px' });
+
+      expect(result.matches).toHaveLength(1);
+      expect(result.matches[0].property).toBe('borderRadius');
+    });
+
+    test('should compare mixed corners individually', () => {
+      const result = comparisonEngine.compareBorders(
+        { cornerRadii: { topLeft: 16, topRight: 16, bottomRight: 4, bottomLeft: 16 } },
+        { borderTopLeftRadius: '16px', borderTopRightRadius: '16px', borderBottomRightRadius: '16px', borderBottomLeftRadius: '16px' },
+        { figma: { width: 200, height: 80 }, web: { width: 200, height: 80 } }
+      );
+
+      expect(result.matches).toHaveLength(3);
+      expect(result.deviations).toHaveLength(1);
+      expect(result.deviations[0]).toMatchObject({ property: 'borderBottomRightRadius', figmaValue: '4px', webValue: '16px' });
+    });
+
+    test('should resolve pills and elliptical radii against the box', () => {
+      const pill = comparisonEngine.compareBorders(
+        { borderRadius: 100 },
+        { borderRadius: '50%' },
+        { figma: { width: 120, height: 40 }, web: { width: 120, height: 40 } }
+      );
+      expect(pill.deviations).toHaveLength(1);
+      expect(pill.deviations[0].webValue).toBe('60px / 20px');
+
+      const capsule = comparisonEngine.compareBorders(
+        { borderRadius: 100 },
+        { borderRadius: '9999px' },
+        { figma: { width: 120, height: 40 }, web: { width: 120, height: 40 } }
+      );
+      expect(capsule.deviations).toHaveLength(0);
+    });
+  });
+
+  describe('Stroke Analysis', () => {
+    const border = side => ({
+      [`border${side}Width`]: '1px',
+      [`border${side}Style`]: 'solid',
+      [`border${side}Color`]: 'rgb(0, 0, 0)'
+    });
+    const allBorders = { ...border('Top'), ...border('Right'), ...border('Bottom'), ...border('Left') };
+    const figmaBorder = {
+      width: 1,
+      color: '#000000',
+      style: 'solid',
+      align: 'INSIDE',
+      widths: { top: 1, right: 1, bottom: 1, left: 1 }
+    };
+
+    test('should match an inside stroke drawn with border', () => {
+      const result = comparisonEngine.compareStrokes(figmaBorder, allBorders);
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches.map(match => match.property)).toEqual(['strokeAlign', 'borderWidth', 'borderColor', 'borderStyle']);
+    });
+
+    test('should accept outline and spread shadows for outside strokes', () => {
+      const outside = { ...figmaBorder, align: 'OUTSIDE' };
+
+      const outline = comparisonEngine.compareStrokes(outside, { outlineWidth: '1px', outlineStyle: 'solid', outlineColor: 'black', outlineOffset: '0px' });
+      expect(outline.deviations).toHaveLength(0);
+
+      const shadow = comparisonEngine.compareStrokes(outside, { boxShadow: 'rgb(0, 0, 0) 0px 0px 0px 1px' });
+      expect(shadow.deviations).toHaveLength(0);
+
+      const asBorder = comparisonEngine.compareStrokes(outside, allBorders);
+      expect(asBorder.deviations.map(deviation => deviation.property)).toEqual(['strokeAlign']);
+    });
+
+    test('should compare individual stroke weights per side', () => {
+      const bottomOnly = { ...figmaBorder, widths: { top: 0, right: 0, bottom: 2, left: 0 } };
+      const result = comparisonEngine.compareStrokes(bottomOnly, { ...border('Bottom'), borderTopStyle: 'none', borderTopWidth: '0px' });
+
+      expect(result.deviations).toHaveLength(1);
+      expect(result.deviations[0]).toMatchObject({ property: 'borderBottomWidth', figmaValue: '2px', webValue: '1px (border)' });
+    });
+
+    test('should report dashed strokes rendered solid and missing strokes', () => {
+      const dashed = comparisonEngine.compareStrokes({ ...figmaBorder, style: 'dashed', dashPattern: [4, 4] }, allBorders);
+      expect(dashed.deviations[0]).toMatchObject({ property: 'borderStyle', figmaValue: 'dashed [4, 4]', webValue: 'solid' });
+
+      const dotted = comparisonEngine.compareStrokes({ ...figmaBorder, style: 'dashed', dashPattern: [1, 2] }, {
+        ...allBorders, borderTopStyle: 'dotted', borderRightStyle: 'dotted', borderBottomStyle: 'dotted', borderLeftStyle: 'dotted'
+      });
+      expect(dotted.deviations).toHaveLength(0);
+
+      const missing = comparisonEngine.compareStrokes(figmaBorder, { borderStyle: 'none', borderWidth: '0px' });
+      expect(missing.deviations[0]).toMatchObject({ property: 'border', difference: 'missing' });
+    });
+  });
+
   describe('Typography Analysis', () => {
+    test('should show authored lengths next to their resolved px', () => {
+      const element = {
+        styles: { fontSize: '20px', paddingTop: '8px' },
+        authoredStyles: { fontSize: '1.25rem', paddingLeft: '5%' },
+        lengthContext: { fontSize: 20, parentFontSize: 16, rootFontSize: 16, containingBlock: { width: 400, height: 300 } }
+      };
+
+      const typography = comparisonEngine.compareTypography({ fontSize: 24 }, element.styles, element);
+      expect(typography.deviations[0]).toMatchObject({ property: 'fontSize', figmaValue: '24px', webValue: '1.25rem (20px)' });
+
+      // Without a computed px value the authored % resolves against the containing block
+      const spacing = comparisonEngine.compareSpacing({ paddingTop: 8, paddingLeft: 32 }, { ...element.styles, paddingLeft: '' }, element);
+      expect(spacing.matches.map(match => match.property)).toEqual(['paddingTop']);
+      expect(spacing.deviations[0]).toMatchObject({ property: 'paddingLeft', webValue: '5% (20px)', difference: '12px' });
+    });
+
+    test('should compare lengths at their rendered, transformed size', () => {
+      const element = {
+        styles: { fontSize: '16px', paddingTop: '10px' },
+        lengthContext: { fontSize: 16, scale: { x: 1.5, y: 1.5 } }
+      };
+
+      const typography = comparisonEngine.compareTypography({ fontSize: 24 }, element.styles, element);
+      const spacing = comparisonEngine.compareSpacing({ paddingTop: 10 }, element.styles, element);
+
+      expect(typography.matches[0].property).toBe('fontSize');
+      expect(spacing.deviations[0]).toMatchObject({ property: 'paddingTop', webValue: '10px (15px)' });
+    });
+
     test('should extract and analyze typography', async () => {
       const result = await comparisonEngine.compareDesigns(mockFigmaData, mockWebData);
 
@@ -362,6 +910,50 @@ describe('ComparisonEngine', () => {
       });
     });
 
+    test('should normalize line height and letter spacing units against the font size', () => {
+      const result = comparisonEngine.compareTypography(
+        { fontSize: 16, lineHeight: 24, letterSpacing: 0.8 },
+        { fontSize: '16px', lineHeight: '1.5', letterSpacing: '0.05em' }
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches.map(match => match.property)).toEqual(['fontSize', 'lineHeight', 'letterSpacing']);
+    });
+
+    test('should report line height and letter spacing deviations with the authored value', () => {
+      const result = comparisonEngine.compareTypography(
+        { fontSize: 20, lineHeight: 28, letterSpacing: { unit: 'PERCENT', value: -2 } },
+        { fontSize: '20px', lineHeight: 'normal', letterSpacing: 'normal' }
+      );
+
+      expect(result.deviations.map(deviation => deviation.property)).toEqual(['lineHeight', 'letterSpacing']);
+      expect(result.deviations[0].webValue).toBe('normal (≈24px)');
+      expect(result.deviations[1].figmaValue).toBe('-0.4px');
+    });
+
+    test('should treat Figma auto line height as normal', () => {
+      const result = comparisonEngine.compareTypography(
+        { fontSize: 16, lineHeight: 19.36, lineHeightAuto: true },
+        { fontSize: '16px', lineHeight: 'normal' }
+      );
+
+      expect(result.deviations).toHaveLength(0);
+    });
+
+    test('should map text case and decoration to CSS', () => {
+      const matching = comparisonEngine.compareTypography(
+        { textCase: 'UPPER', textDecoration: 'UNDERLINE' },
+        { textTransform: 'uppercase', textDecorationLine: 'underline', fontVariantCaps: 'normal' }
+      );
+      expect(matching.deviations).toHaveLength(0);
+
+      const mismatched = comparisonEngine.compareTypography(
+        { textCase: 'SMALL_CAPS', textDecoration: 'NONE' },
+        { textTransform: 'none', textDecoration: 'line-through solid rgb(0, 0, 0)', fontVariantCaps: 'normal' }
+      );
+      expect(mismatched.deviations.map(deviation => deviation.property)).toEqual(['fontVariantCaps', 'textDecoration']);
+    });
+
     test('should compare font sizes with units', () => {
       const engine = new ComparisonEngine(config);
       
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for HierarchyMatcher
+ * Tests tree reconstruction, structural score refinement and structural deviations
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import HierarchyMatcher from '../../../src/compare/hierarchyMatcher.js';
+
+describe('HierarchyMatcher', () => {
+  let matcher;
+
+  // Card (auto-layout) > [Title, Body wrapper (unlisted group) > Button]
+  const card = {
+    id: '1:1',
+    name: 'Card',
+    type: 'FRAME',
+    properties: { layout: { type: 'VERTICAL' } },
+    children: [
+      { id: '1:2', name: 'Title', type: 'TEXT' },
+      { id: '1:9', name: 'Group', type: 'GROUP', children: [{ id: '1:3', name: 'Button', type: 'INSTANCE' }] }
+    ]
+  };
+  const components = [
+    card,
+    { id: '1:2', name: 'Title', type: 'TEXT' },
+    { id: '1:3', name: 'Button', type: 'INSTANCE' }
+  ];
+
+  beforeEach(() => {
+    matcher = new HierarchyMatcher({});
+  });
+
+  describe('Tree Reconstruction', () => {
+    test('should link Figma components to their nearest listed ancestor', () => {
+      const tree = matcher.buildFigmaTree(components);
+
+      expect(tree.parents).toEqual([-1, 0, 0]);
+      expect(tree.children[0]).toEqual([1, 2]);
+      expect(tree.paths[2]).toEqual([1, 0]);
+    });
+
+    test('should read raw children from _originalNode', () => {
+      const tree = matcher.buildFigmaTree([
+        { id: 'a', name: 'Frame', _originalNode: { children: [{ id: 'b' }] } },
+        { id: 'b', name: 'Child' }
+      ]);
+
+      expect(tree.parents).toEqual([-1, 0]);
+    });
+
+    test('should link web elements through skipped DOM levels', () => {
+      const tree = matcher.buildWebTree([
+        { selector: 'main', domPath: '1/0' },
+        { selector: 'h2', domPath: '1/0/0/1' },
+        { selector: 'footer', domPath: '1/2' }
+      ]);
+
+      expect(tree.parents).toEqual([-1, 0, -1]);
+      expect(tree.children[0]).toEqual([1]);
+    });
+
+    test('should return no web tree without DOM paths', () => {
+      expect(matcher.buildWebTree([{ selector: 'div' }])).toBeNull();
+    });
+  });
+
+  describe('Score Refinement', () => {
+    test('should prefer the candidate whose parent also matches', () => {
+      const figmaTree = { parents: [-1, 0], children: [[1], []] };
+      const webTree = { parents: [-1, 0, -1, 2], children: [[1], [], [3], []] };
+      // Title scores the same against both headings; only the first sits inside the matched card
+      const scores = [
+        [0.9, 0, 0.1, 0],
+        [0, 0.6, 0, 0.6]
+      ];
+
+      const refined = matcher.refineScores(scores, figmaTree, webTree);
+
+      expect(refined[1][1]).toBeGreaterThan(refined[1][3]);
+    });
+
+    test('should leave scores untouched without structure', () => {
+      const scores = [[0.5, 0.7]];
+      const refined = matcher.refineScores(scores, { parents: [-1], children: [[]] }, { parents: [-1, -1], children: [[], []] });
+
+      expect(refined).toEqual(scores);
+    });
+  });
+
+  describe('Structural Deviations', () => {
+    test('should report a child rendered outside its matched parent', () => {
+      const elements = [
+        { selector: '.card', domPath: '1/0' },
+        { selector: '.card h2', domPath: '1/0/0' },
+        { selector: '.sidebar button', domPath: '1/1/0' }
+      ];
+
+      const deviations = matcher.findStructuralDeviations(components, elements, [0, 1, 2]);
+
+      expect(deviations.get(2)[0].property).toBe('hierarchy.nesting');
+      expect(deviations.has(1)).toBe(false);
+    });
+
+    test('should report a wrapper that has no web counterpart', () => {
+      const page = {
+        id: '0:1',
+        name: 'Page',
+        children: [{ id: '0:2', name: 'Actions', children: [{ id: '0:3', name: 'Save' }, { id: '0:4', name: 'Cancel' }] }]
+      };
+      const flat = [page, page.children[0], page.children[0].children[0], page.children[0].children[1]];
+      const elements = [
+        { selector: 'main', domPath: '1/0' },
+        { selector: 'main > .save', domPath: '1/0/0' },
+        { selector: 'main > .cancel', domPath: '1/0/1' }
+      ];
+
+      const deviations = matcher.findStructuralDeviations(flat, elements, [0, -1, 1, 2]);
+
+      expect(deviations.get(1)[0].property).toBe('hierarchy.wrapper');
+      expect(deviations.get(1)[0].message).toContain('2 of its children');
+    });
+
+    test('should not report a wrapper that exists on the web but was not matched', () => {
+      const page = {
+        id: '0:1',
+        name: 'Page',
+        children: [{ id: '0:2', name: 'Actions', children: [{ id: '0:3', name: 'Save' }, { id: '0:4', name: 'Cancel' }] }]
+      };
+      const flat = [page, page.children[0], page.children[0].children[0], page.children[0].children[1]];
+      const elements = [
+        { selector: 'main', domPath: '1/0' },
+        { selector: '.toolbar', domPath: '1/0/0' },
+        { selector: '.toolbar > .save', domPath: '1/0/0/0' },
+        { selector: '.toolbar > .cancel', domPath: '1/0/0/1' }
+      ];
+
+      const deviations = matcher.findStructuralDeviations(flat, elements, [0, -1, 2, 3]);
+
+      expect(deviations.has(1)).toBe(false);
+    });
+
+    test('should not report an unmatched root frame as a missing wrapper', () => {
+      const root = { id: '0:1', name: 'Desktop', children: [{ id: '0:2', name: 'Header' }, { id: '0:3', name: 'Footer' }] };
+      const elements = [
+        { selector: 'header', domPath: '1/0' },
+        { selector: 'footer', domPath: '1/1' }
+      ];
+
+      const deviations = matcher.findStructuralDeviations([root, ...root.children], elements, [-1, 0, 1]);
+
+      expect(deviations.size).toBe(0);
+    });
+
+    test('should report reordered children of auto-layout frames only', () => {
+      const elements = [
+        { selector: '.card', domPath: '1/0' },
+        { selector: '.card h2', domPath: '1/0/1' },
+        { selector: '.card button', domPath: '1/0/0' }
+      ];
+
+      const deviations = matcher.findStructuralDeviations(components, elements, [0, 1, 2]);
+      const order = [...deviations.values()].flat().filter(d => d.property === 'hierarchy.order');
+      expect(order).toHaveLength(1);
+
+      const freeform = [{ ...card, properties: {} }, ...components.slice(1)];
+      expect(matcher.findStructuralDeviations(freeform, elements, [0, 1, 2]).size).toBe(0);
+    });
+
+    test('should only flag the children that break the order', () => {
+      expect([...matcher.longestIncreasingSubsequence([0, 3, 1, 2])].sort()).toEqual([0, 1, 2]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for IconComparator
+ * Tests shape similarity of icon rasters and when icon color is reported
+ */
+
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('IconComparator', () => {
+  let directory;
+  let engine;
+  const files = {};
+
+  // Write a transparent PNG drawing `inside(u, v)` (0-1 coordinates within the padding) in `color`
+  const writeIcon = async (name, { size = 48, padding = 0, color = [0, 0, 0] }, inside) => {
+    const png = new PNG({ width: size, height: size });
+    png.data.fill(0);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const u = (x - padding) / (size - 2 * padding);
+        const v = (y - padding) / (size - 2 * padding);
+        if (u >= 0 && u < 1 && v >= 0 && v < 1 && inside(u, v)) png.data.set([...color, 255], (y * size + x) * 4);
+      }
+    }
+    files[name] = path.join(directory, `${name}.png`);
+    await fs.writeFile(files[name], PNG.sync.write(png));
+  };
+  const plus = (u, v) => (u > 0.4 && u < 0.6) || (v > 0.4 && v < 0.6);
+  const ring = (u, v) => {
+    const distance = Math.hypot(u - 0.5, v - 0.5);
+    return distance > 0.35 && distance < 0.5;
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'icons-'));
+    await writeIcon('figmaPlus', {}, plus);
+    await writeIcon('webPlus', { size: 24, padding: 2 }, plus);
+    await writeIcon('bluePlus', { size: 24, color: [26, 115, 232] }, plus);
+    await writeIcon('webRing', { size: 24 }, ring);
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    engine = new ComparisonEngine();
+  });
+
+  test('should match the same icon rendered at another size and padding', async () => {
+    const result = await engine.iconComparator.compare(files.figmaPlus, files.webPlus);
+
+    expect(result.deviations).toHaveLength(0);
+    expect(result.matches.map(match => match.property)).toEqual(['icon.shape', 'icon.color']);
+  });
+
+  test('should report a different icon as a shape deviation', async () => {
+    const result = await engine.iconComparator.compare(files.figmaPlus, files.webRing);
+
+    expect(result.deviations[0]).toMatchObject({ property: 'icon.shape', severity: expect.stringMatching(/high|medium/) });
+    expect(result.deviations[0].message).toContain('wrong or outdated');
+  });
+
+  test('should report icon color only when no color deviation was reported', async () => {
+    const colorOnly = await engine.iconComparator.compare(files.figmaPlus, files.bluePlus);
+    expect(colorOnly.deviations.map(deviation => deviation.property)).toEqual(['icon.color']);
+
+    const alreadyReported = await engine.iconComparator.compare(files.figmaPlus, files.bluePlus, [{ property: 'color' }]);
+    expect(alreadyReported.deviations).toHaveLength(0);
+  });
+
+  test('should run for Figma icons with a raster as part of the component comparison', async () => {
+    const result = await engine.compareComponent(
+      { id: '1:2', name: 'Icon/Add', type: 'INSTANCE', raster: files.figmaPlus, properties: {} },
+      [],
+      { selector: 'svg.add', tagName: 'svg', raster: files.webRing, styles: {} }
+    );
+
+    expect(result.deviations).toContainEqual(expect.objectContaining({ category: 'icon', property: 'icon.shape' }));
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for ImageComparator
+ * Tests scale modes against object-fit / background-size, stretching and image content
+ */
+
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('ImageComparator', () => {
+  let directory;
+  let engine;
+  const files = {};
+
+  // Write an opaque PNG whose grey level is `shade(u, v)` with u, v in 0-1
+  const writeImage = async (name, width, height, shade) => {
+    const png = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const level = Math.round(shade(x / width, y / height));
+        png.data.set([level, level, level, 255], (y * width + x) * 4);
+      }
+    }
+    files[name] = path.join(directory, `${name}.png`);
+    await fs.writeFile(files[name], PNG.sync.write(png));
+  };
+  const hero = (u, v) => 40 + 200 * Math.abs(Math.sin(u * 5 + v * 2));
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'images-'));
+    await writeImage('figmaHero', 240, 120, hero);
+    await writeImage('webHero', 480, 240, hero);
+    await writeImage('oldHero', 480, 240, (u, v) => 40 + 200 * Math.abs(Math.cos(u * 2 - v * 7)));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    engine = new ComparisonEngine();
+  });
+
+  const rect = { width: 480, height: 240 };
+
+  test('should map Figma scale modes to object-fit and background-size', () => {
+    const comparator = engine.imageComparator;
+    const img = objectFit => ({ kind: 'img', objectFit, naturalWidth: 1600, naturalHeight: 900 });
+
+    expect(comparator.compareScaleMode('FILL', img('cover'), rect).match).toBeDefined();
+    expect(comparator.compareScaleMode('FIT', img('contain'), rect).match).toBeDefined();
+    expect(comparator.compareScaleMode('FILL', img('contain'), rect).deviation).toMatchObject({ property: 'image.scaleMode', severity: 'medium' });
+    expect(comparator.compareScaleMode('TILE', img('cover'), rect).deviation.message).toContain('not tiled');
+    expect(comparator.compareScaleMode('TILE', { kind: 'background', backgroundSize: '64px', backgroundRepeat: 'repeat' }, rect).match).toBeDefined();
+    expect(comparator.compareScaleMode('FILL', { kind: 'background', backgroundSize: 'cover', backgroundRepeat: 'no-repeat' }, rect).match).toBeDefined();
+  });
+
+  test('should report stretched images, but not object-fit: fill at the natural aspect ratio', () => {
+    const comparator = engine.imageComparator;
+
+    expect(comparator.compareAspectRatio({ kind: 'img', objectFit: 'fill', naturalWidth: 1600, naturalHeight: 900 }, rect).deviation)
+      .toMatchObject({ property: 'image.aspectRatio', severity: 'high' });
+    expect(comparator.compareAspectRatio({ kind: 'background', backgroundSize: '100% 100%', naturalWidth: 1000, naturalHeight: 500 }, rect).match).toBeDefined();
+    expect(comparator.compareScaleMode('FILL', { kind: 'img', objectFit: 'fill', naturalWidth: 960, naturalHeight: 480 }, rect).match).toBeDefined();
+  });
+
+  test('should match the same art and flag outdated art by perceptual hash', async () => {
+    const same = await engine.imageComparator.compareContent(files.figmaHero, files.webHero);
+    expect(same.match).toMatchObject({ property: 'image.content' });
+
+    const outdated = await engine.imageComparator.compareContent(files.figmaHero, files.oldHero);
+    expect(outdated.deviation.message).toContain('outdated');
+  });
+
+  test('should run for Figma image fills as part of the component comparison', async () => {
+    const result = await engine.compareComponent(
+      {
+        id: '1:2',
+        name: 'Hero',
+        type: 'RECTANGLE',
+        imageFill: { imageRef: 'hero', scaleMode: 'FILL', raster: files.figmaHero },
+        properties: { fills: [{ type: 'IMAGE', imageRef: 'hero', scaleMode: 'FILL', opacity: 1 }] }
+      },
+      [],
+      {
+        selector: 'img.hero',
+        tagName: 'img',
+        boundingRect: rect,
+        image: { kind: 'img', objectFit: 'contain', naturalWidth: 480, naturalHeight: 240 },
+        raster: files.oldHero,
+        styles: {}
+      }
+    );
+
+    const imageDeviations = result.deviations.filter(deviation => deviation.category === 'image').map(deviation => deviation.property);
+    expect(imageDeviations).toEqual(['image.scaleMode', 'image.content']);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for MappingStore
+ * Tests persisting pinned mappings per Figma file + URL pair and pinning matches with them
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import MappingStore from '../../../src/compare/mappingStore.js';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('MappingStore', () => {
+  let directory;
+  let filePath;
+  const pair = { fileKey: 'abc123', url: 'https://shop.test/checkout' };
+
+  // Two identical summaries: automatic matching pairs the Figma node with the first one
+  const figmaData = { fileId: 'abc123', components: [{ id: '1:2', name: 'Order summary', type: 'FRAME', properties: {} }] };
+  const webData = {
+    url: 'https://shop.test/checkout/#top',
+    elements: [
+      { selector: '#summary-mobile', domPath: '1/0', tagName: 'div', text: 'Order summary', styles: {}, attributes: {} },
+      { selector: '#summary-desktop', domPath: '1/1', tagName: 'div', text: 'Order summary', styles: {}, attributes: { testId: 'summary' } }
+    ]
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mappings-'));
+    filePath = path.join(directory, 'mappings.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should persist mappings per Figma file and URL pair', async () => {
+    const store = await MappingStore.load(filePath);
+    await store.pin({ ...pair, componentId: '1:2', selector: '#summary-desktop' });
+    await store.pin({ ...pair, url: 'https://shop.test/cart', componentId: '1:2', selector: '#cart' });
+
+    const reloaded = await MappingStore.load(filePath);
+    expect(reloaded.list(pair)).toEqual([expect.objectContaining({ componentId: '1:2', selector: '#summary-desktop' })]);
+    expect(reloaded.list()).toHaveLength(2);
+  });
+
+  test('should require a pair, one node key and exactly one target', async () => {
+    const store = await MappingStore.load(filePath);
+
+    await expect(store.pin({ componentId: '1:2', selector: '#a' })).rejects.toThrow('fileKey and the page url');
+    await expect(store.pin({ ...pair, selector: '#a' })).rejects.toThrow('componentId or a namePattern');
+    await expect(store.pin({ ...pair, componentId: '1:2', selector: '#a', xpath: '//main' })).rejects.toThrow('exactly one target');
+  });
+
+  test('should pin a match before automatic matching', async () => {
+    const engine = new ComparisonEngine();
+    expect((await engine.compareDesigns(figmaData, webData)).comparisons[0].selector).toBe('#summary-mobile');
+
+    const store = new MappingStore(filePath, [{ ...pair, componentId: '1:2', testId: 'summary' }]);
+    const pinned = await new ComparisonEngine({ mappings: store }).compareDesigns(figmaData, webData);
+
+    expect(pinned.comparisons[0].selector).toBe('#summary-desktop');
+    expect(pinned.comparisons[0].matchExplanation.pinned).toEqual({ componentId: '1:2', target: 'testId:summary', resolved: true });
+    expect(pinned.comparisons[0].matchExplanation.candidates[0]).toMatchObject({ selector: '#summary-mobile', reason: 'Not a pinned element' });
+  });
+
+  test('should use targets resolved in the page and fall back to automatic matching when none is found', () => {
+    const store = new MappingStore(filePath, [
+      { ...pair, namePattern: 'Order *', xpath: '//aside/div' },
+      { ...pair, componentId: '9:9', selector: '#missing' }
+    ]);
+    const components = [...figmaData.components, { id: '9:9', name: 'Promo', type: 'FRAME' }];
+
+    const pins = store.resolve(components, { ...webData, mappingTargets: { 'xpath://aside/div': ['1/1'] } }, 'abc123');
+    expect([...pins.get(0).elements]).toEqual([1]);
+    expect(pins.get(1).elements.size).toBe(0);
+    expect(store.resolve(components, webData, 'other-file').size).toBe(0);
+  });
+});
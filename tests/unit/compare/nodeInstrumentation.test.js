@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for NodeInstrumentation
+ * Tests exact matching by data-figma-node attributes and the instrumentation coverage report
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import NodeInstrumentation from '../../../src/compare/nodeInstrumentation.js';
+import MappingStore from '../../../src/compare/mappingStore.js';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('NodeInstrumentation', () => {
+  const figmaData = {
+    fileId: 'abc123',
+    components: [
+      { id: '1:2', name: 'Order summary', type: 'FRAME', properties: {} },
+      { id: '1:3', name: 'Promo', type: 'FRAME', properties: {} }
+    ]
+  };
+  // The heuristics prefer the first summary; the second one is instrumented
+  const webData = {
+    url: 'https://shop.test/checkout',
+    figmaNodeAttribute: 'data-figma-node',
+    elements: [
+      { selector: '#summary-mobile', domPath: '1/0', tagName: 'div', text: 'Order summary', styles: {}, attributes: {} },
+      { selector: '#summary-desktop', domPath: '1/1', tagName: 'div', text: 'Totals', styles: {}, attributes: { figmaNode: '1-2' } }
+    ],
+    figmaNodes: [
+      { nodeId: '1-2', selector: '#summary-desktop', tagName: 'div', domPath: '1/1' },
+      { nodeId: '7:7', selector: 'div[data-figma-node="7:7"]', tagName: 'div', domPath: '1/2' },
+      { nodeId: '8:8', selector: '#legacy', tagName: 'section', domPath: '1/3' }
+    ]
+  };
+
+  test('should normalize URL-style node ids', () => {
+    expect(NodeInstrumentation.normalizeNodeId(' 12-34 ')).toBe('12:34');
+    expect(NodeInstrumentation.normalizeNodeId('I1-2;3-4')).toBe('I1:2;3:4');
+    expect(NodeInstrumentation.normalizeNodeId('12:34')).toBe('12:34');
+    expect(NodeInstrumentation.normalizeNodeId('')).toBeNull();
+  });
+
+  test('should match instrumented elements exactly, overriding the heuristics', async () => {
+    const report = await new ComparisonEngine().compareDesigns(figmaData, webData);
+
+    expect(report.comparisons[0].selector).toBe('#summary-desktop');
+    expect(report.comparisons[0].matchExplanation.pinned).toEqual({
+      nodeId: '1:2', attribute: 'data-figma-node', target: 'data-figma-node="1:2"', resolved: true
+    });
+    // The instrumented element is not offered to other components
+    expect(report.comparisons[1].selector).not.toBe('#summary-desktop');
+  });
+
+  test('should let a hand-pinned mapping override the attribute', async () => {
+    const mappings = new MappingStore('unused.json', [
+      { fileKey: 'abc123', url: 'https://shop.test/checkout', componentId: '1:2', selector: '#summary-mobile' }
+    ]);
+    const report = await new ComparisonEngine({ mappings }).compareDesigns(figmaData, webData);
+
+    expect(report.comparisons[0].selector).toBe('#summary-mobile');
+    expect(report.comparisons[0].matchExplanation.pinned.target).toBe('selector:#summary-mobile');
+  });
+
+  test('should report coverage and stale nodes confirmed missing from the Figma file', async () => {
+    const unchecked = NodeInstrumentation.coverage(figmaData.components, webData);
+    expect(unchecked).toMatchObject({ designNodes: 2, instrumentedNodes: 1, coverage: 50, instrumentedElements: 3, outsideScope: [] });
+    expect(unchecked.staleNodes.map(node => node.nodeId)).toEqual(['7:7', '8:8']);
+
+    expect(NodeInstrumentation.unknownNodeIds(figmaData.components, webData)).toEqual(['7:7', '8:8']);
+    const report = await new ComparisonEngine().compareDesigns({ ...figmaData, missingNodeIds: ['8:8'] }, webData);
+    expect(report.instrumentation).toMatchObject({
+      coverage: 50,
+      staleNodes: [{ nodeId: '8:8', selector: '#legacy', tagName: 'section' }],
+      outsideScope: ['7:7']
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for PositionAnalyzer
+ * Tests frame-relative offsets, sibling alignment and layout drift summaries
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import PositionAnalyzer from '../../../src/compare/positionAnalyzer.js';
+import HierarchyMatcher from '../../../src/compare/hierarchyMatcher.js';
+
+describe('PositionAnalyzer', () => {
+  let analyzer;
+
+  // Frame at (1000, 2000) in Figma with a title and a button stacked and left-aligned
+  const components = [
+    {
+      id: '1:1',
+      name: 'Card',
+      properties: { dimensions: { x: 1000, y: 2000, width: 300, height: 200 } },
+      children: [{ id: '1:2' }, { id: '1:3' }]
+    },
+    { id: '1:2', name: 'Title', properties: { dimensions: { x: 1016, y: 2016, width: 200, height: 24 } } },
+    { id: '1:3', name: 'Button', properties: { dimensions: { x: 1016, y: 2060, width: 120, height: 40 } } }
+  ];
+  const figmaTree = new HierarchyMatcher({}).buildFigmaTree(components);
+  const element = (selector, x, y, width, height) => ({ selector, boundingRect: { x, y, width, height } });
+
+  beforeEach(() => {
+    analyzer = new PositionAnalyzer(
+      { positionDifference: 4, alignmentDifference: 2 },
+      (type, difference) => (difference >= 8 ? 'medium' : 'low')
+    );
+  });
+
+  test('should measure offsets relative to the matched frame', () => {
+    const elements = [
+      element('.card', 40, 100, 300, 200),
+      element('.card h2', 56, 116, 200, 24),
+      element('.card button', 56, 166, 120, 40)
+    ];
+
+    const { results } = analyzer.analyze(components, elements, [0, 1, 2], figmaTree);
+
+    expect(results.get(1).deviations).toHaveLength(0);
+    const offset = results.get(2).deviations.find(d => d.property === 'position.y');
+    expect(offset.message).toBe('"Button" is 6px lower than in the design');
+    expect(offset.figmaValue).toBe('60px');
+    expect(offset.webValue).toBe('66px');
+  });
+
+  test('should fall back to the median translation when the frame is unmatched', () => {
+    const elements = [
+      element('h2', 56, 116, 200, 24),
+      element('button', 56, 160, 120, 40)
+    ];
+
+    const { results, drift } = analyzer.analyze(components, elements, [-1, 0, 1], figmaTree);
+
+    expect(results.get(1).deviations).toHaveLength(0);
+    expect(results.get(2).deviations).toHaveLength(0);
+    expect(drift[0].selector).toBeNull();
+  });
+
+  test('should report siblings that are no longer aligned', () => {
+    const elements = [
+      element('.card', 0, 0, 300, 200),
+      element('.card h2', 16, 16, 200, 24),
+      element('.card button', 19, 60, 120, 40)
+    ];
+
+    const { results } = analyzer.analyze(components, elements, [0, 1, 2], figmaTree);
+    const alignment = results.get(2).deviations.find(d => d.property === 'alignment.left');
+
+    expect(alignment.message).toBe('Left edge of "Button" is 3px out of line with "Title"');
+    expect(results.get(1).deviations.some(d => d.property.startsWith('alignment.'))).toBe(false);
+  });
+
+  test('should summarize layout drift per frame', () => {
+    const elements = [
+      element('.card', 0, 0, 300, 200),
+      element('.card h2', 26, 16, 200, 24),
+      element('.card button', 26, 60, 120, 40)
+    ];
+
+    const { drift } = analyzer.analyze(components, elements, [0, 1, 2], figmaTree);
+
+    expect(drift).toHaveLength(1);
+    expect(drift[0]).toMatchObject({
+      frameName: 'Card',
+      selector: '.card',
+      componentsCompared: 2,
+      shift: { x: 10, y: 0 },
+      misplaced: 2
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests for RenderedFontComparator
+ * Tests fallback rendering and failed webfont loads against the declared font-family
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('RenderedFontComparator', () => {
+  const figmaData = {
+    components: [{
+      id: '1:2',
+      name: 'Heading',
+      type: 'TEXT',
+      properties: { typography: { fontFamily: 'Inter', fontSize: 24 } }
+    }]
+  };
+  const element = renderedFont => ({
+    selector: 'h1',
+    tagName: 'h1',
+    text: 'Heading',
+    styles: { fontFamily: '"Inter", sans-serif', fontSize: '24px' },
+    renderedFont: { declaredFamily: 'Inter', fonts: [], ...renderedFont }
+  });
+  const compare = async renderedFont => {
+    const report = await new ComparisonEngine().compareDesigns(figmaData, { url: 'https://example.com', elements: [element(renderedFont)] });
+    return report.comparisons[0];
+  };
+
+  test('should flag a webfont that failed to load even though font-family matches', async () => {
+    const comparison = await compare({ family: 'DejaVu Sans', isCustomFont: false, webfont: { status: 'error' } });
+
+    expect(comparison.matches).toEqual(expect.arrayContaining([expect.objectContaining({ property: 'fontFamily' })]));
+    expect(comparison.deviations).toEqual([expect.objectContaining({
+      category: 'fontRendering',
+      property: 'renderedFont.loadFailed',
+      figmaValue: 'Inter',
+      webValue: 'DejaVu Sans',
+      severity: 'high'
+    })]);
+  });
+
+  test('should flag fallback rendering of webfonts and local fonts', async () => {
+    const notLoaded = await compare({ family: 'Arial', isCustomFont: false, webfont: { status: 'unloaded' } });
+    expect(notLoaded.deviations).toEqual([expect.objectContaining({ property: 'renderedFont.fallback', severity: 'high' })]);
+    expect(notLoaded.deviations[0].message).toContain('webfont unloaded');
+
+    const notInstalled = await compare({ family: 'Liberation Sans', isCustomFont: false, webfont: null });
+    expect(notInstalled.deviations).toEqual([expect.objectContaining({ property: 'renderedFont.fallback' })]);
+    expect(notInstalled.deviations[0].message).toContain('not installed');
+  });
+
+  test('should accept a loaded webfont whatever its internal family name, and generic families', async () => {
+    const loaded = await compare({ family: 'Inter Variable', isCustomFont: true, webfont: { status: 'loaded' } });
+    expect(loaded.deviations).toEqual([]);
+    expect(loaded.matches).toEqual(expect.arrayContaining([expect.objectContaining({ property: 'renderedFont', value: 'Inter Variable' })]));
+
+    const generic = await compare({ declaredFamily: 'system-ui', family: 'Cantarell', isCustomFont: false, webfont: null });
+    expect(generic.matches.some(match => match.property === 'renderedFont')).toBe(false);
+  });
+});
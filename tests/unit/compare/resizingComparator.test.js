@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for ResizingComparator
+ * Tests inferring fixed / fill / scale / hug from measurements at several viewport widths and
+ * comparing them with Figma layout sizing and constraints
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('ResizingComparator', () => {
+  const engine = new ComparisonEngine();
+  const comparator = engine.resizingComparator;
+
+  // Measurements at 375, 768 and 1280px inside a container 32px narrower than the viewport, whose
+  // content is 100 × 150px
+  const measure = width => ({
+    samples: [375, 768, 1280].map(viewportWidth => ({
+      viewportWidth,
+      width: width(viewportWidth - 32),
+      height: 200,
+      parentWidth: viewportWidth - 32,
+      parentHeight: 600,
+      contentWidth: 100,
+      contentHeight: 150
+    }))
+  });
+
+  test('should infer how an element resizes', () => {
+    expect(comparator.inferBehavior(measure(() => 320).samples, 'horizontal').behavior).toBe('fixed');
+    expect(comparator.inferBehavior(measure(parent => parent).samples, 'horizontal').behavior).toBe('fill');
+    expect(comparator.inferBehavior(measure(parent => parent / 2).samples, 'horizontal').behavior).toBe('scale');
+    expect(comparator.inferBehavior(measure(() => 100).samples, 'horizontal').behavior).toBe('hug');
+
+    const clamped = comparator.inferBehavior(measure(parent => Math.min(parent, 640)).samples, 'horizontal');
+    expect(clamped).toMatchObject({ behavior: 'fill', clamped: true, sizes: { min: 343, max: 640 } });
+    // The parent never changes height, so fixed and fill cannot be told apart
+    expect(comparator.inferBehavior(measure(() => 320).samples, 'vertical')).toMatchObject({ behavior: null, sizes: { min: 200, max: 200 } });
+  });
+
+  test('should flag a card that should stretch but is fixed', async () => {
+    const figmaData = {
+      components: [{ id: '1:2', name: 'Card', type: 'FRAME', properties: { layoutSizing: { horizontal: 'FILL', vertical: 'HUG' } } }]
+    };
+    const webData = {
+      url: 'https://example.com',
+      elements: [{ selector: '.card', tagName: 'div', text: 'Card', styles: {}, resizing: measure(() => 320) }]
+    };
+
+    const report = await engine.compareDesigns(figmaData, webData);
+    expect(report.comparisons[0].deviations).toEqual(expect.arrayContaining([expect.objectContaining({
+      category: 'resizing',
+      property: 'resizing.horizontal',
+      figmaValue: 'FILL',
+      webValue: 'FIXED (320px)',
+      severity: 'high',
+      message: 'Should fill its container horizontally but stays fixed at 320px between 375px and 1280px wide'
+    })]));
+  });
+
+  test('should read the design intent from layout sizing, then constraints', () => {
+    expect(comparator.designIntent({ type: 'FRAME', layoutSizingHorizontal: 'HUG', constraints: { horizontal: 'LEFT_RIGHT' } }).horizontal)
+      .toEqual({ behavior: 'hug', label: 'HUG' });
+    expect(comparator.designIntent({ type: 'FRAME', properties: { constraints: { horizontal: 'SCALE', vertical: 'TOP_BOTTOM' } } }))
+      .toEqual({ horizontal: { behavior: 'scale', label: 'SCALE' }, vertical: { behavior: 'fill', label: 'TOP_BOTTOM' } });
+    // Default constraints are not an explicit choice to stay fixed
+    expect(comparator.designIntent({ type: 'FRAME', constraints: { horizontal: 'LEFT', vertical: 'TOP' } }))
+      .toEqual({ horizontal: null, vertical: null });
+    expect(comparator.designIntent({ type: 'FRAME', layoutSizingHorizontal: 'FIXED', constraints: { horizontal: 'LEFT' } }).horizontal)
+      .toEqual({ behavior: 'fixed', label: 'FIXED' });
+  });
+});
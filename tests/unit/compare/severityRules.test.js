@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for SeverityRules
+ * Tests rule validation, glob matching and how rules rewrite comparison results
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import SeverityRules from '../../../src/compare/severityRules.js';
+
+describe('SeverityRules', () => {
+  const comparisonWith = (...deviations) => ({ deviations, matches: [] });
+  const colorDeviation = { property: 'color', figmaValue: '#000000', webValue: '#0a0a0a', difference: 'ΔE 3.2', deltaE: 3.2, severity: 'low' };
+  const widthDeviation = { property: 'width', figmaValue: '24px', webValue: '40px', difference: '16px', severity: 'medium' };
+
+  describe('Matching', () => {
+    test('should match property, component and selector globs case-insensitively', () => {
+      const rules = new SeverityRules({
+        rules: [{ id: 'icons', match: { property: 'border*Radius', componentName: 'icon/*', selector: ['.icon', 'svg'] }, severity: 'low' }]
+      });
+
+      expect(rules.find({ property: 'borderTopLeftRadius', componentName: 'Icon/Close', selector: 'svg' })?.id).toBe('icons');
+      expect(rules.find({ property: 'borderTopLeftRadius', componentName: 'Button', selector: 'svg' })).toBeNull();
+      expect(rules.find({ property: 'width', componentName: 'Icon/Close', selector: 'svg' })).toBeNull();
+    });
+
+    test('should apply the first matching rule', () => {
+      const rules = new SeverityRules({
+        rules: [
+          { id: 'specific', match: { property: 'color', page: 'Marketing' }, severity: 'high' },
+          { id: 'general', match: { property: 'color' }, severity: 'low' }
+        ]
+      });
+
+      expect(rules.find({ property: 'color', page: 'Marketing' }).id).toBe('specific');
+      expect(rules.find({ property: 'color', page: 'App' }).id).toBe('general');
+      expect(rules.find({ property: 'color' }).id).toBe('general');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject unknown match fields and severities', () => {
+      expect(() => new SeverityRules({ rules: [{ id: 'bad', match: { tag: 'div' }, severity: 'low' }] }))
+        .toThrow('Invalid rule "bad" in inline rules: unknown match field tag');
+      expect(() => new SeverityRules({ rules: [{ match: { property: 'color' }, severity: 'critical' }] }))
+        .toThrow('Invalid rule "rule-1"');
+      expect(() => new SeverityRules({ rules: [{ match: { property: 'color' } }] }))
+        .toThrow('set a tolerance, a severity or "ignore"');
+    });
+
+    test('should load rules files and report bad JSON', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-'));
+      const valid = path.join(directory, 'rules.json');
+      const invalid = path.join(directory, 'broken.json');
+      await fs.writeFile(valid, JSON.stringify({ thresholds: { colorDifference: 1 }, rules: [{ match: { property: 'color' }, tolerance: 4 }] }));
+      await fs.writeFile(invalid, '{ "rules": [');
+
+      try {
+        const rules = await SeverityRules.load(valid);
+        expect(rules.thresholds.colorDifference).toBe(1);
+        expect(rules.rules).toHaveLength(1);
+        await expect(SeverityRules.load(invalid)).rejects.toThrow(`Invalid JSON in rules file ${invalid}`);
+        await expect(SeverityRules.load(path.join(directory, 'missing.json'))).rejects.toThrow('Cannot read rules file');
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Applying Rules', () => {
+    test('should override severity and record the rule on the deviation', () => {
+      const rules = new SeverityRules({ rules: [{ id: 'sizes', match: { property: 'width' }, severity: 'high' }] });
+      const comparison = rules.apply(comparisonWith(widthDeviation, colorDeviation), {});
+
+      expect(comparison.deviations[0]).toMatchObject({ property: 'width', severity: 'high', rule: 'sizes' });
+      expect(comparison.deviations[1].rule).toBeUndefined();
+    });
+
+    test('should move ignored deviations out of the deviation list', () => {
+      const rules = new SeverityRules({ rules: [{ id: 'no-icon-sizes', match: { property: 'width', selector: '.icon' }, severity: 'ignore' }] });
+      const comparison = rules.apply(comparisonWith(widthDeviation), { selector: '.icon' });
+
+      expect(comparison.deviations).toHaveLength(0);
+      expect(comparison.ignored[0]).toMatchObject({ property: 'width', rule: 'no-icon-sizes' });
+    });
+
+    test('should turn deviations within tolerance into matches', () => {
+      const rules = new SeverityRules({
+        rules: [
+          { id: 'loose-color', match: { property: 'color' }, tolerance: 4 },
+          { id: 'loose-width', match: { property: 'width' }, tolerance: 10, severity: 'low' }
+        ]
+      });
+      const comparison = rules.apply(comparisonWith(colorDeviation, widthDeviation), {});
+
+      expect(comparison.matches).toEqual([expect.objectContaining({ property: 'color', rule: 'loose-color' })]);
+      expect(comparison.deviations).toEqual([expect.objectContaining({ property: 'width', severity: 'low', rule: 'loose-width' })]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for StateMatcher
+ * Tests reading variant states, pairing state variants with their resting variant and
+ * applying captured web states
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import StateMatcher from '../../../src/compare/stateMatcher.js';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('StateMatcher', () => {
+  let matcher;
+  const variant = (id, properties, setId = 'set') => ({ id, name: Object.entries(properties).map(([key, value]) => `${key}=${value}`).join(', '), type: 'COMPONENT', variant: { setId, setName: 'Button', properties } });
+
+  beforeEach(() => {
+    matcher = new StateMatcher();
+  });
+
+  test('should normalize variant state names', () => {
+    expect(matcher.getState(variant('1', { State: 'Hovered' }))).toBe('hover');
+    expect(matcher.getState(variant('2', { state: 'Pressed' }))).toBe('active');
+    expect(matcher.getState(variant('3', { Interaction: 'Rest' }))).toBe('default');
+    expect(matcher.getState(variant('4', { Size: 'Large' }))).toBeNull();
+    expect(matcher.getState({ id: '5' })).toBeNull();
+  });
+
+  test('should pair state variants with the resting variant of the same size', () => {
+    const components = [
+      variant('1', { Size: 'Small', State: 'Default' }),
+      variant('2', { Size: 'Large', State: 'Default' }),
+      variant('3', { Size: 'Large', State: 'Hover' }),
+      variant('4', { Size: 'Small', State: 'Disabled' }),
+      variant('5', { State: 'Hover' }, 'other-set')
+    ];
+
+    expect([...matcher.findStateVariants(components)]).toEqual([[2, 1], [3, 0]]);
+  });
+
+  test('should apply captured state styles over the resting styles', () => {
+    const element = {
+      selector: 'button.primary',
+      styles: { backgroundColor: 'rgb(26, 115, 232)', color: 'rgb(255, 255, 255)' },
+      effectiveOpacity: 1,
+      states: { disabled: { styles: { backgroundColor: 'rgb(200, 200, 200)' }, effectiveOpacity: 0.5 } }
+    };
+
+    expect(matcher.applyState(element, 'disabled')).toMatchObject({
+      styles: { backgroundColor: 'rgb(200, 200, 200)', color: 'rgb(255, 255, 255)' },
+      effectiveOpacity: 0.5,
+      state: 'disabled'
+    });
+    expect(matcher.applyState(element, 'hover')).toBeNull();
+  });
+
+  test('should report per-state deviations against the resting variant\'s element', async () => {
+    const engine = new ComparisonEngine();
+    const dimensions = { x: 0, y: 0, width: 120, height: 40 };
+    const resting = { ...variant('1', { State: 'Default' }), name: 'Button', properties: { backgroundColor: '#1a73e8', dimensions } };
+    const hover = { ...variant('2', { State: 'Hover' }), properties: { backgroundColor: '#1557b0', dimensions } };
+    const focus = { ...variant('3', { State: 'Focus' }), properties: { backgroundColor: '#1a73e8', dimensions } };
+    const element = {
+      selector: 'button.primary',
+      tagName: 'button',
+      text: 'Button',
+      boundingRect: { x: 0, y: 0, width: 120, height: 40 },
+      styles: { backgroundColor: 'rgb(26, 115, 232)' },
+      states: { hover: { styles: { backgroundColor: 'rgb(26, 115, 232)' } } }
+    };
+
+    const result = await engine.compareDesigns(
+      { fileId: 'file', components: [resting, hover, focus] },
+      { url: 'https://example.com', elements: [element] }
+    );
+    const byId = Object.fromEntries(result.comparisons.map(comparison => [comparison.componentId, comparison]));
+
+    expect(byId['2']).toMatchObject({ state: 'hover', variantOf: '1', selector: 'button.primary', status: 'has_deviations' });
+    expect(byId['2'].deviations.map(deviation => deviation.property)).toContain('hover:backgroundColor');
+    expect(byId['3']).toMatchObject({ state: 'focus', status: 'unfetched' });
+    expect(result.summary.missingComponents).toBe(0);
+  });
+});
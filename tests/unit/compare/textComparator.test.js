@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for TextComparator
+ * Tests copy normalization, word-level differences, placeholder and truncation detection
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import TextComparator from '../../../src/compare/textComparator.js';
+import ComparisonEngine from '../../../src/compare/comparisonEngine.js';
+
+describe('TextComparator', () => {
+  let comparator;
+  const properties = result => result.deviations.map(deviation => deviation.property);
+
+  beforeEach(() => {
+    const engine = new ComparisonEngine();
+    comparator = new TextComparator(engine.thresholds, (a, b) => engine.levenshteinDistance(a, b));
+  });
+
+  describe('Normalization', () => {
+    test('should ignore whitespace, smart quotes and special spaces', () => {
+      const result = comparator.compare(
+        { characters: 'It’s  “free”\nfor everyone' },
+        { text: 'It\'s "free" for everyone' }
+      );
+
+      expect(result.deviations).toHaveLength(0);
+      expect(result.matches[0].property).toBe('text.content');
+    });
+
+    test('should compare letter case as rendered by text-transform', () => {
+      const upper = { characters: 'Sign up', textCase: 'UPPER' };
+
+      expect(comparator.compare(upper, { text: 'Sign up', styles: { textTransform: 'uppercase' } }).deviations).toHaveLength(0);
+      expect(comparator.compare({ characters: 'SIGN UP' }, { text: 'sign up', styles: { textTransform: 'uppercase' } }).deviations).toHaveLength(0);
+
+      const result = comparator.compare({ characters: 'Sign up' }, { text: 'Sign Up', styles: { textTransform: 'none' } });
+      expect(result.deviations[0]).toMatchObject({ property: 'text.case', figmaValue: 'Sign up', webValue: 'Sign Up' });
+    });
+  });
+
+  describe('Wording', () => {
+    test('should report typos, missing and extra words', () => {
+      const result = comparator.compare(
+        { characters: 'We will receive your order within two business days' },
+        { text: 'We will recieve your order within two days today' }
+      );
+
+      expect(properties(result)).toEqual(['text.typo', 'text.missingWords', 'text.extraWords']);
+      expect(result.deviations[0].message).toBe('Possible typo: "recieve" should be "receive"');
+      expect(result.deviations[1].message).toBe('Words missing from the web copy: "business"');
+      expect(result.deviations[2].message).toBe('Words not in the design copy: "today"');
+    });
+
+    test('should report unrelated copy as one content deviation', () => {
+      const result = comparator.compare({ characters: 'Start your free trial' }, { text: 'Contact our sales team' });
+
+      expect(properties(result)).toEqual(['text.content']);
+      expect(result.deviations[0].severity).toBe('high');
+    });
+
+    test('should prefer the full text content over the short matching text', () => {
+      const characters = `${'word '.repeat(60)}end`;
+      const result = comparator.compare({ characters }, { text: characters.substring(0, 200), textContent: characters });
+
+      expect(result.deviations).toHaveLength(0);
+    });
+  });
+
+  describe('Placeholders', () => {
+    test('should flag placeholder copy left in production', () => {
+      const result = comparator.compare(
+        { characters: 'Track every shipment in one place' },
+        { text: 'Lorem ipsum dolor sit amet, consectetur adipiscing elit' }
+      );
+
+      expect(result.deviations).toEqual([expect.objectContaining({ property: 'text.placeholder', difference: 'Lorem ipsum', severity: 'high' })]);
+    });
+
+    test('should not flag placeholders the design itself uses', () => {
+      const result = comparator.compare({ characters: 'Lorem ipsum dolor' }, { text: 'Lorem ipsum dolor' });
+      expect(result.deviations).toHaveLength(0);
+    });
+  });
+
+  describe('Truncation', () => {
+    test('should detect an ellipsis where the design shows the full text', () => {
+      const result = comparator.compare(
+        { characters: 'Free shipping on all orders over $50' },
+        { text: 'Free shipping on all ord…' }
+      );
+
+      expect(properties(result)).toEqual(['text.truncated']);
+      expect(result.deviations[0]).toMatchObject({ difference: 'ellipsis in text', webValue: 'Free shipping on all ord' });
+    });
+
+    test('should detect text clipped by text-overflow', () => {
+      const result = comparator.compare(
+        { characters: 'Free shipping on all orders over $50' },
+        {
+          text: 'Free shipping on all orders over $50',
+          styles: { textOverflow: 'ellipsis' },
+          textOverflow: { clipped: true, scrollWidth: 320, clientWidth: 180 }
+        }
+      );
+
+      expect(result.deviations[0]).toMatchObject({ property: 'text.truncated', difference: 'text-overflow: ellipsis' });
+    });
+
+    test('should accept an ellipsis that is part of the design copy', () => {
+      const result = comparator.compare({ characters: 'Loading...' }, { text: 'Loading…' });
+      expect(result.deviations).toHaveLength(0);
+    });
+  });
+
+  test('should be part of the component comparison for TEXT nodes', async () => {
+    const engine = new ComparisonEngine();
+    const result = await engine.compareComponent(
+      { id: '1:1', name: 'Headline', type: 'TEXT', characters: 'Welcome back', properties: {} },
+      [],
+      { selector: 'h1', text: 'Welcom back', styles: {} }
+    );
+
+    expect(result.deviations.map(deviation => deviation.property)).toContain('text.typo');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for WaiverStore
+ * Tests accepting, persisting, expiring and applying waivers
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import WaiverStore from '../../../src/compare/waiverStore.js';
+
+describe('WaiverStore', () => {
+  let directory;
+  let filePath;
+  const now = new Date('2026-06-01T00:00:00Z');
+  const fontDeviation = { property: 'fontFamily', figmaValue: 'Inter', webValue: 'Inter, sans-serif', severity: 'medium' };
+  const widthDeviation = { property: 'width', figmaValue: '120px', webValue: '128px', difference: '8px', severity: 'low' };
+  const comparison = () => ({ componentId: '1:2', selector: '.hero h1', deviations: [fontDeviation, widthDeviation], matches: [] });
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'waivers-'));
+    filePath = path.join(directory, 'waivers.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should start empty when the file does not exist', async () => {
+    const store = await WaiverStore.load(filePath);
+    expect(store.list()).toEqual([]);
+  });
+
+  test('should persist accepted waivers', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'fontFamily', selector: '.hero h1', reason: 'Platform fallback', expiresAt: '2026-12-31' }, now);
+
+    const reloaded = await WaiverStore.load(filePath);
+    expect(reloaded.list(now)).toEqual([expect.objectContaining({
+      componentId: '1:2',
+      property: 'fontFamily',
+      selector: '.hero h1',
+      reason: 'Platform fallback',
+      acceptedAt: now.toISOString(),
+      expired: false
+    })]);
+  });
+
+  test('should require a reason and a future expiry', async () => {
+    const store = await WaiverStore.load(filePath);
+    const waiver = { componentId: '1:2', property: 'width', reason: 'Intentional', expiresAt: '2026-12-31' };
+
+    await expect(store.accept({ ...waiver, reason: ' ' }, now)).rejects.toThrow('A waiver needs a reason');
+    await expect(store.accept({ ...waiver, expiresAt: 'soon' }, now)).rejects.toThrow('valid expiresAt');
+    await expect(store.accept({ ...waiver, expiresAt: '2026-01-01' }, now)).rejects.toThrow('already in the past');
+  });
+
+  test('should move waived deviations out of the counted deviations', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'fontFamily', selector: '.hero h1', reason: 'Platform fallback', expiresAt: '2026-12-31' }, now);
+
+    const result = store.apply(comparison(), now);
+
+    expect(result.deviations.map(deviation => deviation.property)).toEqual(['width']);
+    expect(result.waived[0]).toMatchObject({ property: 'fontFamily', waiver: { reason: 'Platform fallback' } });
+  });
+
+  test('should only waive the same node, property and selector', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'fontFamily', selector: '.footer h1', reason: 'Other element', expiresAt: '2026-12-31' }, now);
+
+    expect(store.apply(comparison(), now).deviations).toHaveLength(2);
+  });
+
+  test('should report the deviation again once its values change', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'width', selector: '.hero h1', reason: 'Rounding', expiresAt: '2026-12-31', webValue: '124px' }, now);
+
+    expect(store.apply(comparison(), now).deviations).toHaveLength(2);
+  });
+
+  test('should count deviations again after the waiver expires', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'width', selector: '.hero h1', reason: 'Until redesign', expiresAt: '2026-07-01' }, now);
+
+    const result = store.apply(comparison(), new Date('2026-08-01'));
+
+    expect(result.waived).toBeUndefined();
+    expect(result.deviations[1].waiverExpired).toBe('2026-07-01T00:00:00.000Z');
+  });
+
+  test('should revoke waivers', async () => {
+    const store = await WaiverStore.load(filePath);
+    await store.accept({ componentId: '1:2', property: 'width', selector: '.hero h1', reason: 'Until redesign', expiresAt: '2026-07-01' }, now);
+
+    expect(await store.revoke({ componentId: '1:2', property: 'width', selector: '.hero h1' })).toBe(true);
+    expect((await WaiverStore.load(filePath)).list()).toEqual([]);
+  });
+});
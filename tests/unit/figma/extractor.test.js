@@ -166,6 +166,87 @@ describe('FigmaExtractor', () => {
       expect(result.components[0]).toHaveProperty('properties');
       expect(result.components[0].properties).toBeInstanceOf(Object);
     });
+
+    test('should extract gradient and stacked fills topmost first', () => {
+      const fills = figmaExtractor.extractFills({
+        absoluteBoundingBox: { width: 200, height: 100 },
+        fills: [
+          { type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } },
+          { type: 'SOLID', visible: false, color: { r: 1, g: 0, b: 0, a: 1 } },
+          {
+            type: 'GRADIENT_LINEAR',
+            opacity: 0.5,
+            gradientHandlePositions: [{ x: 0.5, y: 0 }, { x: 0.5, y: 0.5 }, { x: 0, y: 0 }],
+            gradientStops: [
+              { color: { r: 0, g: 0, b: 0, a: 1 }, position: 0 },
+              { color: { r: 0, g: 0, b: 1, a: 1 }, position: 1 }
+            ]
+          }
+        ]
+      });
+
+      expect(fills.map(fill => fill.type)).toEqual(['GRADIENT_LINEAR', 'SOLID']);
+      expect(fills[0].angle).toBe(180);
+      // Handles cover the top half of the box, so the last stop lands halfway down the CSS line
+      expect(fills[0].stops).toEqual([
+        { color: '#00000080', position: 0 },
+        { color: '#0000ff80', position: 0.5 }
+      ]);
+    });
+
+    test('should extract stroke alignment, per-side weights and dashes', async () => {
+      const result = await figmaExtractor.processDesignData({
+        document: {
+          id: 'doc',
+          type: 'DOCUMENT',
+          children: [{
+            id: 'card',
+            name: 'Card',
+            type: 'RECTANGLE',
+            strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+            strokeWeight: 1,
+            strokeAlign: 'OUTSIDE',
+            strokeDashes: [4, 2],
+            individualStrokeWeights: { top: 0, right: 0, bottom: 2, left: 0 }
+          }]
+        }
+      });
+
+      expect(result.components[0].properties.border).toEqual({
+        width: 1,
+        color: '#000000',
+        style: 'dashed',
+        align: 'OUTSIDE',
+        widths: { top: 0, right: 0, bottom: 2, left: 0 },
+        dashPattern: [4, 2]
+      });
+    });
+
+    test('should multiply opacity down the layer tree and mark hidden layers', async () => {
+      const document = {
+        id: 'doc',
+        type: 'DOCUMENT',
+        children: [{
+          id: 'overlay',
+          type: 'FRAME',
+          opacity: 0.5,
+          children: [
+            { id: 'label', type: 'TEXT', opacity: 0.8, blendMode: 'MULTIPLY' },
+            { id: 'tooltip', type: 'FRAME', visible: false, children: [{ id: 'tip', type: 'TEXT' }] }
+          ]
+        }, { id: 'footer', type: 'FRAME' }]
+      };
+      const components = await Promise.all(['label', 'tooltip', 'tip', 'footer'].map(id => figmaExtractor.processNode(figmaExtractor.findNodeById(document, id))));
+
+      figmaExtractor.tagVisibility(document, components);
+
+      expect(components[0].properties).toMatchObject({ opacity: 0.8, effectiveOpacity: 0.4, blendMode: 'MULTIPLY' });
+      expect(components[0].hidden).toBeUndefined();
+      expect(components[1]).toMatchObject({ visible: false, hidden: true });
+      expect(components[2].hidden).toBe(true);
+      // Fully opaque layers get no effective opacity, so opacity is not compared for them
+      expect(components[3].properties.effectiveOpacity).toBeUndefined();
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,35 @@
+/**
+ * Unit Tests for AssignmentSolver
+ * Tests minimum-cost one-to-one assignment
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import AssignmentSolver from '../../../src/utils/assignmentSolver.js';
+
+describe('AssignmentSolver', () => {
+  test('should find the minimum-cost assignment rather than the greedy one', () => {
+    // Greedy row-by-row picks column 0 for row 0 (cost 1) and forces row 1 onto cost 10
+    const assignment = AssignmentSolver.solve([
+      [1, 2],
+      [1, 10]
+    ]);
+
+    expect(assignment).toEqual([1, 0]);
+  });
+
+  test('should solve rectangular problems with more columns than rows', () => {
+    const assignment = AssignmentSolver.solve([
+      [9, 2, 7, 8],
+      [6, 4, 3, 7],
+      [5, 8, 1, 8]
+    ]);
+
+    expect(new Set(assignment).size).toBe(3);
+    expect(assignment).toEqual([1, 0, 2]);
+  });
+
+  test('should handle empty input and reject too few columns', () => {
+    expect(AssignmentSolver.solve([])).toEqual([]);
+    expect(() => AssignmentSolver.solve([[1], [2]])).toThrow('at least as many columns as rows');
+  });
+});
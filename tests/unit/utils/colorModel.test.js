@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for ColorModel
+ * Tests CSS color parsing, alpha compositing, ΔE2000 and contrast calculations
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import ColorModel from '../../../src/utils/colorModel.js';
+
+describe('ColorModel', () => {
+  describe('Parsing', () => {
+    test('should parse hex colors with and without alpha', () => {
+      expect(ColorModel.parse('#f00')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+      expect(ColorModel.parse('#1a73e8')).toEqual({ r: 26, g: 115, b: 232, a: 1 });
+      expect(ColorModel.parse('#00000080').a).toBeCloseTo(0.5, 2);
+    });
+
+    test('should parse named colors and keywords', () => {
+      expect(ColorModel.parse('rebeccapurple')).toEqual({ r: 102, g: 51, b: 153, a: 1 });
+      expect(ColorModel.parse('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+      expect(ColorModel.parse('currentColor', { currentColor: 'red' })).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+    });
+
+    test('should parse legacy and modern rgb() syntax', () => {
+      expect(ColorModel.parse('rgba(10, 20, 30, 0.4)')).toEqual({ r: 10, g: 20, b: 30, a: 0.4 });
+      expect(ColorModel.parse('rgb(255 0 0 / 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 0.5 });
+    });
+
+    test('should parse hsl() and hwb()', () => {
+      const hsl = ColorModel.parse('hsl(120 100% 25%)');
+      expect(hsl.g).toBeCloseTo(127.5, 1);
+      expect(ColorModel.parse('hsla(0.5turn, 100%, 50%, .3)')).toEqual({ r: 0, g: 255, b: 255, a: 0.3 });
+      expect(ColorModel.parse('hwb(0 0% 0%)')).toMatchObject({ r: 255, g: 0, b: 0 });
+    });
+
+    test('should parse lab(), lch(), oklab() and oklch()', () => {
+      const lch = ColorModel.parse('lch(52.2345% 72.2 56.2)');
+      expect(Math.round(lch.r)).toBe(198);
+      expect(Math.round(lch.g)).toBe(93);
+      expect(Math.round(lch.b)).toBe(6);
+
+      const oklch = ColorModel.parse('oklch(0.628 0.258 29.23)');
+      expect(Math.round(oklch.r)).toBe(255);
+      expect(Math.round(oklch.g)).toBe(0);
+    });
+
+    test('should convert color(display-p3 ...) into sRGB', () => {
+      const p3 = ColorModel.parse('color(display-p3 0.5 0.5 0.5)');
+      expect(Math.round(p3.r)).toBe(128);
+      expect(Math.round(p3.b)).toBe(128);
+      expect(ColorModel.parse('color(display-p3 1 0 0 / 0.25)').a).toBe(0.25);
+    });
+
+    test('should return null for unsupported values', () => {
+      expect(ColorModel.parse('not-a-color')).toBeNull();
+      expect(ColorModel.parse(null)).toBeNull();
+      expect(ColorModel.parse({ r: 1, g: 0, b: 0 })).toBeNull();
+    });
+  });
+
+  describe('Compositing', () => {
+    test('should composite translucent colors over a backdrop', () => {
+      const result = ColorModel.composite({ r: 0, g: 0, b: 0, a: 0.5 }, { r: 255, g: 255, b: 255, a: 1 });
+      expect(result.r).toBeCloseTo(127.5, 1);
+      expect(result.a).toBe(1);
+    });
+  });
+
+  describe('Color difference', () => {
+    test('should match the CIEDE2000 reference data', () => {
+      const pairs = [
+        [{ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 }, 2.0425],
+        [{ L: 50, a: 0, b: 0 }, { L: 50, a: -1, b: 2 }, 2.3669],
+        [{ L: 50, a: 2.49, b: -0.001 }, { L: 50, a: -2.49, b: 0.0009 }, 7.1792],
+        [{ L: 50, a: 2.5, b: 0 }, { L: 73, a: 25, b: -18 }, 27.1492]
+      ];
+
+      pairs.forEach(([lab1, lab2, expected]) => {
+        expect(ColorModel.labDeltaE2000(lab1, lab2)).toBeCloseTo(expected, 3);
+      });
+    });
+
+    test('should rank perceptual differences', () => {
+      const red = ColorModel.parse('#ff0000');
+      expect(ColorModel.deltaE2000(red, ColorModel.parse('rgb(250, 5, 5)'))).toBeLessThan(2);
+      expect(ColorModel.deltaE2000(red, ColorModel.parse('#00ff00'))).toBeGreaterThan(80);
+    });
+  });
+
+  describe('Contrast', () => {
+    test('should compute WCAG contrast ratios', () => {
+      expect(ColorModel.contrastRatio(ColorModel.parse('#000'), ColorModel.parse('#fff'))).toBeCloseTo(21, 5);
+      expect(ColorModel.contrastRatio(ColorModel.parse('#777'), ColorModel.parse('#fff'))).toBeCloseTo(4.48, 2);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for CssValueParser
+ * Tests parsing of computed background-image layers and gradients
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import CssValueParser from '../../../src/utils/cssValueParser.js';
+
+describe('CssValueParser', () => {
+  describe('Layer splitting', () => {
+    test('should split on top-level separators only', () => {
+      expect(CssValueParser.splitTopLevel('rgb(0, 0, 0) 10%, red')).toEqual(['rgb(0, 0, 0) 10%', 'red']);
+      expect(CssValueParser.splitTopLevel('rgb(0, 0, 0)  10%', ' ')).toEqual(['rgb(0, 0, 0)', '10%']);
+    });
+
+    test('should parse background-image layers topmost first', () => {
+      const layers = CssValueParser.parseBackgroundImage(
+        'linear-gradient(rgb(255, 0, 0), rgb(0, 0, 255)), url("https://example.com/a.png")'
+      );
+
+      expect(layers.map(layer => layer.type)).toEqual(['linear', 'url']);
+      expect(CssValueParser.parseBackgroundImage('none')).toEqual([]);
+    });
+  });
+
+  describe('Gradients', () => {
+    test('should resolve linear gradient directions to CSS angles', () => {
+      expect(CssValueParser.parseGradient('linear-gradient(red, blue)').angle).toBe(180);
+      expect(CssValueParser.parseGradient('linear-gradient(to right, red, blue)').angle).toBe(90);
+      expect(CssValueParser.parseGradient('linear-gradient(0.25turn, red, blue)').angle).toBe(90);
+      expect(CssValueParser.parseGradient('linear-gradient(to top right, red, blue)', { width: 100, height: 100 }).angle).toBeCloseTo(45, 5);
+    });
+
+    test('should resolve stop positions into fractions of the gradient line', () => {
+      const gradient = CssValueParser.parseGradient(
+        'linear-gradient(90deg, rgb(255, 0, 0) 20px, rgb(0, 255, 0), rgb(0, 0, 255) 80%)',
+        { width: 200, height: 50 }
+      );
+
+      const positions = gradient.stops.map(stop => stop.position);
+      [0.1, 0.45, 0.8].forEach((expected, index) => expect(positions[index]).toBeCloseTo(expected, 10));
+      expect(gradient.stops[1].color).toBe('rgb(0, 255, 0)');
+    });
+
+    test('should expand double-position stops and skip interpolation hints', () => {
+      const gradient = CssValueParser.parseGradient('linear-gradient(red 0% 50%, 60%, blue)');
+
+      expect(gradient.stops).toEqual([
+        { color: 'red', position: 0 },
+        { color: 'red', position: 0.5 },
+        { color: 'blue', position: 1 }
+      ]);
+    });
+
+    test('should parse radial and conic gradients', () => {
+      const radial = CssValueParser.parseGradient('radial-gradient(circle at 25% 75%, red, blue)');
+      expect(radial).toMatchObject({ type: 'radial', shape: 'circle', position: '25% 75%' });
+
+      const conic = CssValueParser.parseGradient('repeating-conic-gradient(from 90deg, red 0deg, blue 180deg)');
+      expect(conic).toMatchObject({ type: 'conic', repeating: true, angle: 90 });
+      expect(conic.stops[1].position).toBe(0.5);
+    });
+  });
+
+  describe('Shadows and filters', () => {
+    test('should parse computed box-shadow layers', () => {
+      const shadows = CssValueParser.parseShadow('rgba(0, 0, 0, 0.25) 0px 4px 8px -2px, rgb(255, 0, 0) 1px 1px 0px 0px inset');
+
+      expect(shadows).toEqual([
+        { inset: false, offsetX: 0, offsetY: 4, blur: 8, spread: -2, color: 'rgba(0, 0, 0, 0.25)' },
+        { inset: true, offsetX: 1, offsetY: 1, blur: 0, spread: 0, color: 'rgb(255, 0, 0)' }
+      ]);
+      expect(CssValueParser.parseShadow('none')).toEqual([]);
+    });
+
+    test('should read blur radius from filter lists', () => {
+      expect(CssValueParser.parseBlurRadius('saturate(1.2) blur(6px)')).toBe(6);
+      expect(CssValueParser.parseBlurRadius('none')).toBe(0);
+    });
+  });
+
+  describe('Border radius', () => {
+    test('should resolve corner longhands, percentages and elliptical radii', () => {
+      const radii = CssValueParser.parseBorderRadius({
+        borderTopLeftRadius: '8px',
+        borderTopRightRadius: '10%',
+        borderBottomRightRadius: '10px 20px',
+        borderBottomLeftRadius: '0px'
+      }, { width: 200, height: 100 });
+
+      expect(radii).toEqual({
+        topLeft: { x: 8, y: 8 },
+        topRight: { x: 20, y: 10 },
+        bottomRight: { x: 10, y: 20 },
+        bottomLeft: { x: 0, y: 0 }
+      });
+    });
+
+    test('should expand the shorthand and scale overlapping corners', () => {
+      const tab = CssValueParser.parseBorderRadius({ borderRadius: '12px 12px 0px 0px' });
+      expect(tab.topRight).toEqual({ x: 12, y: 12 });
+      expect(tab.bottomLeft).toEqual({ x: 0, y: 0 });
+
+      const pill = CssValueParser.parseBorderRadius({ borderRadius: '9999px' }, { width: 120, height: 40 });
+      expect(pill.topLeft.y).toBeCloseTo(20, 5);
+    });
+  });
+
+  describe('Text metrics', () => {
+    test('should resolve line heights against the font size', () => {
+      expect(CssValueParser.resolveLineHeight('1.5', 16)).toEqual({ px: 24, normal: false });
+      expect(CssValueParser.resolveLineHeight('150%', 16).px).toBe(24);
+      expect(CssValueParser.resolveLineHeight('1.25em', 16).px).toBe(20);
+      expect(CssValueParser.resolveLineHeight('22px', 16).px).toBe(22);
+      expect(CssValueParser.resolveLineHeight('normal', 10)).toEqual({ px: 12, normal: true });
+    });
+
+    test('should resolve letter spacing including Figma units', () => {
+      expect(CssValueParser.resolveLetterSpacing('normal', 16)).toBe(0);
+      expect(CssValueParser.resolveLetterSpacing('-0.02em', 20)).toBeCloseTo(-0.4, 10);
+      expect(CssValueParser.resolveLetterSpacing({ unit: 'PERCENT', value: 5 }, 20)).toBe(1);
+      expect(CssValueParser.resolveLetterSpacing(1.5, 20)).toBe(1.5);
+    });
+  });
+
+  describe('Length resolution', () => {
+    const context = { fontSize: 20, rootFontSize: 16, percentBase: 400, viewport: { width: 1200, height: 800 } };
+
+    test('should resolve relative and absolute units', () => {
+      expect(CssValueParser.resolveCssLength('1.25rem', context)).toBe(20);
+      expect(CssValueParser.resolveCssLength('2em', context)).toBe(40);
+      expect(CssValueParser.resolveCssLength('25%', context)).toBe(100);
+      expect(CssValueParser.resolveCssLength('10vw', context)).toBe(120);
+      expect(CssValueParser.resolveCssLength('10dvh', context)).toBe(80);
+      expect(CssValueParser.resolveCssLength('12pt', context)).toBe(16);
+      expect(CssValueParser.resolveCssLength('-4px', context)).toBe(-4);
+    });
+
+    test('should evaluate calc(), min(), max() and clamp()', () => {
+      expect(CssValueParser.resolveCssLength('calc(100% - 2rem)', context)).toBe(368);
+      expect(CssValueParser.resolveCssLength('calc((100% - 32px) / 4)', context)).toBe(92);
+      expect(CssValueParser.resolveCssLength('calc(-1 * 8px)', context)).toBe(-8);
+      expect(CssValueParser.resolveCssLength('clamp(1rem, 2.5vw, 2rem)', context)).toBe(30);
+      expect(CssValueParser.resolveCssLength('min(100%, 300px)', context)).toBe(300);
+    });
+
+    test('should return null for keywords and unresolvable values', () => {
+      expect(CssValueParser.resolveCssLength('auto', context)).toBeNull();
+      expect(CssValueParser.resolveCssLength('1.5', context)).toBeNull();
+      expect(CssValueParser.resolveCssLength('50%', {})).toBeNull();
+      expect(CssValueParser.resolveCssLength('calc(10px * 2px)', context)).toBeNull();
+      expect(CssValueParser.resolveCssLength('0', context)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for DesignTokens
+ * Tests reading Figma style/variable bindings and matching token names to custom properties
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import DesignTokens from '../../../src/utils/designTokens.js';
+
+describe('DesignTokens', () => {
+  describe('Figma bindings', () => {
+    const names = {
+      styles: { 'S:1': { name: 'Heading/H1' }, 'S:2': { name: 'Brand/Primary' } },
+      variables: { 'VariableID:1': { name: 'color/brand/primary' }, 'VariableID:2': { name: 'space/4' } }
+    };
+
+    test('should map style slots and variables to the CSS property they set', () => {
+      const tokens = DesignTokens.readFigmaBindings({
+        type: 'FRAME',
+        styles: { fill: 'S:2' },
+        boundVariables: {
+          itemSpacing: { type: 'VARIABLE_ALIAS', id: 'VariableID:2' },
+          strokes: [{ type: 'VARIABLE_ALIAS', id: 'VariableID:1' }]
+        }
+      }, names);
+
+      expect(tokens).toEqual({
+        backgroundColor: { source: 'style', id: 'S:2', name: 'Brand/Primary' },
+        gap: { source: 'variable', id: 'VariableID:2', name: 'space/4' },
+        borderColor: { source: 'variable', id: 'VariableID:1', name: 'color/brand/primary' }
+      });
+    });
+
+    test('should bind text fills to color and let variables win over styles', () => {
+      const tokens = DesignTokens.readFigmaBindings({
+        type: 'TEXT',
+        styles: { fill: 'S:2', text: 'S:1' },
+        boundVariables: { fills: [{ type: 'VARIABLE_ALIAS', id: 'VariableID:1' }] }
+      }, names);
+
+      expect(tokens.color).toMatchObject({ source: 'variable', name: 'color/brand/primary' });
+      expect(tokens.typography).toMatchObject({ source: 'style', name: 'Heading/H1' });
+    });
+
+    test('should keep unnamed variables by id and skip unbound nodes', () => {
+      expect(DesignTokens.readFigmaBindings({ type: 'RECTANGLE', boundVariables: { opacity: { type: 'VARIABLE_ALIAS', id: 'VariableID:9' } } }))
+        .toEqual({ opacity: { source: 'variable', id: 'VariableID:9', name: null } });
+      expect(DesignTokens.readFigmaBindings({ type: 'RECTANGLE' })).toBeNull();
+    });
+
+    test('should accept styles as returned by the robust extractor', () => {
+      const tokens = DesignTokens.readFigmaBindings({ type: 'RECTANGLE', styles: { effect: 'S:3' } }, { styles: [{ id: 'S:3', name: 'Elevation/2' }] });
+      expect(tokens.boxShadow.name).toBe('Elevation/2');
+    });
+  });
+
+  describe('Name matching', () => {
+    test('should match token names to custom properties across naming conventions', () => {
+      expect(DesignTokens.matches('Color/Brand Primary', '--color-brand-primary')).toBe(true);
+      expect(DesignTokens.matches('color/brandPrimary', '--ds-color-brand-primary')).toBe(true);
+      expect(DesignTokens.matches('Color/Primary', '--primary')).toBe(true);
+      expect(DesignTokens.matches('Color/Primary', '--color-primary-hover')).toBe(false);
+      expect(DesignTokens.matches('Color/Secondary', '--color-primary')).toBe(false);
+    });
+
+    test('should only match inside a custom property name when partial', () => {
+      expect(DesignTokens.matches('Heading/H1', '--heading-h1-size')).toBe(false);
+      expect(DesignTokens.matches('Heading/H1', '--heading-h1-size', { partial: true })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for DomPath
+ * Tests the page-side helpers that build and walk DOM paths, against a minimal DOM
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import DomPath from '../../../src/utils/domPath.js';
+
+// Element with `children`, linked to its parent, recording set attributes
+const element = (...children) => {
+  const node = { children, attributes: {}, setAttribute(name, value) { node.attributes[name] = value; } };
+  children.forEach(child => { child.parentElement = node; });
+  return node;
+};
+
+describe('DomPath', () => {
+  // html > [head, body > [header, main > [h1, p]]]
+  const paragraph = element();
+  const main = element(element(), paragraph);
+  const html = element(element(), element(element(), main));
+  // Runs page functions in this process, like page.evaluate does in the browser
+  const page = { evaluate: async (fn, ...args) => fn(...args) };
+
+  beforeEach(() => {
+    global.window = {};
+    global.document = { documentElement: html };
+  });
+
+  afterEach(() => {
+    delete global.window;
+    delete global.document;
+  });
+
+  test('should build and walk the same paths', async () => {
+    await DomPath.install(page);
+
+    expect(window.__domPath.of(paragraph)).toBe('1/1/1');
+    expect(window.__domPath.of(html)).toBe('');
+    expect(window.__domPath.find('1/1/1')).toBe(paragraph);
+    expect(window.__domPath.find('')).toBe(html);
+    expect(window.__domPath.find('1/5/0')).toBeNull();
+  });
+
+  test('should mark elements with their index, skipping paths that are gone', async () => {
+    await DomPath.mark(page, ['9/9', '1/1', '1/1/1'], 'data-capture');
+
+    expect(main.attributes).toEqual({ 'data-capture': '1' });
+    expect(paragraph.attributes).toEqual({ 'data-capture': '2' });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit Tests for FigmaVariants
+ * Tests reading variant properties of component set children and instances
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import FigmaVariants from '../../../src/utils/figmaVariants.js';
+
+describe('FigmaVariants', () => {
+  test('should parse variant component names', () => {
+    expect(FigmaVariants.parseName('State=Hover, Size=Large')).toEqual({ State: 'Hover', Size: 'Large' });
+    expect(FigmaVariants.parseName('Button / Primary')).toBeNull();
+  });
+
+  test('should tag component set children and instances', () => {
+    const document = {
+      id: '0:0',
+      type: 'DOCUMENT',
+      children: [{
+        id: '1:0',
+        type: 'COMPONENT_SET',
+        name: 'Button',
+        children: [
+          { id: '1:1', type: 'COMPONENT', name: 'State=Default' },
+          { id: '1:2', type: 'COMPONENT', name: 'State=Disabled' }
+        ]
+      }, {
+        id: '2:1',
+        type: 'INSTANCE',
+        name: 'Button',
+        componentProperties: {
+          State: { type: 'VARIANT', value: 'Hover' },
+          'Label#12:0': { type: 'TEXT', value: 'Save' }
+        }
+      }]
+    };
+    const components = [{ id: '1:1' }, { id: '1:2' }, { id: '2:1' }];
+
+    FigmaVariants.tag(document, components);
+
+    expect(components[1].variant).toEqual({ setId: '1:0', setName: 'Button', properties: { State: 'Disabled' } });
+    expect(components[2].variant).toEqual({ setId: null, setName: null, properties: { State: 'Hover' } });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for IconRaster
+ * Tests icon detection, attaching Figma exports and color-independent shape masks
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import IconRaster from '../../../src/utils/iconRaster.js';
+
+// RGBA image with `draw(x, y)` returning the pixel color or null for background
+const image = (width, height, draw) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = draw(x, y);
+      if (color) data.set([...color, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+describe('IconRaster', () => {
+  test('should detect vector shapes and small components named as icons', () => {
+    expect(IconRaster.isFigmaIcon({ type: 'BOOLEAN_OPERATION', name: 'Union' })).toBe(true);
+    expect(IconRaster.isFigmaIcon({ type: 'INSTANCE', name: 'Icon/Chevron', absoluteBoundingBox: { width: 24, height: 24 } })).toBe(true);
+    expect(IconRaster.isFigmaIcon({ type: 'INSTANCE', name: 'ic_close', properties: { dimensions: { width: 16, height: 16 } } })).toBe(true);
+    expect(IconRaster.isFigmaIcon({ type: 'INSTANCE', name: 'Button with icon' })).toBe(false);
+    expect(IconRaster.isFigmaIcon({ type: 'FRAME', name: 'Icons', dimensions: { width: 800, height: 400 } })).toBe(false);
+  });
+
+  test('should export icons but not the layers inside an icon instance', async () => {
+    const components = [
+      { id: '1:2', type: 'INSTANCE', name: 'Icon/Search' },
+      { id: 'I1:2;3:4', type: 'VECTOR', name: 'Vector' },
+      { id: '5:6', type: 'TEXT', name: 'Label' }
+    ];
+    const requested = [];
+    const download = async (nodes) => {
+      requested.push(...nodes.map(node => node.nodeId));
+      return { results: [{ nodeId: '1:2', success: true, localPath: import.meta.url.replace('file://', '') }] };
+    };
+
+    expect(await IconRaster.attachFigmaRasters(components, download, '/tmp/icons')).toBe(1);
+    expect(requested).toEqual(['1:2']);
+    expect(components[0].raster).toBeDefined();
+  });
+
+  test('should produce the same mask regardless of color, padding and scale', () => {
+    const plus = (size, offset, color) => image(size, size, (x, y) => {
+      const u = (x - offset) / (size - 2 * offset);
+      const v = (y - offset) / (size - 2 * offset);
+      const inside = u >= 0 && u < 1 && v >= 0 && v < 1;
+      return inside && ((u > 0.4 && u < 0.6) || (v > 0.4 && v < 0.6)) ? color : null;
+    });
+
+    const figma = IconRaster.toMask(plus(64, 0, [0, 0, 0]), 16);
+    const web = IconRaster.toMask(plus(48, 8, [26, 115, 232]), 16);
+
+    expect(figma.empty).toBe(false);
+    const differing = figma.cells.reduce((count, cell, index) => count + (cell !== web.cells[index] ? 1 : 0), 0);
+    expect(differing / figma.cells.length).toBeLessThan(0.05);
+  });
+
+  test('should read the shape of opaque images against their background', () => {
+    const dot = image(20, 20, (x, y) => ((x - 10) ** 2 + (y - 10) ** 2 < 25 ? [255, 255, 255] : [20, 20, 20]));
+
+    expect(IconRaster.backgroundColor(dot)).toEqual([20, 20, 20]);
+    expect(IconRaster.inkColor(dot)).toMatchObject({ r: 255, g: 255, b: 255 });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for ImageFill
+ * Tests finding Figma image fills, attaching their exports and the perceptual hash
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import ImageFill from '../../../src/utils/imageFill.js';
+
+// Opaque RGBA image with `shade(x, y)` returning a grey level
+const image = (width, height, shade) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const level = shade(x, y);
+      data.set([level, level, level, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+describe('ImageFill', () => {
+  test('should find image fills in normalized and raw Figma fills', () => {
+    expect(ImageFill.find({ properties: { fills: [{ type: 'IMAGE', imageRef: 'abc', scaleMode: 'FIT', opacity: 1 }] } }))
+      .toEqual({ imageRef: 'abc', scaleMode: 'FIT', opacity: 1 });
+    // The REST API calls a crop STRETCH
+    expect(ImageFill.find({ fills: [{ type: 'SOLID' }, { type: 'IMAGE', imageRef: 'def', scaleMode: 'STRETCH' }] }).scaleMode).toBe('CROP');
+    expect(ImageFill.find({ fills: [{ type: 'IMAGE', imageRef: 'ghi', visible: false }] })).toBeNull();
+  });
+
+  test('should export image fills and keep the scale mode when the export fails', async () => {
+    const components = [
+      { id: '1:2', type: 'RECTANGLE', fills: [{ type: 'IMAGE', imageRef: 'hero', scaleMode: 'FILL' }] },
+      { id: '3:4', type: 'TEXT', fills: [{ type: 'SOLID' }] }
+    ];
+    const download = async (nodes) => ({ results: nodes.map(node => ({ nodeId: node.nodeId, success: false })) });
+
+    expect(await ImageFill.attachFigmaRasters(components, download, '/nonexistent')).toBe(0);
+    expect(components[0].imageFill).toEqual({ imageRef: 'hero', scaleMode: 'FILL', opacity: 1, raster: null });
+    expect(components[1].imageFill).toBeUndefined();
+  });
+
+  test('should hash the same picture at another size alike and different pictures apart', () => {
+    const gradient = (size) => image(size, size, (x, y) => Math.round((255 * (x + y)) / (2 * size)));
+    const flipped = image(64, 64, (x, y) => 255 - Math.round((255 * (x + y)) / 128));
+
+    expect(ImageFill.distance(ImageFill.dHash(gradient(64)), ImageFill.dHash(gradient(200)))).toBeLessThanOrEqual(2);
+    expect(ImageFill.distance(ImageFill.dHash(gradient(64)), ImageFill.dHash(flipped))).toBeGreaterThan(32);
+    expect(ImageFill.dHash(gradient(64))).toMatch(/^[0-9a-f]{16}$/);
+  });
+});